@@ -5,7 +5,8 @@ import {
   parseUrl, 
   createFolderStructure, 
   blobToDataUrl, 
-  ensureContentScript 
+  ensureContentScript,
+  injectPageHooks
 } from './modules/utils.js';
 
 // Diagnostic Capture Testing Function
@@ -51,7 +52,7 @@ async function runCaptureDiagnostics() {
         name: 'Page Dimensions',
         test: async () => {
           try {
-            const dimensions = await chrome.tabs.sendMessage(tab.id, { action: 'getPageDimensions' });
+            const dimensions = await sendContentCommand(tab.id, 'getPageDimensions');
             logger.info('📏 Page Dimensions Retrieved:', dimensions);
             return dimensions;
           } catch (error) {
@@ -64,7 +65,7 @@ async function runCaptureDiagnostics() {
         name: 'HTML Capture',
         test: async () => {
           try {
-            const html = await chrome.tabs.sendMessage(tab.id, { action: 'getHTML' });
+            const { html } = await sendContentCommand(tab.id, 'getHTML');
             logger.info(`📄 HTML Capture Successful (Length: ${html.length} chars)`);
             return html;
           } catch (error) {
@@ -109,6 +110,103 @@ import { fetchScriptContent } from './modules/scriptFetcher.js';
 import { pageMonitor } from './modules/pageMonitor.js';
 
 import { recentCaptures, MAX_RECENT_CAPTURES, CAPTURE_FORMATS, screenshotRateLimit } from './modules/captureManager.js';
+import { DEFAULT_PDF_SETTINGS, buildPrintOptions, capturePdf } from './modules/pdfCapture.js';
+import { captureFullPageScreenshot, numberParts } from './modules/fullPageScreenshot.js';
+import { captureElementScreenshot, buildElementFiles, fillCanvasFallbacks } from './modules/elementCapture.js';
+import { createFrameToken, inlineFrameSnapshots } from './modules/frameSnapshots.js';
+import { captureWebArchive } from './modules/webArchive.js';
+import { networkRecorder } from './modules/networkRecorder.js';
+import { buildHar } from './modules/harBuilder.js';
+import { buildApiCatalog, buildOpenApi, listApiEndpoints } from './modules/apiCatalog.js';
+import { buildGraphQLOperations } from './modules/graphqlOperations.js';
+import { classifyThirdParties, parseDomainList } from './modules/thirdPartyClassifier.js';
+import { createEpub } from './modules/epubBuilder.js';
+import { harvestAssets, rewriteAssetUrls, fetchPageResource } from './modules/assetHarvester.js';
+import { sendContentCommand, unwrapResponse, isPong } from './modules/contentProtocol.js';
+
+// Background network recording (webRequest), capped like the in-page monitor
+networkRecorder.start();
+chrome.storage.sync.get({ maxNetworkRequests: 100 }, ({ maxNetworkRequests }) => {
+  networkRecorder.setMaxRequests(maxNetworkRequests);
+});
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes.maxNetworkRequests) {
+    networkRecorder.setMaxRequests(changes.maxNetworkRequests.newValue);
+  }
+});
+
+/**
+ * Reads the options of the in-page network monitor. They are handed to the page hooks,
+ * which cannot read extension storage from the page's world.
+ * @returns {Promise<{maxRequests: number, bodies: object | null, sockets: object}>} The options for networkMonitor.configureNetworkMonitor
+ *   and socketMonitor.configureSocketMonitor.
+ */
+async function getNetworkMonitorOptions() {
+  const settings = await chrome.storage.sync.get({
+    captureNetworkRequests: true,
+    maxNetworkRequests: 100,
+    captureNetworkBodies: false,
+    networkBodyContentTypes: 'json, text, xml, javascript, x-www-form-urlencoded, form-data',
+    networkBodyUrlPatterns: '',
+    maxNetworkBodySize: 100,
+    maxNetworkBodiesTotal: 5000,
+    captureSocketPayloads: false,
+    maxSocketPayloadSize: 1024
+  });
+  const splitList = value => String(value || '').split(/[\s,]+/).filter(Boolean);
+  return {
+    maxRequests: Number(settings.maxNetworkRequests) || 100,
+    bodies: settings.captureNetworkRequests && settings.captureNetworkBodies
+      ? {
+        contentTypes: splitList(settings.networkBodyContentTypes),
+        urlPatterns: splitList(settings.networkBodyUrlPatterns),
+        maxBodySize: (Number(settings.maxNetworkBodySize) || 100) * 1024,
+        maxTotalSize: (Number(settings.maxNetworkBodiesTotal) || 5000) * 1024
+      }
+      : null,
+    sockets: {
+      payloads: Boolean(settings.captureSocketPayloads),
+      maxPayloadSize: Number(settings.maxSocketPayloadSize) || 1024
+    }
+  };
+}
+
+/** @type {Set<string>} - Capture types saved regardless of the capture format settings. */
+const ALWAYS_CAPTURED = new Set([
+  'metadata',
+  'structured_data',
+  'links',
+  'script_data',
+  'network_log',
+  'network_bodies',
+  'sockets',
+  'api_catalog',
+  'graphql_operations',
+  'third_parties'
+]);
+
+/**
+ * Reads the options of the page hooks, the recorders installed in the page's main world.
+ * @returns {Promise<{recordConsole: boolean, bodies: object | null, sockets: object}>} The options for pageHooks.installPageHooks.
+ */
+async function getPageHookOptions() {
+  const [{ captureFormats }, networkOptions] = await Promise.all([
+    chrome.storage.sync.get({ captureFormats: {} }),
+    getNetworkMonitorOptions()
+  ]);
+  return { recordConsole: Boolean(captureFormats.console), ...networkOptions };
+}
+
+/** @type {string} - Explains recordingSince in the exports of the in-page recorders. */
+const PAGE_HOOKS_GAP_NOTE = 'The page hooks are installed after the page commits, once the settings are read and the '
+  + 'module is loaded; requests and connections opened before recordingSince (e.g. by early inline scripts) are missing';
+
+// Page hooks go into each page as it commits. Injection waits for the settings, executeScript
+// and the module import, so the page's earliest scripts can run first (see PAGE_HOOKS_GAP_NOTE)
+chrome.webNavigation.onCommitted.addListener(({ tabId, frameId, url }) => {
+  if (frameId !== 0 || !url.startsWith('http')) return;
+  getPageHookOptions().then(options => injectPageHooks(tabId, options));
+});
 
 // Enhanced Logging for Capture Process
 async function logCaptureDetails(captures) {
@@ -144,14 +242,20 @@ async function captureWebsite(tabId, url) {
     // Get settings with enhanced logging
     const settings = await chrome.storage.sync.get({
       captureFormats: {
-      pdf: true,
+      pdf: false,
       html: true,
       markdown: true,
       screenshot: true
       },
       captureScripts: true,
       captureNetworkRequests: true,
-      maxNetworkRequests: 100
+      maxNetworkRequests: 100,
+      warcPackageWacz: false,
+      markdownReadableOnly: false,
+      a11yHtmlReport: false,
+      captureNetworkBodies: false,
+      thirdPartyDomains: '',
+      ...DEFAULT_PDF_SETTINGS
     });
     logger.log('📋 Capture Settings:', JSON.stringify(settings, null, 2));
 
@@ -180,6 +284,9 @@ async function captureWebsite(tabId, url) {
       }
     }
 
+    // Pages loaded before the extension (or with other options) get their hooks now
+    await injectPageHooks(tabId, await getPageHookOptions());
+
     // Add more detailed logging for content script injection
     if (!contentScriptLoaded) {
       logger.error('❌ CRITICAL: Failed to inject content script after multiple attempts');
@@ -193,15 +300,23 @@ async function captureWebsite(tabId, url) {
       action: 'getContent',
       captureScripts: settings.captureScripts,
       captureNetworkRequests: settings.captureNetworkRequests,
-      maxNetworkRequests: settings.maxNetworkRequests
+      maxNetworkRequests: settings.maxNetworkRequests,
+      markdownReadableOnly: settings.markdownReadableOnly
       }, async response => {
       clearTimeout(timeout);
       if (chrome.runtime.lastError) {
         reject(new Error(chrome.runtime.lastError.message));
       } else {
+        let data = null;
+        try {
+          data = unwrapResponse(response, 'getContent');
+        } catch (error) {
+          logger.warn('⚠️ Page content unavailable:', error.message);
+        }
+
         // Fetch external script contents if enabled
-        if (settings.captureScripts && response?.metadata?.scripts) {
-          const scripts = response.metadata.scripts;
+        if (settings.captureScripts && data?.metadata?.scripts) {
+          const scripts = data.metadata.scripts;
           for (const script of scripts) {
             if (script.type === 'external' && script.src) {
               const fetchedContent = await fetchScriptContent(script.src);
@@ -210,7 +325,7 @@ async function captureWebsite(tabId, url) {
             }
           }
         }
-        resolve(response || { content: 'No content available', metadata: {} });
+        resolve(data || { content: 'No content available', metadata: {} });
       }
       });
     });
@@ -228,6 +343,8 @@ async function captureWebsite(tabId, url) {
     
     // Define captures with proper error handling
     const fileTimestamp = metadata.captureTime;
+    // Filled by the assets capture, which runs before the HTML and Markdown captures
+    let assetMap = {};
     const captures = [
       {
       type: 'metadata',
@@ -235,6 +352,11 @@ async function captureWebsite(tabId, url) {
       filename: 'metadata.json'
       },
       {
+      type: 'structured_data',
+      data: new Blob([JSON.stringify(pageData.metadata?.structuredData || { items: [], types: [], jsonLd: [], errors: [] }, null, 2)], { type: 'application/json' }),
+      filename: 'structured_data.json'
+      },
+      {
       type: 'screenshot_visible',
       capture: async () => screenshotRateLimit.capture(),
       filename: `screenshot_visible_${fileTimestamp}.png`
@@ -242,14 +364,23 @@ async function captureWebsite(tabId, url) {
       {
       type: 'screenshot_full',
       capture: async () => {
-        const { width, height } = await chrome.tabs.sendMessage(tabId, { action: 'getPageDimensions' });
-        await chrome.tabs.setZoom(tabId, 1);
-        const dataUrl = await screenshotRateLimit.capture();
-        return dataUrl;
+        const parts = await captureFullPageScreenshot(tabId);
+        return numberParts(parts, `screenshot_full_${fileTimestamp}.png`);
       },
       filename: `screenshot_full_${fileTimestamp}.png`
       },
       {
+      type: 'assets',
+      capture: async () => {
+        const references = await sendContentCommand(tabId, 'getAssets');
+        const harvest = await harvestAssets(references);
+        assetMap = harvest.urlMap;
+        const manifest = new Blob([JSON.stringify({ pageUrl: url, assets: harvest.manifest }, null, 2)], { type: 'application/json' });
+        return [...harvest.files, { filename: 'assets.json', data: manifest }];
+      },
+      filename: 'assets.json'
+      },
+      {
       type: 'mhtml',
       capture: async () => {
         try {
@@ -263,43 +394,156 @@ async function captureWebsite(tabId, url) {
       filename: `page_${fileTimestamp}.mhtml`
       },
       {
+      type: 'warc',
+      capture: async () => {
+        const archive = await captureWebArchive({
+          pageUrl: url,
+          inPageRequests: pageData.metadata?.networkRequests,
+          recordedRequests: networkRecorder.getRequests(tabId),
+          metadata,
+          title: pageData.metadata?.title,
+          packageWacz: settings.warcPackageWacz,
+          software: `SiteScribe ${chrome.runtime.getManifest().version}`
+        });
+        return [{ filename: `page_${fileTimestamp}${archive.extension}`, data: archive.blob }];
+      },
+      filename: `page_${fileTimestamp}.warc`
+      },
+      {
+      type: 'pdf',
+      capture: async () => {
+        const printOptions = buildPrintOptions(settings, { url, captureTime: fileTimestamp });
+        return capturePdf(tabId, printOptions);
+      },
+      filename: `page_${fileTimestamp}.pdf`
+      },
+      {
       type: 'html',
       capture: async () => {
-        const html = await chrome.tabs.sendMessage(tabId, { action: 'getHTML' });
-        return new Blob([html], { type: CAPTURE_FORMATS.HTML.mimeType });
+        const frameToken = createFrameToken();
+        const { html, canvasFallbacks } = await sendContentCommand(tabId, 'getHTML', { assetMap, frameToken });
+        const framedHtml = await inlineFrameSnapshots(tabId, html, frameToken);
+        const filledHtml = await fillCanvasFallbacks(tabId, framedHtml, canvasFallbacks);
+        return new Blob([filledHtml], { type: CAPTURE_FORMATS.HTML.mimeType });
       },
       filename: `page_${fileTimestamp}.html`
       },
       {
+      type: 'single_file_html',
+      capture: async () => {
+        const html = await sendContentCommand(tabId, 'getSingleFileHTML');
+        return new Blob([html], { type: CAPTURE_FORMATS.SINGLE_FILE_HTML.mimeType });
+      },
+      filename: `page_single_${fileTimestamp}.html`
+      },
+      {
       type: 'text',
       capture: async () => {
-        const text = await chrome.tabs.sendMessage(tabId, { action: 'getText' });
+        const text = await sendContentCommand(tabId, 'getText');
         return new Blob([text], { type: CAPTURE_FORMATS.TEXT.mimeType });
       },
       filename: `content_${fileTimestamp}.txt`
       },
       {
       type: 'markdown',
-      data: new Blob([pageData.content], { type: CAPTURE_FORMATS.MARKDOWN.mimeType }),
+      capture: async () => {
+        const markdown = rewriteAssetUrls(pageData.content, assetMap);
+        return new Blob([markdown], { type: CAPTURE_FORMATS.MARKDOWN.mimeType });
+      },
       filename: `content_${fileTimestamp}.md`
       },
       {
+      type: 'tables',
+      capture: async () => {
+        const tables = await sendContentCommand(tabId, 'getTables');
+        const index = tables.map(({ csv, ...entry }) => entry);
+        return [
+          ...tables.map(table => ({ filename: table.filename, data: new Blob([table.csv], { type: 'text/csv' }) })),
+          { filename: 'tables.json', data: new Blob([JSON.stringify({ pageUrl: url, tables: index }, null, 2)], { type: 'application/json' }) }
+        ];
+      },
+      filename: 'tables.json'
+      },
+      {
+      type: 'links',
+      capture: async () => {
+        const links = await sendContentCommand(tabId, 'getLinks');
+        return new Blob([JSON.stringify(links, null, 2)], { type: 'application/json' });
+      },
+      filename: 'links.json'
+      },
+      {
+      type: 'har',
+      capture: async () => {
+        const resourceTimings = await sendContentCommand(tabId, 'getResourceTimings');
+        const har = buildHar({
+          pageUrl: url,
+          title: pageData.metadata?.title,
+          recordedRequests: networkRecorder.getRequests(tabId),
+          inPageRequests: pageData.metadata?.networkRequests,
+          resourceTimings,
+          version: chrome.runtime.getManifest().version
+        });
+        return new Blob([JSON.stringify(har, null, 2)], { type: 'application/json' });
+      },
+      filename: 'page.har'
+      },
+      {
+      type: 'console',
+      capture: async () => {
+        const consoleLog = await sendContentCommand(tabId, 'takeConsoleLog');
+        return new Blob([JSON.stringify({ pageUrl: url, ...consoleLog }, null, 2)], { type: 'application/json' });
+      },
+      filename: 'console.json'
+      },
+      {
+      type: 'a11y',
+      capture: async () => {
+        const { audit, report } = await sendContentCommand(tabId, 'getAccessibilityAudit', { htmlReport: settings.a11yHtmlReport });
+        const files = [{ filename: 'a11y.json', data: new Blob([JSON.stringify(audit, null, 2)], { type: 'application/json' }) }];
+        if (report) files.push({ filename: 'a11y_report.html', data: new Blob([report], { type: CAPTURE_FORMATS.HTML.mimeType }) });
+        return files;
+      },
+      filename: 'a11y.json'
+      },
+      {
       type: 'readability',
       capture: async () => {
-        const readableContent = await chrome.tabs.sendMessage(tabId, { action: 'getReadableContent' });
+        const readableContent = await sendContentCommand(tabId, 'getReadableContent');
         return new Blob([readableContent], { type: CAPTURE_FORMATS.TEXT.mimeType });
       },
       filename: `readable_${fileTimestamp}.txt`
+      },
+      {
+      type: 'epub',
+      capture: async () => {
+        const article = await sendContentCommand(tabId, 'getEpubContent');
+        const epub = await createEpub(article, { pageUrl: url, pageMetadata: pageData.metadata });
+        return new Blob([epub], { type: CAPTURE_FORMATS.EPUB.mimeType });
+      },
+      filename: `readable_${fileTimestamp}.epub`
       }
     ];
 
     // Add script and network data to metadata
     if (settings.captureScripts || settings.captureNetworkRequests) {
+      // Bodies (when captured) give the API catalog its request and response shapes
+      const networkBodies = settings.captureNetworkRequests && settings.captureNetworkBodies
+        ? await sendContentCommand(tabId, 'getNetworkBodies').catch(() => [])
+        : [];
+      const apiCatalog = settings.captureNetworkRequests ? buildApiCatalog({
+        pageUrl: url,
+        requests: pageData.metadata.networkRequests,
+        recordedRequests: networkRecorder.getRequests(tabId),
+        bodies: networkBodies
+      }) : null;
       const scriptData = new Blob([JSON.stringify({
       scripts: settings.captureScripts ? pageData.metadata.scripts : [],
       networkRequests: settings.captureNetworkRequests ? 
         pageData.metadata.networkRequests?.slice(-settings.maxNetworkRequests) : [],
-      apiEndpoints: settings.captureNetworkRequests ? pageData.metadata.apiEndpoints : []
+      networkRecordingSince: pageData.metadata.networkRecordingSince || null,
+      networkRecordingNote: PAGE_HOOKS_GAP_NOTE,
+      apiEndpoints: apiCatalog ? listApiEndpoints(apiCatalog) : []
       }, null, 2)], { type: 'application/json' });
 
       captures.push({
@@ -307,11 +551,75 @@ async function captureWebsite(tabId, url) {
       data: scriptData,
       filename: `script_data_${fileTimestamp}.json`
       });
+
+      // Background (webRequest) log: every request and its lifecycle events since navigation
+      if (settings.captureNetworkRequests) {
+        captures.push({
+        type: 'network_log',
+        data: new Blob([JSON.stringify({
+          pageUrl: url,
+          requests: networkRecorder.getRequests(tabId),
+          events: networkRecorder.getEvents(tabId)
+        }, null, 2)], { type: 'application/json' }),
+        filename: 'network_log.json'
+        });
+        captures.push({
+        type: 'sockets',
+        capture: async () => {
+          const [connections, recordingSince] = await Promise.all([
+            sendContentCommand(tabId, 'getSocketConnections'),
+            sendContentCommand(tabId, 'getRecordingStart').catch(() => null)
+          ]);
+          return new Blob([JSON.stringify({ pageUrl: url, recordingSince, note: PAGE_HOOKS_GAP_NOTE, connections }, null, 2)], { type: 'application/json' });
+        },
+        filename: 'sockets.json'
+        });
+        captures.push({
+        type: 'api_catalog',
+        data: [
+          { filename: 'api_catalog.json', data: new Blob([JSON.stringify(apiCatalog, null, 2)], { type: 'application/json' }) },
+          { filename: 'openapi.json', data: new Blob([JSON.stringify(buildOpenApi(apiCatalog, { title: pageData.metadata?.title }), null, 2)], { type: 'application/json' }) }
+        ],
+        filename: 'api_catalog.json'
+        });
+        captures.push({
+        type: 'third_parties',
+        capture: async () => {
+          // Resource Timing fills in sizes for responses without a Content-Length
+          const resourceTimings = await sendContentCommand(tabId, 'getResourceTimings').catch(() => null);
+          const thirdParties = classifyThirdParties({
+            pageUrl: url,
+            requests: networkRecorder.getRequests(tabId),
+            scripts: pageData.metadata.scripts,
+            resourceTimings,
+            customDomains: parseDomainList(settings.thirdPartyDomains)
+          });
+          return new Blob([JSON.stringify(thirdParties, null, 2)], { type: 'application/json' });
+        },
+        filename: 'third_parties.json'
+        });
+        const graphqlOperations = buildGraphQLOperations({ pageUrl: url, requests: pageData.metadata.networkRequests, bodies: networkBodies });
+        // Only pages that use GraphQL get the file
+        if (graphqlOperations.operations.length > 0) {
+          captures.push({
+          type: 'graphql_operations',
+          data: new Blob([JSON.stringify(graphqlOperations, null, 2)], { type: 'application/json' }),
+          filename: 'graphql_operations.json'
+          });
+        }
+        if (settings.captureNetworkBodies) {
+          captures.push({
+          type: 'network_bodies',
+          data: new Blob([JSON.stringify({ pageUrl: url, bodies: networkBodies }, null, 2)], { type: 'application/json' }),
+          filename: 'network_bodies.json'
+          });
+        }
+      }
     }
 
     // Filter captures based on user settings
     const enabledCaptures = captures.filter(capture => {
-      if (capture.type === 'metadata' || capture.type === 'script_data') return true; // Always capture metadata and script/network data
+      if (ALWAYS_CAPTURED.has(capture.type)) return true;
       if (capture.type.startsWith('screenshot') && settings.captureFormats.screenshot) return true;
       return settings.captureFormats[capture.type];
     });
@@ -323,12 +631,16 @@ async function captureWebsite(tabId, url) {
     for (const capture of enabledCaptures) {
       try {
         const data = capture.data || await capture.capture();
-        const dataUrl = capture.type === 'screenshot' ? data : await blobToDataUrl(data);
-        await chrome.downloads.download({
-          url: dataUrl,
-          filename: `${folderPath}/${capture.filename}`,
-          saveAs: false
-        });
+        // A capture may produce several files, given as [{ filename, data }]
+        const files = Array.isArray(data) ? data : [{ filename: capture.filename, data }];
+        for (const file of files) {
+          const dataUrl = typeof file.data === 'string' ? file.data : await blobToDataUrl(file.data);
+          await chrome.downloads.download({
+            url: dataUrl,
+            filename: `${folderPath}/${file.filename}`,
+            saveAs: false
+          });
+        }
         logger.log(`${capture.type} saved successfully`);
         } catch (error) {
         logger.error(`${capture.type} capture failed:`, error);
@@ -363,11 +675,67 @@ async function captureWebsite(tabId, url) {
   }
 }
 
+// Element capture: screenshot, HTML and Markdown of a single picked element
+async function captureElement(tabId, url, selector) {
+  try {
+    logger.info(`🎯 Starting element capture for tab ${tabId}`, { url, selector });
+
+    const tab = await chrome.tabs.get(tabId);
+    await ensureContentScript(tabId);
+
+    // Resolves once the user clicks an element (or immediately for a selector)
+    const element = await sendContentCommand(tabId, 'pickElement', { selector });
+
+    const urlComponents = parseUrl(url);
+    urlComponents.fullUrl = url;
+    const { folderPath, metadata } = createFolderStructure(urlComponents, { title: tab.title });
+    const fileTimestamp = metadata.captureTime;
+
+    let screenshot = null;
+    try {
+      screenshot = await captureElementScreenshot(tabId, element.rect);
+    } catch (error) {
+      logger.error('Element screenshot failed:', error);
+    }
+
+    for (const file of buildElementFiles(element, screenshot, fileTimestamp)) {
+      await chrome.downloads.download({
+        url: await blobToDataUrl(file.data),
+        filename: `${folderPath}/${file.filename}`,
+        saveAs: false
+      });
+    }
+    logger.log(`Element ${element.selector} saved successfully`);
+
+    const captureRecord = {
+      title: tab.title,
+      url: tab.url,
+      timestamp: new Date().toISOString(),
+      formats: ['element']
+    };
+
+    recentCaptures.unshift(captureRecord);
+    if (recentCaptures.length > MAX_RECENT_CAPTURES) {
+      recentCaptures.pop();
+    }
+
+    await chrome.storage.local.set({ recentCaptures });
+    chrome.runtime.sendMessage({ action: 'captureComplete', capture: captureRecord });
+  } catch (error) {
+    logger.error('🚨 Element Capture Error:', {
+      message: error.message,
+      url,
+      tabId,
+      selector
+    });
+  }
+}
+
 // Debounced tab update handler
 let captureTimeouts = new Map();
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   if (changeInfo.status === 'complete' && tab.url?.startsWith('http')) {
-    chrome.storage.sync.get({ autoCaptureEnabled: true }, async (data) => {
+    chrome.storage.sync.get({ autoCaptureEnabled: true, captureFormats: {} }, async (data) => {
       if (!data.autoCaptureEnabled) return;
       
       // Clear existing timeout
@@ -377,7 +745,7 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
       }
 
       // Start monitoring the page
-      await pageMonitor.startMonitoring(tabId, tab.url);
+      await pageMonitor.startMonitoring(tabId, tab.url, { recordConsole: Boolean(data.captureFormats.console) });
       
       // Initial capture after page load, potentially after rendering dynamic content
       const timeoutId = setTimeout(async () => {
@@ -411,6 +779,13 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   }
 });
 
+// Page resources for the single-file archive, fetched with the extension's host permissions
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action !== 'fetchResource' || !sender.tab) return false;
+  fetchPageResource(request.url, request.as).then(sendResponse);
+  return true;
+});
+
 // Enhanced Connection Handling
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   logger.log('🔍 Background Script Received Message:', {
@@ -433,6 +808,9 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === 'captureNow') {
       captureWebsite(request.tabId, request.url);
     }
+    if (request.action === 'captureElement') {
+      captureElement(request.tabId, request.url, request.selector);
+    }
     return true;
   }
   
@@ -467,6 +845,7 @@ chrome.tabs.onRemoved.addListener((tabId) => {
   pageMonitor.activePages.delete(tabId);
   pageMonitor.scrollStates.delete(tabId);
   pageMonitor.mutationObservers.delete(tabId);
+  networkRecorder.clear(tabId);
   captureTimeouts.delete(tabId);
 });
 
@@ -483,6 +862,7 @@ process.on('unhandledRejection', (reason, promise) => {
 // Export for potential external use
 export { 
   captureWebsite, 
+  captureElement,
   runCaptureDiagnostics 
 };
 
@@ -509,7 +889,7 @@ const ContentScriptManager = {
             setTimeout(() => reject(new Error('Message timeout')), 1000);
           });
           
-          if (response === 'pong') {
+          if (isPong(response)) {
             logger.log('✅ Content script already loaded in tab', tabId);
             return true;
           }
@@ -536,7 +916,7 @@ const ContentScriptManager = {
           setTimeout(() => reject(new Error('Verification timeout')), 1000);
         });
         
-        if (verifyResponse === 'pong') {
+        if (isPong(verifyResponse)) {
           logger.log('🎉 Content script successfully injected and verified');
           return true;
         }
@@ -580,17 +960,24 @@ const ContentScriptManager = {
       }
       
       logger.log('✅ Content script ready, proceeding with capture');
+      await injectPageHooks(tabId, await getPageHookOptions());
       
       const settings = await chrome.storage.sync.get({
         captureFormats: {
-        pdf: true,
+        pdf: false,
         html: true,
         markdown: true,
         screenshot: true
         },
         captureScripts: true,
         captureNetworkRequests: true,
-        maxNetworkRequests: 100
+        maxNetworkRequests: 100,
+        warcPackageWacz: false,
+        markdownReadableOnly: false,
+        a11yHtmlReport: false,
+        captureNetworkBodies: false,
+        thirdPartyDomains: '',
+        ...DEFAULT_PDF_SETTINGS
       });
       logger.log('📋 Capture Settings:', JSON.stringify(settings, null, 2));
 
@@ -600,15 +987,23 @@ const ContentScriptManager = {
         action: 'getContent',
         captureScripts: settings.captureScripts,
         captureNetworkRequests: settings.captureNetworkRequests,
-        maxNetworkRequests: settings.maxNetworkRequests
+        maxNetworkRequests: settings.maxNetworkRequests,
+        markdownReadableOnly: settings.markdownReadableOnly
         }, async response => {
         clearTimeout(timeout);
         if (chrome.runtime.lastError) {
           reject(new Error(chrome.runtime.lastError.message));
         } else {
+          let data = null;
+          try {
+            data = unwrapResponse(response, 'getContent');
+          } catch (error) {
+            logger.warn('⚠️ Page content unavailable:', error.message);
+          }
+
           // Fetch external script contents if enabled
-          if (settings.captureScripts && response?.metadata?.scripts) {
-            const scripts = response.metadata.scripts;
+          if (settings.captureScripts && data?.metadata?.scripts) {
+            const scripts = data.metadata.scripts;
             for (const script of scripts) {
               if (script.type === 'external' && script.src) {
                 const fetchedContent = await fetchScriptContent(script.src);
@@ -617,7 +1012,7 @@ const ContentScriptManager = {
               }
             }
           }
-          resolve(response || { content: 'No content available', metadata: {} });
+          resolve(data || { content: 'No content available', metadata: {} });
         }
         });
       });
@@ -632,6 +1027,8 @@ const ContentScriptManager = {
       const { folderPath, metadata } = createFolderStructure(urlComponents, pageData.metadata);
       
       const fileTimestamp = metadata.captureTime;
+      // Filled by the assets capture, which runs before the HTML and Markdown captures
+      let assetMap = {};
       const captures = [
         {
         type: 'metadata',
@@ -639,6 +1036,11 @@ const ContentScriptManager = {
         filename: 'metadata.json'
         },
         {
+        type: 'structured_data',
+        data: new Blob([JSON.stringify(pageData.metadata?.structuredData || { items: [], types: [], jsonLd: [], errors: [] }, null, 2)], { type: 'application/json' }),
+        filename: 'structured_data.json'
+        },
+        {
         type: 'screenshot_visible',
         capture: async () => screenshotRateLimit.capture(),
         filename: `screenshot_visible_${fileTimestamp}.png`
@@ -646,14 +1048,23 @@ const ContentScriptManager = {
         {
         type: 'screenshot_full',
         capture: async () => {
-          const { width, height } = await chrome.tabs.sendMessage(tabId, { action: 'getPageDimensions' });
-          await chrome.tabs.setZoom(tabId, 1);
-          const dataUrl = await screenshotRateLimit.capture();
-          return dataUrl;
+          const parts = await captureFullPageScreenshot(tabId);
+          return numberParts(parts, `screenshot_full_${fileTimestamp}.png`);
         },
         filename: `screenshot_full_${fileTimestamp}.png`
         },
         {
+        type: 'assets',
+        capture: async () => {
+          const references = await sendContentCommand(tabId, 'getAssets');
+          const harvest = await harvestAssets(references);
+          assetMap = harvest.urlMap;
+          const manifest = new Blob([JSON.stringify({ pageUrl: url, assets: harvest.manifest }, null, 2)], { type: 'application/json' });
+          return [...harvest.files, { filename: 'assets.json', data: manifest }];
+        },
+        filename: 'assets.json'
+        },
+        {
         type: 'mhtml',
         capture: async () => {
           try {
@@ -667,42 +1078,155 @@ const ContentScriptManager = {
         filename: `page_${fileTimestamp}.mhtml`
         },
         {
+        type: 'warc',
+        capture: async () => {
+          const archive = await captureWebArchive({
+            pageUrl: url,
+            inPageRequests: pageData.metadata?.networkRequests,
+            recordedRequests: networkRecorder.getRequests(tabId),
+            metadata,
+            title: pageData.metadata?.title,
+            packageWacz: settings.warcPackageWacz,
+            software: `SiteScribe ${chrome.runtime.getManifest().version}`
+          });
+          return [{ filename: `page_${fileTimestamp}${archive.extension}`, data: archive.blob }];
+        },
+        filename: `page_${fileTimestamp}.warc`
+        },
+        {
+        type: 'pdf',
+        capture: async () => {
+          const printOptions = buildPrintOptions(settings, { url, captureTime: fileTimestamp });
+          return capturePdf(tabId, printOptions);
+        },
+        filename: `page_${fileTimestamp}.pdf`
+        },
+        {
         type: 'html',
         capture: async () => {
-          const html = await chrome.tabs.sendMessage(tabId, { action: 'getHTML' });
-          return new Blob([html], { type: CAPTURE_FORMATS.HTML.mimeType });
+          const frameToken = createFrameToken();
+          const { html, canvasFallbacks } = await sendContentCommand(tabId, 'getHTML', { assetMap, frameToken });
+          const framedHtml = await inlineFrameSnapshots(tabId, html, frameToken);
+          const filledHtml = await fillCanvasFallbacks(tabId, framedHtml, canvasFallbacks);
+          return new Blob([filledHtml], { type: CAPTURE_FORMATS.HTML.mimeType });
         },
         filename: `page_${fileTimestamp}.html`
         },
         {
+        type: 'single_file_html',
+        capture: async () => {
+          const html = await sendContentCommand(tabId, 'getSingleFileHTML');
+          return new Blob([html], { type: CAPTURE_FORMATS.SINGLE_FILE_HTML.mimeType });
+        },
+        filename: `page_single_${fileTimestamp}.html`
+        },
+        {
         type: 'text',
         capture: async () => {
-          const text = await chrome.tabs.sendMessage(tabId, { action: 'getText' });
+          const text = await sendContentCommand(tabId, 'getText');
           return new Blob([text], { type: CAPTURE_FORMATS.TEXT.mimeType });
         },
         filename: `content_${fileTimestamp}.txt`
         },
         {
         type: 'markdown',
-        data: new Blob([pageData.content], { type: CAPTURE_FORMATS.MARKDOWN.mimeType }),
+        capture: async () => {
+          const markdown = rewriteAssetUrls(pageData.content, assetMap);
+          return new Blob([markdown], { type: CAPTURE_FORMATS.MARKDOWN.mimeType });
+        },
         filename: `content_${fileTimestamp}.md`
         },
         {
+        type: 'tables',
+        capture: async () => {
+          const tables = await sendContentCommand(tabId, 'getTables');
+          const index = tables.map(({ csv, ...entry }) => entry);
+          return [
+            ...tables.map(table => ({ filename: table.filename, data: new Blob([table.csv], { type: 'text/csv' }) })),
+            { filename: 'tables.json', data: new Blob([JSON.stringify({ pageUrl: url, tables: index }, null, 2)], { type: 'application/json' }) }
+          ];
+        },
+        filename: 'tables.json'
+        },
+        {
+        type: 'links',
+        capture: async () => {
+          const links = await sendContentCommand(tabId, 'getLinks');
+          return new Blob([JSON.stringify(links, null, 2)], { type: 'application/json' });
+        },
+        filename: 'links.json'
+        },
+        {
+        type: 'har',
+        capture: async () => {
+          const resourceTimings = await sendContentCommand(tabId, 'getResourceTimings');
+          const har = buildHar({
+            pageUrl: url,
+            title: pageData.metadata?.title,
+            recordedRequests: networkRecorder.getRequests(tabId),
+            inPageRequests: pageData.metadata?.networkRequests,
+            resourceTimings,
+            version: chrome.runtime.getManifest().version
+          });
+          return new Blob([JSON.stringify(har, null, 2)], { type: 'application/json' });
+        },
+        filename: 'page.har'
+        },
+        {
+        type: 'console',
+        capture: async () => {
+          const consoleLog = await sendContentCommand(tabId, 'takeConsoleLog');
+          return new Blob([JSON.stringify({ pageUrl: url, ...consoleLog }, null, 2)], { type: 'application/json' });
+        },
+        filename: 'console.json'
+        },
+        {
+        type: 'a11y',
+        capture: async () => {
+          const { audit, report } = await sendContentCommand(tabId, 'getAccessibilityAudit', { htmlReport: settings.a11yHtmlReport });
+          const files = [{ filename: 'a11y.json', data: new Blob([JSON.stringify(audit, null, 2)], { type: 'application/json' }) }];
+          if (report) files.push({ filename: 'a11y_report.html', data: new Blob([report], { type: CAPTURE_FORMATS.HTML.mimeType }) });
+          return files;
+        },
+        filename: 'a11y.json'
+        },
+        {
         type: 'readability',
         capture: async () => {
-          const readableContent = await chrome.tabs.sendMessage(tabId, { action: 'getReadableContent' });
+          const readableContent = await sendContentCommand(tabId, 'getReadableContent');
           return new Blob([readableContent], { type: CAPTURE_FORMATS.TEXT.mimeType });
         },
         filename: `readable_${fileTimestamp}.txt`
+        },
+        {
+        type: 'epub',
+        capture: async () => {
+          const article = await sendContentCommand(tabId, 'getEpubContent');
+          const epub = await createEpub(article, { pageUrl: url, pageMetadata: pageData.metadata });
+          return new Blob([epub], { type: CAPTURE_FORMATS.EPUB.mimeType });
+        },
+        filename: `readable_${fileTimestamp}.epub`
         }
       ];
 
       if (settings.captureScripts || settings.captureNetworkRequests) {
+        // Bodies (when captured) give the API catalog its request and response shapes
+        const networkBodies = settings.captureNetworkRequests && settings.captureNetworkBodies
+          ? await sendContentCommand(tabId, 'getNetworkBodies').catch(() => [])
+          : [];
+        const apiCatalog = settings.captureNetworkRequests ? buildApiCatalog({
+          pageUrl: url,
+          requests: pageData.metadata.networkRequests,
+          recordedRequests: networkRecorder.getRequests(tabId),
+          bodies: networkBodies
+        }) : null;
         const scriptData = new Blob([JSON.stringify({
         scripts: settings.captureScripts ? pageData.metadata.scripts : [],
         networkRequests: settings.captureNetworkRequests ? 
           pageData.metadata.networkRequests?.slice(-settings.maxNetworkRequests) : [],
-        apiEndpoints: settings.captureNetworkRequests ? pageData.metadata.apiEndpoints : []
+        networkRecordingSince: pageData.metadata.networkRecordingSince || null,
+        networkRecordingNote: PAGE_HOOKS_GAP_NOTE,
+        apiEndpoints: apiCatalog ? listApiEndpoints(apiCatalog) : []
         }, null, 2)], { type: 'application/json' });
 
         captures.push({
@@ -710,10 +1234,74 @@ const ContentScriptManager = {
         data: scriptData,
         filename: `script_data_${fileTimestamp}.json`
         });
+
+        // Background (webRequest) log: every request and its lifecycle events since navigation
+        if (settings.captureNetworkRequests) {
+          captures.push({
+          type: 'network_log',
+          data: new Blob([JSON.stringify({
+            pageUrl: url,
+            requests: networkRecorder.getRequests(tabId),
+            events: networkRecorder.getEvents(tabId)
+          }, null, 2)], { type: 'application/json' }),
+          filename: 'network_log.json'
+          });
+          captures.push({
+          type: 'sockets',
+          capture: async () => {
+            const [connections, recordingSince] = await Promise.all([
+              sendContentCommand(tabId, 'getSocketConnections'),
+              sendContentCommand(tabId, 'getRecordingStart').catch(() => null)
+            ]);
+            return new Blob([JSON.stringify({ pageUrl: url, recordingSince, note: PAGE_HOOKS_GAP_NOTE, connections }, null, 2)], { type: 'application/json' });
+          },
+          filename: 'sockets.json'
+          });
+          captures.push({
+          type: 'api_catalog',
+          data: [
+            { filename: 'api_catalog.json', data: new Blob([JSON.stringify(apiCatalog, null, 2)], { type: 'application/json' }) },
+            { filename: 'openapi.json', data: new Blob([JSON.stringify(buildOpenApi(apiCatalog, { title: pageData.metadata?.title }), null, 2)], { type: 'application/json' }) }
+          ],
+          filename: 'api_catalog.json'
+          });
+          captures.push({
+          type: 'third_parties',
+          capture: async () => {
+            // Resource Timing fills in sizes for responses without a Content-Length
+            const resourceTimings = await sendContentCommand(tabId, 'getResourceTimings').catch(() => null);
+            const thirdParties = classifyThirdParties({
+              pageUrl: url,
+              requests: networkRecorder.getRequests(tabId),
+              scripts: pageData.metadata.scripts,
+              resourceTimings,
+              customDomains: parseDomainList(settings.thirdPartyDomains)
+            });
+            return new Blob([JSON.stringify(thirdParties, null, 2)], { type: 'application/json' });
+          },
+          filename: 'third_parties.json'
+          });
+          const graphqlOperations = buildGraphQLOperations({ pageUrl: url, requests: pageData.metadata.networkRequests, bodies: networkBodies });
+          // Only pages that use GraphQL get the file
+          if (graphqlOperations.operations.length > 0) {
+            captures.push({
+            type: 'graphql_operations',
+            data: new Blob([JSON.stringify(graphqlOperations, null, 2)], { type: 'application/json' }),
+            filename: 'graphql_operations.json'
+            });
+          }
+          if (settings.captureNetworkBodies) {
+            captures.push({
+            type: 'network_bodies',
+            data: new Blob([JSON.stringify({ pageUrl: url, bodies: networkBodies }, null, 2)], { type: 'application/json' }),
+            filename: 'network_bodies.json'
+            });
+          }
+        }
       }
 
       const enabledCaptures = captures.filter(capture => {
-        if (capture.type === 'metadata' || capture.type === 'script_data') return true; 
+        if (ALWAYS_CAPTURED.has(capture.type)) return true;
         if (capture.type.startsWith('screenshot') && settings.captureFormats.screenshot) return true;
         return settings.captureFormats[capture.type];
       });
@@ -723,12 +1311,16 @@ const ContentScriptManager = {
       for (const capture of enabledCaptures) {
         try {
           const data = capture.data || await capture.capture();
-          const dataUrl = capture.type === 'screenshot' ? data : await blobToDataUrl(data);
-          await chrome.downloads.download({
-            url: dataUrl,
-            filename: `${folderPath}/${capture.filename}`,
-            saveAs: false
-          });
+          // A capture may produce several files, given as [{ filename, data }]
+          const files = Array.isArray(data) ? data : [{ filename: capture.filename, data }];
+          for (const file of files) {
+            const dataUrl = typeof file.data === 'string' ? file.data : await blobToDataUrl(file.data);
+            await chrome.downloads.download({
+              url: dataUrl,
+              filename: `${folderPath}/${file.filename}`,
+              saveAs: false
+            });
+          }
           logger.log(`${capture.type} saved successfully`);
           } catch (error) {
           logger.error(`${capture.type} capture failed:`, error);
@@ -764,7 +1356,7 @@ const ContentScriptManager = {
 
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   if (changeInfo.status === 'complete' && tab.url?.startsWith('http')) {
-    chrome.storage.sync.get({ autoCaptureEnabled: true }, async (data) => {
+    chrome.storage.sync.get({ autoCaptureEnabled: true, captureFormats: {} }, async (data) => {
       if (!data.autoCaptureEnabled) return;
       
       if (captureTimeouts.has(tabId)) {
@@ -772,7 +1364,7 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
         captureTimeouts.delete(tabId);
       }
 
-      await pageMonitor.startMonitoring(tabId, tab.url);
+      await pageMonitor.startMonitoring(tabId, tab.url, { recordConsole: Boolean(data.captureFormats.console) });
       
       const timeoutId = setTimeout(async () => {
         try {
@@ -855,6 +1447,7 @@ chrome.tabs.onRemoved.addListener((tabId) => {
   pageMonitor.activePages.delete(tabId);
   pageMonitor.scrollStates.delete(tabId);
   pageMonitor.mutationObservers.delete(tabId);
+  networkRecorder.clear(tabId);
   captureTimeouts.delete(tabId);
 });
 
@@ -868,5 +1461,6 @@ process.on('unhandledRejection', (reason, promise) => {
 
 export { 
   captureWebsite, 
+  captureElement,
   runCaptureDiagnostics 
 };
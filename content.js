@@ -7,6 +7,99 @@
 
   // Robust Content Script Communication Module
   const ContentScriptCommunication = {
+    // Command handlers, keyed by message action. Each returns the result (or a promise of it).
+    commands: {
+      ping() {
+        console.log('🏓 Ping received, responding with pong');
+        return 'pong';
+      },
+      getPageDimensions() {
+        return this.getPageDimensions();
+      },
+      getHTML(request) {
+        return this.getCleanHTML(request.assetMap, request.frameToken);
+      },
+      getContent(request) {
+        return this.getContent(request);
+      },
+      async getText() {
+        const pageContent = await this.loadModule('modules/pageContent.js');
+        return pageContent.getText();
+      },
+      async getReadableContent() {
+        const [readability, pageContent] = await Promise.all([
+          this.loadModule('modules/readabilityInit.js'),
+          this.loadModule('modules/pageContent.js')
+        ]);
+        await readability.initReadability();
+        return pageContent.getReadableContent();
+      },
+      getMetadata() {
+        return this.getMetadata();
+      },
+      async getCodeSnippets() {
+        const codeSnippets = await this.loadModule('modules/codeSnippets.js');
+        return codeSnippets.getCodeSnippets();
+      },
+      async getNetworkRequests(request) {
+        const requests = await this.callPageHooks('getNetworkRequests');
+        return request.maxNetworkRequests ? requests.slice(-Number(request.maxNetworkRequests)) : requests;
+      },
+      getSocketConnections() {
+        return this.callPageHooks('getSocketConnections');
+      },
+      getNetworkBodies() {
+        return this.callPageHooks('getNetworkBodies');
+      },
+      getRecordingStart() {
+        return this.callPageHooks('getRecordingStart');
+      },
+      scrollTo(request) {
+        window.scrollTo({ left: request.x || 0, top: request.position ?? request.y ?? 0, behavior: 'instant' });
+        return { x: window.scrollX, y: window.scrollY };
+      },
+      async getSingleFileHTML() {
+        const archive = await this.loadModule('modules/singleFileArchive.js');
+        return archive.buildSingleFileHtml(document);
+      },
+      getEpubContent() {
+        return this.getEpubContent();
+      },
+      async getAccessibilityAudit(request) {
+        const accessibilityAudit = await this.loadModule('modules/accessibilityAudit.js');
+        const audit = accessibilityAudit.auditAccessibility(document);
+        return {
+          audit,
+          report: request.htmlReport ? accessibilityAudit.buildAccessibilityReport(audit) : null
+        };
+      },
+      async getLinks() {
+        const linkGraph = await this.loadModule('modules/linkGraph.js');
+        return linkGraph.collectLinks(document);
+      },
+      async getTables() {
+        const tableExtractor = await this.loadModule('modules/tableExtractor.js');
+        return tableExtractor.extractTables(document);
+      },
+      async getAssets() {
+        const assetCollector = await this.loadModule('modules/assetCollector.js');
+        return assetCollector.collectPageAssets(document);
+      },
+      async getResourceTimings() {
+        const performanceMetadata = await this.loadModule('modules/performanceMetadata.js');
+        return performanceMetadata.getResourceTimings();
+      },
+      startConsoleRecording() {
+        return this.callPageHooks('startConsoleRecording');
+      },
+      takeConsoleLog() {
+        return this.callPageHooks('takeConsoleLog');
+      },
+      pickElement(request) {
+        return this.pickElement(request.selector);
+      }
+    },
+
     // Safe message listener setup
     setupPingHandler() {
       try {
@@ -16,47 +109,34 @@
           return;
         }
 
-        // Wrap message listener with error handling
+        // Wrap message listener with error handling. Responses use the versioned envelope
+        // from modules/contentProtocol.js, the module the background unwraps them with.
         const messageHandler = (request, sender, sendResponse) => {
-          try {
-            console.log('📨 Content Script Received Message:', request);
-            
-            switch(request.action) {
-              case 'ping':
-                console.log('🏓 Ping received, responding with pong');
-                sendResponse('pong');
-                return true;
-              
-              case 'getPageDimensions':
-                try {
-                  const dimensions = this.getPageDimensions();
-                  sendResponse(dimensions);
-                } catch (error) {
-                  console.error('❌ Page Dimensions Error:', error);
-                  sendResponse({ error: error.message });
-                }
-                return true;
-              
-              case 'getHTML':
-                try {
-                  const html = this.getCleanHTML();
-                  sendResponse(html);
-                } catch (error) {
-                  console.error('❌ HTML Capture Error:', error);
-                  sendResponse({ error: error.message });
-                }
-                return true;
-              
-              default:
-                console.warn('❓ Unhandled message action:', request.action);
-                sendResponse({ error: 'Unhandled action' });
-                return false;
-            }
-          } catch (handlerError) {
-            console.error('🌍 Message Handler Global Error:', handlerError);
-            sendResponse({ error: 'Unexpected error in message handling' });
-            return false;
-          }
+          const action = request?.action;
+          console.log('📨 Content Script Received Message:', request);
+
+          this.loadModule('modules/contentProtocol.js')
+            .then(protocol => {
+              const command = this.commands[action];
+              if (!command) {
+                console.warn('❓ Unhandled message action:', action);
+                sendResponse(protocol.createErrorResponse(action, 'Unhandled action'));
+                return;
+              }
+
+              return Promise.resolve()
+                .then(() => command.call(this, request))
+                .then(data => sendResponse(protocol.createResponse(action, data)))
+                .catch(error => {
+                  console.error(`❌ ${action} Error:`, error);
+                  sendResponse(protocol.createErrorResponse(action, error));
+                });
+            })
+            .catch(handlerError => {
+              console.error('🌍 Message Handler Global Error:', handlerError);
+              sendResponse();
+            });
+          return true;
         };
 
         // Add message listener with fallback
@@ -115,21 +195,144 @@
           document.documentElement.clientHeight
         ),
         viewportHeight: window.innerHeight,
+        viewportWidth: window.innerWidth,
         scrollY: window.scrollY
       };
     },
 
     // Clean HTML Extraction
-    getCleanHTML() {
-      const clone = document.documentElement.cloneNode(true);
-      
-      // Remove potentially problematic elements
-      const elementsToRemove = clone.querySelectorAll(
-        'script, style, link[rel="stylesheet"], meta[http-equiv], meta[name="viewport"]'
-      );
-      elementsToRemove.forEach(el => el.remove());
+    // assetMap (absolute URL -> local path) points images at copies saved by the assets capture
+    // Shadow roots are kept as declarative shadow DOM and same-origin frames as srcdoc; form
+    // values and canvases are kept too. Canvases that cannot be exported are listed in
+    // canvasFallbacks with their placeholder src, for the background to fill with a screenshot.
+    // With a frameToken, cross-origin frames are marked for the background to fill in.
+    async getCleanHTML(assetMap, frameToken) {
+      const [domSnapshot, picker] = await Promise.all([
+        this.loadModule('modules/domSnapshot.js'),
+        this.loadModule('modules/elementPicker.js')
+      ]);
+      const taintedCanvases = [];
+      // Leave out potentially problematic elements
+      const clone = domSnapshot.cloneComposed(document.documentElement, {
+        exclude: domSnapshot.CLEAN_HTML_EXCLUDE,
+        preserveState: true,
+        taintedCanvases,
+        frameMarker: frameToken ? domSnapshot.createFrameMarker(frameToken) : undefined
+      });
+
+      if (assetMap && Object.keys(assetMap).length > 0) {
+        const assetCollector = await this.loadModule('modules/assetCollector.js');
+        assetCollector.rewriteAssetReferences(clone, assetMap, document.baseURI);
+      }
       
-      return clone.outerHTML;
+      return {
+        html: clone.outerHTML,
+        canvasFallbacks: taintedCanvases.map((canvas, index) => ({
+          src: `${domSnapshot.CANVAS_FALLBACK_PREFIX}${index}`,
+          rect: picker.getElementRect(canvas)
+        }))
+      };
+    },
+
+    // Lazily load an ES module bundled with the extension
+    loadModule(path) {
+      return import(chrome.runtime.getURL(path));
+    },
+
+    // Run a command in the page hooks, the recorders in the page's main world
+    async callPageHooks(command, params) {
+      const bridge = await this.loadModule('modules/pageHooksBridge.js');
+      return bridge.callPageHooks(command, params);
+    },
+
+    // Element Selection (interactive picker or CSS selector)
+    async pickElement(selector) {
+      const [picker, markdown] = await Promise.all([
+        this.loadModule('modules/elementPicker.js'),
+        this.loadModule('modules/markdownConverter.js')
+      ]);
+      const element = await picker.pickElement({ selector });
+      return {
+        selector: picker.getUniqueSelector(element),
+        rect: picker.getElementRect(element),
+        outerHTML: element.outerHTML,
+        markdown: markdown.htmlToMarkdown(element)
+      };
+    },
+
+    // Page Markdown plus metadata, scripts and the in-page network log
+    async getContent({ markdownReadableOnly, captureScripts, captureNetworkRequests, maxNetworkRequests } = {}) {
+      // The network log is left empty if the page hooks did not load
+      const [content, metadata, networkRequests, networkRecordingSince] = await Promise.all([
+        this.getMarkdownContent(markdownReadableOnly),
+        this.getMetadata(),
+        captureNetworkRequests ? this.callPageHooks('getNetworkRequests').catch(() => []) : [],
+        captureNetworkRequests ? this.callPageHooks('getRecordingStart').catch(() => null) : null
+      ]);
+      return {
+        content,
+        metadata: {
+          ...metadata,
+          scripts: captureScripts ? metadata.resourceInfo.scripts : [],
+          networkRequests: captureNetworkRequests
+            ? networkRequests.slice(-(Number(maxNetworkRequests) || 100))
+            : [],
+          networkRecordingSince
+        }
+      };
+    },
+
+    // Page metadata with code snippets, structure, resources and performance
+    async getMetadata() {
+      const [performanceMetadata, codeSnippets, pageContent] = await Promise.all([
+        this.loadModule('modules/performanceMetadata.js'),
+        this.loadModule('modules/codeSnippets.js'),
+        this.loadModule('modules/pageContent.js')
+      ]);
+      return performanceMetadata.getPageMetadata({
+        getCodeSnippets: codeSnippets.getCodeSnippets,
+        getPageStructure: pageContent.getPageStructure,
+        getResourceInfo: pageContent.getResourceInfo
+      });
+    },
+
+    // Page (or readable article) converted to Markdown. The whole page is converted when
+    // no article is found or Readability fails, so the metadata capture is not lost with it.
+    async getMarkdownContent(readableOnly) {
+      const markdown = await this.loadModule('modules/markdownConverter.js');
+      if (!readableOnly) return markdown.htmlToMarkdown(document);
+
+      try {
+        const [readability, pageContent] = await Promise.all([
+          this.loadModule('modules/readabilityInit.js'),
+          this.loadModule('modules/pageContent.js')
+        ]);
+        await readability.initReadability();
+        const article = pageContent.getReadableArticle();
+        if (article) return markdown.articleToMarkdown(article);
+      } catch (error) {
+        console.error('❌ Readable Markdown Error, converting the whole page:', error);
+      }
+      return markdown.htmlToMarkdown(document);
+    },
+
+    // Readable article prepared for EPUB packaging
+    async getEpubContent() {
+      const [readability, pageContent, epub] = await Promise.all([
+        this.loadModule('modules/readabilityInit.js'),
+        this.loadModule('modules/pageContent.js'),
+        this.loadModule('modules/epubContent.js')
+      ]);
+      await readability.initReadability();
+      const article = pageContent.getReadableArticle();
+      if (!article) throw new Error('No readable content found');
+      return {
+        title: article.title,
+        byline: article.byline,
+        publishedTime: article.publishedTime,
+        lang: article.lang,
+        ...epub.prepareEpubContent(article.content, document.baseURI)
+      };
     },
 
     // Initialize Communication
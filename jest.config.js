@@ -1,6 +1,6 @@
 module.exports = {
   testEnvironment: 'jsdom',
-  testMatch: ['**/modules/**/*.test.js', '**/integration.test.js'],
+  testMatch: ['**/modules/**/*.test.js', '**/lib/**/*.test.js', '**/integration.test.js'],
   verbose: true,
   setupFilesAfterEnv: [
     'whatwg-fetch',
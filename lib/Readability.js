@@ -1,79 +1,746 @@
-/* @license Readability.js (c) Mozilla
- * Version: 0.4.2
- * Source: https://github.com/mozilla/readability */
+/* Readability-style main content extraction for SiteScribe.
+ * The scoring heuristics follow Mozilla Readability (Apache-2.0):
+ * https://github.com/mozilla/readability
+ * modules/readabilityInit.js imports this file as a module in the content script, where
+ * the wrapper below defines self.Readability; CommonJS callers get the constructor. */
 (function(global, factory) {
 	typeof exports === 'object' && typeof module !== 'undefined' ? module.exports = factory() :
 	typeof define === 'function' && define.amd ? define(factory) :
 	(global = global || self, global.Readability = factory());
 }(this, function() {
-	function Readability(doc) {
+	const REGEXPS = {
+		// Class/ID patterns of boilerplate: navigation, ads, comments, sharing widgets, etc.
+		unlikelyCandidates: /-ad-|\bads?\b|advert|ai2html|banner|breadcrumbs|combx|comment|community|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|newsletter|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|subscribe|yom-remote/i,
+		okMaybeItsACandidate: /and|article|body|column|content|main|shadow/i,
+		positive: /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story/i,
+		negative: /-ad-|\bads?\b|advert|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i,
+		byline: /byline|author|dateline|writtenby|p-author/i,
+		videos: /\/\/(www\.)?((dailymotion|youtube|youtube-nocookie|player\.vimeo|v\.qq)\.com|(archive|upload\.wikimedia)\.org|player\.twitch\.tv)/i,
+		titleSeparators: /\s[|\-–—\\/>»]\s/,
+		sentenceEnd: /\.( |$)/,
+		whitespace: /\s+/g
+	};
+
+	const UNLIKELY_ROLES = ['menu', 'menubar', 'complementary', 'navigation', 'alert', 'alertdialog', 'dialog'];
+	const DIV_TO_P_ELEMS = new Set(['BLOCKQUOTE', 'DL', 'DIV', 'IMG', 'OL', 'P', 'PRE', 'TABLE', 'UL', 'SELECT']);
+	const TAGS_TO_SCORE = ['SECTION', 'H2', 'H3', 'H4', 'H5', 'H6', 'P', 'TD', 'PRE'];
+	const ALTER_TO_DIV = new Set(['SECTION', 'HEADER', 'FOOTER', 'ASIDE', 'ARTICLE', 'MAIN']);
+	const PRESENTATIONAL_ATTRIBUTES = ['align', 'background', 'bgcolor', 'border', 'cellpadding', 'cellspacing', 'frame', 'hspace', 'rules', 'style', 'valign', 'vspace'];
+	const ALWAYS_REMOVED = 'script, style, noscript, template, link, meta, form, button, input, select, textarea, fieldset, nav, iframe:not([src]), object, embed';
+
+	const FLAG_STRIP_UNLIKELYS = 0x1;
+	const FLAG_WEIGHT_CLASSES = 0x2;
+	const FLAG_CLEAN_CONDITIONALLY = 0x4;
+
+	/**
+	 * Creates an extractor for a document. The document is modified while parsing,
+	 * so pass a clone (e.g. document.cloneNode(true)).
+	 * @param {Document} doc - The document to extract the article from.
+	 * @param {object} [options] - Extraction options.
+	 * @param {number} [options.charThreshold=500] - Minimum article length before retrying with relaxed rules.
+	 * @param {number} [options.nbTopCandidates=5] - Number of top candidates compared for multi-column layouts.
+	 * @param {boolean} [options.keepClasses=false] - Keep class attributes in the article HTML.
+	 */
+	function Readability(doc, options) {
+		options = options || {};
 		this._doc = doc;
+		this._charThreshold = options.charThreshold || 500;
+		this._nbTopCandidates = options.nbTopCandidates || 5;
+		this._keepClasses = !!options.keepClasses;
+		this._flags = FLAG_STRIP_UNLIKELYS | FLAG_WEIGHT_CLASSES | FLAG_CLEAN_CONDITIONALLY;
+		this._scores = new Map();
+		this._articleByline = null;
 	}
 
+	/**
+	 * Extracts the main article.
+	 * @returns {{title: string, byline: string | null, dir: string | null, lang: string | null, content: string,
+	 *   textContent: string, length: number, excerpt: string | null, siteName: string | null,
+	 *   publishedTime: string | null} | null} The article, or null if the document has no body.
+	 */
 	Readability.prototype.parse = function() {
-		const article = this._doc.querySelector('article') || this._doc.body;
+		if (!this._doc || !this._doc.body) return null;
+
+		// Metadata first: JSON-LD lives in <script> elements
+		const metadata = this._getArticleMetadata();
+		this._removeNodes(this._doc.querySelectorAll('script, style, noscript, template'));
+		this._articleTitle = metadata.title;
+
+		const article = this._grabArticle();
 		if (!article) return null;
 
-		// Get the main content
-		const content = this._getContent(article);
-		const title = this._getTitle();
+		this._prepArticle(article);
+		this._fixRelativeUris(article);
+
+		const textContent = this._getInnerText(article, false);
+		let excerpt = metadata.excerpt;
+		if (!excerpt) {
+			const firstParagraph = Array.from(article.getElementsByTagName('p')).find(p => this._getInnerText(p).length > 0);
+			excerpt = firstParagraph ? this._getInnerText(firstParagraph) : null;
+		}
+
+		return {
+			title: this._articleTitle,
+			byline: metadata.byline || this._articleByline,
+			dir: this._doc.documentElement.getAttribute('dir') || null,
+			lang: this._doc.documentElement.getAttribute('lang') || null,
+			content: article.innerHTML,
+			textContent: textContent,
+			length: textContent.length,
+			excerpt: excerpt,
+			siteName: metadata.siteName,
+			publishedTime: metadata.publishedTime
+		};
+	};
+
+	/**
+	 * Reads the title, byline, excerpt, site name and publish date from meta tags and JSON-LD.
+	 * @returns {{title: string, byline: string | null, excerpt: string | null, siteName: string | null, publishedTime: string | null}}
+	 */
+	Readability.prototype._getArticleMetadata = function() {
+		const values = {};
+		Array.from(this._doc.getElementsByTagName('meta')).forEach(meta => {
+			const key = (meta.getAttribute('property') || meta.getAttribute('name') || '').toLowerCase().trim();
+			const content = meta.getAttribute('content');
+			if (key && content && !(key in values)) values[key] = content.trim();
+		});
+
+		let jsonLd = {};
+		Array.from(this._doc.querySelectorAll('script[type="application/ld+json"]')).some(script => {
+			try {
+				let parsed = JSON.parse(script.textContent);
+				if (Array.isArray(parsed)) parsed = parsed.find(item => item && /Article|Posting/.test(item['@type'])) || parsed[0];
+				if (parsed && parsed['@graph']) parsed = parsed['@graph'].find(item => /Article|Posting/.test(item['@type'])) || parsed;
+				if (parsed && /Article|Posting/.test(parsed['@type'])) {
+					jsonLd = parsed;
+					return true;
+				}
+			} catch (error) {
+				// Ignore malformed JSON-LD
+			}
+			return false;
+		});
+		const jsonLdAuthor = [].concat(jsonLd.author || []).map(author => (typeof author === 'string' ? author : author.name)).filter(Boolean).join(', ');
+		const publisher = jsonLd.publisher && jsonLd.publisher.name;
 
 		return {
-			title: title,
-			textContent: content,
-			length: content.length
+			title: values['og:title'] || values['twitter:title'] || values['dc.title'] || jsonLd.headline || this._getArticleTitle(),
+			byline: values['author'] || values['article:author'] || values['dc.creator'] || jsonLdAuthor || null,
+			excerpt: values['description'] || values['og:description'] || values['twitter:description'] || jsonLd.description || null,
+			siteName: values['og:site_name'] || publisher || null,
+			publishedTime: values['article:published_time'] || values['date'] || jsonLd.datePublished || null
 		};
 	};
 
-	Readability.prototype._getTitle = function() {
-		let title = '';
-		const elements = [
-			'h1',
-			'meta[property="og:title"]',
-			'meta[name="twitter:title"]',
-			'title'
-		];
+	/**
+	 * Derives the article title from <title>, dropping site names joined by separators like " | ".
+	 * @returns {string} The title.
+	 */
+	Readability.prototype._getArticleTitle = function() {
+		const original = (this._doc.title || '').trim();
+		let title = original;
 
-		for (const selector of elements) {
-			const element = this._doc.querySelector(selector);
-			if (element) {
-				title = selector === 'title' ? element.textContent : element.getAttribute('content');
-				if (title) break;
+		if (REGEXPS.titleSeparators.test(title)) {
+			const parts = title.split(REGEXPS.titleSeparators);
+			// Prefer the longest part; site names are usually the shorter one
+			title = parts.reduce((longest, part) => (part.length > longest.length ? part : longest), '');
+			if (title.split(' ').length < 3) title = parts[0];
+		} else if (title.includes(': ')) {
+			const headings = Array.from(this._doc.querySelectorAll('h1, h2')).map(h => h.textContent.trim());
+			if (!headings.includes(title)) {
+				const afterColon = title.substring(title.lastIndexOf(':') + 1).trim();
+				if (afterColon.split(' ').length >= 3) title = afterColon;
 			}
 		}
 
-		return title.trim();
+		if (!title || title.length < 15 || title.length > 150) {
+			const h1s = this._doc.getElementsByTagName('h1');
+			if (h1s.length === 1) title = h1s[0].textContent;
+		}
+		return (title || original).replace(REGEXPS.whitespace, ' ').trim();
+	};
+
+	/**
+	 * Runs candidate scoring over the body, retrying with relaxed rules when the result is too short.
+	 * @returns {HTMLElement | null} A detached <div> containing the article.
+	 */
+	Readability.prototype._grabArticle = function() {
+		const body = this._doc.body;
+		const pageCache = body.innerHTML;
+		const attempts = [];
+
+		while (true) {
+			this._scores = new Map();
+			const article = this._grabArticleOnce();
+			const length = this._getInnerText(article, true).length;
+
+			if (length >= this._charThreshold) return article;
+
+			attempts.push({ article, length });
+			if (this._flags & FLAG_STRIP_UNLIKELYS) {
+				this._flags &= ~FLAG_STRIP_UNLIKELYS;
+			} else if (this._flags & FLAG_WEIGHT_CLASSES) {
+				this._flags &= ~FLAG_WEIGHT_CLASSES;
+			} else if (this._flags & FLAG_CLEAN_CONDITIONALLY) {
+				this._flags &= ~FLAG_CLEAN_CONDITIONALLY;
+			} else {
+				// Nothing met the threshold: use the longest attempt
+				attempts.sort((a, b) => b.length - a.length);
+				return attempts[0].length > 0 ? attempts[0].article : null;
+			}
+			body.innerHTML = pageCache;
+		}
+	};
+
+	/**
+	 * One pass of candidate scoring: removes unlikely nodes, scores paragraphs into their
+	 * ancestors, picks the best candidate and gathers related siblings.
+	 * @returns {HTMLElement} A detached <div> containing the article.
+	 */
+	Readability.prototype._grabArticleOnce = function() {
+		const doc = this._doc;
+		const stripUnlikely = this._flags & FLAG_STRIP_UNLIKELYS;
+		const elementsToScore = [];
+		let node = doc.documentElement;
+
+		while (node) {
+			const matchString = `${node.className && typeof node.className === 'string' ? node.className : ''} ${node.id || ''}`;
+
+			if (!this._isProbablyVisible(node)) {
+				node = this._removeAndGetNext(node);
+				continue;
+			}
+
+			// Also removed again on retries, which restore the original page
+			if (this._isByline(node, matchString) && (!this._articleByline || this._articleByline === this._getInnerText(node))) {
+				this._articleByline = this._getInnerText(node);
+				node = this._removeAndGetNext(node);
+				continue;
+			}
+
+			if (this._headerDuplicatesTitle(node)) {
+				node = this._removeAndGetNext(node);
+				continue;
+			}
+
+			if (stripUnlikely && node.tagName !== 'BODY' && node.tagName !== 'HTML' && node.tagName !== 'A') {
+				if (REGEXPS.unlikelyCandidates.test(matchString) && !REGEXPS.okMaybeItsACandidate.test(matchString) &&
+					!this._hasAncestorTag(node, 'TABLE') && !this._hasAncestorTag(node, 'CODE')) {
+					node = this._removeAndGetNext(node);
+					continue;
+				}
+				if (UNLIKELY_ROLES.includes(node.getAttribute('role'))) {
+					node = this._removeAndGetNext(node);
+					continue;
+				}
+			}
+
+			if (['DIV', 'SECTION', 'HEADER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6'].includes(node.tagName) && this._isElementWithoutContent(node)) {
+				node = this._removeAndGetNext(node);
+				continue;
+			}
+
+			if (TAGS_TO_SCORE.includes(node.tagName)) {
+				elementsToScore.push(node);
+			}
+
+			if (node.tagName === 'DIV') {
+				// Wrap runs of inline content in paragraphs so they can be scored
+				let paragraph = null;
+				let child = node.firstChild;
+				while (child) {
+					const next = child.nextSibling;
+					if (this._isPhrasingContent(child)) {
+						if (paragraph) {
+							paragraph.appendChild(child);
+						} else if (!this._isWhitespace(child)) {
+							paragraph = doc.createElement('p');
+							node.replaceChild(paragraph, child);
+							paragraph.appendChild(child);
+						}
+					} else if (paragraph) {
+						while (paragraph.lastChild && this._isWhitespace(paragraph.lastChild)) paragraph.lastChild.remove();
+						paragraph = null;
+					}
+					child = next;
+				}
+
+				// A div holding a single paragraph is just that paragraph
+				if (this._hasSingleTagInsideElement(node, 'P') && this._getLinkDensity(node) < 0.25) {
+					const newNode = node.children[0];
+					node.parentNode.replaceChild(newNode, node);
+					node = newNode;
+					elementsToScore.push(node);
+				} else if (!this._hasChildBlockElement(node)) {
+					node = this._setNodeTag(node, 'P');
+					elementsToScore.push(node);
+				}
+			}
+			node = this._getNextNode(node);
+		}
+
+		const candidates = [];
+		elementsToScore.forEach(element => {
+			if (!element.parentNode || typeof element.parentNode.tagName === 'undefined') return;
+			const innerText = this._getInnerText(element);
+			if (innerText.length < 25) return;
+
+			const ancestors = this._getNodeAncestors(element, 5);
+			if (ancestors.length === 0) return;
+
+			let contentScore = 1;
+			contentScore += innerText.split(/[,，،]/).length - 1;
+			contentScore += Math.min(Math.floor(innerText.length / 100), 3);
+
+			ancestors.forEach((ancestor, level) => {
+				if (!ancestor.tagName || !ancestor.parentNode || typeof ancestor.parentNode.tagName === 'undefined') return;
+				if (!this._scores.has(ancestor)) {
+					this._initializeNode(ancestor);
+					candidates.push(ancestor);
+				}
+				const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+				this._scores.set(ancestor, this._scores.get(ancestor) + contentScore / divider);
+			});
+		});
+
+		// Scale scores by link density and keep the best candidates
+		const topCandidates = [];
+		candidates.forEach(candidate => {
+			const score = this._scores.get(candidate) * (1 - this._getLinkDensity(candidate));
+			this._scores.set(candidate, score);
+			for (let i = 0; i < this._nbTopCandidates; i++) {
+				const other = topCandidates[i];
+				if (!other || score > this._scores.get(other)) {
+					topCandidates.splice(i, 0, candidate);
+					if (topCandidates.length > this._nbTopCandidates) topCandidates.pop();
+					break;
+				}
+			}
+		});
+
+		let topCandidate = topCandidates[0] || null;
+		let parentOfTopCandidate;
+
+		if (!topCandidate || topCandidate.tagName === 'BODY') {
+			// No usable candidate: treat the whole body as the article
+			topCandidate = doc.createElement('div');
+			while (doc.body.firstChild) topCandidate.appendChild(doc.body.firstChild);
+			doc.body.appendChild(topCandidate);
+			this._initializeNode(topCandidate);
+		} else {
+			// Multi-column layouts: if several strong candidates share an ancestor, use it
+			const alternativeAncestors = topCandidates.slice(1)
+				.filter(candidate => this._scores.get(candidate) / this._scores.get(topCandidate) >= 0.75)
+				.map(candidate => this._getNodeAncestors(candidate));
+			if (alternativeAncestors.length >= 3) {
+				parentOfTopCandidate = topCandidate.parentNode;
+				while (parentOfTopCandidate && parentOfTopCandidate.tagName !== 'BODY') {
+					const shared = alternativeAncestors.filter(ancestors => ancestors.includes(parentOfTopCandidate)).length;
+					if (shared >= 3) {
+						topCandidate = parentOfTopCandidate;
+						break;
+					}
+					parentOfTopCandidate = parentOfTopCandidate.parentNode;
+				}
+			}
+			if (!this._scores.has(topCandidate)) this._initializeNode(topCandidate);
+
+			// Climb while the parent scores higher (content split across sibling containers)
+			parentOfTopCandidate = topCandidate.parentNode;
+			let lastScore = this._scores.get(topCandidate);
+			const scoreThreshold = lastScore / 3;
+			while (parentOfTopCandidate && parentOfTopCandidate.tagName !== 'BODY') {
+				if (!this._scores.has(parentOfTopCandidate)) {
+					parentOfTopCandidate = parentOfTopCandidate.parentNode;
+					continue;
+				}
+				const parentScore = this._scores.get(parentOfTopCandidate);
+				if (parentScore < scoreThreshold) break;
+				if (parentScore > lastScore) {
+					topCandidate = parentOfTopCandidate;
+					break;
+				}
+				lastScore = parentScore;
+				parentOfTopCandidate = parentOfTopCandidate.parentNode;
+			}
+
+			// A lone child adds nothing: use its parent so sibling content can be found
+			parentOfTopCandidate = topCandidate.parentNode;
+			while (parentOfTopCandidate && parentOfTopCandidate.tagName !== 'BODY' && parentOfTopCandidate.children.length === 1) {
+				topCandidate = parentOfTopCandidate;
+				parentOfTopCandidate = topCandidate.parentNode;
+			}
+			if (!this._scores.has(topCandidate)) this._initializeNode(topCandidate);
+		}
+
+		// Gather the top candidate and related siblings into the article
+		const articleContent = doc.createElement('div');
+		const topScore = this._scores.get(topCandidate);
+		const siblingScoreThreshold = Math.max(10, topScore * 0.2);
+		parentOfTopCandidate = topCandidate.parentNode;
+		const siblings = parentOfTopCandidate ? Array.from(parentOfTopCandidate.children) : [topCandidate];
+
+		siblings.forEach(sibling => {
+			let append = sibling === topCandidate;
+			if (!append) {
+				let bonus = 0;
+				if (topCandidate.className && sibling.className === topCandidate.className) bonus += topScore * 0.2;
+				if (this._scores.has(sibling) && this._scores.get(sibling) + bonus >= siblingScoreThreshold) {
+					append = true;
+				} else if (sibling.nodeName === 'P') {
+					const linkDensity = this._getLinkDensity(sibling);
+					const content = this._getInnerText(sibling);
+					if (content.length > 80 && linkDensity < 0.25) {
+						append = true;
+					} else if (content.length < 80 && content.length > 0 && linkDensity === 0 && REGEXPS.sentenceEnd.test(content)) {
+						append = true;
+					}
+				}
+			}
+			if (append) {
+				if (!ALTER_TO_DIV.has(sibling.nodeName) && sibling.nodeName !== 'DIV' && sibling.nodeName !== 'P' && sibling !== topCandidate) {
+					sibling = this._setNodeTag(sibling, 'DIV');
+				}
+				articleContent.appendChild(sibling);
+			}
+		});
+
+		const page = doc.createElement('div');
+		page.id = 'readability-page-1';
+		page.className = 'page';
+		while (articleContent.firstChild) page.appendChild(articleContent.firstChild);
+		const wrapper = doc.createElement('div');
+		wrapper.appendChild(page);
+		return wrapper;
+	};
+
+	/**
+	 * Cleans the chosen article: removes leftover boilerplate, empty paragraphs and
+	 * presentational attributes, and conditionally removes link-heavy or sparse blocks.
+	 * @param {HTMLElement} article - The article container.
+	 */
+	Readability.prototype._prepArticle = function(article) {
+		this._removeNodes(article.querySelectorAll(ALWAYS_REMOVED));
+		this._removeNodes(article.querySelectorAll('iframe, aside, footer'), node => node.tagName !== 'IFRAME' || !REGEXPS.videos.test(node.getAttribute('src') || ''));
+		this._removeNodes(article.querySelectorAll('h1, h2'), heading => {
+			const text = this._getInnerText(heading);
+			return this._getClassWeight(heading) < 0 || (text && this._articleTitle && text.toLowerCase() === this._articleTitle.toLowerCase());
+		});
+
+		this._fixLazyImages(article);
+		if (this._flags & FLAG_CLEAN_CONDITIONALLY) {
+			['table', 'ul', 'div'].forEach(tag => this._cleanConditionally(article, tag));
+		}
+
+		this._removeNodes(article.querySelectorAll('p'), paragraph => {
+			const media = paragraph.querySelectorAll('img, embed, object, iframe, video, picture, svg').length;
+			return media === 0 && !this._getInnerText(paragraph, false);
+		});
+		Array.from(article.querySelectorAll('br')).forEach(br => {
+			let next = br.nextSibling;
+			while (next && this._isWhitespace(next)) next = next.nextSibling;
+			if (next && next.nodeName === 'P') br.remove();
+		});
+
+		Array.from(article.querySelectorAll('*')).concat([article]).forEach(element => {
+			PRESENTATIONAL_ATTRIBUTES.forEach(name => element.removeAttribute(name));
+			Array.from(element.attributes).forEach(attribute => {
+				if (/^on/i.test(attribute.name)) element.removeAttribute(attribute.name);
+			});
+			if (!this._keepClasses && element.className !== 'page') element.removeAttribute('class');
+		});
 	};
 
-	Readability.prototype._getContent = function(article) {
-		// Remove unwanted elements
-		const unwanted = [
-			'script',
-			'style',
-			'iframe',
-			'form',
-			'button',
-			'input',
-			'nav',
-			'header',
-			'footer'
-		];
+	/**
+	 * Removes elements of a tag that look like boilerplate: negative weight, too many links,
+	 * more images or list items than text, or embeds without substance.
+	 * @param {HTMLElement} article - The article container.
+	 * @param {string} tag - The tag to check ('table', 'ul' or 'div').
+	 */
+	Readability.prototype._cleanConditionally = function(article, tag) {
+		const isList = tag === 'ul' || tag === 'ol';
+		this._removeNodes(article.getElementsByTagName(tag), node => {
+			if (tag === 'table' && this._isDataTable(node)) return false;
+			if (this._hasAncestorTag(node, 'TABLE', -1, table => this._isDataTable(table))) return false;
+			if (this._hasAncestorTag(node, 'CODE') || node.querySelector('pre, code')) return false;
+
+			const weight = this._getClassWeight(node);
+			const score = this._scores.get(node) || 0;
+			if (weight + score < 0) return true;
+
+			const text = this._getInnerText(node);
+			if ((text.match(/,/g) || []).length >= 10) return false;
 
-		unwanted.forEach(tag => {
-			const elements = article.getElementsByTagName(tag);
-			while (elements.length > 0) elements[0].remove();
+			const paragraphs = node.getElementsByTagName('p').length;
+			const images = node.getElementsByTagName('img').length;
+			const listItems = node.getElementsByTagName('li').length - 100;
+			const inputs = node.getElementsByTagName('input').length;
+			const headingDensity = this._getTextDensity(node, ['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+			const embeds = Array.from(node.querySelectorAll('object, embed, iframe')).filter(embed => !REGEXPS.videos.test(embed.getAttribute('src') || '')).length;
+			const linkDensity = this._getLinkDensity(node);
+			const contentLength = text.length;
+			const listLike = isList || this._getTextDensity(node, ['ul', 'ol']) > 0.9;
+
+			return (images > 1 && paragraphs / images < 0.5 && !this._hasAncestorTag(node, 'FIGURE')) ||
+				(!listLike && listItems > paragraphs) ||
+				inputs > Math.floor(paragraphs / 3) ||
+				(!listLike && headingDensity < 0.9 && contentLength < 25 && (images === 0 || images > 2) && !this._hasAncestorTag(node, 'FIGURE')) ||
+				(!listLike && weight < 25 && linkDensity > 0.2) ||
+				(weight >= 25 && linkDensity > 0.5) ||
+				((embeds === 1 && contentLength < 75) || embeds > 1);
 		});
+	};
 
-		// Get all paragraphs and headings
-		const content = [];
-		const elements = article.querySelectorAll('p, h1, h2, h3, h4, h5, h6');
-		elements.forEach(element => {
-			const text = element.textContent.trim();
-			if (text) content.push(text);
+	/**
+	 * Decides whether a table holds data (kept) or is only used for layout.
+	 * @param {HTMLTableElement} table - The table.
+	 * @returns {boolean} True for data tables.
+	 */
+	Readability.prototype._isDataTable = function(table) {
+		if (table.getAttribute('role') === 'presentation' || table.getAttribute('datatable') === '0') return false;
+		if (table.getAttribute('summary') || table.querySelector('caption, thead, th, colgroup, tfoot')) return true;
+		if (table.querySelector('table')) return false;
+		const rows = table.rows ? table.rows.length : 0;
+		const columns = rows ? Math.max.apply(null, Array.from(table.rows).map(row => row.cells.length)) : 0;
+		return rows >= 10 || columns > 4 || rows * columns > 10;
+	};
+
+	/**
+	 * Copies lazy-loading sources (data-src, data-srcset, ...) into src/srcset.
+	 * @param {HTMLElement} article - The article container.
+	 */
+	Readability.prototype._fixLazyImages = function(article) {
+		Array.from(article.querySelectorAll('img, picture, figure')).forEach(element => {
+			const src = element.getAttribute('src') || '';
+			const isPlaceholder = !src || /^data:image\/(gif|png);base64,.{0,200}$/i.test(src);
+			Array.from(element.attributes).forEach(attribute => {
+				if (attribute.name === 'src' || attribute.name === 'srcset') return;
+				if (/\.(jpe?g|png|webp|gif|avif)\s+\d/i.test(attribute.value)) {
+					element.setAttribute('srcset', attribute.value);
+				} else if (isPlaceholder && /^\s*\S+\.(jpe?g|png|webp|gif|avif)(\?\S*)?\s*$/i.test(attribute.value)) {
+					if (element.tagName === 'IMG') {
+						element.setAttribute('src', attribute.value.trim());
+					} else if (!element.querySelector('img')) {
+						const image = element.ownerDocument.createElement('img');
+						image.setAttribute('src', attribute.value.trim());
+						element.appendChild(image);
+					}
+				}
+			});
 		});
+	};
+
+	/**
+	 * Makes link, image and media URLs absolute so the article works outside the page.
+	 * In-page anchors are kept relative.
+	 * @param {HTMLElement} article - The article container.
+	 */
+	Readability.prototype._fixRelativeUris = function(article) {
+		const baseUri = this._doc.baseURI;
+		const toAbsolute = uri => {
+			try {
+				return new URL(uri, baseUri).href;
+			} catch (error) {
+				return uri;
+			}
+		};
+
+		Array.from(article.querySelectorAll('a[href]')).forEach(link => {
+			const href = link.getAttribute('href');
+			if (/^javascript:/i.test(href)) {
+				link.replaceWith(this._doc.createTextNode(link.textContent));
+			} else if (!href.startsWith('#')) {
+				link.setAttribute('href', toAbsolute(href));
+			}
+		});
+		Array.from(article.querySelectorAll('img, picture, figure, video, audio, source')).forEach(media => {
+			['src', 'poster'].forEach(name => {
+				if (media.getAttribute(name)) media.setAttribute(name, toAbsolute(media.getAttribute(name)));
+			});
+			if (media.getAttribute('srcset')) {
+				media.setAttribute('srcset', media.getAttribute('srcset').replace(/(\S+)(\s+[\d.]+[xw])?(\s*(?:,|$))/g,
+					(match, url, descriptor, separator) => toAbsolute(url) + (descriptor || '') + separator));
+			}
+		});
+	};
+
+	// --- Scoring helpers ---
+
+	/**
+	 * Gives a node its base score from its tag and class weight.
+	 * @param {HTMLElement} node - The node.
+	 */
+	Readability.prototype._initializeNode = function(node) {
+		let score = 0;
+		switch (node.tagName) {
+			case 'DIV': score += 5; break;
+			case 'PRE': case 'TD': case 'BLOCKQUOTE': score += 3; break;
+			case 'ADDRESS': case 'OL': case 'UL': case 'DL': case 'DD': case 'DT': case 'LI': case 'FORM': score -= 3; break;
+			case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': case 'TH': score -= 5; break;
+		}
+		this._scores.set(node, score + this._getClassWeight(node));
+	};
+
+	/**
+	 * Scores a node's class and id against the positive and negative patterns.
+	 * @param {HTMLElement} node - The node.
+	 * @returns {number} The weight (multiples of 25), or 0 when class weighting is disabled.
+	 */
+	Readability.prototype._getClassWeight = function(node) {
+		if (!(this._flags & FLAG_WEIGHT_CLASSES)) return 0;
+		let weight = 0;
+		[typeof node.className === 'string' ? node.className : '', node.id || ''].forEach(value => {
+			if (!value) return;
+			if (REGEXPS.negative.test(value)) weight -= 25;
+			if (REGEXPS.positive.test(value)) weight += 25;
+		});
+		return weight;
+	};
+
+	/**
+	 * Returns the share of a node's text that is inside links. In-page anchors count less.
+	 * @param {HTMLElement} node - The node.
+	 * @returns {number} A ratio between 0 and 1.
+	 */
+	Readability.prototype._getLinkDensity = function(node) {
+		const textLength = this._getInnerText(node).length;
+		if (textLength === 0) return 0;
+		let linkLength = 0;
+		Array.from(node.getElementsByTagName('a')).forEach(link => {
+			const href = link.getAttribute('href');
+			const coefficient = href && /^#.+/.test(href) ? 0.3 : 1;
+			linkLength += this._getInnerText(link).length * coefficient;
+		});
+		return linkLength / textLength;
+	};
+
+	/**
+	 * Returns the share of a node's text inside descendants with the given tags.
+	 * @param {HTMLElement} node - The node.
+	 * @param {Array<string>} tags - Lower-case tag names.
+	 * @returns {number} A ratio between 0 and 1.
+	 */
+	Readability.prototype._getTextDensity = function(node, tags) {
+		const textLength = this._getInnerText(node, true).length;
+		if (textLength === 0) return 0;
+		const childLength = Array.from(node.querySelectorAll(tags.join(','))).reduce((total, child) => total + this._getInnerText(child, true).length, 0);
+		return childLength / textLength;
+	};
 
-		return content.join('\n\n');
+	// --- DOM helpers ---
+
+	/**
+	 * Returns the trimmed text of a node, optionally collapsing whitespace.
+	 * @param {Node} node - The node.
+	 * @param {boolean} [normalizeSpaces=true] - Collapse runs of whitespace.
+	 * @returns {string} The text.
+	 */
+	Readability.prototype._getInnerText = function(node, normalizeSpaces) {
+		const text = (node.textContent || '').trim();
+		return normalizeSpaces === false ? text : text.replace(REGEXPS.whitespace, ' ');
+	};
+
+	Readability.prototype._isProbablyVisible = function(node) {
+		const style = node.getAttribute('style') || '';
+		return !/display\s*:\s*none|visibility\s*:\s*hidden/i.test(style) &&
+			!node.hasAttribute('hidden') &&
+			!(node.getAttribute('aria-hidden') === 'true' && !(node.className && typeof node.className === 'string' && node.className.includes('fallback-image')));
+	};
+
+	Readability.prototype._isByline = function(node, matchString) {
+		const rel = node.getAttribute('rel');
+		const itemprop = node.getAttribute('itemprop');
+		const text = this._getInnerText(node);
+		return (rel === 'author' || (itemprop && itemprop.includes('author')) || REGEXPS.byline.test(matchString)) &&
+			text.length > 0 && text.length < 100;
+	};
+
+	Readability.prototype._headerDuplicatesTitle = function(node) {
+		if (node.tagName !== 'H1' && node.tagName !== 'H2') return false;
+		const heading = this._getInnerText(node, true).toLowerCase();
+		return !!heading && !!this._articleTitle && heading === this._articleTitle.toLowerCase();
+	};
+
+	Readability.prototype._isElementWithoutContent = function(node) {
+		return !this._getInnerText(node) && !node.querySelector('img, picture, video, audio, iframe, object, embed, svg, canvas, table, pre');
+	};
+
+	Readability.prototype._isPhrasingContent = function(node) {
+		return node.nodeType === 3 || (!DIV_TO_P_ELEMS.has(node.tagName) && !/^(H[1-6]|UL|OL|LI|SECTION|ARTICLE|HEADER|FOOTER|ASIDE|NAV|MAIN|FIGURE|HR)$/.test(node.tagName) &&
+			(node.tagName !== 'A' && node.tagName !== 'DEL' && node.tagName !== 'INS' || Array.from(node.childNodes).every(child => this._isPhrasingContent(child))));
+	};
+
+	Readability.prototype._isWhitespace = function(node) {
+		return (node.nodeType === 3 && !node.textContent.trim()) || node.tagName === 'BR';
+	};
+
+	Readability.prototype._hasSingleTagInsideElement = function(element, tag) {
+		return element.children.length === 1 && element.children[0].tagName === tag &&
+			!Array.from(element.childNodes).some(child => child.nodeType === 3 && child.textContent.trim());
+	};
+
+	Readability.prototype._hasChildBlockElement = function(element) {
+		return Array.from(element.children).some(child => DIV_TO_P_ELEMS.has(child.tagName) || this._hasChildBlockElement(child));
+	};
+
+	Readability.prototype._hasAncestorTag = function(node, tagName, maxDepth, filter) {
+		let depth = 0;
+		maxDepth = maxDepth === undefined ? 3 : maxDepth;
+		while (node.parentNode) {
+			if (maxDepth > 0 && depth > maxDepth) return false;
+			if (node.parentNode.tagName === tagName && (!filter || filter(node.parentNode))) return true;
+			node = node.parentNode;
+			depth++;
+		}
+		return false;
+	};
+
+	Readability.prototype._getNodeAncestors = function(node, maxDepth) {
+		const ancestors = [];
+		let depth = 0;
+		while (node.parentNode && node.parentNode.nodeType === 1) {
+			ancestors.push(node.parentNode);
+			if (maxDepth && ++depth === maxDepth) break;
+			node = node.parentNode;
+		}
+		return ancestors;
+	};
+
+	Readability.prototype._setNodeTag = function(node, tag) {
+		const replacement = node.ownerDocument.createElement(tag);
+		while (node.firstChild) replacement.appendChild(node.firstChild);
+		Array.from(node.attributes).forEach(attribute => {
+			try {
+				replacement.setAttribute(attribute.name, attribute.value);
+			} catch (error) {
+				// Skip attribute names that are invalid on the new element
+			}
+		});
+		if (this._scores.has(node)) this._scores.set(replacement, this._scores.get(node));
+		if (node.parentNode) node.parentNode.replaceChild(replacement, node);
+		return replacement;
+	};
+
+	Readability.prototype._getNextNode = function(node, ignoreSelfAndKids) {
+		if (!ignoreSelfAndKids && node.firstElementChild) return node.firstElementChild;
+		if (node.nextElementSibling) return node.nextElementSibling;
+		do {
+			node = node.parentNode;
+		} while (node && !node.nextElementSibling);
+		return node && node.nextElementSibling;
+	};
+
+	Readability.prototype._removeAndGetNext = function(node) {
+		const next = this._getNextNode(node, true);
+		node.remove();
+		return next;
+	};
+
+	Readability.prototype._removeNodes = function(nodeList, filter) {
+		Array.from(nodeList).reverse().forEach(node => {
+			if (node.parentNode && (!filter || filter(node))) node.remove();
+		});
 	};
 
 	return Readability;
-}));
\ No newline at end of file
+}));
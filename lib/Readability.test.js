@@ -0,0 +1,112 @@
+const Readability = require('./Readability');
+
+const paragraph = (topic) =>
+  `<p>The ${topic} section explains, in considerable detail, how the system behaves under load, ` +
+  `why the defaults were chosen, and what trade-offs operators should consider before changing them in production.</p>`;
+
+const parse = (html, options) => new Readability(new DOMParser().parseFromString(html, 'text/html'), options).parse();
+
+describe('Readability', () => {
+  const page = `<!DOCTYPE html>
+    <html lang="en-GB">
+    <head>
+      <base href="https://example.com/news/">
+      <title>Scaling Queues Without Tears | Example News</title>
+      <meta name="description" content="How we scaled our queues.">
+      <meta property="og:site_name" content="Example News">
+      <meta property="article:published_time" content="2025-02-01T08:00:00Z">
+      <script type="application/ld+json">{"@type": "NewsArticle", "author": {"name": "Jane Doe"}}</script>
+    </head>
+    <body>
+      <header class="site-header"><a href="/">Home</a> <a href="/world">World</a></header>
+      <nav><ul><li><a href="/a">Section A</a></li><li><a href="/b">Section B</a></li></ul></nav>
+      <div id="main-content">
+        <article class="post">
+          <h1>Scaling Queues Without Tears</h1>
+          ${paragraph('first')}
+          ${paragraph('second')}
+          <p><img data-src="/img/chart.png" src="data:image/gif;base64,R0lGODlhAQABAAAAACw=" alt="Chart"></p>
+          ${paragraph('third')}
+          <p>Read the <a href="appendix.html">appendix</a> or jump to <a href="#notes">the notes</a>.</p>
+          <div class="share-widget"><a href="https://social.example/share">Share</a> <a href="https://social.example/tweet">Tweet</a></div>
+        </article>
+      </div>
+      <aside class="sidebar"><h3>Popular</h3><ul><li><a href="/p1">Popular one</a></li><li><a href="/p2">Popular two</a></li></ul></aside>
+      <div id="comments"><p>Great post, thanks for writing it, I learned a lot from it and will share it.</p></div>
+      <footer>Copyright Example News</footer>
+      <script>window.tracking = true;</script>
+    </body>
+    </html>`;
+
+  test('should return the article body without navigation, sidebars, comments or scripts', () => {
+    const article = parse(page);
+
+    expect(article.content).toContain('The first section explains');
+    expect(article.content).toContain('The third section explains');
+    expect(article.textContent).not.toMatch(/Section A|Popular one|Great post|Copyright|tracking|Tweet/);
+    expect(article.content).not.toContain('<script');
+  });
+
+  test('should return metadata from meta tags, JSON-LD and the document', () => {
+    const article = parse(page);
+
+    expect(article.title).toBe('Scaling Queues Without Tears');
+    expect(article.byline).toBe('Jane Doe');
+    expect(article.excerpt).toBe('How we scaled our queues.');
+    expect(article.siteName).toBe('Example News');
+    expect(article.publishedTime).toBe('2025-02-01T08:00:00Z');
+    expect(article.lang).toBe('en-GB');
+    expect(article.length).toBe(article.textContent.length);
+  });
+
+  test('should drop the heading that repeats the title and strip classes', () => {
+    const article = parse(page);
+
+    expect(article.content).not.toContain('<h1>');
+    expect(article.content).toContain('<div id="readability-page-1" class="page">');
+    expect(article.content).not.toContain('class="post"');
+  });
+
+  test('should make URLs absolute and load lazy images', () => {
+    const article = parse(page);
+
+    expect(article.content).toContain('href="https://example.com/news/appendix.html"');
+    expect(article.content).toContain('href="#notes"');
+    expect(article.content).toContain('src="https://example.com/img/chart.png"');
+  });
+
+  test('should join content split across columns of the same layout', () => {
+    const article = parse(`<html><body>
+      <div class="menu"><a href="/x">X</a></div>
+      <div class="layout">
+        <div class="column">${paragraph('alpha')}${paragraph('beta')}</div>
+        <div class="column">${paragraph('gamma')}${paragraph('delta')}</div>
+      </div>
+    </body></html>`);
+
+    ['alpha', 'beta', 'gamma', 'delta'].forEach(topic => expect(article.textContent).toContain(`The ${topic} section`));
+    expect(article.textContent).not.toContain('X');
+  });
+
+  test('should derive the byline from the page when there is no metadata', () => {
+    const article = parse(`<html><head><title>Plain</title></head><body><article>
+      <p class="byline">By Sam Smith</p>${paragraph('only')}${paragraph('other')}
+    </article></body></html>`);
+
+    expect(article.byline).toBe('By Sam Smith');
+    expect(article.textContent).not.toContain('Sam Smith');
+    expect(article.excerpt).toContain('The only section explains');
+  });
+
+  test('should fall back to the longest attempt for short pages', () => {
+    const article = parse('<html><body><div class="sidebar"><p>Just a short note about this page.</p></div></body></html>');
+    expect(article.textContent).toBe('Just a short note about this page.');
+  });
+
+  test('should keep data tables', () => {
+    const article = parse(`<html><body><article>${paragraph('table')}
+      <table><caption>Latency</caption><tr><th>p50</th><th>p99</th></tr><tr><td>3ms</td><td>40ms</td></tr></table>
+      ${paragraph('after')}</article></body></html>`);
+    expect(article.content).toContain('<caption>Latency</caption>');
+  });
+});
@@ -0,0 +1,397 @@
+// Accessibility Audit Module
+// NOTE: This module is intended to run in the content script context.
+// Records the accessibility state of a page: headings, alt text, form labels, landmarks,
+// document language and colour contrast.
+import { getUniqueSelector } from './elementPicker.js';
+
+/** @type {number} - Upper bound on elements checked for contrast, to keep huge pages fast. */
+const MAX_CONTRAST_CHECKS = 3000;
+
+/** @type {Object<string, string>} - Landmark roles implied by HTML elements. */
+const IMPLICIT_LANDMARKS = {
+  MAIN: 'main',
+  NAV: 'navigation',
+  ASIDE: 'complementary',
+  HEADER: 'banner',
+  FOOTER: 'contentinfo',
+  SEARCH: 'search'
+};
+
+/** @type {Set<string>} - ARIA landmark roles. */
+const LANDMARK_ROLES = new Set(['banner', 'navigation', 'main', 'contentinfo', 'complementary', 'search', 'form', 'region']);
+
+/** @type {Set<string>} - Input types that are not labelled form fields. */
+const UNLABELLED_INPUT_TYPES = new Set(['hidden', 'submit', 'reset', 'button', 'image']);
+
+/**
+ * Creates an issue record.
+ * @param {string} check - The check that found it (e.g. 'headings').
+ * @param {'error' | 'warning'} severity - How serious it is.
+ * @param {string} message - Description of the problem.
+ * @param {Element} [element] - The element concerned.
+ * @returns {{check: string, severity: string, message: string, selector: string | null}} The issue.
+ */
+function createIssue(check, severity, message, element) {
+  return { check, severity, message, selector: element ? getUniqueSelector(element) : null };
+}
+
+/**
+ * Checks whether an element is hidden from assistive technology.
+ * @param {Element} element - The element.
+ * @returns {boolean} True if the element or an ancestor is hidden.
+ */
+function isHidden(element) {
+  if (element.closest('[hidden], [aria-hidden="true"]')) return true;
+  const view = element.ownerDocument.defaultView;
+  for (let current = element; current; current = current.parentElement) {
+    const style = view.getComputedStyle(current);
+    if (style.display === 'none' || style.visibility === 'hidden') return true;
+  }
+  return false;
+}
+
+/**
+ * Checks the <html lang> attribute.
+ * @param {Document} doc - The document.
+ * @returns {{lang: {value: string, valid: boolean}, issues: Array<object>}} The result.
+ */
+export function checkLanguage(doc) {
+  const value = (doc.documentElement.getAttribute('lang') || '').trim();
+  const valid = /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i.test(value);
+  const issues = [];
+  if (!value) {
+    issues.push(createIssue('lang', 'error', 'The <html> element has no lang attribute'));
+  } else if (!valid) {
+    issues.push(createIssue('lang', 'error', `The lang attribute "${value}" is not a valid language tag`));
+  }
+  return { lang: { value, valid: Boolean(value) && valid }, issues };
+}
+
+/**
+ * Checks the heading hierarchy: exactly one h1, no skipped levels and no empty headings.
+ * @param {Document} doc - The document.
+ * @returns {{outline: Array<{level: number, text: string}>, issues: Array<object>}} The outline and issues.
+ */
+export function checkHeadings(doc) {
+  const headings = Array.from(doc.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]'))
+    .filter(heading => !isHidden(heading));
+  const issues = [];
+  const outline = headings.map(heading => ({
+    level: /^H\d$/i.test(heading.tagName) ? Number(heading.tagName[1]) : Number(heading.getAttribute('aria-level')) || 2,
+    text: heading.textContent.replace(/\s+/g, ' ').trim(),
+    element: heading
+  }));
+
+  const h1Count = outline.filter(heading => heading.level === 1).length;
+  if (h1Count === 0) issues.push(createIssue('headings', 'warning', 'The page has no level 1 heading'));
+  if (h1Count > 1) issues.push(createIssue('headings', 'warning', `The page has ${h1Count} level 1 headings`));
+
+  outline.forEach((heading, index) => {
+    if (!heading.text) issues.push(createIssue('headings', 'error', `Empty level ${heading.level} heading`, heading.element));
+    const previous = outline[index - 1];
+    if (previous && heading.level > previous.level + 1) {
+      issues.push(createIssue('headings', 'warning',
+        `Heading level skips from ${previous.level} to ${heading.level}: "${heading.text}"`, heading.element));
+    }
+  });
+
+  return { outline: outline.map(({ level, text }) => ({ level, text })), issues };
+}
+
+/**
+ * Finds images without a text alternative. alt="" marks an image as decorative and passes.
+ * @param {Document} doc - The document.
+ * @returns {{count: number, missingAlt: number, issues: Array<object>}} The result.
+ */
+export function checkImages(doc) {
+  const images = Array.from(doc.querySelectorAll('img, input[type="image"], [role="img"]'))
+    .filter(image => !isHidden(image) && !['presentation', 'none'].includes(image.getAttribute('role')));
+  const issues = images
+    .filter(image => {
+      if (image.getAttribute('aria-label')?.trim() || image.getAttribute('aria-labelledby')) return false;
+      if (image.tagName.toUpperCase() === 'IMG') return !image.hasAttribute('alt');
+      if (image.tagName.toUpperCase() === 'INPUT') return !image.getAttribute('alt')?.trim();
+      return !image.getAttribute('title');
+    })
+    .map(image => createIssue('images', 'error',
+      `Image without alt text: ${image.getAttribute('src') || image.tagName.toLowerCase()}`, image));
+  return { count: images.length, missingAlt: issues.length, issues };
+}
+
+/**
+ * Computes the accessible name source of a form control, following the common cases of
+ * the accessible name computation.
+ * @param {Element} control - The form control.
+ * @returns {string | null} How the control is labelled (e.g. 'label', 'aria-label'), or null.
+ */
+export function getLabelSource(control) {
+  const doc = control.ownerDocument;
+  const labelledBy = (control.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean)
+    .map(id => doc.getElementById(id)?.textContent.trim()).filter(Boolean);
+  if (labelledBy.length > 0) return 'aria-labelledby';
+  if (control.getAttribute('aria-label')?.trim()) return 'aria-label';
+  if (Array.from(control.labels || []).some(label => label.textContent.trim())) return 'label';
+  if (control.getAttribute('title')?.trim()) return 'title';
+  return null;
+}
+
+/**
+ * Finds form controls without a label. Placeholders do not count: they disappear on input
+ * and are not announced reliably.
+ * @param {Document} doc - The document.
+ * @returns {{count: number, unlabeled: number, issues: Array<object>}} The result.
+ */
+export function checkFormControls(doc) {
+  const controls = Array.from(doc.querySelectorAll('input, select, textarea'))
+    .filter(control => !UNLABELLED_INPUT_TYPES.has((control.getAttribute('type') || '').toLowerCase()) && !isHidden(control));
+  const issues = controls
+    .filter(control => !getLabelSource(control))
+    .map(control => {
+      const name = control.getAttribute('name') || control.id || control.getAttribute('type') || control.tagName.toLowerCase();
+      return createIssue('forms', 'error', `Form control without a label: ${name}`, control);
+    });
+  return { count: controls.length, unlabeled: issues.length, issues };
+}
+
+/**
+ * Lists the ARIA landmarks of the page, explicit (role) and implicit (HTML elements).
+ * header and footer are only landmarks outside sectioning content, forms and sections
+ * only when they have an accessible name.
+ * @param {Document} doc - The document.
+ * @returns {{landmarks: Array<{role: string, label: string, selector: string}>, counts: Object<string, number>,
+ *   issues: Array<object>}} The inventory.
+ */
+export function checkLandmarks(doc) {
+  const landmarks = [];
+  doc.querySelectorAll('[role], main, nav, aside, header, footer, search, form, section').forEach(element => {
+    const tag = element.tagName.toUpperCase();
+    const label = element.getAttribute('aria-label') || (element.getAttribute('aria-labelledby')
+      ? doc.getElementById(element.getAttribute('aria-labelledby'))?.textContent.trim() || '' : '');
+    let role = element.getAttribute('role')?.trim().split(/\s+/)[0];
+    if (!role) {
+      if ((tag === 'HEADER' || tag === 'FOOTER') && element.parentElement?.closest('article, aside, main, nav, section')) return;
+      role = IMPLICIT_LANDMARKS[tag] || ((tag === 'FORM' || tag === 'SECTION') && label ? (tag === 'FORM' ? 'form' : 'region') : null);
+    }
+    if (!LANDMARK_ROLES.has(role) || isHidden(element)) return;
+    landmarks.push({ role, label, selector: getUniqueSelector(element) });
+  });
+
+  const counts = {};
+  landmarks.forEach(({ role }) => { counts[role] = (counts[role] || 0) + 1; });
+  const issues = [];
+  if (!counts.main) issues.push(createIssue('landmarks', 'warning', 'The page has no main landmark'));
+  if (counts.main > 1) issues.push(createIssue('landmarks', 'warning', `The page has ${counts.main} main landmarks`));
+  ['banner', 'contentinfo'].forEach(role => {
+    if (counts[role] > 1) issues.push(createIssue('landmarks', 'warning', `The page has ${counts[role]} ${role} landmarks`));
+  });
+  return { landmarks, counts, issues };
+}
+
+/**
+ * Parses a CSS rgb()/rgba() colour as returned by getComputedStyle.
+ * @param {string} value - The colour.
+ * @returns {{r: number, g: number, b: number, a: number} | null} The colour, or null if unparseable.
+ */
+export function parseColor(value) {
+  const match = (value || '').match(/rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?\s*\)/i);
+  if (!match) {
+    if (value === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+    return null;
+  }
+  const alpha = match[4] === undefined ? 1 : (match[4].endsWith('%') ? parseFloat(match[4]) / 100 : parseFloat(match[4]));
+  return { r: Number(match[1]), g: Number(match[2]), b: Number(match[3]), a: alpha };
+}
+
+/**
+ * Computes the WCAG 2 contrast ratio of two opaque colours.
+ * @param {{r: number, g: number, b: number}} first - One colour.
+ * @param {{r: number, g: number, b: number}} second - The other colour.
+ * @returns {number} The ratio, from 1 to 21.
+ */
+export function contrastRatio(first, second) {
+  const luminance = ({ r, g, b }) => {
+    const [R, G, B] = [r, g, b].map(channel => {
+      const value = channel / 255;
+      return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+  };
+  const [lighter, darker] = [luminance(first), luminance(second)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Blends a translucent colour over an opaque one.
+ * @param {{r: number, g: number, b: number, a: number}} top - The translucent colour.
+ * @param {{r: number, g: number, b: number}} bottom - The opaque colour below.
+ * @returns {{r: number, g: number, b: number, a: number}} The opaque result.
+ */
+function blend(top, bottom) {
+  const mix = channel => top[channel] * top.a + bottom[channel] * (1 - top.a);
+  return { r: mix('r'), g: mix('g'), b: mix('b'), a: 1 };
+}
+
+/**
+ * Determines the background an element's text is drawn on by walking up to the first
+ * opaque background colour. Background images make the result unknowable.
+ * @param {Element} element - The element.
+ * @returns {{r: number, g: number, b: number, a: number} | null} The background, or null if an image is involved.
+ */
+function getEffectiveBackground(element) {
+  const view = element.ownerDocument.defaultView;
+  const layers = [];
+  for (let current = element; current; current = current.parentElement) {
+    const style = view.getComputedStyle(current);
+    if (style.backgroundImage && style.backgroundImage !== 'none') return null;
+    const color = parseColor(style.backgroundColor);
+    if (color && color.a > 0) {
+      layers.push(color);
+      if (color.a >= 1) break;
+    }
+  }
+  // The canvas behind the page is white
+  return layers.reduceRight((below, layer) => blend(layer, below), { r: 255, g: 255, b: 255, a: 1 });
+}
+
+/**
+ * Finds text whose contrast with its background is below WCAG AA: 4.5:1, or 3:1 for large
+ * text (24px, or 18.66px bold). Elements over background images are skipped.
+ * @param {Document} doc - The document.
+ * @returns {{checked: number, failures: number, issues: Array<object>}} The result; each
+ *   issue also carries the measured ratio, the required ratio and the colours.
+ */
+export function checkContrast(doc) {
+  const view = doc.defaultView;
+  const issues = [];
+  let checked = 0;
+
+  const elements = Array.from(doc.body?.querySelectorAll('*') || []).filter(element =>
+    !['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(element.tagName.toUpperCase()) &&
+    Array.from(element.childNodes).some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim()));
+
+  for (const element of elements.slice(0, MAX_CONTRAST_CHECKS)) {
+    if (isHidden(element)) continue;
+    const style = view.getComputedStyle(element);
+    const foreground = parseColor(style.color);
+    const background = getEffectiveBackground(element);
+    if (!foreground || !background) continue;
+    checked++;
+
+    const opacity = parseFloat(style.opacity || '1');
+    const text = blend({ ...foreground, a: foreground.a * (Number.isNaN(opacity) ? 1 : opacity) }, background);
+    const ratio = contrastRatio(text, background);
+    const fontSize = parseFloat(style.fontSize) || 16;
+    const bold = style.fontWeight === 'bold' || Number(style.fontWeight) >= 700;
+    const required = fontSize >= 24 || (bold && fontSize >= 18.66) ? 3 : 4.5;
+    if (ratio < required) {
+      const sample = element.textContent.replace(/\s+/g, ' ').trim().slice(0, 60);
+      issues.push({
+        ...createIssue('contrast', 'error', `Contrast ${ratio.toFixed(2)}:1 is below ${required}:1 for "${sample}"`, element),
+        ratio: Math.round(ratio * 100) / 100,
+        required,
+        foreground: style.color,
+        background: `rgb(${Math.round(background.r)}, ${Math.round(background.g)}, ${Math.round(background.b)})`
+      });
+    }
+  }
+
+  return { checked, failures: issues.length, issues };
+}
+
+/**
+ * Audits the accessibility of a document.
+ * @param {Document} [doc=document] - The document to audit.
+ * @returns {object} The audit for a11y.json: a summary, the per-check results and a flat
+ *   list of all issues.
+ */
+export function auditAccessibility(doc = document) {
+  const language = checkLanguage(doc);
+  const headings = checkHeadings(doc);
+  const images = checkImages(doc);
+  const forms = checkFormControls(doc);
+  const landmarks = checkLandmarks(doc);
+  const contrast = checkContrast(doc);
+  const issues = [...language.issues, ...headings.issues, ...images.issues, ...forms.issues, ...landmarks.issues, ...contrast.issues];
+
+  return {
+    url: doc.URL,
+    auditedAt: new Date().toISOString(),
+    summary: {
+      errors: issues.filter(issue => issue.severity === 'error').length,
+      warnings: issues.filter(issue => issue.severity === 'warning').length
+    },
+    lang: language.lang,
+    headings: { outline: headings.outline },
+    images: { count: images.count, missingAlt: images.missingAlt },
+    forms: { count: forms.count, unlabeled: forms.unlabeled },
+    landmarks: { counts: landmarks.counts, landmarks: landmarks.landmarks },
+    contrast: { checked: contrast.checked, failures: contrast.failures },
+    issues
+  };
+}
+
+/**
+ * Escapes text for HTML.
+ * @param {*} value - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders an audit as a standalone HTML report.
+ * @param {object} audit - The result of auditAccessibility.
+ * @returns {string} The HTML document.
+ */
+export function buildAccessibilityReport(audit) {
+  const rows = audit.issues.map(issue => `<tr class="${issue.severity}"><td>${escapeHtml(issue.severity)}</td><td>${escapeHtml(issue.check)}</td>`
+    + `<td>${escapeHtml(issue.message)}</td><td><code>${escapeHtml(issue.selector || '')}</code></td></tr>`).join('\n');
+  const outline = audit.headings.outline.map(heading =>
+    `<li style="margin-left: ${(heading.level - 1) * 1.5}em">h${heading.level} ${escapeHtml(heading.text)}</li>`).join('\n');
+  const landmarks = Object.entries(audit.landmarks.counts).map(([role, count]) => `<li>${escapeHtml(role)}: ${count}</li>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Accessibility report: ${escapeHtml(audit.url)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2em; color: #1a1a1a; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #ccc; padding: 0.4em; text-align: left; vertical-align: top; }
+tr.error td:first-child { color: #a00000; font-weight: bold; }
+tr.warning td:first-child { color: #7a5200; }
+ul.outline { list-style: none; padding: 0; }
+</style>
+</head>
+<body>
+<h1>Accessibility report</h1>
+<p><a href="${escapeHtml(audit.url)}">${escapeHtml(audit.url)}</a> audited ${escapeHtml(audit.auditedAt)}</p>
+<h2>Summary</h2>
+<ul>
+<li>${audit.summary.errors} errors, ${audit.summary.warnings} warnings</li>
+<li>Language: ${audit.lang.value ? escapeHtml(audit.lang.value) : 'missing'}</li>
+<li>Images without alt text: ${audit.images.missingAlt} of ${audit.images.count}</li>
+<li>Unlabeled form controls: ${audit.forms.unlabeled} of ${audit.forms.count}</li>
+<li>Contrast failures: ${audit.contrast.failures} of ${audit.contrast.checked} text elements</li>
+</ul>
+<h2>Issues</h2>
+<table>
+<thead><tr><th>Severity</th><th>Check</th><th>Issue</th><th>Element</th></tr></thead>
+<tbody>
+${rows || '<tr><td colspan="4">No issues found</td></tr>'}
+</tbody>
+</table>
+<h2>Heading outline</h2>
+<ul class="outline">
+${outline || '<li>No headings</li>'}
+</ul>
+<h2>Landmarks</h2>
+<ul>
+${landmarks || '<li>No landmarks</li>'}
+</ul>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,170 @@
+import {
+  checkLanguage,
+  checkHeadings,
+  checkImages,
+  getLabelSource,
+  checkFormControls,
+  checkLandmarks,
+  parseColor,
+  contrastRatio,
+  checkContrast,
+  auditAccessibility,
+  buildAccessibilityReport
+} from './accessibilityAudit';
+
+describe('Accessibility Audit Module', () => {
+  afterEach(() => {
+    document.documentElement.removeAttribute('lang');
+    document.body.innerHTML = '';
+  });
+
+  test('checkLanguage should require a valid lang attribute', () => {
+    expect(checkLanguage(document).issues).toHaveLength(1);
+    document.documentElement.setAttribute('lang', 'en_US');
+    expect(checkLanguage(document)).toMatchObject({ lang: { value: 'en_US', valid: false } });
+    document.documentElement.setAttribute('lang', 'pt-BR');
+    expect(checkLanguage(document)).toEqual({ lang: { value: 'pt-BR', valid: true }, issues: [] });
+  });
+
+  test('checkHeadings should report missing h1, skipped levels and empty headings', () => {
+    document.body.innerHTML = `
+      <h2>Intro</h2>
+      <h4 id="deep">Details</h4>
+      <h3></h3>
+      <h5 hidden>Hidden</h5>
+    `;
+
+    const { outline, issues } = checkHeadings(document);
+
+    expect(outline).toEqual([
+      { level: 2, text: 'Intro' },
+      { level: 4, text: 'Details' },
+      { level: 3, text: '' }
+    ]);
+    expect(issues.map(issue => issue.message)).toEqual([
+      'The page has no level 1 heading',
+      'Heading level skips from 2 to 4: "Details"',
+      'Empty level 3 heading'
+    ]);
+    expect(issues[1].selector).toBe('#deep');
+  });
+
+  test('checkImages should accept empty alt and report missing alt', () => {
+    document.body.innerHTML = `
+      <img src="a.png" alt="Chart">
+      <img src="spacer.gif" alt="">
+      <img src="b.png">
+      <img src="c.png" role="presentation">
+      <img src="d.png" aria-label="Logo">
+      <input type="image" src="go.png">
+      <div role="img"></div>
+    `;
+
+    const result = checkImages(document);
+
+    expect(result.count).toBe(6);
+    expect(result.missingAlt).toBe(3);
+    expect(result.issues[0].message).toBe('Image without alt text: b.png');
+  });
+
+  test('getLabelSource should recognise the common labelling techniques', () => {
+    document.body.innerHTML = `
+      <span id="name-label">Name</span>
+      <input id="a" aria-labelledby="name-label">
+      <input id="b" aria-label="Search">
+      <label for="c">Email</label><input id="c">
+      <label>Phone <input id="d"></label>
+      <input id="e" title="Zip">
+      <input id="f" placeholder="City">
+    `;
+
+    expect(['a', 'b', 'c', 'd', 'e', 'f'].map(id => getLabelSource(document.getElementById(id))))
+      .toEqual(['aria-labelledby', 'aria-label', 'label', 'label', 'title', null]);
+  });
+
+  test('checkFormControls should skip buttons and hidden inputs', () => {
+    document.body.innerHTML = `
+      <input type="hidden" name="token">
+      <input type="submit" value="Send">
+      <select name="country"></select>
+      <label>Comment <textarea></textarea></label>
+    `;
+
+    const result = checkFormControls(document);
+
+    expect(result).toMatchObject({ count: 2, unlabeled: 1 });
+    expect(result.issues[0].message).toBe('Form control without a label: country');
+  });
+
+  test('checkLandmarks should list explicit and implicit landmarks', () => {
+    document.body.innerHTML = `
+      <header>Site</header>
+      <nav aria-label="Primary"></nav>
+      <main><article><header>Post header</header></article></main>
+      <div role="search"></div>
+      <section aria-label="Related"></section>
+      <section></section>
+      <footer></footer>
+    `;
+
+    const { landmarks, counts, issues } = checkLandmarks(document);
+
+    expect(landmarks.map(landmark => landmark.role)).toEqual(['banner', 'navigation', 'main', 'search', 'region', 'contentinfo']);
+    expect(landmarks[1].label).toBe('Primary');
+    expect(counts).toEqual({ banner: 1, navigation: 1, main: 1, search: 1, region: 1, contentinfo: 1 });
+    expect(issues).toEqual([]);
+  });
+
+  test('parseColor and contrastRatio should follow WCAG', () => {
+    expect(parseColor('rgb(255, 0, 0)')).toEqual({ r: 255, g: 0, b: 0, a: 1 });
+    expect(parseColor('rgba(0, 0, 0, 0.5)')).toEqual({ r: 0, g: 0, b: 0, a: 0.5 });
+    expect(parseColor('transparent')).toEqual({ r: 0, g: 0, b: 0, a: 0 });
+    expect(contrastRatio({ r: 0, g: 0, b: 0 }, { r: 255, g: 255, b: 255 })).toBeCloseTo(21);
+    expect(contrastRatio({ r: 119, g: 119, b: 119 }, { r: 255, g: 255, b: 255 })).toBeCloseTo(4.48, 2);
+  });
+
+  test('checkContrast should flag low contrast text using the large text threshold', () => {
+    document.body.innerHTML = `
+      <p id="low" style="color: rgb(170, 170, 170)">Hard to read</p>
+      <p style="color: rgb(0, 0, 0)">Easy to read</p>
+      <p style="color: rgb(130, 130, 130); font-size: 24px">Large enough</p>
+      <div style="background-color: rgb(0, 0, 0)"><span style="color: rgb(60, 60, 60)">Dark on dark</span></div>
+      <div style="background-image: url(bg.png)"><span style="color: rgb(255, 255, 255)">On an image</span></div>
+    `;
+
+    const result = checkContrast(document);
+
+    expect(result.checked).toBe(4);
+    expect(result.failures).toBe(2);
+    expect(result.issues[0]).toMatchObject({
+      check: 'contrast',
+      selector: '#low',
+      required: 4.5,
+      foreground: 'rgb(170, 170, 170)',
+      background: 'rgb(255, 255, 255)'
+    });
+    expect(result.issues[0].ratio).toBeCloseTo(2.32, 2);
+    expect(result.issues[1].background).toBe('rgb(0, 0, 0)');
+  });
+
+  test('auditAccessibility should summarise all checks and render an HTML report', () => {
+    document.documentElement.setAttribute('lang', 'en');
+    document.body.innerHTML = `
+      <main><h1>Title</h1><img src="a.png"><p style="color: rgb(0, 0, 0)">Text & more</p></main>
+    `;
+
+    const audit = auditAccessibility(document);
+
+    expect(audit.url).toBe('http://localhost/');
+    expect(audit.summary).toEqual({ errors: 1, warnings: 0 });
+    expect(audit.lang).toEqual({ value: 'en', valid: true });
+    expect(audit.images).toEqual({ count: 1, missingAlt: 1 });
+    expect(audit.landmarks.counts).toEqual({ main: 1 });
+    expect(audit.issues).toHaveLength(1);
+
+    const html = buildAccessibilityReport(audit);
+    expect(html).toContain('<title>Accessibility report: http://localhost/</title>');
+    expect(html).toContain('<td>Image without alt text: a.png</td>');
+    expect(html).toContain('<li style="margin-left: 0em">h1 Title</li>');
+  });
+});
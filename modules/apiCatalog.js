@@ -0,0 +1,424 @@
+// API Catalog Module
+// NOTE: This module is intended to run in the background (service worker) context.
+// Groups the page's API calls by host and path template (`/users/123` becomes
+// `/users/{id}`), recording methods, status codes, query parameters and the shapes of
+// request and response bodies, and turns the catalog into an OpenAPI 3 document.
+// Calls come from networkMonitor (in-page fetch/XHR/beacons, with bodies when body
+// capture is on) and from networkRecorder's xmlhttprequest/ping records, which also
+// cover calls made before the in-page monitor started.
+
+import { getHeaderValue, toHarHeaders } from './harBuilder.js';
+
+/** @type {RegExp} - Paths of static files, which are not API calls even when fetched by script. */
+const STATIC_FILE_PATTERN = /\.(?:m?js|css|map|html?|png|jpe?g|gif|svg|webp|avif|ico|woff2?|ttf|otf|eot|mp4|webm|mp3)$/i;
+
+/** @type {Array<RegExp>} - Path segments that are identifiers rather than fixed names. */
+const ID_SEGMENT_PATTERNS = [
+  /^\d+$/,
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  /^[0-9a-f]{16,}$/i,
+  /^(?=.*\d)(?=.*[A-Za-z])[A-Za-z0-9_-]{20,}$/
+];
+
+/** @type {number} - Deepest nesting kept when describing a body's shape. */
+const MAX_SHAPE_DEPTH = 8;
+
+/** @type {number} - Array items sampled when describing an array's shape. */
+const MAX_SHAPE_ITEMS = 10;
+
+/** @type {number} - Example values kept per parameter and example URLs kept per operation. */
+const MAX_EXAMPLES = 5;
+
+/** @type {Array<string>} - Methods an OpenAPI 3.0 path item can describe. */
+const OPENAPI_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Returns whether a path segment is an identifier (number, UUID, hash or token).
+ * @param {string} segment - The decoded path segment.
+ * @returns {boolean} True for identifiers.
+ */
+export function isIdSegment(segment) {
+  return ID_SEGMENT_PATTERNS.some(pattern => pattern.test(segment));
+}
+
+/**
+ * Turns a path into a template by replacing identifier segments with parameters named
+ * `id`, `id2`, `id3`...
+ * @param {string} pathname - The URL path.
+ * @returns {{template: string, parameters: Array<{name: string, value: string}>}} The template and the values it replaced.
+ */
+export function toPathTemplate(pathname) {
+  const parameters = [];
+  const segments = pathname.split('/').map(segment => {
+    let decoded = segment;
+    try {
+      decoded = decodeURIComponent(segment);
+    } catch (error) {
+      // Keep malformed escapes as they are
+    }
+    if (!decoded || !isIdSegment(decoded)) return segment;
+    const name = parameters.length === 0 ? 'id' : `id${parameters.length + 1}`;
+    parameters.push({ name, value: decoded });
+    return `{${name}}`;
+  });
+  return { template: segments.join('/') || '/', parameters };
+}
+
+/**
+ * Describes the shape of a JSON value as a JSON Schema (the subset OpenAPI 3.0 accepts).
+ * OpenAPI 3.0 has no null type, so null is the empty schema until mergeShapes finds a
+ * typed value to mark nullable.
+ * @param {*} value - The value.
+ * @param {number} [depth=0] - The current nesting depth.
+ * @returns {object} The schema.
+ */
+export function getValueShape(value, depth = 0) {
+  if (value === null) return {};
+  if (Array.isArray(value)) {
+    const items = depth < MAX_SHAPE_DEPTH
+      ? value.slice(0, MAX_SHAPE_ITEMS).map(item => getValueShape(item, depth + 1)).reduce(mergeShapes, undefined)
+      : undefined;
+    return { type: 'array', items: items || {} };
+  }
+  if (typeof value === 'object') {
+    if (depth >= MAX_SHAPE_DEPTH) return { type: 'object' };
+    return {
+      type: 'object',
+      properties: Object.fromEntries(Object.entries(value).map(([key, item]) => [key, getValueShape(item, depth + 1)]))
+    };
+  }
+  if (typeof value === 'number') return { type: Number.isInteger(value) ? 'integer' : 'number' };
+  if (typeof value === 'boolean') return { type: 'boolean' };
+  return { type: 'string' };
+}
+
+/**
+ * Returns whether a shape is the empty schema, which null values (and the items of
+ * empty arrays) are described with.
+ * @param {object} shape - A shape.
+ * @returns {boolean} True for the empty schema.
+ */
+function isEmptyShape(shape) {
+  return Object.keys(shape).length === 0;
+}
+
+/**
+ * Adds `nullable` to a shape. OpenAPI 3.0 only allows it next to `type`, so each
+ * `oneOf` alternative is marked instead.
+ * @param {object} shape - A shape with a type or `oneOf`.
+ * @returns {object} The nullable shape.
+ */
+function makeNullable(shape) {
+  if (shape.oneOf) return { oneOf: shape.oneOf.map(option => ({ ...option, nullable: true })) };
+  return { ...shape, nullable: true };
+}
+
+/**
+ * Combines two shapes seen for the same body: object properties are united, integers
+ * widen to numbers, null makes a typed shape nullable and other differences become `oneOf`.
+ * @param {object | undefined} a - A shape.
+ * @param {object | undefined} b - Another shape.
+ * @returns {object | undefined} The combined shape.
+ */
+export function mergeShapes(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  if (isEmptyShape(a)) return isEmptyShape(b) ? b : makeNullable(b);
+  if (isEmptyShape(b)) return makeNullable(a);
+  const nullable = [a, ...(a.oneOf || []), b, ...(b.oneOf || [])].some(shape => shape.nullable);
+  const withNullable = shape => (nullable ? makeNullable(shape) : shape);
+  if (a.type && a.type === b.type) {
+    if (a.type === 'object' && (a.properties || b.properties)) {
+      const properties = { ...a.properties };
+      Object.entries(b.properties || {}).forEach(([key, shape]) => {
+        properties[key] = mergeShapes(properties[key], shape);
+      });
+      return withNullable({ type: 'object', properties });
+    }
+    if (a.type === 'array') {
+      // An empty array's items say nothing, rather than that the items are null
+      const items = isEmptyShape(a.items || {}) ? b.items : isEmptyShape(b.items || {}) ? a.items : mergeShapes(a.items, b.items);
+      return withNullable({ type: 'array', items: items || {} });
+    }
+    const { nullable: ignored, ...shape } = a;
+    return withNullable(shape);
+  }
+  const numeric = ['integer', 'number'];
+  if (numeric.includes(a.type) && numeric.includes(b.type)) return withNullable({ type: 'number' });
+  const options = [...(a.oneOf || [a]), ...(b.oneOf || [b])]
+    .map(({ nullable: ignored, ...shape }) => shape)
+    .filter((shape, index, all) => all.findIndex(other => JSON.stringify(other) === JSON.stringify(shape)) === index);
+  return withNullable({ oneOf: options });
+}
+
+/**
+ * Describes the shape of a captured body, parsing JSON, URL-encoded and form-data text.
+ * @param {{text?: string, contentType?: string} | undefined} body - A networkMonitor body record.
+ * @returns {object | null} The shape, or null if the body is missing or not structured.
+ */
+export function getBodyShape(body) {
+  if (!body || typeof body.text !== 'string' || body.truncated) return null;
+  const contentType = (body.contentType || '').toLowerCase();
+  try {
+    if (contentType.includes('multipart/form-data')) {
+      const fields = JSON.parse(body.text);
+      return {
+        type: 'object',
+        properties: Object.fromEntries(fields.map(field => [field.name, field.file ? { type: 'string', format: 'binary' } : { type: 'string' }]))
+      };
+    }
+    if (contentType.includes('x-www-form-urlencoded')) {
+      return { type: 'object', properties: Object.fromEntries(Array.from(new URLSearchParams(body.text).keys(), key => [key, { type: 'string' }])) };
+    }
+    return getValueShape(JSON.parse(body.text));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Strips parameters from a Content-Type value.
+ * @param {string | null | undefined} contentType - The header value.
+ * @returns {string | null} The media type, e.g. `application/json`.
+ */
+function getMediaType(contentType) {
+  return contentType ? contentType.split(';')[0].trim().toLowerCase() || null : null;
+}
+
+/**
+ * Adds a value to a list of examples unless it is already there or the list is full.
+ * @param {Array} examples - The examples.
+ * @param {*} value - The value.
+ */
+function addExample(examples, value) {
+  if (examples.length < MAX_EXAMPLES && !examples.includes(value)) examples.push(value);
+}
+
+/**
+ * Collects the API calls from both recorders. In-page records are paired with the
+ * webRequest record for the same method and URL, which adds the response content type.
+ * @param {string} pageUrl - The page URL, for resolving relative URLs.
+ * @param {Array<object>} requests - networkMonitor records.
+ * @param {Array<object>} recordedRequests - networkRecorder records.
+ * @param {Array<object>} bodies - networkMonitor body records.
+ * @returns {Array<object>} The calls: url, method, status, content types and bodies.
+ */
+function collectCalls(pageUrl, requests, recordedRequests, bodies) {
+  const resolve = url => {
+    try {
+      return new URL(url, pageUrl).href;
+    } catch (error) {
+      return null;
+    }
+  };
+  const bodiesById = new Map((bodies || []).map(body => [body.id, body]));
+
+  const recorded = new Map();
+  (recordedRequests || [])
+    .filter(record => ['xmlhttprequest', 'ping'].includes(record.type) && record.url)
+    .forEach(record => {
+      const key = `${(record.method || 'GET').toUpperCase()} ${record.url}`;
+      if (!recorded.has(key)) recorded.set(key, []);
+      recorded.get(key).push(record);
+    });
+  const responseContentType = record => getMediaType(getHeaderValue(toHarHeaders(record?.responseHeaders), 'content-type'));
+
+  const calls = (requests || []).filter(request => request?.url).map(request => {
+    const url = resolve(request.url);
+    const method = (request.method || 'GET').toUpperCase();
+    const record = recorded.get(`${method} ${url}`)?.shift();
+    const body = bodiesById.get(request.id);
+    return {
+      url,
+      method,
+      status: request.status ?? record?.status ?? null,
+      requestContentType: getMediaType(body?.requestBody?.contentType || request.body?.contentType || getHeaderValue(toHarHeaders(request.headers), 'content-type')),
+      responseContentType: getMediaType(body?.responseBody?.contentType) || responseContentType(record),
+      requestBody: body?.requestBody,
+      responseBody: body?.responseBody
+    };
+  });
+  recorded.forEach(records => records.forEach(record => calls.push({
+    url: record.url,
+    method: (record.method || 'GET').toUpperCase(),
+    status: record.status ?? null,
+    requestContentType: getMediaType(getHeaderValue(toHarHeaders(record.requestHeaders), 'content-type')),
+    responseContentType: responseContentType(record)
+  })));
+
+  return calls.filter(call => {
+    if (!call.url) return false;
+    const { protocol, pathname } = new URL(call.url);
+    return ['http:', 'https:'].includes(protocol) && !STATIC_FILE_PATTERN.test(pathname);
+  });
+}
+
+/**
+ * Builds the API catalog for a page.
+ * @param {object} options - Build options.
+ * @param {string} options.pageUrl - The page URL.
+ * @param {Array<object>} [options.requests=[]] - Requests from networkMonitor.
+ * @param {Array<object>} [options.recordedRequests=[]] - Requests from networkRecorder.
+ * @param {Array<object>} [options.bodies=[]] - Bodies from networkMonitor.getNetworkBodies.
+ * @returns {{pageUrl: string, summary: object, hosts: Array<object>}} The catalog: one entry per host,
+ *   each with its endpoints (path templates) and the operations (methods) seen on them.
+ */
+export function buildApiCatalog({ pageUrl, requests = [], recordedRequests = [], bodies = [] }) {
+  const hosts = new Map();
+  const calls = collectCalls(pageUrl, requests, recordedRequests, bodies);
+
+  calls.forEach(call => {
+    const url = new URL(call.url);
+    const { template, parameters } = toPathTemplate(url.pathname);
+    if (!hosts.has(url.host)) hosts.set(url.host, { host: url.host, origin: url.origin, endpoints: new Map() });
+    const endpoints = hosts.get(url.host).endpoints;
+    if (!endpoints.has(template)) endpoints.set(template, { path: template, pathParameters: {}, operations: {} });
+    const endpoint = endpoints.get(template);
+    parameters.forEach(({ name, value }) => {
+      endpoint.pathParameters[name] = endpoint.pathParameters[name] || [];
+      addExample(endpoint.pathParameters[name], value);
+    });
+
+    const operation = endpoint.operations[call.method] = endpoint.operations[call.method] || {
+      calls: 0,
+      statusCodes: {},
+      queryParameters: {},
+      requestContentTypes: [],
+      responseContentTypes: [],
+      requestShape: null,
+      responseShape: null,
+      sampleUrls: []
+    };
+    operation.calls++;
+    const status = call.status ? String(call.status) : 'none';
+    operation.statusCodes[status] = (operation.statusCodes[status] || 0) + 1;
+    url.searchParams.forEach((value, name) => {
+      const parameter = operation.queryParameters[name] = operation.queryParameters[name] || { calls: 0, examples: [] };
+      parameter.calls++;
+      addExample(parameter.examples, value);
+    });
+    if (call.requestContentType) addExample(operation.requestContentTypes, call.requestContentType);
+    if (call.responseContentType) addExample(operation.responseContentTypes, call.responseContentType);
+    operation.requestShape = mergeShapes(operation.requestShape || undefined, getBodyShape(call.requestBody) || undefined) || null;
+    if (!call.status || call.status < 400) {
+      operation.responseShape = mergeShapes(operation.responseShape || undefined, getBodyShape(call.responseBody) || undefined) || null;
+    }
+    addExample(operation.sampleUrls, call.url);
+  });
+
+  const hostList = Array.from(hosts.values()).map(host => ({
+    host: host.host,
+    origin: host.origin,
+    endpoints: Array.from(host.endpoints.values()).sort((a, b) => a.path.localeCompare(b.path))
+  }));
+  return {
+    pageUrl,
+    summary: {
+      hosts: hostList.length,
+      endpoints: hostList.reduce((total, host) => total + host.endpoints.length, 0),
+      operations: hostList.reduce((total, host) => total + host.endpoints
+        .reduce((count, endpoint) => count + Object.keys(endpoint.operations).length, 0), 0),
+      calls: calls.length
+    },
+    hosts: hostList
+  };
+}
+
+/**
+ * Lists the catalog's endpoints in the compact form kept in `script_data.json`.
+ * @param {object} catalog - A catalog from buildApiCatalog.
+ * @returns {Array<{url: string, methods: Array<string>, calls: number}>} One entry per endpoint.
+ */
+export function listApiEndpoints(catalog) {
+  return catalog.hosts.flatMap(host => host.endpoints.map(endpoint => ({
+    url: `${host.origin}${endpoint.path}`,
+    methods: Object.keys(endpoint.operations),
+    calls: Object.values(endpoint.operations).reduce((total, operation) => total + operation.calls, 0)
+  })));
+}
+
+/**
+ * Builds an OpenAPI operation from a catalog operation.
+ * @param {string} method - The HTTP method.
+ * @param {string} path - The path template.
+ * @param {object} endpoint - The catalog endpoint.
+ * @param {object} operation - The catalog operation.
+ * @returns {object} The OpenAPI operation object.
+ */
+function buildOperation(method, path, endpoint, operation) {
+  const parameters = [
+    ...Object.entries(endpoint.pathParameters).map(([name, examples]) => {
+      const numeric = examples.every(value => /^\d+$/.test(value));
+      return { name, in: 'path', required: true, schema: { type: numeric ? 'integer' : 'string' }, example: numeric ? Number(examples[0]) : examples[0] };
+    }),
+    ...Object.entries(operation.queryParameters).map(([name, parameter]) => ({
+      name,
+      in: 'query',
+      required: parameter.calls === operation.calls,
+      schema: { type: 'string' },
+      example: parameter.examples[0]
+    }))
+  ];
+  const content = (contentTypes, shape) => Object.fromEntries(
+    (contentTypes.length > 0 ? contentTypes : ['application/json']).map(type => [type, { schema: shape || {} }])
+  );
+
+  const responses = {};
+  Object.keys(operation.statusCodes).filter(status => status !== 'none').forEach(status => {
+    const response = { description: `Observed ${status} response` };
+    if (Number(status) < 400 && (operation.responseShape || operation.responseContentTypes.length > 0)) {
+      response.content = content(operation.responseContentTypes, operation.responseShape);
+    }
+    responses[status] = response;
+  });
+  if (Object.keys(responses).length === 0) responses.default = { description: 'No response observed' };
+
+  const result = {
+    summary: `${method} ${path}`,
+    parameters,
+    responses,
+    'x-observed-calls': operation.calls
+  };
+  if (parameters.length === 0) delete result.parameters;
+  if (operation.requestShape || operation.requestContentTypes.length > 0) {
+    result.requestBody = { content: content(operation.requestContentTypes, operation.requestShape) };
+  }
+  return result;
+}
+
+/**
+ * Builds an OpenAPI 3 document from a catalog. Every host is listed as a server; a path
+ * seen on only some of them names those servers itself. When several hosts serve the
+ * same path and method, the first host's operation is kept. Methods OpenAPI has no field
+ * for (e.g. CONNECT or WebDAV's PROPFIND) stay in the catalog only.
+ * @param {object} catalog - A catalog from buildApiCatalog.
+ * @param {object} [options={}] - Document options.
+ * @param {string} [options.title] - The page title.
+ * @returns {object} The OpenAPI document.
+ */
+export function buildOpenApi(catalog, { title } = {}) {
+  const servers = catalog.hosts.map(host => ({ url: host.origin }));
+  const paths = {};
+  catalog.hosts.forEach(host => host.endpoints.forEach(endpoint => {
+    const pathItem = paths[endpoint.path] = paths[endpoint.path] || { servers: [] };
+    pathItem.servers.push({ url: host.origin });
+    Object.entries(endpoint.operations).forEach(([method, operation]) => {
+      const key = method.toLowerCase();
+      if (OPENAPI_METHODS.includes(key) && !pathItem[key]) pathItem[key] = buildOperation(method, endpoint.path, endpoint, operation);
+    });
+  }));
+  Object.values(paths).forEach(pathItem => {
+    if (pathItem.servers.length === servers.length) delete pathItem.servers;
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: `APIs used by ${title || catalog.pageUrl}`,
+      version: 'observed',
+      description: `Reconstructed from network traffic observed on ${catalog.pageUrl}. Shapes and parameters cover only the calls that were seen.`
+    },
+    servers,
+    paths
+  };
+}
@@ -0,0 +1,170 @@
+import {
+  isIdSegment,
+  toPathTemplate,
+  getValueShape,
+  mergeShapes,
+  getBodyShape,
+  buildApiCatalog,
+  listApiEndpoints,
+  buildOpenApi
+} from './apiCatalog';
+
+describe('API Catalog Module', () => {
+  const pageUrl = 'https://app.example.com/dashboard';
+
+  const requests = [
+    { id: 1, type: 'fetch', url: 'https://api.example.com/users/123?expand=teams', method: 'GET', status: 200 },
+    { id: 2, type: 'fetch', url: 'https://api.example.com/users/456', method: 'GET', status: 404 },
+    {
+      id: 3, type: 'xhr', url: '/api/orders', method: 'post', status: 201,
+      headers: { 'Content-Type': 'application/json' }, body: { kind: 'text', size: 20, contentType: 'application/json' }
+    },
+    { id: 4, type: 'fetch', url: 'https://cdn.example.com/app.js', method: 'GET', status: 200 }
+  ];
+  const bodies = [
+    {
+      id: 1, responseBody: { text: '{"id":123,"name":"Ada","teams":[{"id":1,"name":"Core"}],"manager":null}', contentType: 'application/json', truncated: false }
+    },
+    {
+      id: 3,
+      requestBody: { text: '{"sku":"A1","qty":2}', contentType: 'application/json', truncated: false },
+      responseBody: { text: '{"orderId":"ord_1"}', contentType: 'application/json; charset=utf-8', truncated: false }
+    }
+  ];
+  const recordedRequests = [
+    {
+      type: 'xmlhttprequest', url: 'https://api.example.com/users/123?expand=teams', method: 'GET', status: 200,
+      responseHeaders: [{ name: 'Content-Type', value: 'application/json' }]
+    },
+    { type: 'ping', url: 'https://metrics.example.com/v1/events', method: 'POST', status: 204 },
+    { type: 'script', url: 'https://cdn.example.com/app.js', method: 'GET', status: 200 }
+  ];
+
+  test('toPathTemplate should replace numbers, UUIDs and hashes with parameters', () => {
+    expect(toPathTemplate('/users/123')).toEqual({ template: '/users/{id}', parameters: [{ name: 'id', value: '123' }] });
+    expect(toPathTemplate('/orgs/0d9f1c2e-5b7a-4c1e-9a3f-2b6c8d7e9f01/repos/42/readme').template)
+      .toBe('/orgs/{id}/repos/{id2}/readme');
+    expect(toPathTemplate('/v2/search').template).toBe('/v2/search');
+    expect(toPathTemplate('/').template).toBe('/');
+    expect(isIdSegment('5f2b8c9d1e3a4b6c7d8e9f00')).toBe(true);
+    expect(isIdSegment('settings')).toBe(false);
+  });
+
+  test('getValueShape and mergeShapes should describe and combine JSON bodies', () => {
+    expect(getValueShape({ id: 1, tags: ['a'], score: 1.5, active: true })).toEqual({
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        tags: { type: 'array', items: { type: 'string' } },
+        score: { type: 'number' },
+        active: { type: 'boolean' }
+      }
+    });
+    expect(getValueShape([1, 2.5])).toEqual({ type: 'array', items: { type: 'number' } });
+    expect(mergeShapes(getValueShape({ a: 1 }), getValueShape({ a: null, b: 'x' }))).toEqual({
+      type: 'object',
+      properties: { a: { type: 'integer', nullable: true }, b: { type: 'string' } }
+    });
+    expect(mergeShapes({ type: 'string' }, { type: 'boolean' })).toEqual({ oneOf: [{ type: 'string' }, { type: 'boolean' }] });
+  });
+
+  test('getValueShape and mergeShapes should only mark typed shapes nullable', () => {
+    expect(getValueShape(null)).toEqual({});
+    expect(getValueShape({ a: null })).toEqual({ type: 'object', properties: { a: {} } });
+    expect(mergeShapes(getValueShape(null), getValueShape(null))).toEqual({});
+    expect(mergeShapes(getValueShape(null), getValueShape('x'))).toEqual({ type: 'string', nullable: true });
+    expect(mergeShapes(mergeShapes({ type: 'string' }, { type: 'boolean' }), getValueShape(null))).toEqual({
+      oneOf: [{ type: 'string', nullable: true }, { type: 'boolean', nullable: true }]
+    });
+    expect(mergeShapes(getValueShape([]), getValueShape([1]))).toEqual({ type: 'array', items: { type: 'integer' } });
+  });
+
+  test('getBodyShape should read JSON, URL-encoded and form-data bodies', () => {
+    expect(getBodyShape({ text: 'q=har&page=2', contentType: 'application/x-www-form-urlencoded' })).toEqual({
+      type: 'object', properties: { q: { type: 'string' }, page: { type: 'string' } }
+    });
+    expect(getBodyShape({
+      text: '[{"name":"title","value":"x"},{"name":"file","file":{"name":"a.png","type":"image/png","size":3}}]',
+      contentType: 'multipart/form-data'
+    })).toEqual({ type: 'object', properties: { title: { type: 'string' }, file: { type: 'string', format: 'binary' } } });
+    expect(getBodyShape({ text: '{"a":', contentType: 'application/json', truncated: true })).toBeNull();
+    expect(getBodyShape({ text: '<p>hi</p>', contentType: 'text/html' })).toBeNull();
+    expect(getBodyShape(undefined)).toBeNull();
+  });
+
+  test('buildApiCatalog should group calls by host and path template', () => {
+    const catalog = buildApiCatalog({ pageUrl, requests, recordedRequests, bodies });
+
+    expect(catalog.summary).toEqual({ hosts: 3, endpoints: 3, operations: 3, calls: 4 });
+    expect(catalog.hosts.map(host => host.host)).toEqual(['api.example.com', 'app.example.com', 'metrics.example.com']);
+
+    const [users] = catalog.hosts[0].endpoints;
+    expect(users.path).toBe('/users/{id}');
+    expect(users.pathParameters).toEqual({ id: ['123', '456'] });
+    expect(users.operations.GET).toMatchObject({
+      calls: 2,
+      statusCodes: { 200: 1, 404: 1 },
+      queryParameters: { expand: { calls: 1, examples: ['teams'] } },
+      responseContentTypes: ['application/json'],
+      sampleUrls: ['https://api.example.com/users/123?expand=teams', 'https://api.example.com/users/456']
+    });
+    expect(users.operations.GET.responseShape.properties.teams).toEqual({
+      type: 'array',
+      items: { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } } }
+    });
+
+    const orders = catalog.hosts[1].endpoints[0].operations.POST;
+    expect(orders).toMatchObject({
+      requestContentTypes: ['application/json'],
+      responseContentTypes: ['application/json'],
+      requestShape: { type: 'object', properties: { sku: { type: 'string' }, qty: { type: 'integer' } } },
+      responseShape: { type: 'object', properties: { orderId: { type: 'string' } } }
+    });
+    expect(catalog.hosts[2].endpoints[0].operations.POST.statusCodes).toEqual({ 204: 1 });
+
+    expect(listApiEndpoints(catalog)).toEqual([
+      { url: 'https://api.example.com/users/{id}', methods: ['GET'], calls: 2 },
+      { url: 'https://app.example.com/api/orders', methods: ['POST'], calls: 1 },
+      { url: 'https://metrics.example.com/v1/events', methods: ['POST'], calls: 1 }
+    ]);
+  });
+
+  test('buildOpenApi should produce an OpenAPI 3 document from the catalog', () => {
+    const document = buildOpenApi(buildApiCatalog({ pageUrl, requests, recordedRequests, bodies }), { title: 'Dashboard' });
+
+    expect(document.openapi).toBe('3.0.3');
+    expect(document.info.title).toBe('APIs used by Dashboard');
+    expect(document.servers).toEqual([
+      { url: 'https://api.example.com' },
+      { url: 'https://app.example.com' },
+      { url: 'https://metrics.example.com' }
+    ]);
+
+    const getUser = document.paths['/users/{id}'].get;
+    expect(document.paths['/users/{id}'].servers).toEqual([{ url: 'https://api.example.com' }]);
+    expect(getUser.parameters).toEqual([
+      { name: 'id', in: 'path', required: true, schema: { type: 'integer' }, example: 123 },
+      { name: 'expand', in: 'query', required: false, schema: { type: 'string' }, example: 'teams' }
+    ]);
+    expect(Object.keys(getUser.responses)).toEqual(['200', '404']);
+    expect(getUser.responses['200'].content['application/json'].schema.properties.manager).toEqual({});
+    expect(getUser.responses['404']).toEqual({ description: 'Observed 404 response' });
+    expect(getUser['x-observed-calls']).toBe(2);
+
+    const createOrder = document.paths['/api/orders'].post;
+    expect(createOrder.requestBody.content['application/json'].schema.properties.qty).toEqual({ type: 'integer' });
+    expect(createOrder.parameters).toBeUndefined();
+  });
+
+  test('buildOpenApi should leave out methods OpenAPI cannot describe', () => {
+    const catalog = buildApiCatalog({
+      pageUrl,
+      requests: [
+        { id: 1, url: 'https://api.example.com/files/report', method: 'PROPFIND', status: 207 },
+        { id: 2, url: 'https://api.example.com/files/report', method: 'GET', status: 200 }
+      ]
+    });
+    expect(Object.keys(catalog.hosts[0].endpoints[0].operations)).toEqual(['PROPFIND', 'GET']);
+    expect(Object.keys(buildOpenApi(catalog).paths['/files/report'])).toEqual(['get']);
+  });
+});
@@ -0,0 +1,192 @@
+// Asset Collector Module
+// NOTE: This module is intended to run in the content script context.
+// Lists the images a page uses; modules/assetHarvester.js downloads them in the background.
+
+/** @type {RegExp} - Matches url(...) references in CSS values. */
+const CSS_URL_PATTERN = /url\(\s*(['"]?)([^'")]+?)\1\s*\)/g;
+
+/**
+ * Resolves a URL against a base, keeping only http(s) URLs (data: and blob: images are
+ * already part of the page and cannot be downloaded separately).
+ * @param {string} url - The possibly relative URL.
+ * @param {string} baseUrl - The base URL.
+ * @returns {string | null} The absolute URL, or null if it is unusable.
+ */
+export function resolveAssetUrl(url, baseUrl) {
+  if (!url) return null;
+  try {
+    const resolved = new URL(url.trim(), baseUrl);
+    return resolved.protocol === 'http:' || resolved.protocol === 'https:' ? resolved.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parses a srcset attribute into its candidates.
+ * @param {string} srcset - The srcset value.
+ * @returns {Array<{url: string, width: number | null, density: number | null}>} The candidates in order.
+ */
+export function parseSrcset(srcset) {
+  const candidates = [];
+  let rest = srcset || '';
+  // URLs may contain commas, so a candidate's URL runs to the next whitespace (minus trailing commas)
+  while ((rest = rest.replace(/^[\s,]+/, ''))) {
+    let url = rest.match(/^\S+/)[0];
+    rest = rest.slice(url.length);
+    let descriptor = '';
+    if (url.endsWith(',')) {
+      url = url.replace(/,+$/, '');
+    } else {
+      const match = rest.match(/^([^,]*)(?:,|$)/);
+      descriptor = match[1].trim();
+      rest = rest.slice(match[0].length);
+    }
+    candidates.push({
+      url,
+      width: /^\d+w$/.test(descriptor) ? parseInt(descriptor, 10) : null,
+      density: /^[\d.]+x$/.test(descriptor) ? parseFloat(descriptor) : (descriptor ? null : 1)
+    });
+  }
+  return candidates;
+}
+
+/**
+ * Picks the highest-resolution candidate of a srcset: the widest `w` candidate, or the
+ * highest `x` density.
+ * @param {string} srcset - The srcset value.
+ * @returns {string | null} The candidate URL, or null for an empty srcset.
+ */
+export function pickBestSrcsetCandidate(srcset) {
+  const candidates = parseSrcset(srcset);
+  if (candidates.length === 0) return null;
+  return candidates.reduce((best, candidate) => {
+    const size = candidate.width ?? (candidate.density ?? 1) * 1e-6;
+    const bestSize = best.width ?? (best.density ?? 1) * 1e-6;
+    return size > bestSize ? candidate : best;
+  }).url;
+}
+
+/**
+ * Extracts the url(...) references of a CSS value such as background-image.
+ * @param {string} value - The CSS value.
+ * @returns {Array<string>} The referenced URLs, as written.
+ */
+export function extractCssUrls(value) {
+  return Array.from((value || '').matchAll(CSS_URL_PATTERN), match => match[2].trim());
+}
+
+/**
+ * Collects the images used by a document: <img> (best srcset candidate), <picture>
+ * sources, CSS background images, favicons and the og:image. References to the same URL
+ * are merged; every URL an image was seen under is kept as an alias so saved HTML and
+ * Markdown can be pointed at the downloaded copy.
+ * @param {Document} [doc=document] - The document to scan.
+ * @returns {Array<{url: string, aliases: Array<string>, sources: Array<string>, alt: string | null,
+ *   width: number | null, height: number | null}>} The asset references.
+ */
+export function collectPageAssets(doc = document) {
+  const baseUrl = doc.baseURI || doc.URL;
+  const assets = new Map();
+
+  const add = (url, source, details = {}, aliases = []) => {
+    const resolved = resolveAssetUrl(url, baseUrl);
+    if (!resolved) return;
+    const asset = assets.get(resolved) || { url: resolved, aliases: [], sources: [], alt: null, width: null, height: null };
+    if (!asset.sources.includes(source)) asset.sources.push(source);
+    asset.alt = asset.alt || details.alt || null;
+    asset.width = asset.width || details.width || null;
+    asset.height = asset.height || details.height || null;
+    aliases.map(alias => resolveAssetUrl(alias, baseUrl)).forEach(alias => {
+      if (alias && alias !== resolved && !asset.aliases.includes(alias)) asset.aliases.push(alias);
+    });
+    assets.set(resolved, asset);
+  };
+
+  doc.querySelectorAll('img').forEach(image => {
+    const srcset = image.getAttribute('srcset');
+    const best = image.currentSrc || pickBestSrcsetCandidate(srcset) || image.getAttribute('src');
+    const aliases = [image.getAttribute('src'), ...parseSrcset(srcset).map(candidate => candidate.url)];
+    add(best, 'img', {
+      alt: image.getAttribute('alt'),
+      width: image.naturalWidth || null,
+      height: image.naturalHeight || null
+    }, aliases.filter(Boolean));
+  });
+
+  doc.querySelectorAll('picture source[srcset]').forEach(source => {
+    const srcset = source.getAttribute('srcset');
+    const image = source.parentElement?.querySelector('img');
+    add(pickBestSrcsetCandidate(srcset), 'picture', { alt: image?.getAttribute('alt') },
+      parseSrcset(srcset).map(candidate => candidate.url));
+  });
+
+  const view = doc.defaultView;
+  doc.querySelectorAll('*').forEach(element => {
+    const value = view?.getComputedStyle ? view.getComputedStyle(element).backgroundImage : element.style?.backgroundImage;
+    if (!value || value === 'none') return;
+    extractCssUrls(value).forEach(url => add(url, 'css-background'));
+  });
+
+  doc.querySelectorAll('link[rel~="icon"], link[rel="apple-touch-icon"], link[rel="apple-touch-icon-precomposed"], link[rel="mask-icon"]')
+    .forEach(link => add(link.getAttribute('href'), 'favicon'));
+
+  doc.querySelectorAll('meta[property="og:image"], meta[property="og:image:url"], meta[name="twitter:image"]')
+    .forEach(meta => add(meta.getAttribute('content'), 'og-image'));
+
+  return Array.from(assets.values());
+}
+
+/**
+ * Points the images of a (cloned) document at local copies. Images whose URL, or any
+ * srcset candidate, has a local copy get that copy as src; srcset is dropped so the
+ * browser cannot pick a remote candidate. Inline style url(...) references, favicons and
+ * declarative shadow roots are rewritten too.
+ * @param {Element | DocumentFragment} root - The root element to rewrite (e.g. a cloned documentElement).
+ * @param {Object<string, string>} assetMap - Maps absolute URLs to local paths.
+ * @param {string} baseUrl - URL that relative references are resolved against.
+ */
+export function rewriteAssetReferences(root, assetMap, baseUrl) {
+  const localPath = url => {
+    const resolved = resolveAssetUrl(url, baseUrl);
+    return resolved ? assetMap[resolved] : undefined;
+  };
+
+  root.querySelectorAll('img').forEach(image => {
+    const candidates = [image.getAttribute('src'), ...parseSrcset(image.getAttribute('srcset')).map(candidate => candidate.url)];
+    const local = candidates.map(localPath).find(Boolean);
+    if (!local) return;
+    image.setAttribute('src', local);
+    image.removeAttribute('srcset');
+    image.removeAttribute('sizes');
+    image.removeAttribute('loading');
+  });
+
+  root.querySelectorAll('picture source[srcset]').forEach(source => {
+    const local = parseSrcset(source.getAttribute('srcset')).map(candidate => localPath(candidate.url)).find(Boolean);
+    if (local) {
+      source.setAttribute('srcset', local);
+      source.removeAttribute('sizes');
+    } else if (source.parentElement?.querySelector('img[src^="assets/"]')) {
+      // The fallback <img> is local; a remote <source> would override it
+      source.remove();
+    }
+  });
+
+  root.querySelectorAll('[style]').forEach(element => {
+    const style = element.getAttribute('style');
+    if (!style.includes('url(')) return;
+    element.setAttribute('style', style.replace(CSS_URL_PATTERN, (match, quote, url) => {
+      const local = localPath(url);
+      return local ? `url("${local}")` : match;
+    }));
+  });
+
+  root.querySelectorAll('link[rel~="icon"], link[rel^="apple-touch-icon"]').forEach(link => {
+    const local = localPath(link.getAttribute('href'));
+    if (local) link.setAttribute('href', local);
+  });
+
+  // Declarative shadow roots (see domSnapshot.js) keep their content in the template
+  root.querySelectorAll('template[shadowrootmode]').forEach(template => rewriteAssetReferences(template.content, assetMap, baseUrl));
+}
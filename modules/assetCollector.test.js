@@ -0,0 +1,109 @@
+import {
+  resolveAssetUrl,
+  parseSrcset,
+  pickBestSrcsetCandidate,
+  extractCssUrls,
+  collectPageAssets,
+  rewriteAssetReferences
+} from './assetCollector';
+
+describe('Asset Collector Module', () => {
+  afterEach(() => {
+    document.head.innerHTML = '';
+    document.body.innerHTML = '';
+  });
+
+  test('resolveAssetUrl should resolve relative URLs and reject non-http ones', () => {
+    expect(resolveAssetUrl('img/a.png', 'https://example.com/post/')).toBe('https://example.com/post/img/a.png');
+    expect(resolveAssetUrl('data:image/png;base64,AAAA', 'https://example.com/')).toBeNull();
+    expect(resolveAssetUrl('', 'https://example.com/')).toBeNull();
+  });
+
+  test('parseSrcset should read width and density descriptors', () => {
+    expect(parseSrcset('a.png 480w, b.png 960w')).toEqual([
+      { url: 'a.png', width: 480, density: null },
+      { url: 'b.png', width: 960, density: null }
+    ]);
+    expect(parseSrcset('a.png, b.png 2x')).toEqual([
+      { url: 'a.png', width: null, density: 1 },
+      { url: 'b.png', width: null, density: 2 }
+    ]);
+    expect(parseSrcset('https://cdn.example.com/img,w_300.jpg 300w')[0].url).toBe('https://cdn.example.com/img,w_300.jpg');
+  });
+
+  test('pickBestSrcsetCandidate should pick the largest candidate', () => {
+    expect(pickBestSrcsetCandidate('a.png 480w, c.png 1440w, b.png 960w')).toBe('c.png');
+    expect(pickBestSrcsetCandidate('a.png 1x, b.png 3x, c.png 2x')).toBe('b.png');
+    expect(pickBestSrcsetCandidate('')).toBeNull();
+  });
+
+  test('extractCssUrls should read quoted and unquoted url() references', () => {
+    expect(extractCssUrls('url("a.png"), linear-gradient(red, blue), url(b.jpg)')).toEqual(['a.png', 'b.jpg']);
+    expect(extractCssUrls('none')).toEqual([]);
+  });
+
+  test('collectPageAssets should find images, picture sources, backgrounds, favicons and og:image', () => {
+    document.head.innerHTML = `
+      <link rel="icon" href="/favicon.ico">
+      <link rel="stylesheet" href="/style.css">
+      <meta property="og:image" content="https://cdn.example.com/share.jpg">
+    `;
+    document.body.innerHTML = `
+      <img src="/small.png" srcset="/small.png 400w, /large.png 1200w" alt="Diagram">
+      <picture>
+        <source srcset="/photo.webp 1x, /photo@2x.webp 2x" type="image/webp">
+        <img src="/photo.jpg" alt="Photo">
+      </picture>
+      <div style="background-image: url('/bg.png')"></div>
+      <img src="/small.png" alt="">
+      <img src="data:image/png;base64,AAAA">
+    `;
+
+    const assets = collectPageAssets(document);
+    const byUrl = Object.fromEntries(assets.map(asset => [asset.url.replace('http://localhost', ''), asset]));
+
+    expect(Object.keys(byUrl).sort()).toEqual([
+      '/bg.png', '/favicon.ico', '/large.png', '/photo.jpg', '/photo@2x.webp', '/small.png',
+      'https://cdn.example.com/share.jpg'
+    ]);
+    expect(byUrl['/large.png']).toMatchObject({ sources: ['img'], alt: 'Diagram', aliases: ['http://localhost/small.png'] });
+    expect(byUrl['/photo@2x.webp']).toMatchObject({ sources: ['picture'], alt: 'Photo', aliases: ['http://localhost/photo.webp'] });
+    expect(byUrl['/bg.png'].sources).toEqual(['css-background']);
+    expect(byUrl['/favicon.ico'].sources).toEqual(['favicon']);
+    expect(byUrl['https://cdn.example.com/share.jpg'].sources).toEqual(['og-image']);
+  });
+
+  test('rewriteAssetReferences should point images, sources, styles and icons at local copies', () => {
+    const root = document.createElement('html');
+    root.innerHTML = `
+      <head><link rel="icon" href="/favicon.ico"></head>
+      <body>
+        <img src="/small.png" srcset="/small.png 400w, /large.png 1200w" sizes="50vw" loading="lazy">
+        <picture>
+          <source srcset="/photo.webp" type="image/webp">
+          <img src="/photo.jpg">
+        </picture>
+        <div style="color: red; background: url(/bg.png) no-repeat"></div>
+        <img src="/remote.png">
+      </body>
+    `;
+
+    rewriteAssetReferences(root, {
+      'https://example.com/large.png': 'assets/large.png',
+      'https://example.com/photo.jpg': 'assets/photo.jpg',
+      'https://example.com/bg.png': 'assets/bg.png',
+      'https://example.com/favicon.ico': 'assets/favicon.ico'
+    }, 'https://example.com/');
+
+    const [first, photo, remote] = root.querySelectorAll('img');
+    expect(first.getAttribute('src')).toBe('assets/large.png');
+    expect(first.hasAttribute('srcset')).toBe(false);
+    expect(first.hasAttribute('sizes')).toBe(false);
+    expect(first.hasAttribute('loading')).toBe(false);
+    expect(photo.getAttribute('src')).toBe('assets/photo.jpg');
+    expect(root.querySelector('source')).toBeNull();
+    expect(root.querySelector('div').getAttribute('style')).toBe('color: red; background: url("assets/bg.png") no-repeat');
+    expect(remote.getAttribute('src')).toBe('/remote.png');
+    expect(root.querySelector('link').getAttribute('href')).toBe('assets/favicon.ico');
+  });
+});
@@ -0,0 +1,193 @@
+// Asset Harvester Module
+// NOTE: This module is intended to run in the background (service worker) context.
+// Downloads the images listed by modules/assetCollector.js and de-duplicates them by content hash.
+// Also fetches page resources for the single-file archive (see singleFileArchive.js): the
+// background's host permissions reach CDNs that the page's CORS rules keep from the content script.
+import { sha256Hex } from './webArchive.js';
+import { logger } from './extensionLogger.js';
+import { blobToDataUrl } from './utils.js';
+
+/** @type {string} - Folder (relative to the capture folder) that assets are saved in. */
+export const ASSET_FOLDER = 'assets';
+
+/** @type {Object<string, string>} - File extensions for image MIME types. */
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/avif': '.avif',
+  'image/svg+xml': '.svg',
+  'image/x-icon': '.ico',
+  'image/vnd.microsoft.icon': '.ico',
+  'image/bmp': '.bmp',
+  'image/tiff': '.tiff'
+};
+
+/** @type {Object<string, string>} - MIME types guessed from the URL when the server sends none. */
+const EXTENSION_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  svg: 'image/svg+xml',
+  ico: 'image/x-icon',
+  bmp: 'image/bmp'
+};
+
+/**
+ * Determines the MIME type of a downloaded asset from its Content-Type, falling back to
+ * the URL extension for servers that send none or a generic type.
+ * @param {string | null} contentType - The Content-Type header.
+ * @param {string} url - The asset URL.
+ * @returns {string | null} The image MIME type, or null if the asset is not an image.
+ */
+export function getAssetMimeType(contentType, url) {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (type.startsWith('image/')) return type;
+  if (type && type !== 'application/octet-stream' && type !== 'binary/octet-stream') return null;
+  const extension = new URL(url).pathname.match(/\.([a-z0-9]+)$/i)?.[1].toLowerCase();
+  return EXTENSION_TYPES[extension] || null;
+}
+
+/**
+ * Builds the relative path an asset is saved under: the first 16 hex digits of its
+ * SHA-256 plus an extension for its MIME type.
+ * @param {string} hash - The SHA-256 hex digest.
+ * @param {string} mimeType - The image MIME type.
+ * @returns {string} The path, e.g. 'assets/3f2a9c0d1e4b5a6f.png'.
+ */
+export function getAssetFilename(hash, mimeType) {
+  const extension = IMAGE_EXTENSIONS[mimeType] || `.${mimeType.split('/')[1].replace(/\W.*$/, '') || 'bin'}`;
+  return `${ASSET_FOLDER}/${hash.slice(0, 16)}${extension}`;
+}
+
+/**
+ * Reads the pixel dimensions of an image, for assets the page did not report a size for.
+ * @param {Blob} blob - The image data.
+ * @returns {Promise<{width: number | null, height: number | null}>} The dimensions, or nulls
+ *   when the image cannot be decoded (e.g. SVG in a service worker).
+ */
+async function measureImage(blob) {
+  if (typeof createImageBitmap !== 'function') return { width: null, height: null };
+  try {
+    const bitmap = await createImageBitmap(blob);
+    const size = { width: bitmap.width, height: bitmap.height };
+    bitmap.close?.();
+    return size;
+  } catch (error) {
+    return { width: null, height: null };
+  }
+}
+
+/**
+ * Downloads the page's images. Every URL is fetched once; images with identical content
+ * are stored once, and the manifest entry lists every URL the content was found under.
+ * Failed downloads and non-image responses are logged and left out.
+ * @param {Array<{url: string, aliases?: Array<string>, sources?: Array<string>, alt?: string | null,
+ *   width?: number | null, height?: number | null}>} references - References from collectPageAssets.
+ * @returns {Promise<{files: Array<{filename: string, data: Blob}>, manifest: Array<object>,
+ *   urlMap: Object<string, string>}>} The files to save, the assets.json entries and a map
+ *   from every original URL (including srcset candidates) to the local path.
+ */
+export async function harvestAssets(references) {
+  const byHash = new Map();
+  const urlMap = {};
+
+  for (const reference of references) {
+    try {
+      const response = await fetch(reference.url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const mimeType = getAssetMimeType(response.headers.get('content-type'), reference.url);
+      if (!mimeType) throw new Error(`Not an image: ${response.headers.get('content-type')}`);
+      const bytes = new Uint8Array(await response.arrayBuffer());
+      const hash = await sha256Hex(bytes);
+
+      let asset = byHash.get(hash);
+      if (!asset) {
+        const data = new Blob([bytes], { type: mimeType });
+        const measured = reference.width && reference.height
+          ? { width: reference.width, height: reference.height }
+          : await measureImage(data);
+        asset = {
+          data,
+          entry: {
+            file: getAssetFilename(hash, mimeType),
+            url: reference.url,
+            urls: [],
+            mimeType,
+            size: bytes.length,
+            sha256: hash,
+            width: measured.width,
+            height: measured.height,
+            alt: [],
+            sources: []
+          }
+        };
+        byHash.set(hash, asset);
+      }
+
+      const { entry } = asset;
+      [reference.url, ...(reference.aliases || [])].forEach(url => {
+        if (!entry.urls.includes(url)) entry.urls.push(url);
+        urlMap[url] = urlMap[url] || entry.file;
+      });
+      if (reference.alt && !entry.alt.includes(reference.alt)) entry.alt.push(reference.alt);
+      (reference.sources || []).forEach(source => {
+        if (!entry.sources.includes(source)) entry.sources.push(source);
+      });
+    } catch (error) {
+      logger.warn(`Asset skipped: ${reference.url}`, error);
+    }
+  }
+
+  const assets = Array.from(byHash.values());
+  return {
+    files: assets.map(asset => ({ filename: asset.entry.file, data: asset.data })),
+    manifest: assets.map(asset => asset.entry),
+    urlMap
+  };
+}
+
+/**
+ * Fetches a resource on behalf of the content script.
+ * @param {string} url - The absolute http(s) URL.
+ * @param {'dataUrl' | 'text'} [as='dataUrl'] - Whether to return the body as a data URI or as text.
+ * @returns {Promise<{ok: boolean, data?: string, error?: string}>} The body, or the reason it could not be fetched.
+ */
+export async function fetchPageResource(url, as = 'dataUrl') {
+  try {
+    if (!/^https?:/i.test(url)) throw new Error('Only http(s) resources are fetched');
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const data = as === 'text' ? await response.text() : await blobToDataUrl(await response.blob());
+    return { ok: true, data };
+  } catch (error) {
+    logger.warn(`Page resource not fetched: ${url}`, error);
+    return { ok: false, error: error.message };
+  }
+}
+
+/**
+ * Points the image and link destinations of a Markdown document at local asset copies.
+ * Both the raw URL and the form markdownConverter writes (spaces and parentheses
+ * percent-encoded) are recognised.
+ * @param {string} markdown - The Markdown text.
+ * @param {Object<string, string>} urlMap - Maps absolute URLs to local paths.
+ * @returns {string} The rewritten Markdown.
+ */
+export function rewriteAssetUrls(markdown, urlMap) {
+  const variants = new Map();
+  Object.entries(urlMap).forEach(([url, local]) => {
+    variants.set(url, local);
+    variants.set(url.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29'), local);
+  });
+  if (variants.size === 0) return markdown;
+
+  const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const alternatives = Array.from(variants.keys()).sort((a, b) => b.length - a.length).map(escape);
+  const pattern = new RegExp(`\\]\\((${alternatives.join('|')})(?=[)\\s])`, 'g');
+  return markdown.replace(pattern, (match, url) => `](${variants.get(url)}`);
+}
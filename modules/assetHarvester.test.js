@@ -0,0 +1,96 @@
+import { webcrypto } from 'crypto';
+import { getAssetMimeType, getAssetFilename, harvestAssets, rewriteAssetUrls } from './assetHarvester';
+
+// jsdom does not provide Web Crypto
+global.crypto = webcrypto;
+
+describe('Asset Harvester Module', () => {
+  test('getAssetMimeType should trust image content types and guess from the URL otherwise', () => {
+    expect(getAssetMimeType('image/png; charset=binary', 'https://example.com/a')).toBe('image/png');
+    expect(getAssetMimeType('application/octet-stream', 'https://example.com/a.JPG')).toBe('image/jpeg');
+    expect(getAssetMimeType(null, 'https://example.com/icon.ico')).toBe('image/x-icon');
+    expect(getAssetMimeType('text/html', 'https://example.com/a.png')).toBeNull();
+  });
+
+  test('getAssetFilename should use a hash prefix and an extension for the type', () => {
+    const hash = 'ab'.repeat(32);
+    expect(getAssetFilename(hash, 'image/jpeg')).toBe(`assets/${'ab'.repeat(8)}.jpg`);
+    expect(getAssetFilename(hash, 'image/svg+xml')).toBe(`assets/${'ab'.repeat(8)}.svg`);
+    expect(getAssetFilename(hash, 'image/heic')).toBe(`assets/${'ab'.repeat(8)}.heic`);
+  });
+
+  describe('harvestAssets', () => {
+    beforeEach(() => {
+      jest.spyOn(window, 'fetch').mockImplementation(async (url) => {
+        if (url.includes('missing')) return new Response('Not Found', { status: 404 });
+        if (url.includes('page')) return new Response('<html></html>', { headers: { 'Content-Type': 'text/html' } });
+        if (url.includes('other')) return new Response('gif-bytes', { headers: { 'Content-Type': 'image/gif' } });
+        return new Response('png-bytes', { headers: { 'Content-Type': 'image/png' } });
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should store identical images once and map every URL to the copy', async () => {
+      const result = await harvestAssets([
+        { url: 'https://example.com/a.png', aliases: ['https://example.com/a-small.png'], sources: ['img'], alt: 'Logo', width: 40, height: 20 },
+        { url: 'https://cdn.example.com/a.png', sources: ['og-image'] },
+        { url: 'https://example.com/other.gif', sources: ['css-background'], width: 1, height: 1 },
+        { url: 'https://example.com/missing.png', sources: ['img'] },
+        { url: 'https://example.com/page', sources: ['favicon'] }
+      ]);
+
+      expect(result.files).toHaveLength(2);
+      expect(result.manifest).toHaveLength(2);
+      const [png, gif] = result.manifest;
+      expect(png).toMatchObject({
+        url: 'https://example.com/a.png',
+        urls: ['https://example.com/a.png', 'https://example.com/a-small.png', 'https://cdn.example.com/a.png'],
+        mimeType: 'image/png',
+        size: 9,
+        width: 40,
+        height: 20,
+        alt: ['Logo'],
+        sources: ['img', 'og-image']
+      });
+      expect(png.file).toMatch(/^assets\/[0-9a-f]{16}\.png$/);
+      expect(gif.file).toMatch(/\.gif$/);
+      expect(result.files[0]).toEqual({ filename: png.file, data: expect.any(Blob) });
+      expect(result.urlMap).toEqual({
+        'https://example.com/a.png': png.file,
+        'https://example.com/a-small.png': png.file,
+        'https://cdn.example.com/a.png': png.file,
+        'https://example.com/other.gif': gif.file
+      });
+    });
+
+    test('should leave dimensions empty when the page reported none and the image cannot be decoded', async () => {
+      const { manifest } = await harvestAssets([{ url: 'https://example.com/a.png' }]);
+      expect(manifest[0]).toMatchObject({ width: null, height: null, alt: [], sources: [] });
+    });
+  });
+
+  test('rewriteAssetUrls should rewrite raw and percent-encoded destinations', () => {
+    const markdown = [
+      '![Logo](https://example.com/a.png)',
+      '![Chart](https://example.com/chart%20%281%29.png "Sales")',
+      '[Download](https://example.com/a.png.zip)',
+      'Plain https://example.com/a.png text'
+    ].join('\n');
+
+    const result = rewriteAssetUrls(markdown, {
+      'https://example.com/a.png': 'assets/1.png',
+      'https://example.com/chart (1).png': 'assets/2.png'
+    });
+
+    expect(result).toBe([
+      '![Logo](assets/1.png)',
+      '![Chart](assets/2.png "Sales")',
+      '[Download](https://example.com/a.png.zip)',
+      'Plain https://example.com/a.png text'
+    ].join('\n'));
+    expect(rewriteAssetUrls(markdown, {})).toBe(markdown);
+  });
+});
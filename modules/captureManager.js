@@ -33,6 +33,11 @@ export const CAPTURE_FORMATS = {
     mimeType: 'text/html',
     extension: '.html'
   },
+  SINGLE_FILE_HTML: {
+    type: 'single_file_html',
+    mimeType: 'text/html',
+    extension: '.html'
+  },
   SCREENSHOT_FULL: {
     type: 'screenshot_full',
     mimeType: 'image/png',
@@ -43,6 +48,16 @@ export const CAPTURE_FORMATS = {
     mimeType: 'image/png',
     extension: '.png'
   },
+  WARC: {
+    type: 'warc',
+    mimeType: 'application/warc',
+    extension: '.warc'
+  },
+  WACZ: {
+    type: 'wacz',
+    mimeType: 'application/wacz',
+    extension: '.wacz'
+  },
   MARKDOWN: {
     type: 'markdown',
     mimeType: 'text/markdown',
@@ -52,6 +67,11 @@ export const CAPTURE_FORMATS = {
     type: 'text',
     mimeType: 'text/plain',
     extension: '.txt'
+  },
+  EPUB: {
+    type: 'epub',
+    mimeType: 'application/epub+zip',
+    extension: '.epub'
   }
 };
 
@@ -61,7 +81,7 @@ export const CAPTURE_FORMATS = {
  * @type {Object}
  */
 export const screenshotRateLimit = {
-  /** @type {Array<{resolve: Function, reject: Function}>} */
+  /** @type {Array<{windowId: number | null, resolve: Function, reject: Function}>} */
   queue: [],
   /** @type {boolean} */
   processing: false,
@@ -85,9 +105,9 @@ export const screenshotRateLimit = {
         await new Promise(resolve => setTimeout(resolve, timeToWait));
       }
 
-      const { resolve, reject } = this.queue.shift();
+      const { windowId, resolve, reject } = this.queue.shift();
       try {
-        const screenshot = await chrome.tabs.captureVisibleTab(null, {format: 'png'});
+        const screenshot = await chrome.tabs.captureVisibleTab(windowId, {format: 'png'});
         this.lastCapture = Date.now();
         resolve(screenshot);
       } catch (error) {
@@ -101,11 +121,12 @@ export const screenshotRateLimit = {
   /**
    * Adds a capture request to the queue and starts processing if not already running.
    * Resolves with the data URL of the captured visible tab screenshot.
+   * @param {number | null} [windowId=null] - The window to capture; null is the current window.
    * @returns {Promise<string>}
    */
-  async capture() {
+  async capture(windowId = null) {
     return new Promise((resolve, reject) => {
-      this.queue.push({ resolve, reject });
+      this.queue.push({ windowId, resolve, reject });
       this.process();
     });
   }
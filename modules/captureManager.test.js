@@ -80,6 +80,17 @@ describe('Capture Manager Module', () => {
       expect(screenshotRateLimit.lastCapture).toBeGreaterThan(0);
     });
 
+    test('should capture the given window, or the current one by default', async () => {
+      chrome.tabs.captureVisibleTab.mockResolvedValue(mockScreenshotDataUrl);
+
+      await expect(screenshotRateLimit.capture(3)).resolves.toBe(mockScreenshotDataUrl);
+      expect(chrome.tabs.captureVisibleTab).toHaveBeenLastCalledWith(3, { format: 'png' });
+
+      screenshotRateLimit.lastCapture = 0;
+      await screenshotRateLimit.capture();
+      expect(chrome.tabs.captureVisibleTab).toHaveBeenLastCalledWith(null, { format: 'png' });
+    });
+
     test('should delay capture if minimum delay has not passed', async () => {
       chrome.tabs.captureVisibleTab.mockResolvedValue(mockScreenshotDataUrl);
       const minDelay = screenshotRateLimit.minDelay;
@@ -11,14 +11,9 @@ export function getCodeSnippets() {
   const codeBlocks = document.querySelectorAll('pre > code, pre:not(:has(> code)), code'); 
   
   codeBlocks.forEach((block, index) => {
-    const language = block.className.match(/language-(\w+)/)?.[1] || 
-                      block.getAttribute('data-language') || 
-                      detectLanguage(block.textContent) || 
-                      'text';
-    
     snippets.push({
       id: `snippet-${index}`,
-      language,
+      language: getSnippetLanguage(block),
       code: block.textContent.trim(),
       context: getSnippetContext(block)
     });
@@ -27,6 +22,19 @@ export function getCodeSnippets() {
   return snippets;
 }
 
+/**
+ * Determines the language of a code block: an explicit `language-*` class or `data-language`
+ * attribute wins, otherwise the language is guessed from the code itself.
+ * @param {HTMLElement} block - The code block element (e.g., <pre> or <code>).
+ * @returns {string} The language name, or 'text' if it cannot be determined.
+ */
+export function getSnippetLanguage(block) {
+  return block.className.match(/language-(\w+)/)?.[1] || 
+         block.getAttribute('data-language') || 
+         detectLanguage(block.textContent) || 
+         'text';
+}
+
 /**
  * Attempts to detect the programming language of a code snippet using basic regex patterns.
  * @param {string} code - The code snippet text.
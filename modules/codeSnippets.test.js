@@ -1,5 +1,6 @@
 import { 
   getCodeSnippets,
+  getSnippetLanguage,
   detectLanguage,
   getSnippetContext
 } from './codeSnippets';
@@ -54,6 +55,15 @@ describe('Code Snippets Module', () => {
     // Add more cases as needed
   });
 
+  describe('getSnippetLanguage', () => {
+    test('should prefer a language class, then data-language, then detection', () => {
+      expect(getSnippetLanguage(createMockElement({ className: 'language-go', textContent: 'const x = 1' }))).toBe('go');
+      expect(getSnippetLanguage(createMockElement({ attributes: { 'data-language': 'rust' }, textContent: 'const x = 1' }))).toBe('rust');
+      expect(getSnippetLanguage(createMockElement({ textContent: 'const x = 1' }))).toBe('javascript');
+      expect(getSnippetLanguage(createMockElement({ textContent: 'plain words' }))).toBe('text');
+    });
+  });
+
   describe('getSnippetContext', () => {
     test('should return text of preceding H2 element', () => {
       const heading = createMockElement({ 
@@ -0,0 +1,201 @@
+// Console Recording Module
+// NOTE: This module is intended to run in the page's main world.
+// pageHooks.js loads it there, so patching console here sees the page's own calls and
+// the page's uncaught errors arrive with their stacks.
+
+/** @type {Array<string>} - Console methods that are recorded. */
+const CONSOLE_LEVELS = ['log', 'info', 'warn', 'error', 'debug', 'trace'];
+/** @type {Set<string>} - Levels whose calls also record the caller's stack. */
+const STACK_LEVELS = new Set(['warn', 'error', 'trace']);
+/** @type {number} - Longest string kept for one logged argument. */
+const MAX_ARGUMENT_LENGTH = 2000;
+
+/** @type {Array<object>} - Recorded console entries. */
+let consoleEntries = [];
+/** @type {Object<string, Function>} - The console methods replaced while recording. */
+let originalConsole = {};
+/** @type {string | null} - When recording started (ISO string). */
+let startedAt = null;
+/** @type {number} - Entries beyond maxEntries that were not kept. */
+let droppedEntries = 0;
+/** @type {number} - Cap on the number of recorded entries. */
+let maxEntries = 1000;
+/** @type {boolean} - Tracks if recording is currently active. */
+let isRecording = false;
+
+/**
+ * Turns a logged value into something JSON can hold: primitives are kept, errors become
+ * {name, message, stack}, elements a short tag description and other objects a
+ * (truncated) JSON or string preview.
+ * @param {*} value - The logged value.
+ * @returns {*} The serializable value.
+ */
+export function serializeConsoleValue(value) {
+  const truncate = text => (text.length > MAX_ARGUMENT_LENGTH ? `${text.slice(0, MAX_ARGUMENT_LENGTH)}…` : text);
+  if (value === null || typeof value === 'number' || typeof value === 'boolean') return value;
+  if (typeof value === 'string') return truncate(value);
+  if (value === undefined) return 'undefined';
+  if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+  if (typeof value !== 'object') return String(value);
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack || null };
+  }
+  if (typeof Element !== 'undefined' && value instanceof Element) {
+    const id = value.id ? `#${value.id}` : '';
+    const classes = Array.from(value.classList, name => `.${name}`).join('');
+    return `<${value.tagName.toLowerCase()}${id}${classes}>`;
+  }
+
+  const seen = new WeakSet();
+  try {
+    return truncate(JSON.stringify(value, (key, item) => {
+      if (typeof item === 'object' && item !== null) {
+        if (seen.has(item)) return '[Circular]';
+        seen.add(item);
+      }
+      return typeof item === 'function' ? `[Function ${item.name || 'anonymous'}]` : item;
+    }));
+  } catch (error) {
+    return truncate(String(value));
+  }
+}
+
+/**
+ * Returns the stack of the code that called a patched console method, without the
+ * "Error" line and the recorder's own frame.
+ * @returns {Array<string>} The stack frames, innermost first.
+ */
+function getCallerStack() {
+  const frames = (new Error().stack || '').split('\n').slice(1).map(line => line.trim()).filter(Boolean);
+  // Drop getCallerStack and the patched console method
+  return frames.slice(2);
+}
+
+/**
+ * Adds an entry, dropping it once the cap is reached.
+ * @param {object} entry - The entry.
+ */
+function addEntry(entry) {
+  if (consoleEntries.length >= maxEntries) {
+    droppedEntries++;
+    return;
+  }
+  consoleEntries.push({ timestamp: new Date().toISOString(), ...entry });
+}
+
+/**
+ * Creates the replacement for a console method. Calls made by the extension itself
+ * (its scripts are loaded from chrome-extension:// URLs) are passed through unrecorded.
+ * @param {string} level - The console method name.
+ * @returns {Function} The patched method.
+ */
+function createPatchedMethod(level) {
+  return function patchedConsoleMethod(...args) {
+    const stack = getCallerStack();
+    if (!stack[0]?.includes('chrome-extension://')) {
+      const serialized = args.map(serializeConsoleValue);
+      addEntry({
+        source: 'console',
+        level,
+        message: serialized.map(value => (value?.message !== undefined ? `${value.name}: ${value.message}` : String(value))).join(' '),
+        args: serialized,
+        stack: STACK_LEVELS.has(level) ? stack : null
+      });
+    }
+    return originalConsole[level].apply(console, args);
+  };
+}
+
+/**
+ * Records uncaught errors. Resource load errors do not bubble to window, so only script
+ * errors arrive here.
+ * @param {ErrorEvent} event - The error event.
+ */
+function handleError(event) {
+  addEntry({
+    source: 'exception',
+    level: 'error',
+    message: event.message || String(event.error),
+    args: event.error !== undefined ? [serializeConsoleValue(event.error)] : [],
+    location: event.filename ? { url: event.filename, line: event.lineno, column: event.colno } : null,
+    stack: event.error?.stack ? event.error.stack.split('\n').slice(1).map(line => line.trim()).filter(Boolean) : null
+  });
+}
+
+/**
+ * Records promise rejections that nothing handled.
+ * @param {PromiseRejectionEvent} event - The rejection event.
+ */
+function handleRejection(event) {
+  const reason = event.reason;
+  addEntry({
+    source: 'unhandledrejection',
+    level: 'error',
+    message: reason instanceof Error ? `${reason.name}: ${reason.message}` : String(serializeConsoleValue(reason)),
+    args: [serializeConsoleValue(reason)],
+    stack: reason?.stack ? String(reason.stack).split('\n').slice(1).map(line => line.trim()).filter(Boolean) : null
+  });
+}
+
+/**
+ * Starts recording console calls, uncaught errors and unhandled promise rejections.
+ * Clears any previously recorded entries.
+ * @param {object} [options={}] - Recording options.
+ * @param {number} [options.maxEntries=1000] - Maximum number of entries to keep.
+ */
+export function startConsoleRecording(options = {}) {
+  if (isRecording) return; // Prevent double patching
+
+  consoleEntries = [];
+  droppedEntries = 0;
+  maxEntries = Number(options.maxEntries) || 1000;
+  startedAt = new Date().toISOString();
+
+  CONSOLE_LEVELS.forEach(level => {
+    originalConsole[level] = console[level];
+    console[level] = createPatchedMethod(level);
+  });
+  window.addEventListener('error', handleError);
+  window.addEventListener('unhandledrejection', handleRejection);
+
+  isRecording = true;
+}
+
+/**
+ * Returns the recording so far.
+ * @returns {{recording: boolean, startedAt: string | null, endedAt: string, summary: object, dropped: number, entries: Array<object>}}
+ *   The entries with a count per level.
+ */
+export function getConsoleLog() {
+  const byLevel = {};
+  consoleEntries.forEach(entry => {
+    byLevel[entry.level] = (byLevel[entry.level] || 0) + 1;
+  });
+  return {
+    recording: isRecording,
+    startedAt,
+    endedAt: new Date().toISOString(),
+    summary: { total: consoleEntries.length, byLevel },
+    dropped: droppedEntries,
+    entries: [...consoleEntries]
+  };
+}
+
+/**
+ * Stops recording, restoring the original console methods.
+ * @returns {object} The recording, as returned by getConsoleLog.
+ */
+export function stopConsoleRecording() {
+  const log = getConsoleLog();
+  if (!isRecording) return log;
+
+  CONSOLE_LEVELS.forEach(level => {
+    console[level] = originalConsole[level];
+  });
+  originalConsole = {};
+  window.removeEventListener('error', handleError);
+  window.removeEventListener('unhandledrejection', handleRejection);
+
+  isRecording = false;
+  return log;
+}
@@ -0,0 +1,100 @@
+import {
+  serializeConsoleValue,
+  startConsoleRecording,
+  stopConsoleRecording,
+  getConsoleLog
+} from './consoleRecorder';
+
+describe('Console Recorder Module', () => {
+  beforeEach(() => {
+    ['log', 'warn', 'error'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+  });
+
+  afterEach(() => {
+    stopConsoleRecording();
+    jest.restoreAllMocks();
+  });
+
+  test('serializeConsoleValue should keep primitives and preview objects', () => {
+    const circular = { name: 'loop' };
+    circular.self = circular;
+    const element = document.createElement('div');
+    element.id = 'app';
+    element.className = 'shell dark';
+
+    expect(serializeConsoleValue(42)).toBe(42);
+    expect(serializeConsoleValue(undefined)).toBe('undefined');
+    expect(serializeConsoleValue({ a: [1, 2] })).toBe('{"a":[1,2]}');
+    expect(serializeConsoleValue(circular)).toBe('{"name":"loop","self":"[Circular]"}');
+    expect(serializeConsoleValue(element)).toBe('<div#app.shell.dark>');
+    expect(serializeConsoleValue(function onLoad() {})).toBe('[Function onLoad]');
+    expect(serializeConsoleValue(new TypeError('bad'))).toMatchObject({ name: 'TypeError', message: 'bad' });
+    expect(serializeConsoleValue('x'.repeat(3000))).toHaveLength(2001);
+  });
+
+  test('should record console calls with levels and stacks while passing them through', () => {
+    const originalLog = console.log;
+    startConsoleRecording();
+
+    console.log('Loaded', { items: 3 });
+    console.error('Request failed', 500);
+
+    expect(originalLog).toHaveBeenCalledWith('Loaded', { items: 3 });
+    const { entries, summary, recording } = getConsoleLog();
+    expect(recording).toBe(true);
+    expect(summary).toEqual({ total: 2, byLevel: { log: 1, error: 1 } });
+    expect(entries[0]).toMatchObject({
+      source: 'console',
+      level: 'log',
+      message: 'Loaded {"items":3}',
+      args: ['Loaded', '{"items":3}'],
+      stack: null
+    });
+    expect(entries[0].timestamp).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    expect(entries[1].args).toEqual(['Request failed', 500]);
+    expect(entries[1].stack[0]).toContain('consoleRecorder.test.js');
+  });
+
+  test('should record uncaught errors and unhandled rejections', () => {
+    startConsoleRecording();
+    const error = new Error('Cannot read properties of undefined');
+
+    window.dispatchEvent(new ErrorEvent('error', { message: error.message, filename: 'https://example.com/app.js', lineno: 10, colno: 4, error }));
+    const rejection = new Event('unhandledrejection');
+    rejection.reason = new TypeError('Network down');
+    window.dispatchEvent(rejection);
+
+    const { entries } = getConsoleLog();
+    expect(entries[0]).toMatchObject({
+      source: 'exception',
+      level: 'error',
+      message: 'Cannot read properties of undefined',
+      location: { url: 'https://example.com/app.js', line: 10, column: 4 }
+    });
+    expect(entries[0].stack.length).toBeGreaterThan(0);
+    expect(entries[1]).toMatchObject({ source: 'unhandledrejection', level: 'error', message: 'TypeError: Network down' });
+  });
+
+  test('should cap the number of entries', () => {
+    startConsoleRecording({ maxEntries: 2 });
+    console.log('a');
+    console.log('b');
+    console.log('c');
+
+    expect(getConsoleLog()).toMatchObject({ dropped: 1, summary: { total: 2 } });
+  });
+
+  test('stopConsoleRecording should restore console and stop listening', () => {
+    const originalWarn = console.warn;
+    startConsoleRecording();
+    expect(console.warn).not.toBe(originalWarn);
+    console.warn('Deprecated');
+
+    const log = stopConsoleRecording();
+
+    expect(console.warn).toBe(originalWarn);
+    expect(log.entries).toHaveLength(1);
+    window.dispatchEvent(new ErrorEvent('error', { message: 'Late' }));
+    expect(getConsoleLog()).toMatchObject({ recording: false, summary: { total: 1 } });
+  });
+});
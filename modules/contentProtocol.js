@@ -0,0 +1,73 @@
+// Content Script Protocol Module
+// NOTE: This module is intended to run in the background (service worker) context.
+// content.js also loads it to build its responses, so both sides share one envelope.
+
+/** @type {number} - Version of the response envelope returned by content script commands. */
+export const CONTENT_PROTOCOL_VERSION = 1;
+
+/**
+ * Wraps a successful command result in the versioned response envelope.
+ * @param {string} action - The command that was handled.
+ * @param {*} data - The command result.
+ * @returns {{protocolVersion: number, action: string, ok: true, data: *}} The response.
+ */
+export function createResponse(action, data) {
+  return { protocolVersion: CONTENT_PROTOCOL_VERSION, action, ok: true, data };
+}
+
+/**
+ * Wraps a command failure in the versioned response envelope.
+ * @param {string} action - The command that failed.
+ * @param {Error | string} error - The error.
+ * @returns {{protocolVersion: number, action: string, ok: false, error: string}} The response.
+ */
+export function createErrorResponse(action, error) {
+  return {
+    protocolVersion: CONTENT_PROTOCOL_VERSION,
+    action,
+    ok: false,
+    error: error instanceof Error ? error.message : String(error)
+  };
+}
+
+/**
+ * Extracts the result from a content script response.
+ * @param {object} response - The response received from chrome.tabs.sendMessage.
+ * @param {string} action - The command that was sent, used in error messages.
+ * @returns {*} The command result.
+ * @throws {Error} Throws if there was no response, the protocol version differs, or the command failed.
+ */
+export function unwrapResponse(response, action) {
+  if (!response || typeof response !== 'object' || response.protocolVersion === undefined) {
+    throw new Error(`No valid response to "${action}" from the content script`);
+  }
+  if (response.protocolVersion !== CONTENT_PROTOCOL_VERSION) {
+    throw new Error(`Content script protocol version ${response.protocolVersion} does not match ${CONTENT_PROTOCOL_VERSION}; reload the page`);
+  }
+  if (!response.ok) {
+    throw new Error(response.error || `Content script command "${action}" failed`);
+  }
+  return response.data;
+}
+
+/**
+ * Sends a command to the content script of a tab and returns its result.
+ * @param {number} tabId - The ID of the tab.
+ * @param {string} action - The command name (e.g. 'getHTML').
+ * @param {object} [params={}] - Additional command parameters, sent alongside the action.
+ * @returns {Promise<*>} The command result.
+ * @throws {Error} Throws if the message cannot be delivered or the command fails.
+ */
+export async function sendContentCommand(tabId, action, params = {}) {
+  const response = await chrome.tabs.sendMessage(tabId, { ...params, action });
+  return unwrapResponse(response, action);
+}
+
+/**
+ * Checks whether a response is a successful reply to the 'ping' command.
+ * @param {object} response - The response received from chrome.tabs.sendMessage.
+ * @returns {boolean} True if the content script answered the ping.
+ */
+export function isPong(response) {
+  return response?.protocolVersion === CONTENT_PROTOCOL_VERSION && response.ok && response.data === 'pong';
+}
@@ -0,0 +1,50 @@
+import {
+  CONTENT_PROTOCOL_VERSION,
+  createResponse,
+  createErrorResponse,
+  unwrapResponse,
+  sendContentCommand,
+  isPong
+} from './contentProtocol';
+
+describe('Content Protocol Module', () => {
+  afterEach(() => {
+    delete global.chrome;
+  });
+
+  test('createResponse and createErrorResponse should build versioned envelopes', () => {
+    expect(createResponse('getText', 'hello')).toEqual({
+      protocolVersion: CONTENT_PROTOCOL_VERSION, action: 'getText', ok: true, data: 'hello'
+    });
+    expect(createErrorResponse('getText', new Error('boom'))).toEqual({
+      protocolVersion: CONTENT_PROTOCOL_VERSION, action: 'getText', ok: false, error: 'boom'
+    });
+  });
+
+  test('unwrapResponse should return the data of a successful response', () => {
+    expect(unwrapResponse(createResponse('getHTML', '<html></html>'), 'getHTML')).toBe('<html></html>');
+    expect(unwrapResponse(createResponse('scrollTo', null), 'scrollTo')).toBeNull();
+  });
+
+  test('unwrapResponse should throw on failures, missing and unversioned responses', () => {
+    expect(() => unwrapResponse(createErrorResponse('getText', 'Unhandled action'), 'getText')).toThrow('Unhandled action');
+    expect(() => unwrapResponse(undefined, 'getText')).toThrow('No valid response to "getText"');
+    expect(() => unwrapResponse('pong', 'ping')).toThrow('No valid response');
+    expect(() => unwrapResponse({ ...createResponse('ping', 'pong'), protocolVersion: 99 }, 'ping')).toThrow('protocol version 99');
+  });
+
+  test('sendContentCommand should send the action with its parameters and unwrap the result', async () => {
+    global.chrome = {
+      tabs: { sendMessage: jest.fn(async (tabId, message) => createResponse(message.action, { x: 0, y: message.position })) }
+    };
+
+    await expect(sendContentCommand(7, 'scrollTo', { position: 400 })).resolves.toEqual({ x: 0, y: 400 });
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(7, { action: 'scrollTo', position: 400 });
+  });
+
+  test('isPong should only accept a successful versioned ping', () => {
+    expect(isPong(createResponse('ping', 'pong'))).toBe(true);
+    expect(isPong('pong')).toBe(false);
+    expect(isPong(createErrorResponse('ping', 'failed'))).toBe(false);
+  });
+});
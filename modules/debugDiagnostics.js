@@ -1,4 +1,5 @@
 // Comprehensive Diagnostic Module for SiteScribe
+import { isPong } from './contentProtocol.js';
 
 export async function runDiagnostics() {
   const diagnostics = {
@@ -37,7 +38,7 @@ async function testContentScriptInjection() {
     if (tabs.length === 0) return { error: 'No active tab found' };
 
     const result = await chrome.tabs.sendMessage(tabs[0].id, { action: 'ping' });
-    return result === 'pong' ? 'Successful' : 'Failed';
+    return isPong(result) ? 'Successful' : 'Failed';
   } catch (error) {
     return { error: error.message };
   }
@@ -0,0 +1,291 @@
+// DOM Snapshot Module
+// NOTE: This module is intended to run in the content script context.
+// cloneNode() drops shadow roots and frame documents; these helpers walk and copy the
+// page as it is rendered, including open shadow roots and frames the page can reach.
+// Cross-origin frames are only marked here; the background serializes them in their own
+// documents and nests them in place (see frameSnapshots.js). Text and Markdown captures
+// cover the frames the page can reach.
+
+/** @type {Set<string>} - Elements whose text starts and ends a line in getComposedText. */
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DETAILS', 'DIV', 'DL', 'DT', 'FIELDSET', 'FIGCAPTION', 'FIGURE',
+  'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE',
+  'SECTION', 'SUMMARY', 'TABLE', 'TR', 'UL', 'IFRAME', 'FRAME'
+]);
+
+/** @type {Set<string>} - Elements that never contribute text. */
+const NON_TEXT_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD']);
+
+/**
+ * Returns the document of a frame if the page can read it (same-origin, about:blank,
+ * srcdoc and data frames the browser treats as same-origin). Cross-origin frames throw
+ * or return null and are left alone.
+ * @param {Element} element - An <iframe> or <frame> element.
+ * @returns {Document | null} The frame document, or null if it is not accessible.
+ */
+export function getAccessibleFrameDocument(element) {
+  const tag = element.tagName?.toUpperCase();
+  if (tag !== 'IFRAME' && tag !== 'FRAME') return null;
+  try {
+    const frameDocument = element.contentDocument;
+    return frameDocument?.documentElement ? frameDocument : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Returns the children of a node in the flat tree, i.e. as the page renders it: a shadow
+ * host shows its shadow root, a <slot> shows the nodes assigned to it (or its fallback
+ * content), and an accessible frame shows its document's body.
+ * @param {Node} node - The node.
+ * @returns {Array<Node>} The rendered children.
+ */
+export function getRenderedChildren(node) {
+  if (node.nodeType === Node.ELEMENT_NODE) {
+    if (node.shadowRoot) return Array.from(node.shadowRoot.childNodes);
+    if (node.tagName.toUpperCase() === 'SLOT' && typeof node.assignedNodes === 'function') {
+      const assigned = node.assignedNodes({ flatten: true });
+      if (assigned.length > 0) return assigned;
+    }
+    const frameDocument = getAccessibleFrameDocument(node);
+    if (frameDocument) return frameDocument.body ? [frameDocument.body] : [];
+  }
+  return Array.from(node.childNodes);
+}
+
+/**
+ * Checks whether a document has content that cloneNode() and innerText miss: open shadow
+ * roots or accessible frames.
+ * @param {Document} [doc=document] - The document.
+ * @returns {boolean} True if the flat tree differs from the light DOM.
+ */
+export function hasComposedContent(doc = document) {
+  return Array.from(doc.querySelectorAll('*')).some(element =>
+    Boolean(element.shadowRoot || getAccessibleFrameDocument(element)));
+}
+
+/** @type {string} - Elements left out of HTML captures. */
+export const CLEAN_HTML_EXCLUDE = 'script, style, link[rel="stylesheet"], meta[http-equiv], meta[name="viewport"]';
+
+/** @type {string} - Attribute marking frames whose document could not be read; see cloneComposed. */
+export const FRAME_MARKER_ATTRIBUTE = 'data-sitescribe-frame';
+
+/**
+ * Creates a frameMarker for cloneComposed that labels a frame with `<token>-<frameId>`,
+ * the extension's id for the frame, so the background can inject into that frame.
+ * @param {string} token - A token unique to the capture, so page markup cannot pose as a marker.
+ * @returns {function(Element): (string | null)} The marker, or null if the frame has no id yet.
+ */
+export function createFrameMarker(token) {
+  return element => {
+    try {
+      const frameId = chrome.runtime.getFrameId(element);
+      return frameId >= 0 ? `${token}-${frameId}` : null;
+    } catch (error) {
+      return null;
+    }
+  };
+}
+
+/** @type {string} - Prefix of the src given to canvases that could not be exported; see cloneComposed. */
+export const CANVAS_FALLBACK_PREFIX = 'about:blank#canvas-fallback-';
+
+/**
+ * Writes the live state of a form control into the attributes of its clone, since
+ * cloneNode() copies the markup's initial state rather than what the user entered.
+ * Password and file inputs are left untouched so secrets are never archived.
+ * @param {Element} source - The element in the page.
+ * @param {Element} copy - Its clone.
+ */
+export function copyFormState(source, copy) {
+  switch (source.tagName.toUpperCase()) {
+    case 'INPUT': {
+      const type = (source.type || 'text').toLowerCase();
+      if (type === 'checkbox' || type === 'radio') {
+        copy.toggleAttribute('checked', source.checked);
+      } else if (type !== 'password' && type !== 'file') {
+        copy.setAttribute('value', source.value);
+      }
+      break;
+    }
+    case 'TEXTAREA':
+      copy.textContent = source.value;
+      break;
+    case 'OPTION':
+      copy.toggleAttribute('selected', source.selected);
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Replaces a canvas with an <img> of its current contents. The image keeps the canvas's
+ * id, class, style, size and label so the page layout is unchanged.
+ * @param {HTMLCanvasElement} canvas - The canvas in the page.
+ * @returns {{image: HTMLImageElement, exported: boolean}} The image, and whether the pixels
+ *   could be read; a tainted (cross-origin) canvas throws on toDataURL and yields an image without src.
+ */
+export function canvasToImage(canvas) {
+  const image = canvas.ownerDocument.createElement('img');
+  ['id', 'class', 'style', 'width', 'height', 'title'].forEach(name => {
+    if (canvas.hasAttribute(name)) image.setAttribute(name, canvas.getAttribute(name));
+  });
+  image.setAttribute('alt', canvas.getAttribute('aria-label') || canvas.textContent.trim() || 'Canvas snapshot');
+
+  let dataUrl = null;
+  try {
+    dataUrl = canvas.toDataURL('image/png');
+  } catch (error) {
+    // SecurityError: the canvas is tainted by cross-origin content
+  }
+  const exported = typeof dataUrl === 'string' && dataUrl.startsWith('data:image/');
+  if (exported) image.setAttribute('src', dataUrl);
+  return { image, exported };
+}
+
+/**
+ * Serializes the stylesheets adopted by a shadow root (constructable stylesheets have no
+ * element of their own, so cloning loses them).
+ * @param {ShadowRoot} shadowRoot - The shadow root.
+ * @returns {string} The CSS text.
+ */
+function getAdoptedStyles(shadowRoot) {
+  return Array.from(shadowRoot.adoptedStyleSheets || []).map(sheet => {
+    try {
+      return Array.from(sheet.cssRules, rule => rule.cssText).join('\n');
+    } catch (error) {
+      return '';
+    }
+  }).filter(Boolean).join('\n');
+}
+
+/**
+ * Deep-clones a node, keeping what cloneNode() drops: open shadow roots become
+ * declarative shadow DOM (`<template shadowrootmode="open">`) and accessible frames get
+ * their document inlined as srcdoc, so the saved page renders them in place.
+ * With preserveState, form values are written into attributes and canvases become
+ * images. A canvas that cannot be exported gets the src `${CANVAS_FALLBACK_PREFIX}<n>`
+ * and, if it belongs to the top document, is appended to taintedCanvases (n is its index
+ * there) so the caller can substitute a screenshot. Frames whose document cannot be read
+ * get the FRAME_MARKER_ATTRIBUTE returned by frameMarker, if any.
+ * @param {Node} node - The node to clone.
+ * @param {object} [options={}] - Clone options.
+ * @param {string} [options.exclude] - Selector of elements to leave out, at any depth.
+ * @param {boolean} [options.preserveState=false] - Whether to keep form state and canvas contents.
+ * @param {Array<HTMLCanvasElement>} [options.taintedCanvases] - Receives canvases that could not be exported.
+ * @param {function(Element): (string | null)} [options.frameMarker] - Labels frames that cannot be read
+ *   (see createFrameMarker).
+ * @returns {Node} The clone.
+ */
+export function cloneComposed(node, options = {}) {
+  const { exclude, preserveState = false, taintedCanvases, frameMarker } = options;
+  const ownerDocument = node.ownerDocument || node;
+
+  const cloneInto = (source, target) => {
+    Array.from(source.childNodes).forEach(child => {
+      if (child.nodeType === Node.ELEMENT_NODE && exclude && child.matches(exclude)) return;
+      target.appendChild(cloneTree(child));
+    });
+  };
+
+  const cloneTree = source => {
+    if (source.nodeType !== Node.ELEMENT_NODE) return source.cloneNode(true);
+    if (preserveState && source.tagName.toUpperCase() === 'CANVAS') {
+      const { image, exported } = canvasToImage(source);
+      if (!exported && taintedCanvases) {
+        image.setAttribute('src', `${CANVAS_FALLBACK_PREFIX}${taintedCanvases.length}`);
+        taintedCanvases.push(source);
+      }
+      return image;
+    }
+    const copy = source.cloneNode(false);
+
+    if (source.shadowRoot) {
+      const template = ownerDocument.createElement('template');
+      template.setAttribute('shadowrootmode', source.shadowRoot.mode || 'open');
+      if (source.shadowRoot.delegatesFocus) template.setAttribute('shadowrootdelegatesfocus', '');
+      const adopted = getAdoptedStyles(source.shadowRoot);
+      if (adopted) {
+        const style = ownerDocument.createElement('style');
+        style.textContent = adopted;
+        template.content.appendChild(style);
+      }
+      cloneInto(source.shadowRoot, template.content);
+      copy.appendChild(template);
+    }
+
+    if (source.tagName.toUpperCase() === 'TEMPLATE') {
+      cloneInto(source.content, copy.content);
+    } else {
+      cloneInto(source, copy);
+    }
+    // After the children, so a textarea's value replaces its initial text
+    if (preserveState) copyFormState(source, copy);
+
+    const frameDocument = getAccessibleFrameDocument(source);
+    if (frameDocument) {
+      // Screenshot fallbacks are positioned in the top document only
+      copy.setAttribute('srcdoc', serializeDocument(frameDocument, { exclude, preserveState, frameMarker }));
+    } else if (frameMarker && ['IFRAME', 'FRAME'].includes(source.tagName.toUpperCase())) {
+      const marker = frameMarker(source);
+      if (marker) copy.setAttribute(FRAME_MARKER_ATTRIBUTE, marker);
+    }
+    return copy;
+  };
+
+  return cloneTree(node);
+}
+
+/**
+ * Serializes a whole document with its shadow roots and accessible frames.
+ * @param {Document} doc - The document.
+ * @param {object} [options={}] - Options passed to cloneComposed.
+ * @returns {string} The HTML, with a doctype.
+ */
+export function serializeDocument(doc, options = {}) {
+  return `<!DOCTYPE html>\n${cloneComposed(doc.documentElement, options).outerHTML}`;
+}
+
+/**
+ * Extracts the text of a subtree following the flat tree, so text inside shadow roots
+ * and accessible frames is included. Block elements start new lines, as with innerText.
+ * @param {Node} root - The root node.
+ * @returns {string} The text.
+ */
+export function getComposedText(root) {
+  const parts = [];
+  const visit = node => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      parts.push(node.textContent.replace(/\s+/g, ' '));
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE && node.nodeType !== Node.DOCUMENT_FRAGMENT_NODE) return;
+    const tag = node.tagName?.toUpperCase();
+    if (tag && (NON_TEXT_TAGS.has(tag) || node.hasAttribute('hidden'))) return;
+    if (tag === 'BR') {
+      parts.push('\n');
+      return;
+    }
+    if (tag === 'PRE') {
+      // Keep preformatted whitespace; a marker stops the line tidy-up below from touching it
+      parts.push(`\n${node.textContent.replace(/\n/g, '\u0000')}\n`);
+      return;
+    }
+    const block = tag && BLOCK_TAGS.has(tag);
+    if (block) parts.push('\n');
+    getRenderedChildren(node).forEach(visit);
+    if (tag === 'TD' || tag === 'TH') parts.push('\t');
+    if (block) parts.push('\n');
+  };
+  visit(root);
+
+  return parts.join('')
+    .split('\n')
+    .map(line => line.replace(/[ \t]+$/, '').replace(/^ +/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/\u0000/g, '\n')
+    .trim();
+}
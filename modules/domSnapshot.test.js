@@ -0,0 +1,201 @@
+import {
+  getAccessibleFrameDocument,
+  getRenderedChildren,
+  hasComposedContent,
+  cloneComposed,
+  serializeDocument,
+  getComposedText,
+  copyFormState,
+  canvasToImage,
+  createFrameMarker,
+  CANVAS_FALLBACK_PREFIX,
+  FRAME_MARKER_ATTRIBUTE
+} from './domSnapshot';
+
+describe('DOM Snapshot Module', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Builds a shadow host whose shadow root wraps the light DOM content in a slot.
+   * @returns {HTMLElement} The host.
+   */
+  function createCard() {
+    const host = document.createElement('x-card');
+    host.innerHTML = '<span>Light content</span>';
+    const shadow = host.attachShadow({ mode: 'open' });
+    shadow.innerHTML = '<style>h2 { color: red; }</style><h2>Card title</h2><slot></slot><script>bad()</script>';
+    document.body.appendChild(host);
+    return host;
+  }
+
+  /**
+   * Adds a same-origin iframe with the given body content.
+   * @param {string} html - The frame body.
+   * @returns {HTMLIFrameElement} The frame.
+   */
+  function createFrame(html) {
+    const frame = document.createElement('iframe');
+    document.body.appendChild(frame);
+    frame.contentDocument.body.innerHTML = html;
+    return frame;
+  }
+
+  test('getAccessibleFrameDocument should return same-origin frame documents only', () => {
+    const frame = createFrame('<p>Inside</p>');
+    expect(getAccessibleFrameDocument(frame)).toBe(frame.contentDocument);
+    expect(getAccessibleFrameDocument(document.createElement('div'))).toBeNull();
+
+    const blocked = document.createElement('iframe');
+    Object.defineProperty(blocked, 'contentDocument', { get: () => { throw new Error('SecurityError'); } });
+    expect(getAccessibleFrameDocument(blocked)).toBeNull();
+  });
+
+  test('getRenderedChildren should follow shadow roots, slots and frames', () => {
+    const host = createCard();
+    const slot = host.shadowRoot.querySelector('slot');
+    const frame = createFrame('<p>Inside</p>');
+
+    expect(getRenderedChildren(host).map(node => node.nodeName)).toEqual(['STYLE', 'H2', 'SLOT', 'SCRIPT']);
+    expect(getRenderedChildren(slot).map(node => node.textContent)).toEqual(['Light content']);
+    expect(getRenderedChildren(frame)).toEqual([frame.contentDocument.body]);
+  });
+
+  test('hasComposedContent should detect shadow hosts and frames', () => {
+    document.body.innerHTML = '<p>Plain</p>';
+    expect(hasComposedContent(document)).toBe(false);
+    createCard();
+    expect(hasComposedContent(document)).toBe(true);
+  });
+
+  test('cloneComposed should keep shadow roots as declarative shadow DOM', () => {
+    const host = createCard();
+
+    const clone = cloneComposed(host, { exclude: 'script' });
+    const template = clone.querySelector('template');
+
+    expect(template.getAttribute('shadowrootmode')).toBe('open');
+    expect(template.innerHTML).toBe('<style>h2 { color: red; }</style><h2>Card title</h2><slot></slot>');
+    expect(clone.outerHTML).toBe(
+      '<x-card><template shadowrootmode="open"><style>h2 { color: red; }</style><h2>Card title</h2><slot></slot></template>'
+      + '<span>Light content</span></x-card>'
+    );
+  });
+
+  test('cloneComposed should inline accessible frames as srcdoc', () => {
+    document.body.innerHTML = '<p>Before</p>';
+    createFrame('<p>Inside</p><script>track()</script>');
+
+    const clone = cloneComposed(document.body, { exclude: 'script' });
+    const srcdoc = clone.querySelector('iframe').getAttribute('srcdoc');
+
+    expect(srcdoc).toMatch(/^<!DOCTYPE html>\n<html>/);
+    expect(srcdoc).toContain('<p>Inside</p>');
+    expect(srcdoc).not.toContain('track()');
+  });
+
+  test('cloneComposed should mark frames it cannot read with the frameMarker', () => {
+    document.body.innerHTML = '<iframe src="https://ads.example/"></iframe><div></div>';
+    const blocked = document.querySelector('iframe');
+    Object.defineProperty(blocked, 'contentDocument', { get: () => null });
+    const frameMarker = jest.fn(() => 'token-7');
+
+    const clone = cloneComposed(document.body, { frameMarker });
+
+    expect(frameMarker).toHaveBeenCalledTimes(1);
+    expect(frameMarker).toHaveBeenCalledWith(blocked);
+    expect(clone.querySelector('iframe').getAttribute(FRAME_MARKER_ATTRIBUTE)).toBe('token-7');
+    expect(cloneComposed(document.body).querySelector('iframe').hasAttribute(FRAME_MARKER_ATTRIBUTE)).toBe(false);
+  });
+
+  test('createFrameMarker should label frames with their extension frame id', () => {
+    global.chrome = { runtime: { getFrameId: jest.fn(() => 12) } };
+    const frame = document.createElement('iframe');
+    expect(createFrameMarker('abc')(frame)).toBe('abc-12');
+
+    chrome.runtime.getFrameId.mockReturnValueOnce(-1);
+    expect(createFrameMarker('abc')(frame)).toBeNull();
+    chrome.runtime.getFrameId.mockImplementationOnce(() => { throw new Error('Invalid frame'); });
+    expect(createFrameMarker('abc')(frame)).toBeNull();
+    delete global.chrome;
+  });
+
+  test('serializeDocument should include the doctype and leave the page untouched', () => {
+    createCard();
+    const html = serializeDocument(document, { exclude: 'script' });
+
+    expect(html.startsWith('<!DOCTYPE html>\n<html')).toBe(true);
+    expect(html).toContain('<template shadowrootmode="open">');
+    expect(document.querySelector('template')).toBeNull();
+  });
+
+  test('getComposedText should include shadow and frame text in rendered order', () => {
+    document.body.innerHTML = '<h1>Page</h1>';
+    createCard();
+    createFrame('<p>Framed   text</p><pre>a\n  b</pre>');
+
+    expect(getComposedText(document.body)).toBe('Page\n\nCard title\nLight content\n\nFramed text\n\na\n  b');
+  });
+
+  test('copyFormState should write live values into attributes but skip passwords', () => {
+    document.body.innerHTML = `
+      <input id="name" value="initial">
+      <input id="secret" type="password">
+      <input id="agree" type="checkbox" checked>
+      <textarea id="comment">Initial</textarea>
+      <select id="size"><option selected>S</option><option>M</option></select>
+    `;
+    document.getElementById('name').value = 'Typed';
+    document.getElementById('secret').value = 'hunter2';
+    document.getElementById('agree').checked = false;
+    document.getElementById('comment').value = 'Edited';
+    document.getElementById('size').value = 'M';
+
+    const clone = cloneComposed(document.body, { preserveState: true });
+
+    expect(clone.querySelector('#name').getAttribute('value')).toBe('Typed');
+    expect(clone.querySelector('#secret').hasAttribute('value')).toBe(false);
+    expect(clone.querySelector('#agree').hasAttribute('checked')).toBe(false);
+    expect(clone.querySelector('#comment').textContent).toBe('Edited');
+    expect(Array.from(clone.querySelectorAll('option'), option => option.hasAttribute('selected'))).toEqual([false, true]);
+
+    // Without preserveState the markup's initial state is kept
+    expect(cloneComposed(document.body).querySelector('#name').getAttribute('value')).toBe('initial');
+  });
+
+  test('copyFormState should ignore other elements', () => {
+    const source = document.createElement('div');
+    const copy = source.cloneNode(false);
+    copyFormState(source, copy);
+    expect(copy.outerHTML).toBe('<div></div>');
+  });
+
+  test('canvasToImage should keep the canvas attributes and embed its pixels', () => {
+    jest.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockReturnValue('data:image/png;base64,AAAA');
+    document.body.innerHTML = '<canvas id="chart" class="wide" width="300" height="150" aria-label="Sales chart"></canvas>';
+
+    const { image, exported } = canvasToImage(document.getElementById('chart'));
+
+    expect(exported).toBe(true);
+    expect(image.outerHTML).toBe(
+      '<img id="chart" class="wide" width="300" height="150" alt="Sales chart" src="data:image/png;base64,AAAA">'
+    );
+  });
+
+  test('cloneComposed should report tainted canvases with placeholders', () => {
+    jest.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockImplementation(() => {
+      throw new Error('SecurityError');
+    });
+    document.body.innerHTML = '<p>Map</p><canvas id="map"></canvas>';
+    const taintedCanvases = [];
+
+    const clone = cloneComposed(document.body, { preserveState: true, taintedCanvases });
+
+    expect(clone.querySelector('canvas')).toBeNull();
+    expect(clone.querySelector('img').getAttribute('src')).toBe(`${CANVAS_FALLBACK_PREFIX}0`);
+    expect(clone.querySelector('img').getAttribute('alt')).toBe('Canvas snapshot');
+    expect(taintedCanvases).toEqual([document.getElementById('map')]);
+  });
+});
@@ -0,0 +1,110 @@
+// Element Capture Module
+// NOTE: This module is intended to run in the background (service worker) context.
+import { logger } from './extensionLogger.js';
+import { CAPTURE_FORMATS, screenshotRateLimit } from './captureManager.js';
+import { sendContentCommand } from './contentProtocol.js';
+import { blobToDataUrl } from './utils.js';
+import {
+  SCROLL_SETTLE_DELAY,
+  planScrollPositions,
+  scrollPageTo,
+  runInPage,
+  dataUrlToBitmap
+} from './fullPageScreenshot.js';
+
+/**
+ * Builds the list of files saved for a picked element.
+ * @param {{selector: string, rect: Object, outerHTML: string, markdown: string}} element - The picked element, as reported by the content script.
+ * @param {Blob} screenshot - The cropped element screenshot.
+ * @param {string} fileTimestamp - Capture timestamp used in the filenames.
+ * @returns {Array<{filename: string, data: Blob}>} The files to save.
+ */
+export function buildElementFiles(element, screenshot, fileTimestamp) {
+  const files = [
+    {
+      filename: `element_${fileTimestamp}.html`,
+      data: new Blob([element.outerHTML || ''], { type: CAPTURE_FORMATS.HTML.mimeType })
+    },
+    {
+      filename: `element_${fileTimestamp}.md`,
+      data: new Blob([element.markdown || ''], { type: CAPTURE_FORMATS.MARKDOWN.mimeType })
+    },
+    {
+      filename: `element_${fileTimestamp}.json`,
+      data: new Blob([JSON.stringify({ selector: element.selector, rect: element.rect }, null, 2)], { type: 'application/json' })
+    }
+  ];
+
+  if (screenshot) {
+    files.unshift({ filename: `element_${fileTimestamp}.png`, data: screenshot });
+  }
+  return files;
+}
+
+/**
+ * Captures a screenshot cropped to an element's bounding box.
+ * Elements taller than the viewport are captured in several scroll steps and stitched.
+ * @param {number} tabId - The ID of the tab containing the element.
+ * @param {{x: number, y: number, width: number, height: number}} rect - The element's box in document coordinates.
+ * @returns {Promise<Blob>} The cropped PNG.
+ */
+export async function captureElementScreenshot(tabId, rect) {
+  const { viewportHeight, viewportWidth, scrollY } = await sendContentCommand(tabId, 'getPageDimensions');
+  const width = Math.max(1, Math.ceil(rect.width));
+  const height = Math.max(1, Math.ceil(rect.height));
+
+  let canvas = null;
+  let context = null;
+  let scale = 1;
+
+  try {
+    for (const offset of planScrollPositions(height, viewportHeight)) {
+      const scrolled = await runInPage(tabId, scrollPageTo, [rect.y + offset, rect.x]);
+      await new Promise(resolve => setTimeout(resolve, SCROLL_SETTLE_DELAY));
+      const bitmap = await dataUrlToBitmap(await screenshotRateLimit.capture());
+
+      if (!canvas) {
+        scale = viewportWidth ? bitmap.width / viewportWidth : 1;
+        canvas = new OffscreenCanvas(Math.round(width * scale), Math.round(height * scale));
+        context = canvas.getContext('2d');
+      }
+
+      // Position the viewport tile relative to the element's top-left corner; the canvas clips the rest
+      const { x: scrollX, y: tileY } = scrolled || { x: rect.x, y: rect.y + offset };
+      context.drawImage(bitmap, Math.round((scrollX - rect.x) * scale), Math.round((tileY - rect.y) * scale));
+      bitmap.close();
+    }
+  } finally {
+    try {
+      await runInPage(tabId, scrollPageTo, [scrollY || 0]);
+    } catch (restoreError) {
+      logger.warn(`Failed to restore scroll position in tab ${tabId}:`, restoreError);
+    }
+  }
+
+  return canvas.convertToBlob({ type: CAPTURE_FORMATS.SCREENSHOT_VISIBLE.mimeType });
+}
+
+/**
+ * Fills the placeholders that the HTML capture leaves for canvases it could not export
+ * (tainted by cross-origin content) with screenshots cropped to each canvas. Canvases
+ * whose screenshot fails keep the placeholder and are logged.
+ * @param {number} tabId - The ID of the captured tab.
+ * @param {string} html - The captured HTML.
+ * @param {Array<{src: string, rect: Object}>} canvasFallbacks - Placeholders reported by getHTML.
+ * @param {function(number, Object): Promise<Blob>} [captureScreenshot=captureElementScreenshot] - Takes the crops.
+ * @returns {Promise<string>} The HTML with the screenshots inlined as data URLs.
+ */
+export async function fillCanvasFallbacks(tabId, html, canvasFallbacks = [], captureScreenshot = captureElementScreenshot) {
+  let filled = html;
+  for (const { src, rect } of canvasFallbacks) {
+    if (!rect || rect.width <= 0 || rect.height <= 0) continue;
+    try {
+      const dataUrl = await blobToDataUrl(await captureScreenshot(tabId, rect));
+      filled = filled.split(`"${src}"`).join(`"${dataUrl}"`);
+    } catch (error) {
+      logger.warn(`Canvas screenshot fallback failed for ${src}:`, error);
+    }
+  }
+  return filled;
+}
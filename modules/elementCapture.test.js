@@ -0,0 +1,48 @@
+import { buildElementFiles, fillCanvasFallbacks } from './elementCapture';
+
+describe('Element Capture Module', () => {
+  const element = {
+    selector: '#chart',
+    rect: { x: 0, y: 100, width: 300, height: 200 },
+    outerHTML: '<div id="chart"></div>',
+    markdown: 'Chart'
+  };
+
+  test('buildElementFiles should include screenshot, HTML, Markdown and selector info', () => {
+    const screenshot = new Blob(['png'], { type: 'image/png' });
+    const files = buildElementFiles(element, screenshot, 'ts');
+
+    expect(files.map(file => file.filename)).toEqual([
+      'element_ts.png',
+      'element_ts.html',
+      'element_ts.md',
+      'element_ts.json'
+    ]);
+    expect(files[0].data).toBe(screenshot);
+    expect(files[1].data.type).toBe('text/html');
+    expect(files[2].data.type).toBe('text/markdown');
+  });
+
+  test('buildElementFiles should skip the screenshot when it failed', () => {
+    const files = buildElementFiles(element, null, 'ts');
+    expect(files.map(file => file.filename)).not.toContain('element_ts.png');
+    expect(files).toHaveLength(3);
+  });
+
+  test('fillCanvasFallbacks should inline screenshots and keep placeholders that fail', async () => {
+    const html = '<img src="about:blank#canvas-fallback-0"><img src="about:blank#canvas-fallback-1">';
+    const capture = jest.fn()
+      .mockResolvedValueOnce(new Blob(['png'], { type: 'image/png' }))
+      .mockRejectedValueOnce(new Error('Tab is hidden'));
+
+    const filled = await fillCanvasFallbacks(7, html, [
+      { src: 'about:blank#canvas-fallback-0', rect: { x: 0, y: 0, width: 10, height: 10 } },
+      { src: 'about:blank#canvas-fallback-1', rect: { x: 0, y: 20, width: 10, height: 10 } },
+      { src: 'about:blank#canvas-fallback-2', rect: { x: 0, y: 0, width: 0, height: 0 } }
+    ], capture);
+
+    expect(capture).toHaveBeenCalledTimes(2);
+    expect(capture).toHaveBeenCalledWith(7, { x: 0, y: 0, width: 10, height: 10 });
+    expect(filled).toBe('<img src="data:image/png;base64,cG5n"><img src="about:blank#canvas-fallback-1">');
+  });
+});
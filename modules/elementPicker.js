@@ -0,0 +1,140 @@
+// Element Picker Module
+// NOTE: This module is intended to run in the content script context.
+
+/** @type {string} - ID of the highlight overlay injected while picking. */
+const OVERLAY_ID = 'sitescribe-picker-overlay';
+
+/**
+ * Escapes a string for use as a CSS identifier.
+ * @param {string} value - The raw identifier.
+ * @returns {string} The escaped identifier.
+ */
+function escapeIdentifier(value) {
+  return window.CSS?.escape ? CSS.escape(value) : value.replace(/([^\w-])/g, '\\$1');
+}
+
+/**
+ * Builds a CSS selector that uniquely identifies an element in its document.
+ * Prefers an ID, otherwise walks up the tree using tag names and :nth-of-type.
+ * @param {Element} element - The element to describe.
+ * @returns {string} A selector that matches only this element.
+ */
+export function getUniqueSelector(element) {
+  const parts = [];
+  let current = element;
+
+  while (current && current.nodeType === Node.ELEMENT_NODE && current !== document.documentElement) {
+    if (current.id) {
+      parts.unshift(`#${escapeIdentifier(current.id)}`);
+      break;
+    }
+
+    let part = current.tagName.toLowerCase();
+    const parent = current.parentElement;
+    if (parent) {
+      const sameTag = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+      if (sameTag.length > 1) {
+        part += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+      }
+    }
+    parts.unshift(part);
+    current = parent;
+  }
+
+  return parts.join(' > ');
+}
+
+/**
+ * Returns the element's bounding box in document coordinates (CSS pixels).
+ * @param {Element} element - The element to measure.
+ * @returns {{x: number, y: number, width: number, height: number}} The bounding box.
+ */
+export function getElementRect(element) {
+  const rect = element.getBoundingClientRect();
+  return {
+    x: rect.left + window.scrollX,
+    y: rect.top + window.scrollY,
+    width: rect.width,
+    height: rect.height
+  };
+}
+
+/**
+ * Creates the fixed-position overlay used to highlight the hovered element.
+ * @returns {HTMLElement} The overlay element, already attached to the document.
+ */
+function createOverlay() {
+  const overlay = document.createElement('div');
+  overlay.id = OVERLAY_ID;
+  Object.assign(overlay.style, {
+    position: 'fixed',
+    zIndex: '2147483647',
+    pointerEvents: 'none',
+    background: 'rgba(59, 130, 246, 0.2)',
+    outline: '2px solid #3b82f6',
+    display: 'none'
+  });
+  document.documentElement.appendChild(overlay);
+  return overlay;
+}
+
+/**
+ * Lets the user pick an element, or resolves one from a CSS selector.
+ * In interactive mode, hovering highlights elements, clicking selects one and Escape cancels.
+ * @param {Object} [options] - Picker options.
+ * @param {string} [options.selector] - CSS selector to resolve instead of prompting the user.
+ * @returns {Promise<Element>} A promise resolving to the selected element.
+ * @throws {Error} Rejects if the selector matches nothing or the user cancels.
+ */
+export function pickElement({ selector } = {}) {
+  if (selector) {
+    const element = document.querySelector(selector);
+    return element
+      ? Promise.resolve(element)
+      : Promise.reject(new Error(`No element matches selector: ${selector}`));
+  }
+
+  return new Promise((resolve, reject) => {
+    const overlay = createOverlay();
+    let hovered = null;
+
+    const cleanup = () => {
+      document.removeEventListener('mousemove', handleMove, true);
+      document.removeEventListener('click', handleClick, true);
+      document.removeEventListener('keydown', handleKey, true);
+      overlay.remove();
+    };
+
+    const handleMove = (event) => {
+      const target = event.target;
+      if (!(target instanceof Element) || target === overlay) return;
+      hovered = target;
+      const rect = target.getBoundingClientRect();
+      Object.assign(overlay.style, {
+        display: 'block',
+        top: `${rect.top}px`,
+        left: `${rect.left}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`
+      });
+    };
+
+    const handleClick = (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      cleanup();
+      resolve(hovered || event.target);
+    };
+
+    const handleKey = (event) => {
+      if (event.key !== 'Escape') return;
+      event.preventDefault();
+      cleanup();
+      reject(new Error('Element selection cancelled'));
+    };
+
+    document.addEventListener('mousemove', handleMove, true);
+    document.addEventListener('click', handleClick, true);
+    document.addEventListener('keydown', handleKey, true);
+  });
+}
@@ -0,0 +1,76 @@
+import { getUniqueSelector, getElementRect, pickElement } from './elementPicker';
+
+describe('Element Picker Module', () => {
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="app">
+        <section>
+          <p>First</p>
+          <p>Second</p>
+        </section>
+      </div>
+      <table><tr><td>Cell</td></tr></table>
+    `;
+  });
+
+  describe('getUniqueSelector', () => {
+    test('should use the element ID when present', () => {
+      expect(getUniqueSelector(document.getElementById('app'))).toBe('#app');
+    });
+
+    test('should build a path from the nearest ID using nth-of-type', () => {
+      const second = document.querySelectorAll('p')[1];
+      const selector = getUniqueSelector(second);
+      expect(selector).toBe('#app > section > p:nth-of-type(2)');
+      expect(document.querySelector(selector)).toBe(second);
+    });
+
+    test('should build a path from the body when no ID is present', () => {
+      const cell = document.querySelector('td');
+      expect(document.querySelector(getUniqueSelector(cell))).toBe(cell);
+    });
+  });
+
+  test('getElementRect should convert to document coordinates', () => {
+    const element = document.getElementById('app');
+    element.getBoundingClientRect = () => ({ left: 10, top: 20, width: 100, height: 50 });
+    window.scrollX = 5;
+    window.scrollY = 200;
+
+    expect(getElementRect(element)).toEqual({ x: 15, y: 220, width: 100, height: 50 });
+  });
+
+  describe('pickElement', () => {
+    test('should resolve an element from a selector', async () => {
+      await expect(pickElement({ selector: '#app section' })).resolves.toBe(document.querySelector('section'));
+    });
+
+    test('should reject when the selector matches nothing', async () => {
+      await expect(pickElement({ selector: '.missing' })).rejects.toThrow('No element matches selector: .missing');
+    });
+
+    test('should highlight the hovered element and resolve on click', async () => {
+      const target = document.querySelectorAll('p')[0];
+      const picked = pickElement();
+
+      target.dispatchEvent(new MouseEvent('mousemove', { bubbles: true }));
+      expect(document.getElementById('sitescribe-picker-overlay').style.display).toBe('block');
+
+      const click = new MouseEvent('click', { bubbles: true, cancelable: true });
+      target.dispatchEvent(click);
+
+      await expect(picked).resolves.toBe(target);
+      expect(click.defaultPrevented).toBe(true);
+      expect(document.getElementById('sitescribe-picker-overlay')).toBeNull();
+    });
+
+    test('should reject when the user presses Escape', async () => {
+      const picked = pickElement();
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+      await expect(picked).rejects.toThrow('Element selection cancelled');
+      expect(document.getElementById('sitescribe-picker-overlay')).toBeNull();
+    });
+  });
+});
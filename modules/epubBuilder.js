@@ -0,0 +1,238 @@
+// EPUB Builder Module
+// NOTE: This module is intended to run in the background (service worker) context.
+// Packages the XHTML prepared by modules/epubContent.js as an EPUB 3 publication.
+import { createZip } from './zipWriter.js';
+import { logger } from './extensionLogger.js';
+
+/** @type {string} - Stylesheet bundled with every EPUB. */
+const EPUB_STYLESHEET = `body { font-family: serif; line-height: 1.5; margin: 0 5%; }
+img { max-width: 100%; height: auto; }
+pre { white-space: pre-wrap; font-size: 0.85em; }
+.byline, .published, .source { color: #555; font-size: 0.9em; margin: 0.2em 0; }
+`;
+
+/** @type {Object<string, string>} - Media types for the image extensions chosen by epubContent.js. */
+const IMAGE_MEDIA_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml'
+};
+
+/**
+ * Escapes text for use in XML content and attribute values.
+ * @param {string} value - The raw text.
+ * @returns {string} The escaped text.
+ */
+export function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Builds the nested <ol> of the navigation document from a flat heading outline.
+ * Deeper headings are nested under the closest shallower heading before them.
+ * Entries without an id link to the start of the chapter.
+ * @param {Array<{level: number, id?: string, text: string}>} toc - Headings in document order.
+ * @param {string} chapterHref - The chapter file the heading IDs belong to.
+ * @returns {string} The XHTML list markup.
+ */
+export function buildTocList(toc, chapterHref) {
+  let markup = '<ol>';
+  const levels = [];
+
+  toc.forEach((entry, index) => {
+    if (index > 0) {
+      if (entry.level > levels[levels.length - 1]) {
+        markup += '<ol>';
+        levels.push(entry.level);
+      } else {
+        markup += '</li>';
+        while (levels.length > 1 && entry.level <= levels[levels.length - 2]) {
+          levels.pop();
+          markup += '</ol></li>';
+        }
+        levels[levels.length - 1] = entry.level;
+      }
+    } else {
+      levels.push(entry.level);
+    }
+    const href = entry.id ? `${chapterHref}#${entry.id}` : chapterHref;
+    markup += `<li><a href="${escapeXml(href)}">${escapeXml(entry.text)}</a>`;
+  });
+
+  if (levels.length > 0) markup += '</li>';
+  for (let depth = levels.length; depth > 1; depth--) {
+    markup += '</ol></li>';
+  }
+  return `${markup}</ol>`;
+}
+
+/**
+ * Removes <img> elements that point at images which could not be downloaded, so the
+ * publication does not reference files missing from the container.
+ * @param {string} xhtml - The chapter body.
+ * @param {Array<string>} hrefs - Image paths to drop.
+ * @returns {string} The chapter body without those images.
+ */
+export function removeImages(xhtml, hrefs) {
+  return hrefs.reduce((markup, href) => {
+    const escaped = href.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return markup.replace(new RegExp(`<img\\b[^>]*\\ssrc="${escaped}"[^>]*/>`, 'g'), '');
+  }, xhtml);
+}
+
+/**
+ * Builds the EPUB 3 container: mimetype (first and uncompressed, as the spec requires),
+ * container.xml, the package document, the navigation document, the article chapter,
+ * a stylesheet and the images.
+ * @param {object} book - The publication.
+ * @param {string} book.title - Title of the publication.
+ * @param {string} [book.author] - Author (byline).
+ * @param {string} [book.publishedTime] - Original publish date.
+ * @param {string} [book.language='en'] - BCP 47 language tag.
+ * @param {string} [book.sourceUrl] - URL of the captured page.
+ * @param {string} book.identifier - Unique identifier, e.g. a urn:uuid.
+ * @param {string} book.xhtml - The chapter body from prepareEpubContent.
+ * @param {Array<{level: number, id: string, text: string}>} [book.toc=[]] - The heading outline.
+ * @param {Array<{href: string, mediaType: string, data: Uint8Array}>} [book.images=[]] - Downloaded images.
+ * @param {Date} [book.modified=new Date()] - Modification time recorded in the package.
+ * @returns {Uint8Array} The EPUB file bytes.
+ */
+export function buildEpub({
+  title, author, publishedTime, language = 'en', sourceUrl, identifier, xhtml, toc = [], images = [], modified = new Date()
+}) {
+  const modifiedStamp = modified.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const lang = escapeXml(language || 'en');
+  const heading = `<h1>${escapeXml(title)}</h1>`
+    + (author ? `<p class="byline">${escapeXml(author)}</p>` : '')
+    + (publishedTime ? `<p class="published">${escapeXml(publishedTime)}</p>` : '')
+    + (sourceUrl ? `<p class="source"><a href="${escapeXml(sourceUrl)}">${escapeXml(sourceUrl)}</a></p>` : '');
+
+  const chapter = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">
+<head><meta charset="UTF-8"/><title>${escapeXml(title)}</title><link rel="stylesheet" type="text/css" href="style.css"/></head>
+<body><section epub:type="chapter"><header>${heading}</header>${xhtml}</section></body>
+</html>
+`;
+
+  const tocEntries = toc.length > 0 ? toc : [{ level: 1, text: title }];
+  const nav = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">
+<head><meta charset="UTF-8"/><title>${escapeXml(title)}</title></head>
+<body><nav epub:type="toc" id="toc"><h1>Contents</h1>${buildTocList(tocEntries, 'article.xhtml')}</nav></body>
+</html>
+`;
+
+  const metadata = [
+    `<dc:identifier id="book-id">${escapeXml(identifier)}</dc:identifier>`,
+    `<dc:title>${escapeXml(title)}</dc:title>`,
+    `<dc:language>${lang}</dc:language>`,
+    author ? `<dc:creator>${escapeXml(author)}</dc:creator>` : null,
+    publishedTime ? `<dc:date>${escapeXml(publishedTime)}</dc:date>` : null,
+    sourceUrl ? `<dc:source>${escapeXml(sourceUrl)}</dc:source>` : null,
+    `<meta property="dcterms:modified">${modifiedStamp}</meta>`
+  ].filter(Boolean).join('\n    ');
+
+  const manifestItems = [
+    '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    '<item id="article" href="article.xhtml" media-type="application/xhtml+xml"/>',
+    '<item id="style" href="style.css" media-type="text/css"/>',
+    ...images.map((image, index) =>
+      `<item id="image-${index + 1}" href="${escapeXml(image.href)}" media-type="${escapeXml(image.mediaType)}"/>`)
+  ].join('\n    ');
+
+  const packageDocument = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${lang}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    ${metadata}
+  </metadata>
+  <manifest>
+    ${manifestItems}
+  </manifest>
+  <spine>
+    <itemref idref="article"/>
+  </spine>
+</package>
+`;
+
+  const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+  return createZip([
+    { name: 'mimetype', data: 'application/epub+zip' },
+    { name: 'META-INF/container.xml', data: container },
+    { name: 'OEBPS/content.opf', data: packageDocument },
+    { name: 'OEBPS/nav.xhtml', data: nav },
+    { name: 'OEBPS/article.xhtml', data: chapter },
+    { name: 'OEBPS/style.css', data: EPUB_STYLESHEET },
+    ...images.map(image => ({ name: `OEBPS/${image.href}`, data: image.data }))
+  ], modified);
+}
+
+/**
+ * Downloads the article images. Images that fail to download, or that are not images,
+ * are reported as failed instead of aborting the export.
+ * @param {Array<{url: string, href: string}>} images - Images listed by prepareEpubContent.
+ * @returns {Promise<{images: Array<{href: string, mediaType: string, data: Uint8Array}>, failed: Array<string>}>}
+ *   The downloaded images and the paths of those that failed.
+ */
+export async function fetchEpubImages(images) {
+  const results = await Promise.all(images.map(async ({ url, href }) => {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const contentType = (response.headers.get('content-type') || '').split(';')[0].trim();
+      const extension = href.slice(href.lastIndexOf('.'));
+      const mediaType = contentType.startsWith('image/') ? contentType : IMAGE_MEDIA_TYPES[extension];
+      if (!mediaType) throw new Error(`Unsupported content type: ${contentType || 'unknown'}`);
+      return { href, mediaType, data: new Uint8Array(await response.arrayBuffer()) };
+    } catch (error) {
+      logger.warn(`EPUB image skipped: ${url}`, error);
+      return { href, failed: true };
+    }
+  }));
+
+  return {
+    images: results.filter(result => !result.failed),
+    failed: results.filter(result => result.failed).map(result => result.href)
+  };
+}
+
+/**
+ * Creates an EPUB from the readable article prepared in the content script. Title, author,
+ * publish date and language come from the page metadata (getPageMetadata) when present,
+ * falling back to what Readability found.
+ * @param {object} article - The getEpubContent response: article fields plus xhtml, images and toc.
+ * @param {object} options - Export options.
+ * @param {string} options.pageUrl - URL of the captured page.
+ * @param {object} [options.pageMetadata] - Metadata returned by getPageMetadata.
+ * @returns {Promise<Uint8Array>} The EPUB file bytes.
+ */
+export async function createEpub(article, { pageUrl, pageMetadata = {} }) {
+  const { images, failed } = await fetchEpubImages(article.images || []);
+
+  return buildEpub({
+    title: pageMetadata?.title || article.title || pageUrl,
+    author: pageMetadata?.author || article.byline || '',
+    publishedTime: pageMetadata?.publishedTime || article.publishedTime || '',
+    language: pageMetadata?.language || article.lang || 'en',
+    sourceUrl: pageUrl,
+    identifier: `urn:uuid:${crypto.randomUUID()}`,
+    xhtml: removeImages(article.xhtml, failed),
+    toc: article.toc,
+    images
+  });
+}
@@ -0,0 +1,186 @@
+import { TextEncoder, TextDecoder } from 'util';
+import { webcrypto } from 'crypto';
+import { escapeXml, buildTocList, removeImages, buildEpub, fetchEpubImages, createEpub } from './epubBuilder';
+
+// jsdom provides neither TextEncoder nor Web Crypto
+global.TextEncoder = TextEncoder;
+global.crypto = webcrypto;
+
+const decode = (bytes) => new TextDecoder().decode(bytes);
+
+/**
+ * Reads the entries of a stored (uncompressed) ZIP archive in order.
+ * @param {Uint8Array} bytes - The archive.
+ * @returns {Array<{name: string, data: string}>} The entries.
+ */
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const entries = [];
+  let offset = 0;
+  while (view.getUint32(offset, true) === 0x04034B50) {
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const name = decode(bytes.subarray(offset + 30, offset + 30 + nameLength));
+    const dataStart = offset + 30 + nameLength;
+    entries.push({ name, data: decode(bytes.subarray(dataStart, dataStart + size)) });
+    offset = dataStart + size;
+  }
+  return entries;
+}
+
+describe('EPUB Builder Module', () => {
+  const book = {
+    title: 'Tips & Tricks',
+    author: 'Jane Doe',
+    publishedTime: '2025-01-02',
+    language: 'en-GB',
+    sourceUrl: 'https://example.com/tips',
+    identifier: 'urn:uuid:1234',
+    xhtml: '<h2 id="a">First</h2><p><img src="images/image-1.png" alt=""/></p>',
+    toc: [{ level: 2, id: 'a', text: 'First' }],
+    images: [{ href: 'images/image-1.png', mediaType: 'image/png', data: new Uint8Array([1, 2, 3]) }],
+    modified: new Date('2025-03-06T19:37:00.123Z')
+  };
+
+  test('escapeXml should escape markup characters', () => {
+    expect(escapeXml(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&apos;&amp;&apos;&lt;/a&gt;');
+    expect(escapeXml(undefined)).toBe('');
+  });
+
+  test('buildTocList should nest deeper headings under shallower ones', () => {
+    const toc = [
+      { level: 1, id: 'a', text: 'A' },
+      { level: 2, id: 'b', text: 'B' },
+      { level: 3, id: 'c', text: 'C' },
+      { level: 2, id: 'd', text: 'D' },
+      { level: 1, id: 'e', text: 'E' }
+    ];
+    const link = (id) => `<a href="ch.xhtml#${id}">${id.toUpperCase()}</a>`;
+    expect(buildTocList(toc, 'ch.xhtml')).toBe(
+      `<ol><li>${link('a')}<ol><li>${link('b')}<ol><li>${link('c')}</li></ol></li>`
+      + `<li>${link('d')}</li></ol></li><li>${link('e')}</li></ol>`
+    );
+  });
+
+  test('buildTocList should treat skipped levels as siblings of the same parent', () => {
+    const toc = [
+      { level: 1, id: 'a', text: 'A' },
+      { level: 3, id: 'b', text: 'B' },
+      { level: 2, id: 'c', text: 'C' }
+    ];
+    expect(buildTocList(toc, 'ch.xhtml')).toBe(
+      '<ol><li><a href="ch.xhtml#a">A</a><ol><li><a href="ch.xhtml#b">B</a></li>'
+      + '<li><a href="ch.xhtml#c">C</a></li></ol></li></ol>'
+    );
+  });
+
+  test('removeImages should drop images that failed to download', () => {
+    const xhtml = '<p><img src="images/image-1.png" alt=""/>text<img src="images/image-2.jpg" alt="B"/></p>';
+    expect(removeImages(xhtml, ['images/image-1.png'])).toBe('<p>text<img src="images/image-2.jpg" alt="B"/></p>');
+  });
+
+  test('buildEpub should write an uncompressed mimetype entry first', () => {
+    const bytes = buildEpub(book);
+    // "mimetype" must start at offset 30 with its content immediately after
+    expect(decode(bytes.subarray(30, 38))).toBe('mimetype');
+    expect(decode(bytes.subarray(38, 58))).toBe('application/epub+zip');
+    expect(readZip(bytes).map(entry => entry.name)).toEqual([
+      'mimetype',
+      'META-INF/container.xml',
+      'OEBPS/content.opf',
+      'OEBPS/nav.xhtml',
+      'OEBPS/article.xhtml',
+      'OEBPS/style.css',
+      'OEBPS/images/image-1.png'
+    ]);
+  });
+
+  test('buildEpub should describe the publication in the package document', () => {
+    const entries = readZip(buildEpub(book));
+    const opf = entries.find(entry => entry.name === 'OEBPS/content.opf').data;
+
+    expect(opf).toContain('<dc:title>Tips &amp; Tricks</dc:title>');
+    expect(opf).toContain('<dc:creator>Jane Doe</dc:creator>');
+    expect(opf).toContain('<dc:date>2025-01-02</dc:date>');
+    expect(opf).toContain('<dc:language>en-GB</dc:language>');
+    expect(opf).toContain('<meta property="dcterms:modified">2025-03-06T19:37:00Z</meta>');
+    expect(opf).toContain('<item id="image-1" href="images/image-1.png" media-type="image/png"/>');
+    expect(opf).toContain('properties="nav"');
+    expect(() => new DOMParser().parseFromString(opf, 'application/xml')).not.toThrow();
+  });
+
+  test('buildEpub should link the navigation document to heading IDs', () => {
+    const entries = readZip(buildEpub(book));
+    const nav = entries.find(entry => entry.name === 'OEBPS/nav.xhtml').data;
+    const chapter = entries.find(entry => entry.name === 'OEBPS/article.xhtml').data;
+
+    expect(nav).toContain('<a href="article.xhtml#a">First</a>');
+    expect(chapter).toContain('<h1>Tips &amp; Tricks</h1><p class="byline">Jane Doe</p>');
+    expect(chapter).toContain(book.xhtml);
+  });
+
+  test('buildEpub should fall back to a single TOC entry when there are no headings', () => {
+    const entries = readZip(buildEpub({ ...book, toc: [], author: '', publishedTime: '' }));
+    const nav = entries.find(entry => entry.name === 'OEBPS/nav.xhtml').data;
+    const opf = entries.find(entry => entry.name === 'OEBPS/content.opf').data;
+
+    expect(nav).toContain('<a href="article.xhtml">Tips &amp; Tricks</a>');
+    expect(nav).not.toContain('#');
+    expect(opf).not.toContain('dc:creator');
+  });
+
+  describe('fetching', () => {
+    beforeEach(() => {
+      jest.spyOn(window, 'fetch').mockImplementation(async (url) => {
+        if (url.includes('missing')) return new Response('Not Found', { status: 404 });
+        if (url.includes('page')) return new Response('<html></html>', { headers: { 'Content-Type': 'text/html' } });
+        return new Response('png', { headers: { 'Content-Type': 'image/png; charset=binary' } });
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('fetchEpubImages should report images that are missing or not images', async () => {
+      const result = await fetchEpubImages([
+        { url: 'https://example.com/a.png', href: 'images/image-1.png' },
+        { url: 'https://example.com/missing.png', href: 'images/image-2.png' },
+        { url: 'https://example.com/page', href: 'images/image-3.img' }
+      ]);
+
+      expect(result.images).toHaveLength(1);
+      expect(result.images[0]).toMatchObject({ href: 'images/image-1.png', mediaType: 'image/png' });
+      expect(result.failed).toEqual(['images/image-2.png', 'images/image-3.img']);
+    });
+
+    test('createEpub should prefer page metadata and drop failed images', async () => {
+      const article = {
+        title: 'Readability Title',
+        byline: 'Readability Byline',
+        lang: 'fr',
+        xhtml: '<p><img src="images/image-1.png" alt=""/><img src="images/image-2.png" alt=""/></p>',
+        toc: [],
+        images: [
+          { url: 'https://example.com/a.png', href: 'images/image-1.png' },
+          { url: 'https://example.com/missing.png', href: 'images/image-2.png' }
+        ]
+      };
+      const entries = readZip(await createEpub(article, {
+        pageUrl: 'https://example.com/post',
+        pageMetadata: { title: 'Page Title', author: '', publishedTime: '2024-12-31' }
+      }));
+      const opf = entries.find(entry => entry.name === 'OEBPS/content.opf').data;
+      const chapter = entries.find(entry => entry.name === 'OEBPS/article.xhtml').data;
+
+      expect(opf).toContain('<dc:title>Page Title</dc:title>');
+      expect(opf).toContain('<dc:creator>Readability Byline</dc:creator>');
+      expect(opf).toContain('<dc:date>2024-12-31</dc:date>');
+      expect(opf).toContain('<dc:language>fr</dc:language>');
+      expect(opf).toMatch(/<dc:identifier id="book-id">urn:uuid:[0-9a-f-]{36}<\/dc:identifier>/);
+      expect(chapter).toContain('image-1.png');
+      expect(chapter).not.toContain('image-2.png');
+      expect(entries.map(entry => entry.name)).not.toContain('OEBPS/images/image-2.png');
+    });
+  });
+});
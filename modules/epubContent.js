@@ -0,0 +1,101 @@
+// EPUB Content Preparation Module
+// NOTE: This module is intended to run in the content script context.
+// It turns a readable article into XHTML; modules/epubBuilder.js packages it in the background.
+
+/** @type {string} - Elements removed from the article before conversion. */
+const UNSUPPORTED_ELEMENTS = 'script, style, noscript, iframe, object, embed, form, button, input, select, textarea, template, link, meta';
+
+/** @type {Set<string>} - Image extensions kept as-is in the EPUB; anything else is named `.img`. */
+const IMAGE_EXTENSIONS = new Set(['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg']);
+
+/**
+ * Picks a file extension for an image from its URL.
+ * @param {string} url - The image URL.
+ * @returns {string} The extension, including the leading dot.
+ */
+export function getImageExtension(url) {
+  try {
+    const match = new URL(url).pathname.toLowerCase().match(/\.([a-z0-9]+)$/);
+    return match && IMAGE_EXTENSIONS.has(match[1]) ? `.${match[1] === 'jpeg' ? 'jpg' : match[1]}` : '.img';
+  } catch (error) {
+    return '.img';
+  }
+}
+
+/**
+ * Prepares a readable article for EPUB packaging: strips unsupported markup, gives every
+ * heading an ID for the table of contents, points images at their future EPUB paths and
+ * serializes the result as XHTML.
+ * @param {string} html - The article HTML (e.g. Readability's `content`).
+ * @param {string} baseUrl - URL used to resolve relative image and link URLs.
+ * @returns {{xhtml: string, images: Array<{url: string, href: string}>, toc: Array<{level: number, id: string, text: string}>}}
+ *   The chapter body, the images to download and the heading outline.
+ */
+export function prepareEpubContent(html, baseUrl) {
+  const doc = new DOMParser().parseFromString(`<div>${html}</div>`, 'text/html');
+  const container = doc.body.firstElementChild;
+
+  container.querySelectorAll(UNSUPPORTED_ELEMENTS).forEach(element => element.remove());
+  container.querySelectorAll('*').forEach(element => {
+    for (const attribute of Array.from(element.attributes)) {
+      if (attribute.name.startsWith('on') || attribute.name === 'style' || attribute.name.includes(':')) {
+        element.removeAttribute(attribute.name);
+      }
+    }
+  });
+
+  container.querySelectorAll('picture source').forEach(source => source.remove());
+  container.querySelectorAll('a[href]').forEach(link => {
+    try {
+      link.setAttribute('href', new URL(link.getAttribute('href'), baseUrl).href);
+    } catch (error) {
+      link.removeAttribute('href');
+    }
+  });
+
+  const images = [];
+  const imagesByUrl = new Map();
+  container.querySelectorAll('img').forEach(image => {
+    let url = null;
+    try {
+      url = new URL(image.getAttribute('src') || '', baseUrl).href;
+    } catch (error) {
+      url = null;
+    }
+    if (!url || !image.getAttribute('src')) {
+      image.remove();
+      return;
+    }
+
+    if (!imagesByUrl.has(url)) {
+      const href = `images/image-${images.length + 1}${getImageExtension(url)}`;
+      imagesByUrl.set(url, href);
+      images.push({ url, href });
+    }
+    image.setAttribute('src', imagesByUrl.get(url));
+    image.setAttribute('alt', image.getAttribute('alt') || '');
+    ['srcset', 'sizes', 'loading', 'decoding', 'width', 'height'].forEach(name => image.removeAttribute(name));
+  });
+
+  const toc = [];
+  const usedIds = new Set();
+  container.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(heading => {
+    const text = heading.textContent.replace(/\s+/g, ' ').trim();
+    if (!text) return;
+    let id = heading.id && /^[A-Za-z][\w.-]*$/.test(heading.id) && !usedIds.has(heading.id)
+      ? heading.id
+      : `section-${toc.length + 1}`;
+    while (usedIds.has(id)) id = `${id}-x`;
+    usedIds.add(id);
+    heading.id = id;
+    toc.push({ level: Number(heading.tagName[1]), id, text });
+  });
+
+  const serializer = new XMLSerializer();
+  const xhtml = Array.from(container.childNodes)
+    .map(node => serializer.serializeToString(node))
+    .join('')
+    .replace(/ xmlns="http:\/\/www\.w3\.org\/1999\/xhtml"/g, '');
+
+  return { xhtml, images, toc };
+}
@@ -0,0 +1,57 @@
+import { getImageExtension, prepareEpubContent } from './epubContent';
+
+// Serializers differ on whether self-closing tags get a space before "/>"
+const normalize = (xhtml) => xhtml.replace(/\s*\/>/g, '/>');
+
+describe('EPUB Content Module', () => {
+  const baseUrl = 'https://example.com/blog/post';
+
+  test('getImageExtension should keep known image extensions', () => {
+    expect(getImageExtension('https://example.com/a/photo.JPEG?w=200')).toBe('.jpg');
+    expect(getImageExtension('https://example.com/a/chart.svg')).toBe('.svg');
+    expect(getImageExtension('https://example.com/image?id=4')).toBe('.img');
+    expect(getImageExtension('not a url')).toBe('.img');
+  });
+
+  test('prepareEpubContent should list images once and point them at EPUB paths', () => {
+    const { xhtml, images } = prepareEpubContent(
+      '<p><img src="/img/a.png" srcset="/img/a@2x.png 2x"><img src="https://cdn.example.com/b.jpg" alt="B"><img src="img/a.png"></p>',
+      'https://example.com/'
+    );
+
+    expect(images).toEqual([
+      { url: 'https://example.com/img/a.png', href: 'images/image-1.png' },
+      { url: 'https://cdn.example.com/b.jpg', href: 'images/image-2.jpg' }
+    ]);
+    expect(normalize(xhtml)).toBe('<p><img src="images/image-1.png" alt=""/><img src="images/image-2.jpg" alt="B"/><img src="images/image-1.png" alt=""/></p>');
+  });
+
+  test('prepareEpubContent should strip scripts, handlers and inline styles', () => {
+    const { xhtml } = prepareEpubContent(
+      '<p onclick="x()" style="color:red">Text<script>alert(1)</script></p><form><input></form>',
+      baseUrl
+    );
+    expect(xhtml).toBe('<p>Text</p>');
+  });
+
+  test('prepareEpubContent should make links absolute and produce well-formed XHTML', () => {
+    const { xhtml } = prepareEpubContent('<p>A<br>B <a href="../other">link</a></p><hr>', baseUrl);
+    expect(normalize(xhtml)).toBe('<p>A<br/>B <a href="https://example.com/other">link</a></p><hr/>');
+    expect(() => new DOMParser().parseFromString(`<div xmlns="http://www.w3.org/1999/xhtml">${xhtml}</div>`, 'application/xml'))
+      .not.toThrow();
+  });
+
+  test('prepareEpubContent should give headings unique IDs for the table of contents', () => {
+    const { xhtml, toc } = prepareEpubContent(
+      '<h2 id="intro">Intro</h2><h3>  Details\n here </h3><h2 id="intro">Again</h2><h2></h2>',
+      baseUrl
+    );
+
+    expect(toc).toEqual([
+      { level: 2, id: 'intro', text: 'Intro' },
+      { level: 3, id: 'section-2', text: 'Details here' },
+      { level: 2, id: 'section-3', text: 'Again' }
+    ]);
+    expect(xhtml).toContain('<h3 id="section-2">');
+  });
+});
@@ -0,0 +1,123 @@
+// Frame Snapshots Module
+// NOTE: This module is intended to run in the background (service worker) context.
+// The content script can only serialize frames its page can reach. Cross-origin frames are
+// left marked in its HTML (see createFrameMarker in domSnapshot.js); this module serializes
+// each of them inside its own frame and nests the result in place as srcdoc. Text and
+// Markdown captures still cover same-origin frames only.
+import { logger } from './extensionLogger.js';
+import { FRAME_MARKER_ATTRIBUTE } from './domSnapshot.js';
+
+/** @type {number} - How deep cross-origin frames nested in each other are inlined. */
+export const MAX_FRAME_DEPTH = 5;
+
+/**
+ * Creates the token that marks a capture's frames.
+ * @returns {string} A random token.
+ */
+export function createFrameToken() {
+  return `f${crypto.randomUUID().replace(/-/g, '')}`;
+}
+
+/**
+ * Escapes a value for a double-quoted HTML attribute.
+ * @param {string} value - The value.
+ * @returns {string} The escaped value.
+ */
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Escapes a value as many times as it is nested in srcdoc attributes.
+ * @param {string} value - The value.
+ * @param {number} times - How many attributes deep the value sits.
+ * @returns {string} The escaped value.
+ */
+function escapeAttributeTimes(value, times) {
+  let escaped = value;
+  for (let level = 0; level < times; level++) escaped = escapeAttribute(escaped);
+  return escaped;
+}
+
+/**
+ * Serializes a frame's document from inside the frame, the same way getHTML does for the page.
+ * @param {number} tabId - The ID of the tab.
+ * @param {number} frameId - The extension's ID of the frame.
+ * @param {string} token - The capture's frame token, used to mark the frame's own cross-origin frames.
+ * @returns {Promise<{html: string, baseUrl: string} | null>} The frame's HTML and base URL, or null if nothing ran.
+ */
+export async function serializeFrame(tabId, frameId, token) {
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId, frameIds: [frameId] },
+    func: async frameToken => {
+      const domSnapshot = await import(chrome.runtime.getURL('modules/domSnapshot.js'));
+      return {
+        html: domSnapshot.serializeDocument(document, {
+          exclude: domSnapshot.CLEAN_HTML_EXCLUDE,
+          preserveState: true,
+          frameMarker: domSnapshot.createFrameMarker(frameToken)
+        }),
+        baseUrl: document.baseURI
+      };
+    },
+    args: [token]
+  });
+  return injection?.result || null;
+}
+
+/**
+ * Gives a frame's HTML a <base> so its relative URLs still resolve once it is a srcdoc.
+ * @param {string} html - The frame's HTML.
+ * @param {string} baseUrl - The frame's base URL.
+ * @returns {string} The HTML with a <base>.
+ */
+function addBase(html, baseUrl) {
+  const head = html.match(/<head[^>]*>([\s\S]*?)<\/head>/i);
+  if (!baseUrl || /<base[\s>]/i.test(head ? head[1] : html)) return html;
+  const base = `<base href="${escapeAttribute(baseUrl)}">`;
+  return /<head[^>]*>/i.test(html)
+    ? html.replace(/<head[^>]*>/i, head => `${head}${base}`)
+    : `${base}${html}`;
+}
+
+/**
+ * Replaces the frame markers in captured HTML with the frames' own serialized documents.
+ * Markers inside same-origin frames already inlined as srcdoc are escaped once per level
+ * (`&quot;`, `&amp;quot;`, ...); they are matched, and replaced, at their level.
+ * Frames that cannot be serialized (closed meanwhile, or not scriptable) lose their marker
+ * and are kept as they were.
+ * @param {number} tabId - The ID of the tab.
+ * @param {string} html - HTML from getHTML, marked with the same token.
+ * @param {string} token - The capture's frame token.
+ * @param {function(number, number, string): Promise<{html: string, baseUrl: string} | null>} [serialize=serializeFrame] - Serializes one frame.
+ * @param {number} [depth=0] - How deep in the frame tree html is.
+ * @returns {Promise<string>} The HTML with cross-origin frames inlined.
+ */
+export async function inlineFrameSnapshots(tabId, html, token, serialize = serializeFrame, depth = 0) {
+  if (!html || !token) return html;
+  const markerPattern = new RegExp(`\\s${FRAME_MARKER_ATTRIBUTE}=("|&(?:amp;)*quot;)${token}-(\\d+)\\1`, 'g');
+  const frameIds = [...new Set([...html.matchAll(markerPattern)].map(match => Number(match[2])))];
+  if (frameIds.length === 0) return html;
+
+  // Frames are serialized one at a time, like the other injections of a capture
+  const srcdocs = new Map();
+  for (const frameId of frameIds) {
+    if (depth >= MAX_FRAME_DEPTH) break;
+    try {
+      const frame = await serialize(tabId, frameId, token);
+      if (!frame?.html) continue;
+      // The <base> goes in before nested frames, whose own markup would hide a missing one
+      const frameHtml = addBase(frame.html, frame.baseUrl);
+      srcdocs.set(frameId, await inlineFrameSnapshots(tabId, frameHtml, token, serialize, depth + 1));
+    } catch (error) {
+      logger.warn('Could not serialize frame', { tabId, frameId, error: error.message });
+    }
+  }
+
+  return html.replace(markerPattern, (marker, quote, frameId) => {
+    const srcdoc = srcdocs.get(Number(frameId));
+    if (srcdoc === undefined) return '';
+    const level = quote === '"' ? 0 : quote.split('amp;').length;
+    return escapeAttributeTimes(` srcdoc="${escapeAttribute(srcdoc)}"`, level);
+  });
+}
@@ -0,0 +1,84 @@
+import { inlineFrameSnapshots, createFrameToken, MAX_FRAME_DEPTH } from './frameSnapshots';
+
+describe('Frame Snapshots Module', () => {
+  const token = 'ftest';
+
+  test('createFrameToken should return a fresh attribute-safe token', () => {
+    global.crypto = { randomUUID: jest.fn()
+      .mockReturnValueOnce('1b4e28ba-2fa1-11d2-883f-0016d3cca427')
+      .mockReturnValueOnce('6fa459ea-ee8a-3ca4-894e-db77e160355e') };
+
+    expect(createFrameToken()).toBe('f1b4e28ba2fa111d2883f0016d3cca427');
+    expect(createFrameToken()).not.toBe('f1b4e28ba2fa111d2883f0016d3cca427');
+    delete global.crypto;
+  });
+
+  test('inlineFrameSnapshots should nest cross-origin frames, including their own frames', async () => {
+    const frames = {
+      3: { html: `<html><head></head><body><p>Ad "one" &amp; more</p><iframe data-sitescribe-frame="${token}-4"></iframe></body></html>`, baseUrl: 'https://ads.example/a/' },
+      4: { html: '<html><head><base href="https://x.example/"></head><body>Nested</body></html>', baseUrl: 'https://x.example/' }
+    };
+    const serialize = jest.fn(async (tabId, frameId) => frames[frameId]);
+    const html = `<body><iframe src="https://ads.example/a/" data-sitescribe-frame="${token}-3"></iframe></body>`;
+
+    const result = await inlineFrameSnapshots(1, html, token, serialize);
+
+    expect(serialize.mock.calls).toEqual([[1, 3, token], [1, 4, token]]);
+    expect(result).not.toContain('data-sitescribe-frame');
+    const outer = new DOMParser().parseFromString(result, 'text/html').querySelector('iframe');
+    expect(outer.getAttribute('src')).toBe('https://ads.example/a/');
+    const frameDoc = new DOMParser().parseFromString(outer.getAttribute('srcdoc'), 'text/html');
+    expect(frameDoc.querySelector('base').getAttribute('href')).toBe('https://ads.example/a/');
+    expect(frameDoc.querySelector('p').textContent).toBe('Ad "one" & more');
+    const nestedDoc = new DOMParser().parseFromString(frameDoc.querySelector('iframe').getAttribute('srcdoc'), 'text/html');
+    expect(nestedDoc.querySelectorAll('base')).toHaveLength(1);
+    expect(nestedDoc.body.textContent).toBe('Nested');
+  });
+
+  test('inlineFrameSnapshots should fill cross-origin frames nested in same-origin srcdoc frames', async () => {
+    // As getHTML serializes them: each same-origin level escapes the markup inside it once more
+    const wrap = inner => {
+      const frame = document.createElement('iframe');
+      frame.setAttribute('srcdoc', inner);
+      return frame.outerHTML;
+    };
+    const marked = id => `<iframe data-sitescribe-frame="${token}-${id}"></iframe>`;
+    const html = `<body>${wrap(`<p>Same origin</p>${marked(8)}${wrap(marked(9))}`)}</body>`;
+    const serialize = jest.fn(async (tabId, frameId) => (frameId === 8
+      ? { html: '<html><head></head><body><p>Ad &amp; "more"</p></body></html>', baseUrl: 'https://ads.example/' }
+      : null));
+
+    const result = await inlineFrameSnapshots(1, html, token, serialize);
+
+    expect(serialize.mock.calls.map(call => call[1])).toEqual([8, 9]);
+    expect(result).not.toContain('sitescribe-frame');
+    const parse = markup => new DOMParser().parseFromString(markup, 'text/html');
+    const sameOrigin = parse(parse(result).querySelector('iframe').getAttribute('srcdoc'));
+    const [crossOrigin, inner] = sameOrigin.querySelectorAll('iframe');
+    const crossOriginDoc = parse(crossOrigin.getAttribute('srcdoc'));
+    expect(crossOriginDoc.querySelector('p').textContent).toBe('Ad & "more"');
+    expect(crossOriginDoc.querySelector('base').getAttribute('href')).toBe('https://ads.example/');
+    expect(parse(inner.getAttribute('srcdoc')).querySelector('iframe').hasAttribute('srcdoc')).toBe(false);
+  });
+
+  test('inlineFrameSnapshots should drop the marker of frames that cannot be serialized', async () => {
+    const serialize = jest.fn()
+      .mockRejectedValueOnce(new Error('Cannot access contents of the page'))
+      .mockResolvedValueOnce(null);
+    const html = `<iframe data-sitescribe-frame="${token}-5"></iframe><iframe data-sitescribe-frame="${token}-6"></iframe>`;
+
+    await expect(inlineFrameSnapshots(1, html, token, serialize)).resolves.toBe('<iframe></iframe><iframe></iframe>');
+  });
+
+  test('inlineFrameSnapshots should ignore markers with another token and stop at the depth limit', async () => {
+    const serialize = jest.fn(async (tabId, frameId) => ({
+      html: `<p>${frameId}</p><iframe data-sitescribe-frame="${token}-${frameId + 1}"></iframe>`,
+      baseUrl: ''
+    }));
+    const forged = '<iframe data-sitescribe-frame="other-1"></iframe>';
+
+    await expect(inlineFrameSnapshots(1, forged, token, serialize)).resolves.toBe(forged);
+    await inlineFrameSnapshots(1, `<iframe data-sitescribe-frame="${token}-1"></iframe>`, token, serialize);
+    expect(serialize).toHaveBeenCalledTimes(MAX_FRAME_DEPTH);
+  });
+});
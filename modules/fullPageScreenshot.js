@@ -0,0 +1,217 @@
+// Full-Page Screenshot Module
+// NOTE: This module is intended to run in the background (service worker) context.
+import { logger } from './extensionLogger.js';
+import { CAPTURE_FORMATS, screenshotRateLimit } from './captureManager.js';
+import { sendContentCommand } from './contentProtocol.js';
+
+/**
+ * Maximum height of a single stitched image, in device pixels.
+ * Taller pages are split into numbered parts to stay within canvas size limits.
+ * @type {number}
+ */
+export const MAX_PART_HEIGHT = 16384;
+
+/** @type {number} - Time in milliseconds to let the page repaint after each scroll step. */
+export const SCROLL_SETTLE_DELAY = 250;
+
+/**
+ * Computes the scroll offsets needed to cover the whole page in viewport-sized steps.
+ * The last step is clamped so it ends exactly at the bottom of the page.
+ * @param {number} pageHeight - Total scrollable height of the page, in CSS pixels.
+ * @param {number} viewportHeight - Height of the viewport, in CSS pixels.
+ * @returns {Array<number>} The vertical scroll offsets, in ascending order.
+ */
+export function planScrollPositions(pageHeight, viewportHeight) {
+  if (!viewportHeight || viewportHeight <= 0) return [0];
+
+  const lastPosition = Math.max(0, pageHeight - viewportHeight);
+  const positions = [];
+  for (let y = 0; y < lastPosition; y += viewportHeight) {
+    positions.push(y);
+  }
+  positions.push(lastPosition);
+  return positions;
+}
+
+/**
+ * Splits the page into vertical ranges no taller than maxPartHeight.
+ * @param {number} pageHeight - Total height of the page, in CSS pixels.
+ * @param {number} maxPartHeight - Maximum height of one part, in CSS pixels.
+ * @returns {Array<{start: number, end: number}>} The ranges, covering the page top to bottom.
+ */
+export function planParts(pageHeight, maxPartHeight) {
+  const parts = [];
+  for (let start = 0; start < pageHeight; start += maxPartHeight) {
+    parts.push({ start, end: Math.min(pageHeight, start + maxPartHeight) });
+  }
+  return parts.length > 0 ? parts : [{ start: 0, end: pageHeight }];
+}
+
+/**
+ * Names the stitched parts. A single part keeps the given filename; multiple parts
+ * get a `_partN` suffix before the extension.
+ * @param {Array<Blob>} parts - The stitched images, top to bottom.
+ * @param {string} filename - The base filename, e.g. `screenshot_full_<ts>.png`.
+ * @returns {Array<{filename: string, data: Blob}>} The files to save.
+ */
+export function numberParts(parts, filename) {
+  if (parts.length === 1) return [{ filename, data: parts[0] }];
+
+  const dot = filename.lastIndexOf('.');
+  const stem = dot === -1 ? filename : filename.slice(0, dot);
+  const extension = dot === -1 ? '' : filename.slice(dot);
+  return parts.map((data, index) => ({ filename: `${stem}_part${index + 1}${extension}`, data }));
+}
+
+/**
+ * Scrolls the page to an offset and reports where it actually ended up.
+ * Executed in the page via chrome.scripting.executeScript.
+ * @param {number} y - The requested vertical scroll offset.
+ * @param {number} [x=0] - The requested horizontal scroll offset.
+ * @returns {{x: number, y: number}} The resulting window.scrollX and window.scrollY.
+ */
+export function scrollPageTo(y, x = 0) {
+  window.scrollTo(x, y);
+  return { x: window.scrollX, y: window.scrollY };
+}
+
+/**
+ * Hides fixed and sticky elements so they are not repeated in every tile.
+ * The previous inline visibility is kept in a data attribute for restoreFixedElements.
+ * Executed in the page via chrome.scripting.executeScript.
+ */
+export function hideFixedElements() {
+  document.querySelectorAll('body *').forEach(element => {
+    const position = getComputedStyle(element).position;
+    if (position === 'fixed' || position === 'sticky') {
+      element.setAttribute('data-sitescribe-visibility', element.style.visibility || '');
+      element.style.setProperty('visibility', 'hidden', 'important');
+    }
+  });
+}
+
+/**
+ * Restores elements hidden by hideFixedElements.
+ * Executed in the page via chrome.scripting.executeScript.
+ */
+export function restoreFixedElements() {
+  document.querySelectorAll('[data-sitescribe-visibility]').forEach(element => {
+    element.style.visibility = element.getAttribute('data-sitescribe-visibility');
+    element.removeAttribute('data-sitescribe-visibility');
+  });
+}
+
+/**
+ * Runs one of the page helpers above in the given tab and returns its result.
+ * @param {number} tabId - The ID of the target tab.
+ * @param {Function} func - The function to execute in the page.
+ * @param {Array} [args] - Arguments passed to the function.
+ * @returns {Promise<any>} The function's return value.
+ */
+export async function runInPage(tabId, func, args = []) {
+  const [injection] = await chrome.scripting.executeScript({ target: { tabId }, func, args });
+  return injection?.result;
+}
+
+/**
+ * Returns the window a tab is shown in. captureVisibleTab shoots whatever tab is visible
+ * in a window, so a tab in the background cannot be captured.
+ * @param {number} tabId - The ID of the tab.
+ * @returns {Promise<number>} The ID of the tab's window.
+ * @throws {Error} Throws if the tab is not the active tab of its window.
+ */
+export async function getVisibleWindowId(tabId) {
+  const tab = await chrome.tabs.get(tabId);
+  if (!tab.active) throw new Error(`Tab ${tabId} is not visible; its screenshot would show another tab`);
+  return tab.windowId;
+}
+
+/**
+ * Decodes a screenshot data URL into an ImageBitmap for drawing onto a canvas.
+ * @param {string} dataUrl - The PNG data URL from captureVisibleTab.
+ * @returns {Promise<ImageBitmap>} The decoded bitmap.
+ */
+export async function dataUrlToBitmap(dataUrl) {
+  const response = await fetch(dataUrl);
+  return createImageBitmap(await response.blob());
+}
+
+/**
+ * Draws the captured tiles that overlap a part onto an OffscreenCanvas and encodes it as PNG.
+ * @param {Array<{y: number, bitmap: ImageBitmap}>} tiles - Captured tiles with their scroll offsets.
+ * @param {{start: number, end: number}} part - The vertical range to render, in CSS pixels.
+ * @param {number} scale - Device pixels per CSS pixel.
+ * @returns {Promise<Blob>} The stitched PNG.
+ */
+async function stitchPart(tiles, part, scale) {
+  const width = tiles[0].bitmap.width;
+  const canvas = new OffscreenCanvas(width, Math.round((part.end - part.start) * scale));
+  const context = canvas.getContext('2d');
+
+  for (const tile of tiles) {
+    const tileBottom = tile.y + tile.bitmap.height / scale;
+    if (tileBottom <= part.start || tile.y >= part.end) continue;
+    context.drawImage(tile.bitmap, 0, Math.round((tile.y - part.start) * scale));
+  }
+
+  return canvas.convertToBlob({ type: CAPTURE_FORMATS.SCREENSHOT_FULL.mimeType });
+}
+
+/**
+ * Captures the whole page by scrolling it in viewport-sized steps and stitching the tiles.
+ * The zoom is reset to 100% first and the page is measured once it has reflowed, so the
+ * tiles match the measured height. Fixed and sticky elements are hidden after the first
+ * tile; the scroll position, hidden elements and zoom level are restored afterwards.
+ * Tabs that are not visible (e.g. auto-captured in the background) are not captured, and
+ * the capture stops if the user switches away from the tab.
+ * @param {number} tabId - The ID of the tab to capture.
+ * @returns {Promise<Array<Blob>>} The stitched PNG(s), one per part, top to bottom.
+ * @throws {Error} Throws if the tab is not the active tab of its window.
+ */
+export async function captureFullPageScreenshot(tabId) {
+  await getVisibleWindowId(tabId);
+  const originalZoom = await chrome.tabs.getZoom(tabId);
+
+  const tiles = [];
+  let dimensions = null;
+  try {
+    if (originalZoom !== 1) {
+      await chrome.tabs.setZoom(tabId, 1);
+      await new Promise(resolve => setTimeout(resolve, SCROLL_SETTLE_DELAY));
+    }
+    dimensions = await sendContentCommand(tabId, 'getPageDimensions');
+
+    const positions = planScrollPositions(dimensions.height, dimensions.viewportHeight);
+    for (const [index, position] of positions.entries()) {
+      if (index === 1) await runInPage(tabId, hideFixedElements);
+      const scrolled = await runInPage(tabId, scrollPageTo, [position]);
+      await new Promise(resolve => setTimeout(resolve, SCROLL_SETTLE_DELAY));
+      const dataUrl = await screenshotRateLimit.capture(await getVisibleWindowId(tabId));
+      tiles.push({ y: scrolled?.y ?? position, bitmap: await dataUrlToBitmap(dataUrl) });
+    }
+  } finally {
+    try {
+      await runInPage(tabId, restoreFixedElements);
+      if (dimensions) await runInPage(tabId, scrollPageTo, [dimensions.scrollY || 0]);
+      if (originalZoom !== 1) await chrome.tabs.setZoom(tabId, originalZoom);
+    } catch (restoreError) {
+      logger.warn(`Failed to restore page state after full-page capture in tab ${tabId}:`, restoreError);
+    }
+  }
+
+  const { height, viewportWidth } = dimensions;
+  const scale = viewportWidth ? tiles[0].bitmap.width / viewportWidth : 1;
+  const pageHeight = Math.max(height, ...tiles.map(tile => tile.y + tile.bitmap.height / scale));
+  const parts = planParts(pageHeight, Math.floor(MAX_PART_HEIGHT / scale));
+  logger.info(`Stitching ${tiles.length} tiles into ${parts.length} part(s) for tab ${tabId}`);
+
+  try {
+    const images = [];
+    for (const part of parts) {
+      images.push(await stitchPart(tiles, part, scale));
+    }
+    return images;
+  } finally {
+    tiles.forEach(tile => tile.bitmap.close());
+  }
+}
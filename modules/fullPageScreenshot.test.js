@@ -0,0 +1,113 @@
+import {
+  MAX_PART_HEIGHT,
+  planScrollPositions,
+  planParts,
+  numberParts,
+  captureFullPageScreenshot
+} from './fullPageScreenshot';
+import { screenshotRateLimit } from './captureManager';
+import { createResponse } from './contentProtocol';
+
+describe('Full-Page Screenshot Module', () => {
+
+  describe('planScrollPositions', () => {
+    test('should return a single position for pages shorter than the viewport', () => {
+      expect(planScrollPositions(500, 800)).toEqual([0]);
+    });
+
+    test('should step by the viewport height', () => {
+      expect(planScrollPositions(2400, 800)).toEqual([0, 800, 1600]);
+    });
+
+    test('should clamp the last step to the bottom of the page', () => {
+      expect(planScrollPositions(2000, 800)).toEqual([0, 800, 1200]);
+    });
+
+    test('should handle a missing viewport height', () => {
+      expect(planScrollPositions(2000, 0)).toEqual([0]);
+    });
+  });
+
+  describe('planParts', () => {
+    test('should return one part for short pages', () => {
+      expect(planParts(3000, MAX_PART_HEIGHT)).toEqual([{ start: 0, end: 3000 }]);
+    });
+
+    test('should split tall pages into consecutive parts', () => {
+      expect(planParts(25000, 10000)).toEqual([
+        { start: 0, end: 10000 },
+        { start: 10000, end: 20000 },
+        { start: 20000, end: 25000 }
+      ]);
+    });
+  });
+
+  describe('numberParts', () => {
+    const blob = new Blob(['png'], { type: 'image/png' });
+
+    test('should keep the filename for a single part', () => {
+      expect(numberParts([blob], 'screenshot_full_ts.png')).toEqual([
+        { filename: 'screenshot_full_ts.png', data: blob }
+      ]);
+    });
+
+    test('should number multiple parts before the extension', () => {
+      const files = numberParts([blob, blob], 'screenshot_full_ts.png');
+      expect(files.map(file => file.filename)).toEqual([
+        'screenshot_full_ts_part1.png',
+        'screenshot_full_ts_part2.png'
+      ]);
+    });
+  });
+
+  describe('captureFullPageScreenshot', () => {
+    beforeEach(() => {
+      global.chrome = {
+        tabs: {
+          get: jest.fn().mockResolvedValue({ id: 7, active: true, windowId: 3 }),
+          getZoom: jest.fn().mockResolvedValue(1.5),
+          setZoom: jest.fn().mockResolvedValue(),
+          sendMessage: jest.fn().mockResolvedValue(createResponse('getPageDimensions', {
+            height: 3000, viewportHeight: 800, viewportWidth: 1200, scrollY: 40
+          }))
+        },
+        scripting: { executeScript: jest.fn().mockResolvedValue([{ result: { x: 0, y: 0 } }]) }
+      };
+      jest.spyOn(screenshotRateLimit, 'capture').mockRejectedValue(new Error('Capture failed'));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      delete global.chrome;
+    });
+
+    test('should reset the zoom before measuring the page and restore it afterwards', async () => {
+      await expect(captureFullPageScreenshot(7)).rejects.toThrow('Capture failed');
+
+      const [resetCall, restoreCall] = chrome.tabs.setZoom.mock.invocationCallOrder;
+      expect(chrome.tabs.setZoom.mock.calls).toEqual([[7, 1], [7, 1.5]]);
+      expect(resetCall).toBeLessThan(chrome.tabs.sendMessage.mock.invocationCallOrder[0]);
+      expect(restoreCall).toBeGreaterThan(chrome.tabs.sendMessage.mock.invocationCallOrder[0]);
+    });
+
+    test('should capture the window the tab is shown in', async () => {
+      await expect(captureFullPageScreenshot(7)).rejects.toThrow('Capture failed');
+      expect(screenshotRateLimit.capture).toHaveBeenCalledWith(3);
+    });
+
+    test('should not capture a tab that is not visible', async () => {
+      chrome.tabs.get.mockResolvedValue({ id: 7, active: false, windowId: 3 });
+      await expect(captureFullPageScreenshot(7)).rejects.toThrow('Tab 7 is not visible');
+      expect(chrome.tabs.setZoom).not.toHaveBeenCalled();
+      expect(chrome.scripting.executeScript).not.toHaveBeenCalled();
+      expect(screenshotRateLimit.capture).not.toHaveBeenCalled();
+    });
+
+    test('should leave the zoom alone when it is already 100%', async () => {
+      chrome.tabs.getZoom.mockResolvedValue(1);
+      await expect(captureFullPageScreenshot(7)).rejects.toThrow('Capture failed');
+      expect(chrome.tabs.setZoom).not.toHaveBeenCalled();
+    });
+  });
+});
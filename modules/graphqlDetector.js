@@ -0,0 +1,146 @@
+// GraphQL Detection Module
+// NOTE: This module is intended to run in the page's main world, with the network monitor.
+// Recognizes GraphQL requests as the network monitor records them: POST bodies (JSON,
+// batched JSON arrays or `application/graphql` text) and GET requests carrying the
+// query or a persisted query hash in the URL.
+
+/** @type {RegExp} - Endpoint paths that are GraphQL by convention. */
+const GRAPHQL_PATH_PATTERN = /graphql|\/gql(?:\/|$)/i;
+
+/**
+ * Removes comments and string literals from a GraphQL document, so keywords inside
+ * them are not mistaken for definitions.
+ * @param {string} query - The document.
+ * @returns {string} The document without comments and strings.
+ */
+function stripIgnored(query) {
+  return query
+    .replace(/"""[\s\S]*?"""/g, '""')
+    .replace(/"(?:\\.|[^"\\])*"/g, '""')
+    .replace(/#[^\n\r]*/g, '');
+}
+
+/**
+ * Finds the operation a document runs: the one named `operationName`, else the first.
+ * A document starting with `{` is an anonymous query.
+ * @param {string} query - The GraphQL document.
+ * @param {string | null} [operationName] - The operation name sent with the document.
+ * @returns {{type: string, name: string | null} | null} The operation, or null if the document has none.
+ */
+export function getGraphQLOperationInfo(query, operationName = null) {
+  if (typeof query !== 'string') return null;
+  const source = stripIgnored(query);
+  const operations = [];
+  let depth = 0;
+  let header = '';
+  for (const char of source) {
+    if (char === '{') {
+      if (depth === 0) {
+        // The text before a top-level selection set says what it defines
+        const definition = header.match(/^\s*(query|mutation|subscription)\b\s*([_A-Za-z][_0-9A-Za-z]*)?/);
+        if (definition) operations.push({ type: definition[1], name: definition[2] || null });
+        else if (header.trim() === '') operations.push({ type: 'query', name: null });
+      }
+      depth++;
+    } else if (char === '}') {
+      depth = Math.max(0, depth - 1);
+      if (depth === 0) header = '';
+    } else if (depth === 0) {
+      header += char;
+    }
+  }
+  if (operations.length === 0) return null;
+  return operations.find(operation => operationName && operation.name === operationName) || operations[0];
+}
+
+/**
+ * Parses a JSON value, returning undefined for anything that is not valid JSON.
+ * @param {string | null} text - The text.
+ * @returns {*} The value.
+ */
+function parseJson(text) {
+  if (typeof text !== 'string') return undefined;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Builds an operation record from the fields of a GraphQL request (a POST body object
+ * or the GET query parameters).
+ * @param {object} payload - The request fields: query, operationName, variables, extensions, id.
+ * @param {string} method - The HTTP method.
+ * @param {boolean} onGraphQLPath - Whether the URL looks like a GraphQL endpoint.
+ * @returns {object | null} The operation, or null if the fields are not a GraphQL request.
+ */
+function toOperation(payload, method, onGraphQLPath) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return null;
+  const persistedQueryHash = payload.extensions?.persistedQuery?.sha256Hash || null;
+  const documentId = ['id', 'documentId', 'doc_id']
+    .map(key => payload[key])
+    .find(value => typeof value === 'string' || typeof value === 'number');
+  // A `query` field only counts when it holds a GraphQL document, not a search term
+  const info = getGraphQLOperationInfo(payload.query, payload.operationName);
+  const hasQuery = Boolean(info);
+  const isGraphQL = hasQuery || persistedQueryHash || (onGraphQLPath && (documentId !== undefined || typeof payload.operationName === 'string'));
+  if (!isGraphQL) return null;
+
+  return {
+    operationName: payload.operationName || info?.name || null,
+    operationType: info?.type || (method === 'GET' ? 'query' : null),
+    query: hasQuery ? payload.query : null,
+    variables: payload.variables ?? null,
+    persistedQueryHash,
+    documentId: hasQuery || documentId === undefined ? null : String(documentId),
+    extensions: payload.extensions ?? null
+  };
+}
+
+/**
+ * Detects a GraphQL request and extracts its operations.
+ * @param {object} request - The request.
+ * @param {string} request.method - The HTTP method.
+ * @param {string} request.url - The absolute URL.
+ * @param {string | null} [request.body] - The body text, if readable.
+ * @param {string | null} [request.contentType] - The request Content-Type.
+ * @returns {Array<object> | null} The operations (several for batched requests), or null if the
+ *   request is not GraphQL.
+ */
+export function parseGraphQLRequest({ method, url, body = null, contentType = null }) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  const onGraphQLPath = GRAPHQL_PATH_PATTERN.test(parsedUrl.pathname);
+  const upperMethod = (method || 'GET').toUpperCase();
+
+  if (typeof body === 'string' && body.trim() !== '') {
+    if (/application\/graphql/i.test(contentType || '')) {
+      const info = getGraphQLOperationInfo(body);
+      return info ? [{
+        operationName: info.name, operationType: info.type, query: body,
+        variables: null, persistedQueryHash: null, documentId: null, extensions: null
+      }] : null;
+    }
+    const payload = parseJson(body);
+    const payloads = Array.isArray(payload) ? payload : [payload];
+    const operations = payloads.map(item => toOperation(item, upperMethod, onGraphQLPath));
+    return operations.length > 0 && operations.every(Boolean) ? operations : null;
+  }
+
+  const params = parsedUrl.searchParams;
+  if (!['query', 'extensions', 'operationName', 'id', 'documentId', 'doc_id'].some(name => params.has(name))) return null;
+  const jsonParam = name => (params.has(name) ? parseJson(params.get(name)) ?? params.get(name) : undefined);
+  const operation = toOperation({
+    query: params.get('query') ?? undefined,
+    operationName: params.get('operationName') ?? undefined,
+    variables: jsonParam('variables'),
+    extensions: jsonParam('extensions'),
+    id: params.get('id') ?? params.get('documentId') ?? params.get('doc_id') ?? undefined
+  }, upperMethod, onGraphQLPath);
+  return operation ? [operation] : null;
+}
@@ -0,0 +1,62 @@
+import { getGraphQLOperationInfo, parseGraphQLRequest } from './graphqlDetector';
+
+describe('GraphQL Detector Module', () => {
+  test('getGraphQLOperationInfo should find the operation type and name', () => {
+    expect(getGraphQLOperationInfo('query GetUser($id: ID!) { user(id: $id) { name } }')).toEqual({ type: 'query', name: 'GetUser' });
+    expect(getGraphQLOperationInfo('{ viewer { login } }')).toEqual({ type: 'query', name: null });
+    expect(getGraphQLOperationInfo(`
+      # mutation Commented { x }
+      fragment UserFields on User { id }
+      query List { users { ...UserFields } }
+      mutation Rename { rename(name: "query Fake { }") { id } }
+    `, 'Rename')).toEqual({ type: 'mutation', name: 'Rename' });
+    expect(getGraphQLOperationInfo('shoes')).toBeNull();
+    expect(getGraphQLOperationInfo(undefined)).toBeNull();
+  });
+
+  test('should parse POST JSON bodies, including batches', () => {
+    const body = JSON.stringify({
+      operationName: 'GetUser',
+      query: 'query GetUser($id: ID!) { user(id: $id) { name } }',
+      variables: { id: '7' }
+    });
+    expect(parseGraphQLRequest({ method: 'POST', url: 'https://example.com/graphql', body, contentType: 'application/json' })).toEqual([{
+      operationName: 'GetUser',
+      operationType: 'query',
+      query: 'query GetUser($id: ID!) { user(id: $id) { name } }',
+      variables: { id: '7' },
+      persistedQueryHash: null,
+      documentId: null,
+      extensions: null
+    }]);
+
+    const batch = JSON.stringify([{ query: '{ a }' }, { query: 'mutation Save { save }' }]);
+    expect(parseGraphQLRequest({ method: 'POST', url: 'https://example.com/api', body: batch })
+      .map(operation => [operation.operationType, operation.operationName])).toEqual([['query', null], ['mutation', 'Save']]);
+  });
+
+  test('should parse persisted-query GETs and application/graphql bodies', () => {
+    const url = 'https://example.com/graphql?operationName=Feed&variables=%7B%22first%22%3A10%7D'
+      + '&extensions=%7B%22persistedQuery%22%3A%7B%22version%22%3A1%2C%22sha256Hash%22%3A%22abc123%22%7D%7D';
+    expect(parseGraphQLRequest({ method: 'GET', url })).toEqual([{
+      operationName: 'Feed',
+      operationType: 'query',
+      query: null,
+      variables: { first: 10 },
+      persistedQueryHash: 'abc123',
+      documentId: null,
+      extensions: { persistedQuery: { version: 1, sha256Hash: 'abc123' } }
+    }]);
+    expect(parseGraphQLRequest({ method: 'POST', url: 'https://example.com/gql', body: '{"doc_id":"4242","variables":{}}' })[0])
+      .toMatchObject({ documentId: '4242', operationType: null });
+    expect(parseGraphQLRequest({ method: 'POST', url: 'https://example.com/q', body: 'mutation Like { like }', contentType: 'application/graphql' })[0])
+      .toMatchObject({ operationName: 'Like', operationType: 'mutation', query: 'mutation Like { like }' });
+  });
+
+  test('should ignore requests that are not GraphQL', () => {
+    expect(parseGraphQLRequest({ method: 'GET', url: 'https://example.com/search?query=shoes' })).toBeNull();
+    expect(parseGraphQLRequest({ method: 'POST', url: 'https://example.com/search', body: '{"query":"shoes"}' })).toBeNull();
+    expect(parseGraphQLRequest({ method: 'GET', url: 'https://example.com/items?id=7' })).toBeNull();
+    expect(parseGraphQLRequest({ method: 'POST', url: 'https://example.com/graphql', body: 'not json' })).toBeNull();
+  });
+});
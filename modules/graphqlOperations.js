@@ -0,0 +1,132 @@
+// GraphQL Operations Module
+// NOTE: This module is intended to run in the background (service worker) context.
+// Groups the GraphQL requests marked by the network monitor (see graphqlDetector) by
+// operation, so a page that sends every call to one `/graphql` URL still shows what it
+// asked for. Response samples come from captured bodies when body capture is on.
+
+/** @type {number} - Variable and response samples kept per operation. */
+const MAX_SAMPLES = 3;
+
+/**
+ * Returns the key an operation is grouped under: its name, else its persisted query or
+ * document id, else its (whitespace-normalized) query text.
+ * @param {object} operation - An operation from graphqlDetector.parseGraphQLRequest.
+ * @returns {string} The key.
+ */
+export function getOperationKey(operation) {
+  if (operation.operationName) return `${operation.operationType || 'operation'} ${operation.operationName}`;
+  if (operation.persistedQueryHash) return `persisted ${operation.persistedQueryHash}`;
+  if (operation.documentId) return `document ${operation.documentId}`;
+  return `${operation.operationType || 'operation'} ${(operation.query || '').replace(/\s+/g, ' ').trim()}`;
+}
+
+/**
+ * Parses a captured response body. Batched requests get an array of results; the
+ * result for one operation is picked by its position in the batch.
+ * @param {{text?: string, truncated?: boolean} | undefined} body - A networkMonitor body record.
+ * @param {number} index - The operation's position in the request.
+ * @param {number} count - The number of operations in the request.
+ * @returns {{data: *, truncated: boolean} | null} The result (parsed when it is JSON), or null without a body.
+ */
+function getResponseResult(body, index, count) {
+  if (!body || typeof body.text !== 'string') return null;
+  let data = body.text;
+  try {
+    data = JSON.parse(body.text);
+    if (count > 1 && Array.isArray(data)) data = data[index] ?? null;
+  } catch (error) {
+    // Keep truncated or non-JSON responses as text
+  }
+  return { data, truncated: Boolean(body.truncated) };
+}
+
+/**
+ * Strips the query string from a URL, leaving the endpoint.
+ * @param {string} url - The URL.
+ * @param {string} pageUrl - The page URL, for resolving relative URLs.
+ * @returns {string} The endpoint.
+ */
+function getEndpoint(url, pageUrl) {
+  try {
+    const parsed = new URL(url, pageUrl);
+    return `${parsed.origin}${parsed.pathname}`;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Groups a page's GraphQL requests by operation.
+ * @param {object} options - Build options.
+ * @param {string} options.pageUrl - The page URL.
+ * @param {Array<object>} [options.requests=[]] - Requests from networkMonitor; GraphQL ones carry `graphql`.
+ * @param {Array<object>} [options.bodies=[]] - Bodies from networkMonitor.getNetworkBodies.
+ * @returns {{pageUrl: string, summary: object, operations: Array<object>}} The operations, most called first.
+ */
+export function buildGraphQLOperations({ pageUrl, requests = [], bodies = [] }) {
+  const bodiesById = new Map((bodies || []).map(body => [body.id, body]));
+  const groups = new Map();
+  let requestCount = 0;
+
+  (requests || []).filter(request => Array.isArray(request?.graphql)).forEach(request => {
+    requestCount++;
+    const responseBody = bodiesById.get(request.id)?.responseBody;
+    request.graphql.forEach((operation, index) => {
+      const key = getOperationKey(operation);
+      if (!groups.has(key)) {
+        groups.set(key, {
+          operationName: operation.operationName,
+          operationType: operation.operationType,
+          query: operation.query,
+          persistedQueryHashes: [],
+          documentIds: [],
+          endpoints: [],
+          methods: [],
+          calls: 0,
+          batchedCalls: 0,
+          statusCodes: {},
+          errorResponses: 0,
+          variables: [],
+          responses: [],
+          requestIds: []
+        });
+      }
+      const group = groups.get(key);
+      const addUnique = (list, value) => {
+        if (value !== null && value !== undefined && !list.includes(value)) list.push(value);
+      };
+      group.query = group.query || operation.query;
+      group.operationType = group.operationType || operation.operationType;
+      addUnique(group.persistedQueryHashes, operation.persistedQueryHash);
+      addUnique(group.documentIds, operation.documentId);
+      addUnique(group.endpoints, getEndpoint(request.url, pageUrl));
+      addUnique(group.methods, (request.method || 'GET').toUpperCase());
+      addUnique(group.requestIds, request.id);
+      group.calls++;
+      if (request.graphql.length > 1) group.batchedCalls++;
+      const status = request.status ? String(request.status) : 'none';
+      group.statusCodes[status] = (group.statusCodes[status] || 0) + 1;
+      if (operation.variables !== null && group.variables.length < MAX_SAMPLES) group.variables.push(operation.variables);
+
+      const result = getResponseResult(responseBody, index, request.graphql.length);
+      if (Array.isArray(result?.data?.errors) && result.data.errors.length > 0) group.errorResponses++;
+      if (result && group.responses.length < MAX_SAMPLES) group.responses.push({ status: request.status ?? null, ...result });
+    });
+  });
+
+  const operations = Array.from(groups.values()).sort((a, b) => b.calls - a.calls);
+  return {
+    pageUrl,
+    summary: {
+      operations: operations.length,
+      requests: requestCount,
+      byType: operations.reduce((counts, operation) => {
+        const type = operation.operationType || 'unknown';
+        counts[type] = (counts[type] || 0) + operation.calls;
+        return counts;
+      }, {}),
+      endpoints: [...new Set(operations.flatMap(operation => operation.endpoints))]
+    },
+    operations
+  };
+}
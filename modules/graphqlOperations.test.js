@@ -0,0 +1,57 @@
+import { getOperationKey, buildGraphQLOperations } from './graphqlOperations';
+
+describe('GraphQL Operations Module', () => {
+  const getUser = id => ({
+    operationName: 'GetUser', operationType: 'query', query: 'query GetUser($id: ID!) { user(id: $id) { name } }',
+    variables: { id }, persistedQueryHash: null, documentId: null, extensions: null
+  });
+  const feed = {
+    operationName: null, operationType: 'query', query: null, variables: null,
+    persistedQueryHash: 'abc123', documentId: null, extensions: {}
+  };
+
+  test('getOperationKey should prefer the name, then the persisted id, then the query', () => {
+    expect(getOperationKey(getUser('1'))).toBe('query GetUser');
+    expect(getOperationKey(feed)).toBe('persisted abc123');
+    expect(getOperationKey({ operationType: 'query', query: '{\n  viewer { id }\n}' })).toBe('query { viewer { id } }');
+  });
+
+  test('should group requests by operation with variables and response samples', () => {
+    const result = buildGraphQLOperations({
+      pageUrl: 'https://example.com/',
+      requests: [
+        { id: 1, url: '/graphql', method: 'POST', status: 200, graphql: [getUser('1')] },
+        { id: 2, url: '/graphql', method: 'POST', status: 200, graphql: [getUser('2'), feed] },
+        { id: 3, url: 'https://example.com/graphql?extensions=x', method: 'GET', status: 200, graphql: [feed] },
+        { id: 4, url: '/api/items', method: 'GET', status: 200 }
+      ],
+      bodies: [
+        { id: 1, responseBody: { text: '{"data":{"user":{"name":"Ada"}}}', truncated: false } },
+        { id: 2, responseBody: { text: '[{"data":{"user":null},"errors":[{"message":"Not found"}]},{"data":{"feed":[]}}]', truncated: false } }
+      ]
+    });
+
+    expect(result.summary).toEqual({ operations: 2, requests: 3, byType: { query: 4 }, endpoints: ['https://example.com/graphql'] });
+    const [user, persisted] = result.operations;
+    expect(user).toMatchObject({
+      operationName: 'GetUser',
+      calls: 2,
+      batchedCalls: 1,
+      methods: ['POST'],
+      statusCodes: { 200: 2 },
+      errorResponses: 1,
+      variables: [{ id: '1' }, { id: '2' }],
+      requestIds: [1, 2]
+    });
+    expect(user.responses).toEqual([
+      { status: 200, data: { data: { user: { name: 'Ada' } } }, truncated: false },
+      { status: 200, data: { data: { user: null }, errors: [{ message: 'Not found' }] }, truncated: false }
+    ]);
+    expect(persisted).toMatchObject({ persistedQueryHashes: ['abc123'], methods: ['POST', 'GET'], calls: 2 });
+    expect(persisted.responses).toEqual([{ status: 200, data: { data: { feed: [] } }, truncated: false }]);
+  });
+
+  test('should return no operations for pages without GraphQL', () => {
+    expect(buildGraphQLOperations({ pageUrl: 'https://example.com/', requests: [{ id: 1, url: '/a', method: 'GET' }] }).operations).toEqual([]);
+  });
+});
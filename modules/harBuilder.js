@@ -0,0 +1,332 @@
+// HAR Builder Module (HTTP Archive 1.2)
+// NOTE: This module is intended to run in the background (service worker) context.
+// Merges three partial views of the page's network activity into one HAR log:
+// networkRecorder (webRequest: every request, headers, status, redirects, initiator),
+// networkMonitor (in-page fetch/XHR calls) and the page's Resource Timing entries
+// (detailed timings and body sizes, which webRequest does not expose).
+
+/** @type {Object<string, string>} - webRequest resource types mapped to DevTools `_resourceType` values. */
+const RESOURCE_TYPES = {
+  main_frame: 'document',
+  sub_frame: 'document',
+  stylesheet: 'stylesheet',
+  script: 'script',
+  image: 'image',
+  font: 'font',
+  media: 'media',
+  xmlhttprequest: 'xhr',
+  ping: 'ping',
+  websocket: 'websocket',
+  csp_report: 'csp-violation-report'
+};
+
+/** @type {Object<string, string>} - Resource Timing nextHopProtocol values mapped to HTTP versions. */
+const PROTOCOL_VERSIONS = { 'http/1.0': 'HTTP/1.0', 'http/1.1': 'HTTP/1.1', h2: 'HTTP/2', h3: 'HTTP/3' };
+
+/**
+ * Rounds a duration to microseconds, as DevTools does.
+ * @param {number} value - The duration in milliseconds.
+ * @returns {number} The rounded duration.
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Converts headers in any of the shapes the recorders produce (webRequest
+ * `[{name, value}]`, a plain object or `[name, value]` pairs) to HAR headers.
+ * @param {Array|object} [headers] - The headers.
+ * @returns {Array<{name: string, value: string}>} The HAR headers.
+ */
+export function toHarHeaders(headers) {
+  if (!headers) return [];
+  if (Array.isArray(headers)) {
+    return headers
+      .map(header => (Array.isArray(header) ? { name: header[0], value: header[1] } : header))
+      .filter(header => header?.name)
+      .map(header => ({ name: String(header.name), value: String(header.value ?? '') }));
+  }
+  if (typeof headers === 'object') {
+    return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+  }
+  return [];
+}
+
+/**
+ * Looks up a header value, ignoring case.
+ * @param {Array<{name: string, value: string}>} headers - HAR headers.
+ * @param {string} name - The header name.
+ * @returns {string | null} The first matching value.
+ */
+export function getHeaderValue(headers, name) {
+  const lowerName = name.toLowerCase();
+  return headers.find(header => header.name.toLowerCase() === lowerName)?.value ?? null;
+}
+
+/**
+ * Lists the query parameters of a URL in HAR form.
+ * @param {string} url - The URL.
+ * @returns {Array<{name: string, value: string}>} The parameters, in order.
+ */
+export function getQueryString(url) {
+  try {
+    return Array.from(new URL(url).searchParams, ([name, value]) => ({ name, value }));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Determines the HTTP version from a status line (`HTTP/1.1 200 OK`) or, failing that,
+ * from the ALPN protocol id reported by Resource Timing.
+ * @param {string} [statusLine] - The webRequest status line.
+ * @param {string} [protocol] - The Resource Timing nextHopProtocol.
+ * @returns {string} e.g. `HTTP/1.1` or `HTTP/2`; empty if unknown.
+ */
+export function getHttpVersion(statusLine, protocol) {
+  const fromStatusLine = statusLine?.match(/^(HTTP\/[\d.]+)/i)?.[1];
+  if (fromStatusLine) return fromStatusLine.toUpperCase().replace(/^HTTP\/2\.0$/, 'HTTP/2');
+  return PROTOCOL_VERSIONS[protocol?.toLowerCase()] || '';
+}
+
+/**
+ * Builds HAR timings. Resource Timing gives the full breakdown when the server allows it
+ * (same origin or Timing-Allow-Origin); otherwise the webRequest event times give the
+ * wait and receive phases.
+ * @param {object | null} timing - The matching Resource Timing entry.
+ * @param {object | null} times - The webRequest event times (start, sendHeaders, headersReceived, end).
+ * @returns {{blocked: number, dns: number, connect: number, ssl: number, send: number, wait: number, receive: number}}
+ *   The timings in milliseconds; -1 marks phases that do not apply or are unknown.
+ */
+export function buildHarTimings(timing, times) {
+  if (timing?.requestStart > 0) {
+    const dns = timing.domainLookupEnd > timing.domainLookupStart ? timing.domainLookupEnd - timing.domainLookupStart : -1;
+    const connect = timing.connectEnd > timing.connectStart ? timing.connectEnd - timing.connectStart : -1;
+    const ssl = timing.secureConnectionStart > 0 ? timing.connectEnd - timing.secureConnectionStart : -1;
+    const wait = Math.max(0, timing.responseStart - timing.requestStart);
+    const receive = Math.max(0, timing.responseEnd - timing.responseStart);
+    const blocked = Math.max(0, timing.duration - Math.max(dns, 0) - Math.max(connect, 0) - wait - receive);
+    return { blocked: round(blocked), dns: round(dns), connect: round(connect), ssl: round(ssl), send: 0, wait: round(wait), receive: round(receive) };
+  }
+  if (times?.start !== undefined && times.end !== undefined) {
+    const sent = times.sendHeaders ?? times.start;
+    const headersReceived = times.headersReceived ?? times.end;
+    return {
+      blocked: times.sendHeaders !== undefined ? round(times.sendHeaders - times.start) : -1,
+      dns: -1,
+      connect: -1,
+      ssl: -1,
+      send: 0,
+      wait: round(Math.max(0, headersReceived - sent)),
+      receive: round(Math.max(0, times.end - headersReceived))
+    };
+  }
+  return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: round(timing?.duration || 0), receive: 0 };
+}
+
+/**
+ * Returns the total time of an entry: the sum of its timings (ssl is part of connect).
+ * @param {object} timings - HAR timings.
+ * @returns {number} The time in milliseconds.
+ */
+function getTotalTime(timings) {
+  return round(['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+    .reduce((total, phase) => total + Math.max(timings[phase], 0), 0));
+}
+
+/**
+ * Creates a lookup that hands out each item once, so repeated requests for the same
+ * URL pair up with their own records in order.
+ * @param {Array<object>} items - The items.
+ * @param {function(object): string} getKey - Returns the lookup key of an item.
+ * @returns {function(string): (object | null)} Takes the next unused item with a key.
+ */
+function createMatcher(items, getKey) {
+  const queues = new Map();
+  items.forEach(item => {
+    const key = getKey(item);
+    if (!queues.has(key)) queues.set(key, []);
+    queues.get(key).push(item);
+  });
+  return key => queues.get(key)?.shift() || null;
+}
+
+/**
+ * Builds the response content and sizes from the headers and Resource Timing.
+ * @param {Array<{name: string, value: string}>} headers - The response headers.
+ * @param {object | null} timing - The matching Resource Timing entry.
+ * @returns {{content: object, bodySize: number}} The HAR content object and the encoded body size.
+ */
+function buildContent(headers, timing) {
+  const contentLength = Number(getHeaderValue(headers, 'content-length'));
+  const decoded = timing?.decodedBodySize > 0 ? timing.decodedBodySize : null;
+  const encoded = timing?.encodedBodySize > 0 ? timing.encodedBodySize : null;
+  const content = {
+    size: decoded ?? (Number.isFinite(contentLength) && contentLength > 0 ? contentLength : 0),
+    mimeType: getHeaderValue(headers, 'content-type') || 'x-unknown'
+  };
+  if (decoded !== null && encoded !== null) content.compression = decoded - encoded;
+  return { content, bodySize: encoded ?? -1 };
+}
+
+/**
+ * Builds a HAR entry from a webRequest record, with the matching in-page record and
+ * Resource Timing entry when there are any.
+ * @param {object} record - The networkRecorder record.
+ * @param {object | null} inPage - The matching networkMonitor record.
+ * @param {object | null} timing - The matching Resource Timing entry.
+ * @returns {object} The HAR entry.
+ */
+function buildRecordedEntry(record, inPage, timing) {
+  const responseHeaders = toHarHeaders(record.responseHeaders);
+  const { content, bodySize } = buildContent(responseHeaders, timing);
+  const timings = buildHarTimings(timing, record.times);
+  const httpVersion = getHttpVersion(record.statusLine, timing?.nextHopProtocol);
+  const entry = {
+    startedDateTime: new Date(record.times?.start ?? record.timestamp).toISOString(),
+    time: getTotalTime(timings),
+    request: {
+      method: record.method || 'GET',
+      url: record.url,
+      httpVersion,
+      cookies: [],
+      headers: toHarHeaders(record.requestHeaders?.length ? record.requestHeaders : inPage?.headers),
+      queryString: getQueryString(record.url),
+      headersSize: -1,
+      bodySize: inPage?.body?.size ?? ((record.method || 'GET') === 'GET' ? 0 : -1)
+    },
+    response: {
+      status: record.status || 0,
+      statusText: record.statusLine?.replace(/^HTTP\/[\d.]+\s+\d+\s*/i, '') || inPage?.statusText || '',
+      httpVersion,
+      cookies: [],
+      headers: responseHeaders,
+      content,
+      redirectURL: record.redirectUrl || '',
+      headersSize: -1,
+      bodySize
+    },
+    cache: {},
+    timings,
+    _resourceType: inPage?.type || RESOURCE_TYPES[record.type] || 'other',
+    _initiator: { type: inPage ? 'script' : timing?.initiatorType || 'other', origin: record.initiator || null },
+    _fromCache: Boolean(record.fromCache)
+  };
+  if (record.ip) entry.serverIPAddress = record.ip;
+  if (timing?.transferSize !== undefined && timing?.transferSize !== null) entry._transferSize = timing.transferSize;
+  if (record.error || inPage?.error) entry.response._error = record.error || inPage.error;
+  return entry;
+}
+
+/**
+ * Builds a HAR entry from an in-page fetch/XHR record that webRequest did not see
+ * (e.g. made before the background recorder started).
+ * @param {object} request - The networkMonitor record, with an absolute URL.
+ * @param {object | null} timing - The matching Resource Timing entry.
+ * @param {number} timeOrigin - The page's time origin, for converting timing times.
+ * @returns {object} The HAR entry.
+ */
+function buildInPageEntry(request, timing, timeOrigin) {
+  const { content, bodySize } = buildContent([], timing);
+  const timings = buildHarTimings(timing, null);
+  const started = timing && timeOrigin ? timeOrigin + timing.startTime : Date.parse(request.timestamp);
+  const entry = {
+    startedDateTime: new Date(Number.isFinite(started) ? started : Date.now()).toISOString(),
+    time: getTotalTime(timings),
+    request: {
+      method: request.method || 'GET',
+      url: request.url,
+      httpVersion: getHttpVersion(null, timing?.nextHopProtocol),
+      cookies: [],
+      headers: toHarHeaders(request.headers),
+      queryString: getQueryString(request.url),
+      headersSize: -1,
+      bodySize: request.body?.size ?? ((request.method || 'GET') === 'GET' ? 0 : -1)
+    },
+    response: {
+      status: request.status || 0,
+      statusText: request.statusText || '',
+      httpVersion: getHttpVersion(null, timing?.nextHopProtocol),
+      cookies: [],
+      headers: [],
+      content,
+      redirectURL: '',
+      headersSize: -1,
+      bodySize
+    },
+    cache: {},
+    timings,
+    _resourceType: request.type || 'other',
+    _initiator: { type: 'script', origin: null }
+  };
+  if (request.error) entry.response._error = request.error;
+  return entry;
+}
+
+/**
+ * Builds a HAR 1.2 log for a captured page. webRequest records are the backbone; in-page
+ * fetch/XHR records are matched to them by method and URL (adding the request headers
+ * the page set and marking them as script-initiated), and Resource Timing entries by URL.
+ * Redirect hops keep their webRequest times, as Resource Timing reports the whole chain
+ * under the first URL.
+ * @param {object} options - Build options.
+ * @param {string} options.pageUrl - The page URL.
+ * @param {string} [options.title] - The page title.
+ * @param {Array<object>} [options.recordedRequests=[]] - Requests from networkRecorder.
+ * @param {Array<object>} [options.inPageRequests=[]] - Requests from networkMonitor.
+ * @param {{timeOrigin: number, navigation: object | null, resources: Array<object>}} [options.resourceTimings] -
+ *   Timing data from performanceMetadata.getResourceTimings.
+ * @param {string} [options.version=''] - The extension version, for the creator field.
+ * @returns {{log: object}} The HAR document.
+ */
+export function buildHar({ pageUrl, title, recordedRequests = [], inPageRequests = [], resourceTimings, version = '' }) {
+  const timeOrigin = resourceTimings?.timeOrigin || 0;
+  const navigation = resourceTimings?.navigation || null;
+  const takeTiming = createMatcher(
+    [navigation, ...(resourceTimings?.resources || [])].filter(Boolean),
+    timing => timing.name
+  );
+
+  const resolve = url => {
+    try {
+      return new URL(url, pageUrl).href;
+    } catch (error) {
+      return url;
+    }
+  };
+  const pageRequests = (inPageRequests || [])
+    .filter(request => request?.url)
+    .map(request => ({ ...request, url: resolve(request.url), method: (request.method || 'GET').toUpperCase() }));
+  const takeInPage = createMatcher(pageRequests, request => `${request.method} ${request.url}`);
+
+  const entries = (recordedRequests || []).map(record => {
+    const inPage = record.type === 'xmlhttprequest' ? takeInPage(`${record.method} ${record.url}`) : null;
+    if (inPage) inPage.matched = true;
+    const timing = record.redirectUrl ? null : takeTiming(record.url);
+    return buildRecordedEntry(record, inPage, timing);
+  });
+  pageRequests
+    .filter(request => !request.matched)
+    .forEach(request => entries.push(buildInPageEntry(request, takeTiming(request.url), timeOrigin)));
+
+  entries.sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+
+  const pageStarted = timeOrigin || (entries.length > 0 ? Date.parse(entries[0].startedDateTime) : Date.now());
+  const pageId = 'page_1';
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'SiteScribe', version },
+      pages: [{
+        startedDateTime: new Date(pageStarted).toISOString(),
+        id: pageId,
+        title: title || pageUrl,
+        pageTimings: {
+          onContentLoad: navigation?.domContentLoadedEventStart > 0 ? round(navigation.domContentLoadedEventStart) : -1,
+          onLoad: navigation?.loadEventStart > 0 ? round(navigation.loadEventStart) : -1
+        }
+      }],
+      entries: entries.map(entry => ({ pageref: pageId, ...entry }))
+    }
+  };
+}
@@ -0,0 +1,141 @@
+import {
+  toHarHeaders,
+  getHeaderValue,
+  getQueryString,
+  getHttpVersion,
+  buildHarTimings,
+  buildHar
+} from './harBuilder';
+
+describe('HAR Builder Module', () => {
+  const timeOrigin = Date.UTC(2025, 2, 6, 12, 0, 0);
+
+  const resourceTiming = (overrides = {}) => ({
+    name: 'https://example.com/app.js',
+    initiatorType: 'script',
+    nextHopProtocol: 'h2',
+    startTime: 100,
+    duration: 60,
+    fetchStart: 100,
+    domainLookupStart: 105,
+    domainLookupEnd: 110,
+    connectStart: 110,
+    connectEnd: 130,
+    secureConnectionStart: 118,
+    requestStart: 130,
+    responseStart: 150,
+    responseEnd: 160,
+    transferSize: 1300,
+    encodedBodySize: 1000,
+    decodedBodySize: 4000,
+    ...overrides
+  });
+
+  test('toHarHeaders should accept webRequest arrays, objects and pairs', () => {
+    expect(toHarHeaders([{ name: 'Accept', value: '*/*' }])).toEqual([{ name: 'Accept', value: '*/*' }]);
+    expect(toHarHeaders({ 'X-Token': 'abc' })).toEqual([{ name: 'X-Token', value: 'abc' }]);
+    expect(toHarHeaders([['Content-Type', 'application/json']])).toEqual([{ name: 'Content-Type', value: 'application/json' }]);
+    expect(toHarHeaders(undefined)).toEqual([]);
+    expect(getHeaderValue([{ name: 'Content-Type', value: 'text/css' }], 'content-type')).toBe('text/css');
+  });
+
+  test('getQueryString and getHttpVersion should follow the HAR fields', () => {
+    expect(getQueryString('https://example.com/search?q=har&page=2')).toEqual([
+      { name: 'q', value: 'har' },
+      { name: 'page', value: '2' }
+    ]);
+    expect(getHttpVersion('HTTP/1.1 200 OK', 'h2')).toBe('HTTP/1.1');
+    expect(getHttpVersion(undefined, 'h2')).toBe('HTTP/2');
+    expect(getHttpVersion(undefined, undefined)).toBe('');
+  });
+
+  test('buildHarTimings should prefer Resource Timing and fall back to webRequest times', () => {
+    expect(buildHarTimings(resourceTiming(), null)).toEqual({
+      blocked: 5, dns: 5, connect: 20, ssl: 12, send: 0, wait: 20, receive: 10
+    });
+    expect(buildHarTimings(resourceTiming({ requestStart: 0 }), { start: 1000, sendHeaders: 1004, headersReceived: 1050, end: 1070 }))
+      .toEqual({ blocked: 4, dns: -1, connect: -1, ssl: -1, send: 0, wait: 46, receive: 20 });
+    expect(buildHarTimings(null, null)).toMatchObject({ send: 0, wait: 0, receive: 0 });
+  });
+
+  test('buildHar should merge webRequest, in-page and Resource Timing data', () => {
+    const har = buildHar({
+      pageUrl: 'https://example.com/',
+      title: 'Example',
+      version: '1.0.2',
+      recordedRequests: [
+        {
+          type: 'main_frame', url: 'http://example.com/', method: 'GET', status: 301,
+          statusLine: 'HTTP/1.1 301 Moved Permanently', redirectUrl: 'https://example.com/',
+          responseHeaders: [{ name: 'Location', value: 'https://example.com/' }],
+          times: { start: timeOrigin - 50, end: timeOrigin - 10 }
+        },
+        {
+          type: 'main_frame', url: 'https://example.com/', method: 'GET', status: 200,
+          statusLine: 'HTTP/1.1 200 OK', ip: '93.184.216.34',
+          requestHeaders: [{ name: 'Accept', value: 'text/html' }],
+          responseHeaders: [{ name: 'Content-Type', value: 'text/html' }],
+          times: { start: timeOrigin, end: timeOrigin + 90 }
+        },
+        {
+          type: 'script', url: 'https://example.com/app.js', method: 'GET', status: 200,
+          statusLine: 'HTTP/1.1 200 OK', initiator: 'https://example.com',
+          responseHeaders: [{ name: 'Content-Type', value: 'text/javascript' }],
+          times: { start: timeOrigin + 100, end: timeOrigin + 160 }
+        },
+        {
+          type: 'xmlhttprequest', url: 'https://api.example.com/items?page=1', method: 'POST', status: 201,
+          statusLine: 'HTTP/1.1 201 Created', responseHeaders: [],
+          times: { start: timeOrigin + 300, end: timeOrigin + 340 }
+        }
+      ],
+      inPageRequests: [
+        { type: 'fetch', url: 'https://api.example.com/items?page=1', method: 'post', headers: { 'X-Token': 'abc' }, status: 201 },
+        { type: 'xhr', url: '/early', method: 'GET', status: 200, timestamp: new Date(timeOrigin + 20).toISOString() }
+      ],
+      resourceTimings: {
+        timeOrigin,
+        navigation: resourceTiming({ name: 'https://example.com/', startTime: 0, domContentLoadedEventStart: 400, loadEventStart: 800 }),
+        resources: [resourceTiming()]
+      }
+    });
+
+    const { log } = har;
+    expect(log.version).toBe('1.2');
+    expect(log.creator).toEqual({ name: 'SiteScribe', version: '1.0.2' });
+    expect(log.pages).toEqual([{
+      startedDateTime: '2025-03-06T12:00:00.000Z',
+      id: 'page_1',
+      title: 'Example',
+      pageTimings: { onContentLoad: 400, onLoad: 800 }
+    }]);
+    expect(log.entries.map(entry => entry.request.url)).toEqual([
+      'http://example.com/',
+      'https://example.com/',
+      'https://example.com/early',
+      'https://example.com/app.js',
+      'https://api.example.com/items?page=1'
+    ]);
+
+    const [redirect, document, early, script, api] = log.entries;
+    expect(redirect.response).toMatchObject({ status: 301, statusText: 'Moved Permanently', redirectURL: 'https://example.com/' });
+    expect(redirect.timings.wait).toBe(40);
+    expect(document).toMatchObject({
+      pageref: 'page_1',
+      serverIPAddress: '93.184.216.34',
+      _resourceType: 'document',
+      request: { httpVersion: 'HTTP/1.1', headers: [{ name: 'Accept', value: 'text/html' }] }
+    });
+    expect(script.response.content).toEqual({ size: 4000, mimeType: 'text/javascript', compression: 3000 });
+    expect(script.response.bodySize).toBe(1000);
+    expect(script.time).toBe(60);
+    expect(script._initiator).toEqual({ type: 'script', origin: 'https://example.com' });
+    expect(script._transferSize).toBe(1300);
+    expect(api).toMatchObject({
+      _resourceType: 'fetch',
+      request: { method: 'POST', bodySize: -1, headers: [{ name: 'X-Token', value: 'abc' }], queryString: [{ name: 'page', value: '1' }] },
+      response: { status: 201, statusText: 'Created', content: { size: 0, mimeType: 'x-unknown' } }
+    });
+    expect(early).toMatchObject({ _resourceType: 'xhr', startedDateTime: '2025-03-06T12:00:00.020Z', response: { status: 200 } });
+  });
+});
@@ -0,0 +1,110 @@
+// Link Graph Module
+// NOTE: This module is intended to run in the content script context.
+// Lists the anchors of a page for links.json.
+import { parseUrl } from './utils.js';
+
+/** @type {Array<{region: string, selector: string}>} - Page regions, by element and ARIA landmark role. */
+const REGIONS = [
+  { region: 'nav', selector: 'nav, [role="navigation"]' },
+  { region: 'header', selector: 'header, [role="banner"]' },
+  { region: 'footer', selector: 'footer, [role="contentinfo"]' },
+  { region: 'aside', selector: 'aside, [role="complementary"]' },
+  { region: 'main', selector: 'main, [role="main"]' }
+];
+
+/**
+ * Determines the page region a link sits in: the nearest enclosing nav, header, footer,
+ * aside or main element (or the equivalent landmark role).
+ * @param {Element} element - The link.
+ * @returns {string} The region name, or 'body' if the link is in none of them.
+ */
+export function getLinkRegion(element) {
+  for (let current = element.parentElement; current; current = current.parentElement) {
+    const match = REGIONS.find(({ selector }) => current.matches(selector));
+    if (match) return match.region;
+  }
+  return 'body';
+}
+
+/**
+ * Returns the text a link is announced with: its text, or the alt text of an image link,
+ * or its aria-label / title.
+ * @param {Element} element - The link.
+ * @returns {string} The anchor text.
+ */
+export function getAnchorText(element) {
+  const text = element.textContent.replace(/\s+/g, ' ').trim();
+  if (text) return text;
+  const imageAlt = Array.from(element.querySelectorAll('img[alt]')).map(image => image.getAttribute('alt').trim()).filter(Boolean).join(' ');
+  return imageAlt || element.getAttribute('aria-label') || element.getAttribute('title') || element.getAttribute('alt') || '';
+}
+
+/**
+ * Decides whether a URL belongs to the same site as the page, comparing the registrable
+ * domain split by parseUrl (so www.example.com and blog.example.com are internal).
+ * @param {URL} url - The link URL.
+ * @param {string} pageMainDomain - domain.main of the page.
+ * @returns {boolean} True for internal links.
+ */
+function isInternal(url, pageMainDomain) {
+  return (url.protocol === 'http:' || url.protocol === 'https:') && parseUrl(url.href).domain.main === pageMainDomain;
+}
+
+/**
+ * Collects every link (<a href> and <area href>) of a document. javascript: links are
+ * left out since they do not reference anything. Each entry records how often its URL
+ * occurs on the page, and the summary counts links per kind (other = mailto:, tel: and
+ * similar) and region.
+ * @param {Document} [doc=document] - The document to scan.
+ * @returns {{pageUrl: string, summary: object, links: Array<{url: string, text: string, rel: Array<string>,
+ *   internal: boolean, protocol: string, region: string, target: string, occurrences: number}>}}
+ *   The link graph.
+ */
+export function collectLinks(doc = document) {
+  const pageUrl = doc.URL;
+  const pageMainDomain = parseUrl(pageUrl).domain.main;
+  const links = [];
+
+  doc.querySelectorAll('a[href], area[href]').forEach(element => {
+    const href = element.getAttribute('href').trim();
+    let url;
+    try {
+      url = new URL(href, doc.baseURI);
+    } catch (error) {
+      return;
+    }
+    if (url.protocol === 'javascript:') return;
+
+    links.push({
+      url: url.href,
+      text: getAnchorText(element),
+      rel: (element.getAttribute('rel') || '').toLowerCase().split(/\s+/).filter(Boolean),
+      internal: isInternal(url, pageMainDomain),
+      protocol: url.protocol.replace(':', ''),
+      region: getLinkRegion(element),
+      target: element.getAttribute('target') || '',
+      occurrences: 0
+    });
+  });
+
+  const counts = new Map();
+  links.forEach(link => counts.set(link.url, (counts.get(link.url) || 0) + 1));
+  links.forEach(link => { link.occurrences = counts.get(link.url); });
+
+  const byRegion = {};
+  links.forEach(link => { byRegion[link.region] = (byRegion[link.region] || 0) + 1; });
+
+  return {
+    pageUrl,
+    summary: {
+      total: links.length,
+      unique: counts.size,
+      internal: links.filter(link => link.internal).length,
+      external: links.filter(link => !link.internal && /^https?$/.test(link.protocol)).length,
+      other: links.filter(link => !/^https?$/.test(link.protocol)).length,
+      duplicated: Array.from(counts.values()).filter(count => count > 1).length,
+      byRegion
+    },
+    links
+  };
+}
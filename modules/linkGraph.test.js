@@ -0,0 +1,87 @@
+import { getLinkRegion, getAnchorText, collectLinks } from './linkGraph';
+
+describe('Link Graph Module', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+    delete document.URL;
+    delete document.baseURI;
+  });
+
+  test('getLinkRegion should use the nearest region element or landmark role', () => {
+    document.body.innerHTML = `
+      <header><nav><a id="a" href="/">Home</a></nav></header>
+      <div role="contentinfo"><a id="b" href="/about">About</a></div>
+      <main><p><a id="c" href="/post">Post</a></p></main>
+      <a id="d" href="/loose">Loose</a>
+    `;
+
+    expect(getLinkRegion(document.getElementById('a'))).toBe('nav');
+    expect(getLinkRegion(document.getElementById('b'))).toBe('footer');
+    expect(getLinkRegion(document.getElementById('c'))).toBe('main');
+    expect(getLinkRegion(document.getElementById('d'))).toBe('body');
+  });
+
+  test('getAnchorText should fall back to image alt text and labels', () => {
+    document.body.innerHTML = `
+      <a id="a" href="/">  Read
+        more </a>
+      <a id="b" href="/"><img src="logo.png" alt="Acme"></a>
+      <a id="c" href="/" aria-label="Close"></a>
+    `;
+
+    expect(getAnchorText(document.getElementById('a'))).toBe('Read more');
+    expect(getAnchorText(document.getElementById('b'))).toBe('Acme');
+    expect(getAnchorText(document.getElementById('c'))).toBe('Close');
+  });
+
+  test('collectLinks should resolve, classify and count links', () => {
+    // The page needs a real domain for the internal/external split
+    Object.defineProperty(document, 'URL', { value: 'https://www.example.com/guide/', configurable: true });
+    Object.defineProperty(document, 'baseURI', { value: 'https://www.example.com/guide/', configurable: true });
+    document.body.innerHTML = `
+      <nav><a href="/docs">Docs</a><a href="https://blog.example.com/">Blog</a></nav>
+      <main>
+        <a href="/docs">Documentation</a>
+        <a href="https://github.com/acme/repo" rel="nofollow Noopener" target="_blank">Source</a>
+        <a href="mailto:team@example.com">Mail us</a>
+        <a href="javascript:void(0)">Menu</a>
+      </main>
+      <map><area href="/map-target" alt="Region"></map>
+    `;
+
+    const graph = collectLinks(document);
+
+    expect(graph.pageUrl).toBe('https://www.example.com/guide/');
+    expect(graph.links).toHaveLength(6);
+    expect(graph.links[0]).toEqual({
+      url: 'https://www.example.com/docs',
+      text: 'Docs',
+      rel: [],
+      internal: true,
+      protocol: 'https',
+      region: 'nav',
+      target: '',
+      occurrences: 2
+    });
+    expect(graph.links[1]).toMatchObject({ url: 'https://blog.example.com/', internal: true });
+    expect(graph.links[3]).toMatchObject({
+      url: 'https://github.com/acme/repo',
+      rel: ['nofollow', 'noopener'],
+      internal: false,
+      region: 'main',
+      target: '_blank',
+      occurrences: 1
+    });
+    expect(graph.links[4]).toMatchObject({ protocol: 'mailto', internal: false });
+    expect(graph.links[5]).toMatchObject({ url: 'https://www.example.com/map-target', text: 'Region', region: 'body' });
+    expect(graph.summary).toEqual({
+      total: 6,
+      unique: 5,
+      internal: 4,
+      external: 1,
+      other: 1,
+      duplicated: 1,
+      byRegion: { nav: 2, main: 3, body: 1 }
+    });
+  });
+});
@@ -0,0 +1,305 @@
+// Markdown Conversion Module
+// NOTE: This module is intended to run in the content script context.
+import { getSnippetLanguage } from './codeSnippets.js';
+import { getRenderedChildren, getAccessibleFrameDocument } from './domSnapshot.js';
+
+/** @type {Set<string>} - Elements that are never rendered into Markdown. */
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'CANVAS', 'BUTTON', 'SELECT', 'INPUT', 'TEXTAREA']);
+
+/** @type {Set<string>} - Elements rendered as a paragraph-like block of their children. */
+const BLOCK_TAGS = new Set(['P', 'DIV', 'SECTION', 'ARTICLE', 'MAIN', 'HEADER', 'FOOTER', 'ASIDE', 'NAV', 'FIGURE', 'FIGCAPTION', 'DD', 'ADDRESS', 'DETAILS', 'SUMMARY', 'CAPTION']);
+
+/**
+ * Escapes characters that would otherwise be read as Markdown syntax in plain text.
+ * @param {string} text - The raw text.
+ * @returns {string} The escaped text.
+ */
+export function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+/**
+ * Wraps a converted block so that it is separated from its neighbours by a blank line.
+ * @param {string} content - The block content.
+ * @returns {string} The padded block, or an empty string for empty content.
+ */
+function block(content) {
+  const trimmed = content.trim();
+  return trimmed ? `\n\n${trimmed}\n\n` : '';
+}
+
+/**
+ * Wraps inline content in a delimiter (e.g. `**`), keeping surrounding whitespace outside it.
+ * @param {string} content - The converted inline content.
+ * @param {string} delimiter - The Markdown delimiter.
+ * @returns {string} The wrapped content.
+ */
+function wrapInline(content, delimiter) {
+  const trimmed = content.trim();
+  if (!trimmed) return content ? ' ' : '';
+  const leading = /^\s/.test(content) ? ' ' : '';
+  const trailing = /\s$/.test(content) ? ' ' : '';
+  return `${leading}${delimiter}${trimmed}${delimiter}${trailing}`;
+}
+
+/**
+ * Makes a URL safe to use as a Markdown link destination.
+ * @param {string} url - The URL.
+ * @returns {string} The URL with spaces and parentheses percent-encoded.
+ */
+function formatUrl(url) {
+  return url.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+/**
+ * Formats the optional title of a link or image.
+ * @param {HTMLElement} element - The <a> or <img> element.
+ * @returns {string} The quoted title with a leading space, or an empty string.
+ */
+function formatTitle(element) {
+  const title = element.getAttribute('title');
+  return title ? ` "${title.replace(/"/g, '\\"')}"` : '';
+}
+
+/**
+ * Returns a run of backticks longer than any run inside the text, so it can delimit that text.
+ * @param {string} text - The code text.
+ * @param {number} minimum - The minimum delimiter length.
+ * @returns {string} The backtick delimiter.
+ */
+function backtickFence(text, minimum) {
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  return '`'.repeat(Math.max(minimum, longest + 1));
+}
+
+/**
+ * Determines the info string for a fenced code block. A `language-*` class or `data-language`
+ * on either the <pre> or its <code> wins, otherwise the language is detected from the code.
+ * @param {HTMLElement} pre - The <pre> element.
+ * @returns {string} The language, or an empty string if it is unknown.
+ */
+function getFenceLanguage(pre) {
+  const code = pre.querySelector('code');
+  const hinted = [code, pre].find(element =>
+    element && (/language-\w+/.test(element.className) || element.getAttribute('data-language')));
+  const language = getSnippetLanguage(hinted || code || pre);
+  return language === 'text' ? '' : language;
+}
+
+/**
+ * Converts the children of a node and concatenates the results. Children are taken from
+ * the rendered (flat) tree, so shadow root and same-origin frame content is included.
+ * @param {Node} node - The parent node.
+ * @returns {string} The Markdown for all child nodes.
+ */
+function convertChildren(node) {
+  return getRenderedChildren(node).map(convertNode).join('');
+}
+
+/**
+ * Converts a list element into Markdown list items. Nested lists and multi-line items are
+ * indented under their marker; checkbox items become task list items.
+ * @param {HTMLElement} list - The <ul> or <ol> element.
+ * @returns {string} The Markdown list.
+ */
+function convertList(list) {
+  const ordered = list.tagName.toUpperCase() === 'OL';
+  const start = ordered ? parseInt(list.getAttribute('start'), 10) || 1 : 1;
+  const items = Array.from(list.children).filter(child => child.tagName.toUpperCase() === 'LI');
+
+  return block(items.map((item, index) => {
+    const marker = ordered ? `${start + index}.` : '-';
+    const checkbox = Array.from(item.children).find(child => child.tagName === 'INPUT' && child.type === 'checkbox');
+    const task = checkbox ? (checkbox.checked ? '[x] ' : '[ ] ') : '';
+    const indent = ' '.repeat(marker.length + 1);
+    const content = convertChildren(item)
+      .trim()
+      .replace(/\n{2,}(?=(?:-|\d+\.) )/g, '\n') // Keep nested lists tight
+      .split('\n')
+      .map((line, lineIndex) => (lineIndex === 0 || !line ? line : `${indent}${line}`))
+      .join('\n');
+    return `${marker} ${task}${content}`;
+  }).join('\n'));
+}
+
+/**
+ * Converts a table into a GitHub Flavored Markdown table. The first row is used as the
+ * header; cells spanning several rows or columns are expanded with empty cells so every
+ * row has the same number of columns.
+ * @param {HTMLTableElement} table - The table element.
+ * @returns {string} The Markdown table.
+ */
+function convertTable(table) {
+  const rows = Array.from(table.rows);
+  if (rows.length === 0) return '';
+
+  const grid = rows.map(() => []);
+  rows.forEach((row, rowIndex) => {
+    let column = 0;
+    for (const cell of Array.from(row.cells)) {
+      while (grid[rowIndex][column] !== undefined) column++;
+      const text = convertChildren(cell)
+        .trim()
+        .replace(/\s*\n+\s*/g, '<br>')
+        .replace(/\|/g, '\\|');
+      const colspan = Math.max(1, cell.colSpan || 1);
+      const rowspan = Math.max(1, cell.rowSpan || 1);
+      for (let r = 0; r < rowspan && rowIndex + r < rows.length; r++) {
+        for (let c = 0; c < colspan; c++) {
+          grid[rowIndex + r][column + c] = r === 0 && c === 0 ? text : '';
+        }
+      }
+      column += colspan;
+    }
+  });
+
+  const columnCount = Math.max(...grid.map(cells => cells.length));
+  const formatRow = cells => `| ${Array.from({ length: columnCount }, (_, i) => cells[i] ?? '').join(' | ')} |`;
+  const headerCells = Array.from(rows[0].cells);
+  const alignments = [];
+  headerCells.forEach(cell => {
+    const align = (cell.getAttribute('align') || cell.style.textAlign || '').toLowerCase();
+    for (let c = 0; c < Math.max(1, cell.colSpan || 1); c++) alignments.push(align);
+  });
+  const separator = Array.from({ length: columnCount }, (_, i) => {
+    switch (alignments[i]) {
+      case 'center': return ':---:';
+      case 'right': return '---:';
+      case 'left': return ':---';
+      default: return '---';
+    }
+  });
+
+  const caption = table.caption ? convertChildren(table.caption).trim() : '';
+  return block([
+    caption ? `${caption}\n` : '',
+    formatRow(grid[0]),
+    `| ${separator.join(' | ')} |`,
+    ...grid.slice(1).map(formatRow)
+  ].filter(Boolean).join('\n'));
+}
+
+/**
+ * Converts a single DOM node into Markdown.
+ * @param {Node} node - The node to convert.
+ * @returns {string} The Markdown for the node and its descendants.
+ */
+function convertNode(node) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return escapeMarkdown(node.textContent.replace(/\s+/g, ' '));
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE || SKIPPED_TAGS.has(node.tagName.toUpperCase()) || node.hasAttribute('hidden')) {
+    return '';
+  }
+
+  const tag = node.tagName.toUpperCase();
+  if (BLOCK_TAGS.has(tag)) {
+    return block(convertChildren(node));
+  }
+
+  switch (tag) {
+    case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6':
+      return block(`${'#'.repeat(Number(tag[1]))} ${convertChildren(node).trim().replace(/\s*\n+\s*/g, ' ')}`);
+    case 'BR':
+      return '  \n';
+    case 'HR':
+      return block('---');
+    case 'STRONG':
+    case 'B':
+      return wrapInline(convertChildren(node), '**');
+    case 'EM':
+    case 'I':
+      return wrapInline(convertChildren(node), '*');
+    case 'DEL':
+    case 'S':
+    case 'STRIKE':
+      return wrapInline(convertChildren(node), '~~');
+    case 'CODE': {
+      const code = node.textContent.replace(/\s*\n\s*/g, ' ');
+      if (!code) return '';
+      const delimiter = backtickFence(code, 1);
+      const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+      return `${delimiter}${padding}${code}${padding}${delimiter}`;
+    }
+    case 'PRE': {
+      const code = node.textContent.replace(/\n$/, '');
+      const fence = backtickFence(code, 3);
+      return block(`${fence}${getFenceLanguage(node)}\n${code}\n${fence}`);
+    }
+    case 'BLOCKQUOTE': {
+      const content = convertChildren(node).trim().replace(/\n{3,}/g, '\n\n');
+      return block(content.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n'));
+    }
+    case 'A': {
+      const content = convertChildren(node).trim();
+      const href = node.getAttribute('href');
+      if (!href || /^javascript:/i.test(href.trim())) return content;
+      return content ? `[${content}](${formatUrl(node.href || href)}${formatTitle(node)})` : '';
+    }
+    case 'IMG': {
+      const src = node.getAttribute('src');
+      if (!src) return '';
+      const alt = escapeMarkdown((node.getAttribute('alt') || '').replace(/\s+/g, ' ').trim());
+      return `![${alt}](${formatUrl(node.currentSrc || node.src || src)}${formatTitle(node)})`;
+    }
+    case 'UL':
+    case 'OL':
+      return convertList(node);
+    case 'TABLE':
+      return convertTable(node);
+    case 'DT':
+      return block(wrapInline(convertChildren(node), '**'));
+    case 'IFRAME':
+    case 'FRAME':
+      return getAccessibleFrameDocument(node) ? block(convertChildren(node)) : '';
+    default:
+      return convertChildren(node);
+  }
+}
+
+/**
+ * Normalizes whitespace in converted Markdown: trailing spaces are dropped except for hard
+ * line breaks and runs of blank lines are collapsed. Fenced code blocks are left untouched.
+ * @param {string} markdown - The raw converter output.
+ * @returns {string} The tidied Markdown.
+ */
+function tidy(markdown) {
+  const lines = [];
+  let fence = null;
+  for (const line of markdown.split('\n')) {
+    const marker = line.match(/^(?:\s|>|[-*+] |\d+\. )*(`{3,})/)?.[1];
+    if (fence) {
+      lines.push(line);
+      if (marker && marker.length >= fence.length && line.replace(/^(?:\s|>)+/, '') === marker) fence = null;
+      continue;
+    }
+    if (marker) fence = marker;
+
+    const trimmed = line.replace(/[ \t]+$/, match => (match.startsWith('  ') && line.trim() ? '  ' : ''));
+    if (!trimmed.trim() && lines.length > 0 && !lines[lines.length - 1].trim()) continue;
+    lines.push(trimmed.trim() ? trimmed : '');
+  }
+  return lines.join('\n').trim();
+}
+
+/**
+ * Converts a DOM subtree into Markdown.
+ * @param {Node} root - The element (or document) to convert.
+ * @returns {string} The Markdown text.
+ */
+export function htmlToMarkdown(root) {
+  const start = root.nodeType === Node.DOCUMENT_NODE ? root.body : root;
+  if (!start) return '';
+  return tidy(convertNode(start));
+}
+
+/**
+ * Converts a Readability article into Markdown, with its title as the top-level heading.
+ * @param {{title: string, content: string}} article - The article (see getReadableArticle).
+ * @returns {string} The Markdown text.
+ */
+export function articleToMarkdown(article) {
+  const doc = new DOMParser().parseFromString(article.content, 'text/html');
+  const body = htmlToMarkdown(doc);
+  return article.title ? `# ${escapeMarkdown(article.title)}\n\n${body}`.trim() : body;
+}
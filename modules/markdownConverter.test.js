@@ -0,0 +1,116 @@
+import { htmlToMarkdown, escapeMarkdown, articleToMarkdown } from './markdownConverter';
+
+// Helper to build a detached container from an HTML string
+const fromHtml = (html) => {
+  const container = document.createElement('div');
+  container.innerHTML = html;
+  return container;
+};
+
+describe('Markdown Converter Module', () => {
+
+  test('escapeMarkdown should escape Markdown syntax characters', () => {
+    expect(escapeMarkdown('a*b_c[d]`e`')).toBe('a\\*b\\_c\\[d\\]\\`e\\`');
+  });
+
+  test('should convert headings and paragraphs', () => {
+    const markdown = htmlToMarkdown(fromHtml('<h1>Title</h1><p>First paragraph.</p><h2>Section</h2><p>Second.</p>'));
+    expect(markdown).toBe('# Title\n\nFirst paragraph.\n\n## Section\n\nSecond.');
+  });
+
+  test('should convert inline formatting, links and images', () => {
+    const markdown = htmlToMarkdown(fromHtml(
+      '<p><strong>Bold</strong> and <em>italic</em> with <code>code</code>, ' +
+      '<a href="https://example.com/">a link</a> and <img src="https://example.com/a.png" alt="An image"></p>'
+    ));
+    expect(markdown).toBe(
+      '**Bold** and *italic* with `code`, [a link](https://example.com/) and ![An image](https://example.com/a.png)'
+    );
+  });
+
+  test('should convert lists', () => {
+    expect(htmlToMarkdown(fromHtml('<ul><li>One</li><li>Two</li></ul>'))).toBe('- One\n- Two');
+    expect(htmlToMarkdown(fromHtml('<ol><li>One</li><li>Two</li></ol>'))).toBe('1. One\n2. Two');
+  });
+
+  test('should convert nested and ordered lists with indentation', () => {
+    expect(htmlToMarkdown(fromHtml('<ul><li>One<ul><li>A</li><li>B<ol start="3"><li>Deep</li></ol></li></ul></li><li>Two</li></ul>')))
+      .toBe('- One\n  - A\n  - B\n    3. Deep\n- Two');
+  });
+
+  test('should convert checkbox list items to task list items', () => {
+    expect(htmlToMarkdown(fromHtml('<ul><li><input type="checkbox" checked> Done</li><li><input type="checkbox"> Todo</li></ul>')))
+      .toBe('- [x] Done\n- [ ] Todo');
+  });
+
+  test('should convert tables to GFM tables', () => {
+    const markdown = htmlToMarkdown(fromHtml(
+      '<table><thead><tr><th>Name</th><th align="right">Price</th></tr></thead>' +
+      '<tbody><tr><td>Tea <em>(hot)</em></td><td>2 | 3</td></tr></tbody></table>'
+    ));
+    expect(markdown).toBe('| Name | Price |\n| --- | ---: |\n| Tea *(hot)* | 2 \\| 3 |');
+  });
+
+  test('should expand rowspan and colspan cells', () => {
+    const markdown = htmlToMarkdown(fromHtml(
+      '<table><tr><th colspan="2">Group</th><th>C</th></tr>' +
+      '<tr><td rowspan="2">A</td><td>B</td><td>C1</td></tr>' +
+      '<tr><td>B2</td><td>C2</td></tr></table>'
+    ));
+    expect(markdown).toBe('| Group |  | C |\n| --- | --- | --- |\n| A | B | C1 |\n|  | B2 | C2 |');
+  });
+
+  test('should convert blockquotes, including nested blocks', () => {
+    expect(htmlToMarkdown(fromHtml('<blockquote><p>First</p><p>Second</p></blockquote>'))).toBe('> First\n>\n> Second');
+  });
+
+  test('should tag fenced code blocks with the language', () => {
+    expect(htmlToMarkdown(fromHtml('<pre><code>const x = 1;\n</code></pre>'))).toBe('```javascript\nconst x = 1;\n```');
+    expect(htmlToMarkdown(fromHtml('<pre class="language-rust"><code>fn main() {}</code></pre>'))).toBe('```rust\nfn main() {}\n```');
+    expect(htmlToMarkdown(fromHtml('<pre>just words</pre>'))).toBe('```\njust words\n```');
+  });
+
+  test('should keep blank lines and trailing spaces inside code blocks', () => {
+    expect(htmlToMarkdown(fromHtml('<ul><li><pre>a  \n\n\n\nb</pre></li></ul>'))).toBe('- ```\n  a  \n\n\n\n  b\n  ```');
+  });
+
+  test('should use a longer fence when the code contains backticks', () => {
+    expect(htmlToMarkdown(fromHtml('<p><code>a`b</code></p>'))).toBe('``a`b``');
+    expect(htmlToMarkdown(fromHtml('<pre>```\nmarkdown\n```</pre>'))).toBe('````\n```\nmarkdown\n```\n````');
+  });
+
+  test('should keep links without a target as text and encode link destinations', () => {
+    expect(htmlToMarkdown(fromHtml('<p><a>plain</a> <a href="javascript:void(0)">js</a> <a href="https://example.com/a b" title="T">x</a></p>')))
+      .toBe('plain js [x](https://example.com/a%20b "T")');
+  });
+
+  test('should skip hidden elements', () => {
+    expect(htmlToMarkdown(fromHtml('<p>Shown</p><p hidden>Hidden</p>'))).toBe('Shown');
+  });
+
+  test('articleToMarkdown should add the article title as a heading', () => {
+    expect(articleToMarkdown({ title: 'My Post', content: '<p>Body <strong>text</strong></p>' }))
+      .toBe('# My Post\n\nBody **text**');
+  });
+
+  test('should skip scripts and styles', () => {
+    expect(htmlToMarkdown(fromHtml('<p>Visible</p><script>alert(1)</script><style>p {}</style>'))).toBe('Visible');
+  });
+
+  test('should convert a whole document', () => {
+    document.body.innerHTML = '<h1>Doc</h1>';
+    expect(htmlToMarkdown(document)).toBe('# Doc');
+  });
+
+  test('should include shadow root content and same-origin frames', () => {
+    document.body.innerHTML = '<x-note><em>slotted</em></x-note>';
+    const host = document.querySelector('x-note');
+    host.attachShadow({ mode: 'open' }).innerHTML = '<h2>Note</h2><p>Says <slot></slot></p>';
+    const frame = document.createElement('iframe');
+    document.body.appendChild(frame);
+    frame.contentDocument.body.innerHTML = '<p>Framed</p>';
+
+    expect(htmlToMarkdown(document)).toBe('## Note\n\nSays *slotted*\n\nFramed');
+    document.body.innerHTML = '';
+  });
+});
@@ -1,28 +1,387 @@
 // Network Monitoring Module
-// NOTE: This module is intended to run in the content script context.
+// NOTE: This module is intended to run in the page's main world.
+// pageHooks.js starts it as the page commits, so the fetch, XMLHttpRequest and sendBeacon
+// the page's scripts call are the patched ones.
+import { getPayloadSize } from './socketMonitor.js';
+import { parseGraphQLRequest } from './graphqlDetector.js';
+
+/** @type {number} - Default number of requests kept; the oldest are dropped first. */
+export const DEFAULT_MAX_REQUESTS = 100;
 
 /** @type {Array<object>} - Stores captured network request data. */
 let networkRequests = [];
+/** @type {number} - Most requests kept, so a polling page does not grow the log without end. */
+let maxRequests = DEFAULT_MAX_REQUESTS;
 /** @type {Function | null} - Holds the original window.fetch implementation. */
 let originalFetch = null;
 /** @type {Function | null} - Holds the original XMLHttpRequest.prototype.open implementation. */
 let originalXHROpen = null;
+/** @type {Function | null} - Holds the original XMLHttpRequest.prototype.setRequestHeader implementation. */
+let originalXHRSetRequestHeader = null;
+/** @type {Function | null} - Holds the original XMLHttpRequest.prototype.send implementation. */
+let originalXHRSend = null;
+/** @type {Function | null} - Holds the original navigator.sendBeacon implementation. */
+let originalSendBeacon = null;
+/** @type {WeakMap<XMLHttpRequest, object>} - The request being recorded for each opened XHR. */
+let xhrRequests = new WeakMap();
 /** @type {boolean} - Tracks if monitoring is currently active. */
 let isMonitoring = false;
+/** @type {number} - Id given to the next recorded request; bodies refer to requests by id. */
+let nextRequestId = 1;
+
+/**
+ * Default body capture options. Sizes are in characters of body text.
+ * @type {{contentTypes: Array<string>, urlPatterns: Array<string>, maxBodySize: number, maxTotalSize: number}}
+ */
+export const DEFAULT_BODY_CAPTURE = {
+  contentTypes: ['json', 'text', 'xml', 'javascript', 'x-www-form-urlencoded', 'form-data'],
+  urlPatterns: [],
+  maxBodySize: 100 * 1024,
+  maxTotalSize: 5 * 1024 * 1024
+};
+
+/** @type {Array<string>} - Content types whose bodies are never kept: they stream for as long as the page listens. */
+const STREAMING_CONTENT_TYPES = ['text/event-stream'];
+
+/** @type {object | null} - Body capture options; null while body capture is off. */
+let bodyCapture = null;
+/** @type {Map<number, object>} - Captured request and response bodies, keyed by request id. */
+let networkBodies = new Map();
+/** @type {number} - Characters of body text stored so far on this page. */
+let storedBodyLength = 0;
+/** @type {Set<Promise>} - Response bodies still being read. */
+let pendingBodyReads = new Set();
+
+/**
+ * Applies the options the background passes to the page hooks (see getNetworkMonitorOptions in background.js).
+ * @param {object} [options={}] - Monitor options.
+ * @param {object | null} [options.bodies] - Body capture options (see DEFAULT_BODY_CAPTURE);
+ *   null or missing turns body capture off.
+ * @param {number} [options.maxRequests=DEFAULT_MAX_REQUESTS] - Most requests kept.
+ */
+export function configureNetworkMonitor(options = {}) {
+  maxRequests = Number(options.maxRequests) || DEFAULT_MAX_REQUESTS;
+  trimRequests();
+  const bodies = options.bodies
+    ? Object.fromEntries(Object.entries(options.bodies).filter(([, value]) => value !== undefined && value !== null))
+    : null;
+  bodyCapture = bodies ? { ...DEFAULT_BODY_CAPTURE, ...bodies } : null;
+}
+
+/**
+ * Checks a URL against body capture patterns. A pattern with `*` wildcards must match the
+ * whole URL; any other pattern matches as a substring. No patterns matches everything.
+ * @param {string} url - The absolute URL.
+ * @param {Array<string>} patterns - The patterns.
+ * @returns {boolean} True if the URL matches.
+ */
+export function matchesUrlPattern(url, patterns = []) {
+  if (patterns.length === 0) return true;
+  return patterns.some(pattern => {
+    if (!pattern.includes('*')) return url.includes(pattern);
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(url);
+  });
+}
+
+/**
+ * Checks whether a body should be kept under the current options.
+ * @param {string} url - The request URL, possibly relative.
+ * @param {string} contentType - The body's content type.
+ * @returns {boolean} True if body capture is on and the URL and content type match.
+ */
+function shouldCaptureBody(url, contentType) {
+  if (!bodyCapture) return false;
+  let absoluteUrl = url;
+  try {
+    absoluteUrl = new URL(url, window.location.href).href;
+  } catch (error) {
+    // Keep the URL as given
+  }
+  const type = (contentType || '').toLowerCase();
+  if (STREAMING_CONTENT_TYPES.some(streamingType => type.includes(streamingType))) return false;
+  return matchesUrlPattern(absoluteUrl, bodyCapture.urlPatterns)
+    && bodyCapture.contentTypes.some(token => type.includes(token.toLowerCase()));
+}
+
+/**
+ * Stores body text within the per-body and per-page limits.
+ * @param {string} text - The body text.
+ * @param {string} contentType - The body's content type.
+ * @returns {{text?: string, size: number, contentType: string, truncated?: boolean, omitted?: string}}
+ *   The stored body; `omitted` explains why no text was kept.
+ */
+function storeBody(text, contentType) {
+  const remaining = bodyCapture.maxTotalSize - storedBodyLength;
+  if (remaining <= 0) return { size: text.length, contentType, omitted: 'page limit reached' };
+  const kept = text.slice(0, Math.min(bodyCapture.maxBodySize, remaining));
+  storedBodyLength += kept.length;
+  return { text: kept, size: text.length, contentType, truncated: kept.length < text.length };
+}
+
+/**
+ * Reads a response's text, stopping once more than `limit` characters are read so a long
+ * or endless body is not buffered whole; the rest of the stream is cancelled. The size
+ * stored for a body cut short is then the characters read, not the full length.
+ * @param {Response} response - The response (a clone the page does not read).
+ * @param {number} limit - Characters needed.
+ * @returns {Promise<string>} The text read, longer than limit if the body was cut short.
+ */
+async function readTextUpTo(response, limit) {
+  if (!response.body?.getReader) return response.text();
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  while (text.length <= limit) {
+    const { done, value } = await reader.read();
+    if (done) return text + decoder.decode();
+    text += decoder.decode(value, { stream: true });
+  }
+  reader.cancel().catch(() => {});
+  return text;
+}
+
+/**
+ * Drops the oldest requests, and their bodies, beyond maxRequests.
+ */
+function trimRequests() {
+  while (networkRequests.length > maxRequests) {
+    networkBodies.delete(networkRequests.shift().id);
+  }
+}
+
+/**
+ * Adds a finished request to the log, keeping at most maxRequests.
+ * @param {object} request - The recorded request.
+ */
+function recordRequest(request) {
+  networkRequests.push(request);
+  trimRequests();
+}
+
+/**
+ * Attaches a body to the bodies record of a request.
+ * @param {object} request - The recorded request.
+ * @param {'requestBody' | 'responseBody'} field - Which body this is.
+ * @param {object} body - The stored body.
+ */
+function recordBody(request, field, body) {
+  if (!networkBodies.has(request.id)) {
+    networkBodies.set(request.id, { id: request.id, type: request.type, url: request.url, method: request.method });
+  }
+  networkBodies.get(request.id)[field] = body;
+}
+
+/**
+ * Lists the fields of a FormData body; files are described by name, type and size.
+ * @param {FormData} formData - The form data.
+ * @returns {Array<{name: string, value?: string, file?: {name: string, type: string, size: number}}>} The fields.
+ */
+function getFormDataFields(formData) {
+  return Array.from(formData.entries(), ([name, value]) => (typeof value === 'string'
+    ? { name, value }
+    : { name, file: { name: value.name, type: value.type, size: value.size } }));
+}
+
+/**
+ * Describes an outgoing body: what kind it is, its size and the content type the browser
+ * sends for it unless the page sets one.
+ * @param {*} body - The body passed to fetch, XMLHttpRequest.send or sendBeacon.
+ * @returns {{kind: string, size: number | null, contentType: string | null} | null} The description, or null without a body.
+ */
+export function describeRequestBody(body) {
+  if (body === undefined || body === null) return null;
+  if (typeof body === 'string') return { kind: 'text', size: getPayloadSize(body), contentType: 'text/plain;charset=UTF-8' };
+  if (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams) {
+    return { kind: 'urlencoded', size: getPayloadSize(body.toString()), contentType: 'application/x-www-form-urlencoded;charset=UTF-8' };
+  }
+  if (typeof FormData !== 'undefined' && body instanceof FormData) {
+    return { kind: 'form-data', size: null, contentType: 'multipart/form-data' };
+  }
+  if (typeof Blob !== 'undefined' && body instanceof Blob) return { kind: 'blob', size: body.size, contentType: body.type || null };
+  if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return { kind: 'binary', size: body.byteLength, contentType: null };
+  if (typeof Document !== 'undefined' && body instanceof Document) {
+    return { kind: 'document', size: null, contentType: 'application/xml;charset=UTF-8' };
+  }
+  if (typeof ReadableStream !== 'undefined' && body instanceof ReadableStream) return { kind: 'stream', size: null, contentType: null };
+  return { kind: 'other', size: null, contentType: null };
+}
+
+/**
+ * Returns the text of a request body the monitor can read without consuming it, with
+ * the content type the browser would send for it. FormData becomes a JSON list of its fields.
+ * @param {*} body - The body passed to fetch, XMLHttpRequest.send or sendBeacon.
+ * @param {string | null} contentType - The Content-Type header set by the page, if any.
+ * @returns {{text: string, contentType: string} | null} The text, or null for other body types.
+ */
+function readRequestBody(body, contentType) {
+  if (typeof body === 'string') {
+    return { text: body, contentType: contentType || 'text/plain;charset=UTF-8' };
+  }
+  if (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams) {
+    return { text: body.toString(), contentType: contentType || 'application/x-www-form-urlencoded;charset=UTF-8' };
+  }
+  if (typeof FormData !== 'undefined' && body instanceof FormData) {
+    return { text: JSON.stringify(getFormDataFields(body)), contentType: 'multipart/form-data' };
+  }
+  if (typeof Document !== 'undefined' && body instanceof Document) {
+    return { text: new XMLSerializer().serializeToString(body), contentType: contentType || 'application/xml;charset=UTF-8' };
+  }
+  return null;
+}
 
 /**
- * Intercepts fetch requests to log them.
+ * Converts headers in any of the forms fetch accepts to a plain object, which (unlike a
+ * Headers instance) survives being sent to the background.
+ * @param {Headers | object | Array} [headers] - The headers.
+ * @returns {Object<string, string> | undefined} The headers, or undefined if there are none.
+ */
+export function headersToObject(headers) {
+  if (!headers) return undefined;
+  if (typeof headers.entries === 'function' && typeof headers.get === 'function') {
+    return Object.fromEntries(headers.entries());
+  }
+  if (Array.isArray(headers)) return Object.fromEntries(headers);
+  return { ...headers };
+}
+
+/**
+ * Looks up a header in any of the forms fetch accepts.
+ * @param {Headers | object | Array} headers - The headers.
+ * @param {string} name - The header name.
+ * @returns {string | null} The value.
+ */
+function getHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  const entries = Array.isArray(headers) ? headers : Object.entries(headers);
+  return entries.find(([key]) => key.toLowerCase() === name.toLowerCase())?.[1] ?? null;
+}
+
+/**
+ * Marks GraphQL requests with the operations they run (see graphqlDetector).
+ * @param {object} request - The recorded request.
+ * @param {string | null} text - The body text, if readable.
+ * @param {string | null} contentType - The request Content-Type.
+ */
+function detectGraphQL(request, text, contentType) {
+  let url = request.url;
+  try {
+    url = new URL(request.url, window.location.href).href;
+  } catch (error) {
+    // Keep the URL as given
+  }
+  const operations = parseGraphQLRequest({ method: request.method, url, body: text, contentType });
+  if (operations) request.graphql = operations;
+}
+
+/**
+ * Records what a request sends: a description of the body on the request itself, the
+ * GraphQL operations it runs and, if it passes the body capture filters, the body text.
+ * @param {object} request - The recorded request.
+ * @param {*} body - The body.
+ * @param {string | null} contentType - The Content-Type header set by the page.
+ */
+function captureRequestBody(request, body, contentType) {
+  const description = describeRequestBody(body);
+  const readable = description ? readRequestBody(body, contentType) : null;
+  detectGraphQL(request, readable?.text ?? null, readable?.contentType ?? contentType);
+  if (!description) return;
+  request.body = { ...description, contentType: contentType || description.contentType };
+  if (readable && shouldCaptureBody(request.url, readable.contentType)) {
+    recordBody(request, 'requestBody', storeBody(readable.text, readable.contentType));
+  }
+}
+
+/**
+ * Records the body of a fetch Request object, read from a clone taken before the
+ * request is sent. The body is only described once the read finishes.
+ * @param {object} request - The recorded request.
+ * @param {Request} input - The Request object passed to fetch.
+ */
+function captureRequestObjectBody(request, input) {
+  if (['GET', 'HEAD'].includes(request.method) || input.bodyUsed) {
+    detectGraphQL(request, null, null);
+    return;
+  }
+  const contentType = input.headers.get('content-type');
+  const read = input.clone().text()
+    .then(text => {
+      detectGraphQL(request, text, contentType);
+      if (!text) return;
+      request.body = { kind: 'request', size: getPayloadSize(text), contentType };
+      if (shouldCaptureBody(request.url, contentType || 'text/plain')) {
+        recordBody(request, 'requestBody', storeBody(text, contentType || 'text/plain'));
+      }
+    })
+    .catch(() => {})
+    .finally(() => pendingBodyReads.delete(read));
+  pendingBodyReads.add(read);
+}
+
+/**
+ * Reads a fetch response body from a clone, so the page still gets an unread body.
+ * Only as much as the body and page limits allow is read.
+ * @param {object} request - The recorded request.
+ * @param {Response} response - The response.
+ */
+function captureFetchResponseBody(request, response) {
+  if (!bodyCapture) return;
+  const contentType = response.headers?.get('content-type') || '';
+  if (!shouldCaptureBody(request.url, contentType)) return;
+  const limit = Math.max(0, Math.min(bodyCapture.maxBodySize, bodyCapture.maxTotalSize - storedBodyLength));
+  const read = readTextUpTo(response.clone(), limit)
+    .then(text => {
+      // The request may have been dropped from the log while its body was read
+      if (networkRequests.includes(request)) recordBody(request, 'responseBody', storeBody(text, contentType));
+    })
+    .catch(() => {}) // The page may cancel the body; there is nothing to keep then
+    .finally(() => pendingBodyReads.delete(read));
+  pendingBodyReads.add(read);
+}
+
+/**
+ * Keeps the body of a finished XHR. Text and JSON response types are readable; others
+ * (arraybuffer, blob, document) are skipped.
+ * @param {object} request - The recorded request.
+ * @param {XMLHttpRequest} xhr - The request object.
+ */
+function captureXHRResponseBody(request, xhr) {
+  if (!bodyCapture) return;
+  const contentType = xhr.getResponseHeader?.('content-type') || '';
+  if (!shouldCaptureBody(request.url, contentType)) return;
+  let text = null;
+  if (!xhr.responseType || xhr.responseType === 'text') {
+    text = xhr.responseText;
+  } else if (xhr.responseType === 'json' && xhr.response !== null) {
+    text = JSON.stringify(xhr.response);
+  }
+  if (typeof text === 'string') recordBody(request, 'responseBody', storeBody(text, contentType));
+}
+
+/**
+ * Intercepts fetch requests to log them, with their headers and body. `Request` objects
+ * are read like the browser does: init values override the Request's own.
  * @param {...any} args - Arguments passed to the original fetch.
  * @returns {Promise<Response>} The response from the original fetch.
  */
 async function patchedFetch(...args) {
+  const [input, init = {}] = args;
+  const requestObject = typeof Request !== 'undefined' && input instanceof Request ? input : null;
+  const headers = init.headers || requestObject?.headers;
   const request = {
+    id: nextRequestId++,
     type: 'fetch',
-    url: typeof args[0] === 'string' ? args[0] : args[0]?.url,
-    method: typeof args[0] === 'string' ? (args[1]?.method || 'GET') : args[0]?.method,
-    headers: typeof args[0] === 'string' ? args[1]?.headers : args[0]?.headers,
+    url: requestObject ? requestObject.url : String(input),
+    method: String(init.method || requestObject?.method || 'GET').toUpperCase(),
+    headers: headersToObject(headers),
     timestamp: new Date().toISOString()
   };
+  if (init.body === undefined && requestObject) {
+    captureRequestObjectBody(request, requestObject);
+  } else {
+    captureRequestBody(request, init.body, getHeader(headers, 'content-type'));
+  }
 
   try {
     // Ensure originalFetch is available before calling apply
@@ -30,11 +389,12 @@ async function patchedFetch(...args) {
     const response = await originalFetch.apply(this, args);
     request.status = response.status;
     request.statusText = response.statusText;
-    networkRequests.push(request);
+    recordRequest(request);
+    captureFetchResponseBody(request, response);
     return response;
   } catch (error) {
     request.error = error instanceof Error ? error.message : String(error);
-    networkRequests.push(request);
+    recordRequest(request);
     throw error;
   }
 }
@@ -47,6 +407,7 @@ async function patchedFetch(...args) {
 function patchedXHROpen(method, url) {
   // Store initial data in a closure variable
   const initialRequestData = {
+    id: nextRequestId++,
     type: 'xhr',
     url,
     method,
@@ -54,6 +415,8 @@ function patchedXHROpen(method, url) {
   };
   // 'this' refers to the XHR instance here
   const xhrInstance = this; 
+  // setRequestHeader and send add to this record until the request finishes
+  xhrRequests.set(xhrInstance, initialRequestData);
 
   const handleLoad = () => {
     const finalRequestData = {
@@ -61,7 +424,8 @@ function patchedXHROpen(method, url) {
         status: xhrInstance.status, // Use xhrInstance
         statusText: xhrInstance.statusText
     };
-    networkRequests.push(finalRequestData);
+    recordRequest(finalRequestData);
+    captureXHRResponseBody(finalRequestData, xhrInstance);
     xhrInstance.removeEventListener('load', handleLoad);
     xhrInstance.removeEventListener('error', handleError);
   };
@@ -71,7 +435,7 @@ function patchedXHROpen(method, url) {
         ...initialRequestData, // Use data from closure
         error: event.message || 'XHR Error'
     };
-    networkRequests.push(finalRequestData);
+    recordRequest(finalRequestData);
     xhrInstance.removeEventListener('load', handleLoad);
     xhrInstance.removeEventListener('error', handleError);
   };
@@ -85,25 +449,85 @@ function patchedXHROpen(method, url) {
 }
 
 /**
- * Starts intercepting fetch and XHR requests.
- * Clears any previously collected requests.
+ * Records headers set on an XHR. Repeated headers are combined as the browser does.
+ * @param {string} name - The header name.
+ * @param {string} value - The header value.
+ */
+function patchedXHRSetRequestHeader(name, value) {
+  const request = xhrRequests.get(this);
+  if (request) {
+    request.headers = request.headers || {};
+    const existing = Object.keys(request.headers).find(key => key.toLowerCase() === String(name).toLowerCase());
+    if (existing) {
+      request.headers[existing] = `${request.headers[existing]}, ${value}`;
+    } else {
+      request.headers[name] = String(value);
+    }
+  }
+  return originalXHRSetRequestHeader.apply(this, arguments);
+}
+
+/**
+ * Records the body sent with an XHR.
+ * @param {*} body - The body.
+ */
+function patchedXHRSend(body) {
+  const request = xhrRequests.get(this);
+  if (request) captureRequestBody(request, body, getHeader(request.headers, 'content-type'));
+  return originalXHRSend.apply(this, arguments);
+}
+
+/**
+ * Records beacons. The browser queues them and reports no response, so the record notes
+ * only whether the beacon was queued.
+ * @param {string} url - The beacon URL.
+ * @param {*} [data] - The beacon body.
+ * @returns {boolean} Whether the browser queued the beacon.
+ */
+function patchedSendBeacon(url, data) {
+  const request = {
+    id: nextRequestId++,
+    type: 'beacon',
+    url: String(url),
+    method: 'POST',
+    timestamp: new Date().toISOString()
+  };
+  captureRequestBody(request, data, null);
+  if (request.body?.contentType) request.headers = { 'Content-Type': request.body.contentType };
+  request.queued = originalSendBeacon.apply(navigator, arguments);
+  recordRequest(request);
+  return request.queued;
+}
+
+/**
+ * Starts intercepting fetch, XHR and beacon requests. Clears any previously collected requests.
  */
 export function startNetworkMonitoring() {
   if (isMonitoring) return; // Prevent double patching
 
   networkRequests = []; // Clear previous requests
+  networkBodies = new Map();
+  storedBodyLength = 0;
   originalFetch = window.fetch;
   originalXHROpen = window.XMLHttpRequest.prototype.open;
+  originalXHRSetRequestHeader = window.XMLHttpRequest.prototype.setRequestHeader;
+  originalXHRSend = window.XMLHttpRequest.prototype.send;
 
   window.fetch = patchedFetch;
   window.XMLHttpRequest.prototype.open = patchedXHROpen;
+  if (originalXHRSetRequestHeader) window.XMLHttpRequest.prototype.setRequestHeader = patchedXHRSetRequestHeader;
+  if (originalXHRSend) window.XMLHttpRequest.prototype.send = patchedXHRSend;
+  if (typeof navigator.sendBeacon === 'function') {
+    originalSendBeacon = navigator.sendBeacon;
+    navigator.sendBeacon = patchedSendBeacon;
+  }
 
   isMonitoring = true;
   console.log('Network monitoring started.');
 }
 
 /**
- * Stops intercepting fetch and XHR requests, restoring original functions.
+ * Stops intercepting fetch, XHR and beacons, restoring original functions.
  */
 export function stopNetworkMonitoring() {
   if (!isMonitoring) return;
@@ -116,6 +540,18 @@ export function stopNetworkMonitoring() {
     window.XMLHttpRequest.prototype.open = originalXHROpen;
     originalXHROpen = null;
   }
+  if (originalXHRSetRequestHeader) {
+    window.XMLHttpRequest.prototype.setRequestHeader = originalXHRSetRequestHeader;
+    originalXHRSetRequestHeader = null;
+  }
+  if (originalXHRSend) {
+    window.XMLHttpRequest.prototype.send = originalXHRSend;
+    originalXHRSend = null;
+  }
+  if (originalSendBeacon) {
+    navigator.sendBeacon = originalSendBeacon;
+    originalSendBeacon = null;
+  }
 
   isMonitoring = false;
   console.log('Network monitoring stopped.');
@@ -128,4 +564,21 @@ export function stopNetworkMonitoring() {
 export function getNetworkRequests() {
   // Return a copy to prevent external modification
   return [...networkRequests];
-}
\ No newline at end of file
+}
+
+/**
+ * Returns the captured request and response bodies, after waiting (briefly) for response
+ * bodies that are still being read.
+ * @param {number} [timeout=2000] - Longest time to wait for pending reads, in milliseconds.
+ * @returns {Promise<Array<{id: number, type: string, url: string, method: string, requestBody?: object, responseBody?: object}>>}
+ *   The bodies, in request order.
+ */
+export async function getNetworkBodies(timeout = 2000) {
+  if (pendingBodyReads.size > 0) {
+    await Promise.race([
+      Promise.allSettled([...pendingBodyReads]),
+      new Promise(resolve => setTimeout(resolve, timeout))
+    ]);
+  }
+  return Array.from(networkBodies.values(), body => ({ ...body }));
+}
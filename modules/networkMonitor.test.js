@@ -2,7 +2,17 @@ import {
   startNetworkMonitoring,
   stopNetworkMonitoring,
   getNetworkRequests,
+  configureNetworkMonitor,
+  matchesUrlPattern,
+  getNetworkBodies,
+  describeRequestBody,
+  headersToObject,
 } from './networkMonitor';
+import { TextEncoder, TextDecoder } from 'util';
+
+// jsdom provides neither TextEncoder nor TextDecoder
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
 
 // --- Mock XMLHttpRequest --- 
 // Basic mock for XHR to test interception logic
@@ -18,6 +28,14 @@ global.XMLHttpRequest = class MockXMLHttpRequest {
     this._requestData = { method, url }; // Store args for verification
   }
 
+  setRequestHeader(name, value) {
+    this._requestData.headers = { ...this._requestData.headers, [name]: value };
+  }
+
+  send(body) {
+    this._requestData.body = body;
+  }
+
   addEventListener(type, listener) {
     if (!this._listeners[type]) {
       this._listeners[type] = [];
@@ -201,4 +219,289 @@ describe('Network Monitor Module', () => {
         });
     });
   });
-}); 
\ No newline at end of file
+
+  describe('Body Capture', () => {
+    const jsonResponse = body => new Response(JSON.stringify(body), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    afterEach(() => {
+      configureNetworkMonitor({});
+    });
+
+    test('matchesUrlPattern should support wildcards and substrings', () => {
+      expect(matchesUrlPattern('https://api.example.com/v1/users', [])).toBe(true);
+      expect(matchesUrlPattern('https://api.example.com/v1/users', ['https://api.example.com/*'])).toBe(true);
+      expect(matchesUrlPattern('https://cdn.example.com/app.js', ['https://api.example.com/*'])).toBe(false);
+      expect(matchesUrlPattern('https://example.com/graphql?x=1', ['/graphql'])).toBe(true);
+    });
+
+    test('should not keep bodies unless configured', async () => {
+      global.fetch = jest.fn().mockResolvedValue(jsonResponse({ ok: true }));
+      startNetworkMonitoring();
+
+      await window.fetch('https://example.com/api', { method: 'POST', body: '{"a":1}' });
+
+      expect(await getNetworkBodies()).toEqual([]);
+    });
+
+    test('should keep fetch request and response bodies without consuming the response', async () => {
+      global.fetch = jest.fn().mockResolvedValue(jsonResponse({ id: 7, name: 'Ada' }));
+      startNetworkMonitoring();
+      configureNetworkMonitor({ bodies: { urlPatterns: ['https://api.example.com/*'] } });
+
+      const response = await window.fetch('https://api.example.com/users', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"name":"Ada"}'
+      });
+      expect(await response.json()).toEqual({ id: 7, name: 'Ada' });
+
+      const [request] = getNetworkRequests();
+      const bodies = await getNetworkBodies();
+      expect(bodies).toEqual([{
+        id: request.id,
+        type: 'fetch',
+        url: 'https://api.example.com/users',
+        method: 'POST',
+        requestBody: { text: '{"name":"Ada"}', size: 14, contentType: 'application/json', truncated: false },
+        responseBody: { text: '{"id":7,"name":"Ada"}', size: 21, contentType: 'application/json', truncated: false }
+      }]);
+    });
+
+    test('should filter by URL pattern and content type', async () => {
+      global.fetch = jest.fn()
+        .mockResolvedValueOnce(jsonResponse({ skipped: true }))
+        .mockResolvedValueOnce(new Response('binary', { headers: { 'Content-Type': 'image/png' } }));
+      startNetworkMonitoring();
+      configureNetworkMonitor({ bodies: { urlPatterns: ['/api/'] } });
+
+      await window.fetch('https://example.com/other');
+      await window.fetch('https://example.com/api/logo');
+
+      expect(await getNetworkBodies()).toEqual([]);
+    });
+
+    test('should truncate bodies and stop at the page limit', async () => {
+      global.fetch = jest.fn()
+        .mockResolvedValueOnce(new Response('a'.repeat(10), { headers: { 'Content-Type': 'text/plain' } }))
+        .mockResolvedValueOnce(new Response('b'.repeat(10), { headers: { 'Content-Type': 'text/plain' } }))
+        .mockResolvedValueOnce(new Response('c'.repeat(10), { headers: { 'Content-Type': 'text/plain' } }));
+      startNetworkMonitoring();
+      configureNetworkMonitor({ bodies: { maxBodySize: 6, maxTotalSize: 10 } });
+
+      for (const path of ['a', 'b', 'c']) {
+        await window.fetch(`https://example.com/${path}`);
+        await getNetworkBodies();
+      }
+
+      const bodies = await getNetworkBodies();
+      expect(bodies.map(body => body.responseBody)).toEqual([
+        { text: 'aaaaaa', size: 10, contentType: 'text/plain', truncated: true },
+        { text: 'bbbb', size: 10, contentType: 'text/plain', truncated: true },
+        { size: 10, contentType: 'text/plain', omitted: 'page limit reached' }
+      ]);
+    });
+
+    test('should read streamed bodies only up to the limit and cancel the rest', async () => {
+      const reader = {
+        read: jest.fn().mockResolvedValue({ done: false, value: new TextEncoder().encode('data-') }),
+        cancel: jest.fn().mockResolvedValue()
+      };
+      const streamed = {
+        ok: true,
+        status: 200,
+        headers: new Headers({ 'Content-Type': 'application/x-ndjson; charset=utf-8' }),
+        clone: () => ({ body: { getReader: () => reader } })
+      };
+      global.fetch = jest.fn().mockResolvedValue(streamed);
+      startNetworkMonitoring();
+      configureNetworkMonitor({ bodies: { contentTypes: ['ndjson'], maxBodySize: 12 } });
+
+      await window.fetch('https://example.com/feed');
+      const [body] = await getNetworkBodies();
+
+      expect(reader.read).toHaveBeenCalledTimes(3);
+      expect(reader.cancel).toHaveBeenCalledTimes(1);
+      expect(body.responseBody).toEqual({ text: 'data-data-da', size: 15, contentType: 'application/x-ndjson; charset=utf-8', truncated: true });
+    });
+
+    test('should never read event streams', async () => {
+      const clone = jest.fn();
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: new Headers({ 'Content-Type': 'text/event-stream' }),
+        clone
+      });
+      startNetworkMonitoring();
+      configureNetworkMonitor({ bodies: {} });
+
+      await window.fetch('https://example.com/events');
+
+      expect(clone).not.toHaveBeenCalled();
+      expect(await getNetworkBodies()).toEqual([]);
+    });
+
+    test('should keep only the most recent requests, and their bodies', async () => {
+      global.fetch = jest.fn().mockImplementation(async () => jsonResponse({ ok: true }));
+      startNetworkMonitoring();
+      configureNetworkMonitor({ bodies: {}, maxRequests: 2 });
+
+      for (const path of ['a', 'b', 'c']) {
+        await window.fetch(`https://example.com/${path}`);
+      }
+
+      expect(getNetworkRequests().map(request => request.url)).toEqual(['https://example.com/b', 'https://example.com/c']);
+      expect((await getNetworkBodies()).map(body => body.url)).toEqual(['https://example.com/b', 'https://example.com/c']);
+    });
+
+    test('should keep XHR response text', () => {
+      XMLHttpRequest.prototype.open = jest.fn(originalXHROpen);
+      startNetworkMonitoring();
+      configureNetworkMonitor({ bodies: {} });
+
+      const xhr = new window.XMLHttpRequest();
+      xhr.getResponseHeader = name => (name === 'content-type' ? 'application/json' : null);
+      xhr.responseText = '{"items":[]}';
+      xhr.open('GET', 'https://example.com/api/items');
+      xhr._simulateLoad(200, 'OK');
+
+      return getNetworkBodies().then(bodies => {
+        expect(bodies[0]).toMatchObject({ type: 'xhr', responseBody: { text: '{"items":[]}', contentType: 'application/json' } });
+      });
+    });
+  });
+
+  describe('Outgoing Requests', () => {
+    afterEach(() => {
+      configureNetworkMonitor({});
+      delete navigator.sendBeacon;
+    });
+
+    test('describeRequestBody and headersToObject should cover the body and header types', () => {
+      const form = new FormData();
+      form.append('name', 'Ada');
+      expect(describeRequestBody(undefined)).toBeNull();
+      expect(describeRequestBody('héllo')).toEqual({ kind: 'text', size: 6, contentType: 'text/plain;charset=UTF-8' });
+      expect(describeRequestBody(new URLSearchParams({ q: 'a b' }))).toMatchObject({ kind: 'urlencoded', size: 5 });
+      expect(describeRequestBody(form)).toMatchObject({ kind: 'form-data', contentType: 'multipart/form-data' });
+      expect(describeRequestBody(new Blob(['abc'], { type: 'text/csv' }))).toEqual({ kind: 'blob', size: 3, contentType: 'text/csv' });
+      expect(describeRequestBody(new Uint8Array(4))).toEqual({ kind: 'binary', size: 4, contentType: null });
+      expect(headersToObject(new Headers({ 'X-Token': 'abc' }))).toEqual({ 'x-token': 'abc' });
+      expect(headersToObject([['Accept', '*/*']])).toEqual({ Accept: '*/*' });
+      expect(headersToObject(undefined)).toBeUndefined();
+    });
+
+    test('should record XHR headers and body set after open', () => {
+      startNetworkMonitoring();
+      configureNetworkMonitor({ bodies: {} });
+
+      const xhr = new window.XMLHttpRequest();
+      xhr.open('POST', 'https://example.com/api/login');
+      xhr.setRequestHeader('Content-Type', 'application/json');
+      xhr.setRequestHeader('Accept', 'application/json');
+      xhr.setRequestHeader('accept', 'text/plain');
+      xhr.send('{"user":"ada"}');
+      xhr._simulateLoad(200, 'OK');
+
+      expect(xhr._requestData.body).toBe('{"user":"ada"}');
+      const [request] = getNetworkRequests();
+      expect(request).toMatchObject({
+        type: 'xhr',
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/plain' },
+        body: { kind: 'text', size: 14, contentType: 'application/json' }
+      });
+      return getNetworkBodies().then(bodies => {
+        expect(bodies[0].requestBody).toEqual({ text: '{"user":"ada"}', size: 14, contentType: 'application/json', truncated: false });
+      });
+    });
+
+    test('should read method, headers and body from fetch Request objects', async () => {
+      const fetchMock = jest.fn().mockResolvedValue(new Response('ok', { status: 200 }));
+      global.fetch = fetchMock;
+      startNetworkMonitoring();
+      configureNetworkMonitor({ bodies: {} });
+
+      const input = new Request('https://example.com/api/items', {
+        method: 'put',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"id":1}'
+      });
+      await window.fetch(input);
+
+      expect(fetchMock).toHaveBeenCalledWith(input);
+      const bodies = await getNetworkBodies();
+      const [request] = getNetworkRequests();
+      expect(request).toMatchObject({
+        url: 'https://example.com/api/items',
+        method: 'PUT',
+        headers: { 'content-type': 'application/json' },
+        body: { kind: 'request', size: 8, contentType: 'application/json' }
+      });
+      expect(bodies[0].requestBody).toMatchObject({ text: '{"id":1}', contentType: 'application/json' });
+    });
+
+    test('should record FormData and URLSearchParams fetch bodies', async () => {
+      global.fetch = jest.fn().mockImplementation(() => Promise.resolve(new Response('', { status: 204 })));
+      startNetworkMonitoring();
+      configureNetworkMonitor({ bodies: {} });
+
+      const form = new FormData();
+      form.append('title', 'Report');
+      form.append('attachment', new Blob(['12345'], { type: 'text/csv' }), 'data.csv');
+      await window.fetch('https://example.com/upload', { method: 'POST', body: form });
+      await window.fetch('https://example.com/search', { method: 'POST', body: new URLSearchParams({ q: 'har' }) });
+
+      const bodies = await getNetworkBodies();
+      expect(JSON.parse(bodies[0].requestBody.text)).toEqual([
+        { name: 'title', value: 'Report' },
+        { name: 'attachment', file: { name: 'data.csv', type: 'text/csv', size: 5 } }
+      ]);
+      expect(bodies[1].requestBody).toMatchObject({ text: 'q=har', contentType: 'application/x-www-form-urlencoded;charset=UTF-8' });
+    });
+
+    test('should mark GraphQL requests with their operations', async () => {
+      global.fetch = jest.fn().mockImplementation(() => Promise.resolve(new Response('{}', { status: 200 })));
+      startNetworkMonitoring();
+
+      await window.fetch('https://example.com/graphql', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query: 'mutation Save($v: Int) { save(v: $v) }', variables: { v: 1 } })
+      });
+      const xhr = new window.XMLHttpRequest();
+      xhr.open('GET', 'https://example.com/graphql?query=%7B%20viewer%20%7B%20id%20%7D%20%7D');
+      xhr.send();
+      xhr._simulateLoad(200, 'OK');
+      await window.fetch('https://example.com/search?query=shoes');
+
+      const [mutation, query, search] = getNetworkRequests();
+      expect(mutation.graphql).toEqual([expect.objectContaining({ operationName: 'Save', operationType: 'mutation', variables: { v: 1 } })]);
+      expect(query.graphql).toEqual([expect.objectContaining({ operationType: 'query', query: '{ viewer { id } }' })]);
+      expect(search.graphql).toBeUndefined();
+    });
+
+    test('should record beacons and restore sendBeacon on stop', () => {
+      const sendBeacon = jest.fn().mockReturnValue(true);
+      navigator.sendBeacon = sendBeacon;
+      startNetworkMonitoring();
+
+      expect(navigator.sendBeacon('https://example.com/collect', new URLSearchParams({ event: 'view' }))).toBe(true);
+      expect(sendBeacon).toHaveBeenCalledTimes(1);
+      expect(getNetworkRequests()[0]).toMatchObject({
+        type: 'beacon',
+        url: 'https://example.com/collect',
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8' },
+        body: { kind: 'urlencoded', size: 10 },
+        queued: true
+      });
+
+      stopNetworkMonitoring();
+      expect(navigator.sendBeacon).toBe(sendBeacon);
+    });
+  });
+});
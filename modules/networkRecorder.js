@@ -0,0 +1,307 @@
+// Network Recorder Module
+// NOTE: This module is intended to run in the background (service worker) context.
+import { logger } from './extensionLogger.js';
+
+/** @type {{urls: Array<string>}} - webRequest filter covering every request. */
+const ALL_URLS = { urls: ['<all_urls>'] };
+/** @type {number} - Lifecycle events kept per request in the event log (before request, send headers, headers received, completed/redirect/error). */
+const EVENTS_PER_REQUEST = 4;
+
+/**
+ * Fixed-capacity buffer that overwrites its oldest item once full.
+ */
+export class RingBuffer {
+  /**
+   * @param {number} capacity - Maximum number of items kept.
+   */
+  constructor(capacity) {
+    this.capacity = Math.max(1, capacity);
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.size = 0;
+  }
+
+  /**
+   * Adds an item, dropping the oldest one if the buffer is full.
+   * @param {*} item - The item.
+   */
+  push(item) {
+    this.items[(this.start + this.size) % this.capacity] = item;
+    if (this.size < this.capacity) {
+      this.size++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  /**
+   * Changes the capacity, keeping the most recent items.
+   * @param {number} capacity - The new capacity.
+   */
+  resize(capacity) {
+    const items = this.toArray().slice(-Math.max(1, capacity));
+    this.capacity = Math.max(1, capacity);
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.size = 0;
+    items.forEach(item => this.push(item));
+  }
+
+  /**
+   * Returns the items, oldest first.
+   * @returns {Array<*>} A copy of the items.
+   */
+  toArray() {
+    return Array.from({ length: this.size }, (_, index) => this.items[(this.start + index) % this.capacity]);
+  }
+}
+
+/**
+ * Records requests per tab through chrome.webRequest.
+ * Unlike the in-page networkMonitor, this also sees images, scripts, stylesheets, fonts
+ * and requests made before the content script loads. Each request is followed from
+ * onBeforeRequest to onCompleted (or onErrorOccurred) so its request headers, initiator,
+ * redirects and event times are kept; each redirect hop is recorded as its own request.
+ * Every lifecycle event is also logged as it happens. Both logs start over when the tab
+ * navigates and are ring buffers sized from maxRequests.
+ * The logs live in the service worker's memory, so they are lost when the browser suspends
+ * an idle worker. A tab whose logs are recreated mid-page (without its main-frame request)
+ * gets a `gap` event first, so network_log.json shows that earlier requests are missing.
+ */
+export const networkRecorder = {
+  /** @type {Map<number, RingBuffer>} - Maps tabId to the requests recorded for its current page. */
+  requests: new Map(),
+  /** @type {Map<number, RingBuffer>} - Maps tabId to the lifecycle events seen on its current page. */
+  events: new Map(),
+  /** @type {Map<string, object>} - Maps requestId to the request in flight. */
+  pending: new Map(),
+  /** @type {Map<number, string>} - Maps tabId to the requestId of its current main-frame document. */
+  documentRequests: new Map(),
+  /** @type {number} - Maximum number of requests kept per tab; the oldest are dropped first. */
+  maxRequests: 100,
+  /** @type {boolean} - Tracks if the webRequest listeners are registered. */
+  isRecording: false,
+
+  /**
+   * Registers the webRequest listeners. Safe to call more than once.
+   */
+  start() {
+    if (this.isRecording) return;
+    this.handleBeforeRequest = this.handleBeforeRequest.bind(this);
+    this.handleSendHeaders = this.handleSendHeaders.bind(this);
+    this.handleHeadersReceived = this.handleHeadersReceived.bind(this);
+    this.handleBeforeRedirect = this.handleBeforeRedirect.bind(this);
+    this.handleCompleted = this.handleCompleted.bind(this);
+    this.handleErrorOccurred = this.handleErrorOccurred.bind(this);
+
+    chrome.webRequest.onBeforeRequest.addListener(this.handleBeforeRequest, ALL_URLS);
+    chrome.webRequest.onSendHeaders.addListener(this.handleSendHeaders, ALL_URLS, ['requestHeaders']);
+    chrome.webRequest.onHeadersReceived.addListener(this.handleHeadersReceived, ALL_URLS);
+    chrome.webRequest.onBeforeRedirect.addListener(this.handleBeforeRedirect, ALL_URLS, ['responseHeaders']);
+    chrome.webRequest.onCompleted.addListener(this.handleCompleted, ALL_URLS, ['responseHeaders']);
+    chrome.webRequest.onErrorOccurred.addListener(this.handleErrorOccurred, ALL_URLS);
+    this.isRecording = true;
+    logger.info('Background network recording started');
+  },
+
+  /**
+   * Changes the number of requests kept per tab, resizing the existing logs.
+   * @param {number} maxRequests - The new limit.
+   */
+  setMaxRequests(maxRequests) {
+    this.maxRequests = Number(maxRequests) || this.maxRequests;
+    this.requests.forEach(log => log.resize(this.maxRequests));
+    this.events.forEach(log => log.resize(this.maxRequests * EVENTS_PER_REQUEST));
+  },
+
+  /**
+   * Starts fresh logs for a tab, dropping what was recorded for its previous page.
+   * @param {number} tabId - The ID of the tab.
+   */
+  resetTab(tabId) {
+    this.requests.set(tabId, new RingBuffer(this.maxRequests));
+    this.events.set(tabId, new RingBuffer(this.maxRequests * EVENTS_PER_REQUEST));
+  },
+
+  /**
+   * Starts logs for a tab seen mid-page, with a gap event marking that what happened on the
+   * page before (e.g. while the service worker was suspended) was not recorded.
+   * @param {number} tabId - The ID of the tab.
+   * @param {number} timeStamp - Time of the first event seen, in milliseconds since the epoch.
+   */
+  resumeTab(tabId, timeStamp) {
+    this.resetTab(tabId);
+    this.events.get(tabId).push({
+      event: 'gap',
+      timestamp: new Date(timeStamp).toISOString(),
+      reason: 'Recording (re)started mid-page; earlier requests of this page are missing'
+    });
+  },
+
+  /**
+   * Appends a lifecycle event to its tab's event log.
+   * @param {string} event - The event name (beforeRequest, sendHeaders, headersReceived, beforeRedirect, completed or error).
+   * @param {object} details - The webRequest event details.
+   */
+  logEvent(event, details) {
+    if (!this.events.has(details.tabId)) this.resumeTab(details.tabId, details.timeStamp);
+    const entry = {
+      event,
+      requestId: details.requestId,
+      type: details.type,
+      url: details.url,
+      method: details.method,
+      timestamp: new Date(details.timeStamp).toISOString()
+    };
+    if (details.statusCode !== undefined) entry.status = details.statusCode;
+    if (details.redirectUrl) entry.redirectUrl = details.redirectUrl;
+    if (details.error) entry.error = details.error;
+    this.events.get(details.tabId).push(entry);
+  },
+
+  /**
+   * Starts following a request. A new main-frame document starts a fresh log for the tab;
+   * its redirect hops share one requestId and stay in the same log.
+   * @param {chrome.webRequest.WebRequestBodyDetails} details - The onBeforeRequest event details.
+   */
+  handleBeforeRequest(details) {
+    if (details.tabId < 0) return; // Not associated with a tab (e.g. the extension itself)
+
+    if (details.type === 'main_frame' && this.documentRequests.get(details.tabId) !== details.requestId) {
+      this.documentRequests.set(details.tabId, details.requestId);
+      this.resetTab(details.tabId);
+    }
+    this.logEvent('beforeRequest', details);
+    this.pending.set(details.requestId, {
+      requestId: details.requestId,
+      tabId: details.tabId,
+      type: details.type,
+      url: details.url,
+      method: details.method,
+      initiator: details.initiator || null,
+      frameId: details.frameId,
+      requestHeaders: [],
+      times: { start: details.timeStamp }
+    });
+  },
+
+  /**
+   * Keeps the request headers as sent.
+   * @param {chrome.webRequest.WebRequestHeadersDetails} details - The onSendHeaders event details.
+   */
+  handleSendHeaders(details) {
+    const request = this.pending.get(details.requestId);
+    if (!request) return;
+    this.logEvent('sendHeaders', details);
+    request.requestHeaders = details.requestHeaders || [];
+    request.times.sendHeaders = details.timeStamp;
+  },
+
+  /**
+   * Notes when the response headers arrived.
+   * @param {chrome.webRequest.WebResponseHeadersDetails} details - The onHeadersReceived event details.
+   */
+  handleHeadersReceived(details) {
+    const request = this.pending.get(details.requestId);
+    if (!request) return;
+    this.logEvent('headersReceived', details);
+    request.times.headersReceived = details.timeStamp;
+  },
+
+  /**
+   * Records a redirect hop. The browser reuses the requestId for the next hop, which
+   * starts again at onBeforeRequest.
+   * @param {chrome.webRequest.WebRedirectionResponseDetails} details - The onBeforeRedirect event details.
+   */
+  handleBeforeRedirect(details) {
+    this.finish('beforeRedirect', details, { redirectUrl: details.redirectUrl });
+  },
+
+  /**
+   * Records a completed request.
+   * @param {chrome.webRequest.WebResponseCacheDetails} details - The onCompleted event details.
+   */
+  handleCompleted(details) {
+    this.finish('completed', details);
+  },
+
+  /**
+   * Records a request that failed or was cancelled.
+   * @param {chrome.webRequest.WebResponseErrorDetails} details - The onErrorOccurred event details.
+   */
+  handleErrorOccurred(details) {
+    this.finish('error', details, { error: details.error });
+  },
+
+  /**
+   * Adds a finished request (or redirect hop) to its tab's log, merging what was seen
+   * since onBeforeRequest. Requests whose start was not observed are recorded from the
+   * final event alone.
+   * @param {string} event - The event name, for the event log.
+   * @param {object} details - The onBeforeRedirect, onCompleted or onErrorOccurred event details.
+   * @param {object} [extra={}] - Fields specific to the event.
+   */
+  finish(event, details, extra = {}) {
+    if (details.tabId < 0) return;
+
+    const started = this.pending.get(details.requestId);
+    this.pending.delete(details.requestId);
+    if (!started && details.type === 'main_frame' && this.documentRequests.get(details.tabId) !== details.requestId) {
+      this.resetTab(details.tabId);
+    } else if (!this.requests.has(details.tabId)) {
+      this.resumeTab(details.tabId, details.timeStamp);
+    }
+    this.logEvent(event, details);
+
+    this.requests.get(details.tabId).push({
+      requestId: details.requestId,
+      type: details.type,
+      url: details.url,
+      method: details.method,
+      status: details.statusCode,
+      statusLine: details.statusLine,
+      requestHeaders: started?.requestHeaders || [],
+      responseHeaders: details.responseHeaders || [],
+      fromCache: details.fromCache,
+      ip: details.ip,
+      initiator: started?.initiator ?? details.initiator ?? null,
+      redirectUrl: extra.redirectUrl || null,
+      error: extra.error || null,
+      times: { ...(started?.times || { start: details.timeStamp }), end: details.timeStamp },
+      timestamp: new Date(started?.times.start ?? details.timeStamp).toISOString()
+    });
+  },
+
+  /**
+   * Returns the requests recorded for a tab's current page.
+   * @param {number} tabId - The ID of the tab.
+   * @returns {Array<object>} A copy of the recorded requests, oldest first.
+   */
+  getRequests(tabId) {
+    return this.requests.get(tabId)?.toArray() || [];
+  },
+
+  /**
+   * Returns the lifecycle events seen on a tab's current page.
+   * @param {number} tabId - The ID of the tab.
+   * @returns {Array<{event: string, requestId: string, url: string, timestamp: string}>} A copy of the events, oldest first.
+   */
+  getEvents(tabId) {
+    return this.events.get(tabId)?.toArray() || [];
+  },
+
+  /**
+   * Forgets everything recorded for a tab.
+   * @param {number} tabId - The ID of the tab.
+   */
+  clear(tabId) {
+    this.requests.delete(tabId);
+    this.events.delete(tabId);
+    this.documentRequests.delete(tabId);
+    for (const [requestId, request] of this.pending) {
+      if (request.tabId === tabId) this.pending.delete(requestId);
+    }
+  }
+};
+
+export default networkRecorder;
@@ -0,0 +1,182 @@
+import { networkRecorder, RingBuffer } from './networkRecorder';
+
+global.chrome = {
+  webRequest: {
+    onBeforeRequest: { addListener: jest.fn() },
+    onSendHeaders: { addListener: jest.fn() },
+    onHeadersReceived: { addListener: jest.fn() },
+    onBeforeRedirect: { addListener: jest.fn() },
+    onCompleted: { addListener: jest.fn() },
+    onErrorOccurred: { addListener: jest.fn() }
+  }
+};
+
+describe('Network Recorder Module', () => {
+  const completed = (overrides = {}) => ({
+    requestId: '1',
+    tabId: 1,
+    type: 'script',
+    url: 'https://example.com/app.js',
+    method: 'GET',
+    statusCode: 200,
+    statusLine: 'HTTP/1.1 200 OK',
+    responseHeaders: [{ name: 'content-type', value: 'text/javascript' }],
+    fromCache: false,
+    timeStamp: Date.UTC(2025, 2, 6),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    networkRecorder.requests.clear();
+    networkRecorder.events.clear();
+    networkRecorder.pending.clear();
+    networkRecorder.documentRequests.clear();
+    networkRecorder.maxRequests = 100;
+  });
+
+  test('start should register the webRequest listeners once', () => {
+    networkRecorder.start();
+    networkRecorder.start();
+    expect(chrome.webRequest.onCompleted.addListener).toHaveBeenCalledTimes(1);
+    expect(chrome.webRequest.onCompleted.addListener).toHaveBeenCalledWith(
+      expect.any(Function), { urls: ['<all_urls>'] }, ['responseHeaders']
+    );
+    expect(chrome.webRequest.onSendHeaders.addListener).toHaveBeenCalledWith(
+      expect.any(Function), { urls: ['<all_urls>'] }, ['requestHeaders']
+    );
+    expect(chrome.webRequest.onErrorOccurred.addListener).toHaveBeenCalledTimes(1);
+  });
+
+  test('should record completed requests per tab', () => {
+    networkRecorder.handleCompleted(completed());
+    networkRecorder.handleCompleted(completed({ tabId: 2, url: 'https://example.com/b.css' }));
+
+    expect(networkRecorder.getRequests(1)).toEqual([expect.objectContaining({
+      type: 'script',
+      url: 'https://example.com/app.js',
+      method: 'GET',
+      status: 200,
+      timestamp: '2025-03-06T00:00:00.000Z'
+    })]);
+    expect(networkRecorder.getRequests(2)).toHaveLength(1);
+  });
+
+  test('should ignore requests not tied to a tab', () => {
+    networkRecorder.handleCompleted(completed({ tabId: -1 }));
+    expect(networkRecorder.requests.size).toBe(0);
+  });
+
+  test('should start a new log on main-frame navigation', () => {
+    networkRecorder.handleCompleted(completed());
+    networkRecorder.handleCompleted(completed({ type: 'main_frame', url: 'https://example.com/next' }));
+    expect(networkRecorder.getRequests(1).map(request => request.url)).toEqual(['https://example.com/next']);
+  });
+
+  test('should keep only the most recent maxRequests entries', () => {
+    networkRecorder.maxRequests = 2;
+    ['a', 'b', 'c'].forEach(name => networkRecorder.handleCompleted(completed({ url: `https://example.com/${name}` })));
+    expect(networkRecorder.getRequests(1).map(request => request.url)).toEqual([
+      'https://example.com/b',
+      'https://example.com/c'
+    ]);
+  });
+
+  test('should merge the request lifecycle and record redirect hops', () => {
+    const base = { requestId: '7', tabId: 1, type: 'main_frame', method: 'GET', initiator: undefined };
+    networkRecorder.handleBeforeRequest({ ...base, url: 'http://example.com/', timeStamp: 1000 });
+    networkRecorder.handleSendHeaders({ ...base, requestHeaders: [{ name: 'Accept', value: 'text/html' }], timeStamp: 1002 });
+    networkRecorder.handleBeforeRedirect({
+      ...base, url: 'http://example.com/', statusCode: 301, redirectUrl: 'https://example.com/', timeStamp: 1040
+    });
+    networkRecorder.handleBeforeRequest({ ...base, url: 'https://example.com/', timeStamp: 1041 });
+    networkRecorder.handleHeadersReceived({ ...base, timeStamp: 1100 });
+    networkRecorder.handleCompleted({ ...base, url: 'https://example.com/', statusCode: 200, timeStamp: 1150 });
+
+    const requests = networkRecorder.getRequests(1);
+    expect(requests).toHaveLength(2);
+    expect(requests[0]).toMatchObject({
+      url: 'http://example.com/',
+      status: 301,
+      redirectUrl: 'https://example.com/',
+      requestHeaders: [{ name: 'Accept', value: 'text/html' }],
+      times: { start: 1000, sendHeaders: 1002, end: 1040 }
+    });
+    expect(requests[1]).toMatchObject({
+      url: 'https://example.com/',
+      status: 200,
+      redirectUrl: null,
+      times: { start: 1041, headersReceived: 1100, end: 1150 }
+    });
+    expect(networkRecorder.pending.size).toBe(0);
+  });
+
+  test('should record failed requests with their error and initiator', () => {
+    const base = { requestId: '8', tabId: 1, type: 'image', method: 'GET', url: 'https://cdn.example.net/a.png' };
+    networkRecorder.handleBeforeRequest({ ...base, initiator: 'https://example.com', timeStamp: 1000 });
+    networkRecorder.handleErrorOccurred({ ...base, error: 'net::ERR_BLOCKED_BY_CLIENT', timeStamp: 1005 });
+
+    expect(networkRecorder.getRequests(1)[0]).toMatchObject({
+      error: 'net::ERR_BLOCKED_BY_CLIENT',
+      initiator: 'https://example.com',
+      status: undefined
+    });
+  });
+
+  test('RingBuffer should overwrite the oldest items and resize', () => {
+    const buffer = new RingBuffer(3);
+    [1, 2, 3, 4, 5].forEach(item => buffer.push(item));
+    expect(buffer.toArray()).toEqual([3, 4, 5]);
+
+    buffer.resize(2);
+    expect(buffer.toArray()).toEqual([4, 5]);
+    buffer.resize(4);
+    buffer.push(6);
+    expect(buffer.toArray()).toEqual([4, 5, 6]);
+  });
+
+  test('should log every lifecycle event of a tab since navigation', () => {
+    const base = { tabId: 1, method: 'GET' };
+    networkRecorder.handleBeforeRequest({ ...base, requestId: '1', type: 'script', url: 'https://old.example/a.js', timeStamp: 900 });
+    networkRecorder.handleBeforeRequest({ ...base, requestId: '2', type: 'main_frame', url: 'https://example.com/', timeStamp: 1000 });
+    networkRecorder.handleSendHeaders({ ...base, requestId: '2', requestHeaders: [], timeStamp: 1001 });
+    networkRecorder.handleHeadersReceived({ ...base, requestId: '2', statusCode: 200, timeStamp: 1050 });
+    networkRecorder.handleCompleted({ ...base, requestId: '2', type: 'main_frame', url: 'https://example.com/', statusCode: 200, timeStamp: 1060 });
+    networkRecorder.handleBeforeRequest({ ...base, requestId: '3', type: 'font', url: 'https://example.com/f.woff2', timeStamp: 1100 });
+    networkRecorder.handleErrorOccurred({ ...base, requestId: '3', type: 'font', url: 'https://example.com/f.woff2', error: 'net::ERR_FAILED', timeStamp: 1110 });
+
+    expect(networkRecorder.getEvents(1).map(entry => entry.event)).toEqual([
+      'beforeRequest', 'sendHeaders', 'headersReceived', 'completed', 'beforeRequest', 'error'
+    ]);
+    expect(networkRecorder.getEvents(1)[3]).toMatchObject({ requestId: '2', status: 200, timestamp: new Date(1060).toISOString() });
+    expect(networkRecorder.getEvents(1)[5]).toMatchObject({ error: 'net::ERR_FAILED' });
+    expect(networkRecorder.getRequests(1).map(request => request.url)).toEqual(['https://example.com/', 'https://example.com/f.woff2']);
+  });
+
+  test('should mark a gap when a tab is first seen mid-page', () => {
+    networkRecorder.handleCompleted(completed());
+    networkRecorder.handleBeforeRequest({ tabId: 2, requestId: '5', type: 'image', url: 'https://example.com/a.png', method: 'GET', timeStamp: 2000 });
+    networkRecorder.handleBeforeRequest({ tabId: 3, requestId: '6', type: 'main_frame', url: 'https://example.com/', method: 'GET', timeStamp: 3000 });
+
+    expect(networkRecorder.getEvents(1)[0]).toMatchObject({ event: 'gap', timestamp: '2025-03-06T00:00:00.000Z' });
+    expect(networkRecorder.getEvents(1).map(entry => entry.event)).toEqual(['gap', 'completed']);
+    expect(networkRecorder.getEvents(2).map(entry => entry.event)).toEqual(['gap', 'beforeRequest']);
+    expect(networkRecorder.getEvents(3).map(entry => entry.event)).toEqual(['beforeRequest']);
+    expect(networkRecorder.getRequests(1)).toHaveLength(1);
+  });
+
+  test('setMaxRequests should resize the logs of every tab', () => {
+    ['a', 'b', 'c'].forEach(name => networkRecorder.handleCompleted(completed({ url: `https://example.com/${name}` })));
+    networkRecorder.setMaxRequests(1);
+    expect(networkRecorder.getRequests(1).map(request => request.url)).toEqual(['https://example.com/c']);
+    expect(networkRecorder.getEvents(1).map(entry => entry.event)).toEqual(['gap', 'completed', 'completed', 'completed']);
+    networkRecorder.setMaxRequests('not a number');
+    expect(networkRecorder.maxRequests).toBe(1);
+  });
+
+  test('clear should forget a tab', () => {
+    networkRecorder.handleCompleted(completed());
+    networkRecorder.clear(1);
+    expect(networkRecorder.getRequests(1)).toEqual([]);
+    expect(networkRecorder.getEvents(1)).toEqual([]);
+  });
+});
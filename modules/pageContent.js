@@ -1,5 +1,6 @@
 // Page Content Module
 // NOTE: This module is intended to run in the content script context.
+import { cloneComposed, getComposedText, hasComposedContent } from './domSnapshot.js';
 
 /**
  * Calculates the maximum scroll width and height of the document.
@@ -22,34 +23,30 @@ export function getPageDimensions() {
 
 /**
  * Gets the outer HTML of the document element after removing script and style tags.
+ * Open shadow roots are kept as declarative shadow DOM and same-origin frames as srcdoc;
+ * form values are written into attributes and canvases are replaced by images.
  * Note: This is a basic cleanup; it doesn't remove inline scripts/styles or other potentially active content.
  * @returns {string} The cleaned HTML string.
  */
 export function getHTML() {
-  const clone = document.documentElement.cloneNode(true);
-  // Remove scripts
-  const scripts = clone.getElementsByTagName('script');
-  while (scripts.length > 0) scripts[0].remove();
-  // Remove inline styles
-  const styles = clone.getElementsByTagName('style');
-  while (styles.length > 0) styles[0].remove();
-  return clone.outerHTML;
+  return cloneComposed(document.documentElement, { exclude: 'script, style', preserveState: true }).outerHTML;
 }
 
 /**
  * Gets the inner text content of the <article> element, or the document body if <article> is not found.
+ * innerText skips shadow roots and frames, so pages that have them are walked with getComposedText instead.
  * Note: This captures all text, including navigation, ads, etc., if not within a specific <article>.
  * For cleaner article text, consider getReadableContent().
  * @returns {string} The extracted text content.
  */
 export function getText() {
   const article = document.querySelector('article') || document.body;
-  return article.innerText;
+  return hasComposedContent(document) ? getComposedText(article) : article.innerText;
 }
 
 /**
  * Attempts to extract the main readable content (title and text) using the Readability library.
- * Requires the Readability library to be loaded globally in the content script context.
+ * Requires the Readability library, loaded into the content script context by initReadability.
  * @returns {string} Formatted readable content (Markdown-like) or an error/fallback message.
  */
 export function getReadableContent() {
@@ -67,4 +64,82 @@ export function getReadableContent() {
     console.error('Error using Readability:', error);
     return `Error processing content with Readability: ${error.message}`;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Extracts the main article with the Readability library, keeping its HTML so the article
+ * can be re-packaged (e.g. as an EPUB).
+ * Requires the Readability library, loaded into the content script context by initReadability.
+ * @returns {{title: string, content: string, textContent: string, byline: string | null, excerpt: string | null,
+ *   siteName: string | null, publishedTime: string | null, lang: string | null} | null} The article, or null if none was found.
+ * @throws {Error} Throws if the Readability library is not available.
+ */
+export function getReadableArticle() {
+  if (typeof Readability === 'undefined') {
+    throw new Error('Readability library not available.');
+  }
+  const article = new Readability(document.cloneNode(true)).parse();
+  if (!article) return null;
+
+  return {
+    title: article.title || document.title,
+    content: article.content,
+    textContent: article.textContent || '',
+    byline: article.byline || null,
+    excerpt: article.excerpt || null,
+    siteName: article.siteName || null,
+    publishedTime: article.publishedTime || null,
+    lang: article.lang || document.documentElement.lang || null
+  };
+}
+
+/**
+ * Describes the outline of the page: its headings and its landmark regions.
+ * @returns {{headings: Array<{level: number, text: string, id: string}>,
+ *   sections: Array<{tag: string, role: string, id: string, label: string}>}} The page structure.
+ */
+export function getPageStructure() {
+  const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6')).map(heading => ({
+    level: Number(heading.tagName[1]),
+    text: heading.textContent.replace(/\s+/g, ' ').trim(),
+    id: heading.id || ''
+  }));
+
+  const sections = Array.from(document.querySelectorAll(
+    'header, nav, main, article, section, aside, footer, [role="banner"], [role="navigation"], [role="main"], [role="complementary"], [role="contentinfo"], [role="search"]'
+  )).map(section => ({
+    tag: section.tagName.toLowerCase(),
+    role: section.getAttribute('role') || '',
+    id: section.id || '',
+    label: section.getAttribute('aria-label') || ''
+  }));
+
+  return { headings, sections };
+}
+
+/**
+ * Lists the images, links, scripts and stylesheets referenced by the page.
+ * Inline scripts include their source; external scripts only their URL.
+ * @returns {{images: Array<object>, links: Array<object>, scripts: Array<object>, stylesheets: Array<object>}} The resources.
+ */
+export function getResourceInfo() {
+  return {
+    images: Array.from(document.images).map(image => ({
+      src: image.currentSrc || image.src,
+      alt: image.getAttribute('alt'),
+      width: image.naturalWidth || image.width,
+      height: image.naturalHeight || image.height
+    })),
+    links: Array.from(document.querySelectorAll('a[href]')).map(link => ({
+      href: link.href,
+      text: link.textContent.replace(/\s+/g, ' ').trim(),
+      rel: link.getAttribute('rel') || ''
+    })),
+    scripts: Array.from(document.scripts).map(script => (script.src
+      ? { type: 'external', src: script.src, async: script.hasAttribute('async'), defer: script.hasAttribute('defer'), module: script.type === 'module' }
+      : { type: 'inline', content: script.textContent, module: script.type === 'module' })),
+    stylesheets: Array.from(document.querySelectorAll('link[rel~="stylesheet"], style')).map(sheet => (sheet.tagName === 'LINK'
+      ? { type: 'external', href: sheet.href, media: sheet.media || '' }
+      : { type: 'inline', length: sheet.textContent.length }))
+  };
+}
@@ -0,0 +1,68 @@
+import path from 'path';
+import { getPageStructure, getResourceInfo, getReadableArticle } from './pageContent';
+import { initReadability } from './readabilityInit';
+
+describe('Page Content Module', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <header><nav aria-label="Main"><a href="/home" rel="nofollow">  Home  </a></nav></header>
+      <main id="content">
+        <h1>Title</h1>
+        <h2 id="intro">Intro <small>part</small></h2>
+        <img src="/a.png" alt="A">
+      </main>
+      <script src="https://cdn.example.com/lib.js" async></script>
+      <script type="module">import './x.js';</script>
+      <style>p { color: red; }</style>
+    `;
+  });
+
+  test('getPageStructure should list headings and landmarks', () => {
+    const structure = getPageStructure();
+    expect(structure.headings).toEqual([
+      { level: 1, text: 'Title', id: '' },
+      { level: 2, text: 'Intro part', id: 'intro' }
+    ]);
+    expect(structure.sections).toEqual([
+      { tag: 'header', role: '', id: '', label: '' },
+      { tag: 'nav', role: '', id: '', label: 'Main' },
+      { tag: 'main', role: '', id: 'content', label: '' }
+    ]);
+  });
+
+  test('getResourceInfo should list images, links, scripts and stylesheets', () => {
+    const resources = getResourceInfo();
+    expect(resources.images).toEqual([expect.objectContaining({ src: 'http://localhost/a.png', alt: 'A' })]);
+    expect(resources.links).toEqual([{ href: 'http://localhost/home', text: 'Home', rel: 'nofollow' }]);
+    expect(resources.scripts).toEqual([
+      { type: 'external', src: 'https://cdn.example.com/lib.js', async: true, defer: false, module: false },
+      { type: 'inline', content: "import './x.js';", module: true }
+    ]);
+    expect(resources.stylesheets).toEqual([{ type: 'inline', length: 'p { color: red; }'.length }]);
+  });
+
+  afterEach(() => {
+    delete global.Readability;
+  });
+
+  test('getReadableArticle should return the clean article once initReadability has loaded the library', async () => {
+    global.chrome = { runtime: { getURL: file => path.join(__dirname, '..', file) } };
+    await initReadability();
+    const text = 'This paragraph has enough words, commas, and detail to be scored as the main content of the page. ';
+    document.documentElement.lang = 'en';
+    document.body.innerHTML = `
+      <nav><a href="/a">Menu link</a></nav>
+      <article><p>${text.repeat(3)}</p><p>${text.repeat(3)}</p></article>
+      <div class="sidebar"><a href="/b">Sidebar link</a></div>
+    `;
+
+    const article = getReadableArticle();
+    expect(article.content).toContain('This paragraph has enough words');
+    expect(article.textContent).not.toMatch(/Menu link|Sidebar link/);
+    expect(article.lang).toBe('en');
+  });
+
+  test('getReadableArticle should throw when Readability is not loaded', () => {
+    expect(() => getReadableArticle()).toThrow('Readability library not available.');
+  });
+});
@@ -0,0 +1,90 @@
+// Page Hooks Module
+// NOTE: This module is intended to run in the page's main world.
+// Recorders that wrap page APIs have to run where the page's own scripts run: wrapped in
+// the content script's isolated world they would only see the extension's calls. The
+// background imports this module into the page as it commits and again before a capture
+// (see injectPageHooks in utils.js); the content script reaches it through pageHooksBridge.js.
+// The import is asynchronous, so the page's earliest scripts may run before the hooks are
+// in place; getRecordingStart tells the exports where recording began.
+
+import { CONTENT_MESSAGE_SOURCE, PAGE_HOOKS_MESSAGE_SOURCE } from './pageHooksBridge.js';
+import { startConsoleRecording, stopConsoleRecording } from './consoleRecorder.js';
+import { startSocketMonitoring, configureSocketMonitor, getSocketConnections } from './socketMonitor.js';
+import { startNetworkMonitoring, configureNetworkMonitor, getNetworkRequests, getNetworkBodies } from './networkMonitor.js';
+
+/** @type {boolean} - Tracks if the command listener has been added. */
+let installed = false;
+/** @type {string | null} - When the recorders were installed in this page (ISO 8601). */
+let installedAt = null;
+
+/**
+ * Commands the content script can run here, keyed by name. Each returns a
+ * structured-cloneable result (or a promise of it).
+ * @type {Object<string, function(object): *>}
+ */
+export const pageHookCommands = {
+  startConsoleRecording() {
+    startConsoleRecording();
+    return true;
+  },
+  // Ends the recording at capture time and starts the next one, so a later capture of
+  // the same page gets what was logged in between
+  takeConsoleLog() {
+    const log = stopConsoleRecording();
+    if (log.recording) startConsoleRecording();
+    return log;
+  },
+  getSocketConnections() {
+    return getSocketConnections();
+  },
+  getNetworkRequests() {
+    return getNetworkRequests();
+  },
+  getNetworkBodies() {
+    return getNetworkBodies();
+  },
+  getRecordingStart() {
+    return installedAt;
+  }
+};
+
+/**
+ * Runs a command sent by the content script and posts back its result.
+ * @param {MessageEvent} event - The window message.
+ */
+export function handlePageHookMessage(event) {
+  const message = event.data;
+  if (event.source !== window || message?.source !== CONTENT_MESSAGE_SOURCE) return;
+  const reply = result => window.postMessage({ source: PAGE_HOOKS_MESSAGE_SOURCE, id: message.id, ...result }, '*');
+
+  const command = pageHookCommands[message.command];
+  if (!command) {
+    reply({ ok: false, error: `Unknown page hooks command "${message.command}"` });
+    return;
+  }
+  Promise.resolve()
+    .then(() => command(message.params || {}))
+    .then(data => reply({ ok: true, data }))
+    .catch(error => reply({ ok: false, error: error instanceof Error ? error.message : String(error) }));
+}
+
+/**
+ * Installs the page hooks, or applies new options when they are already installed.
+ * @param {object} [options={}] - Options from the background (see getPageHookOptions in background.js).
+ * @param {boolean} [options.recordConsole=false] - Whether to record console output and errors.
+ * @param {object | null} [options.bodies] - Body capture options (see networkMonitor.js); null turns it off.
+ * @param {number} [options.maxRequests] - Most network requests kept in the page.
+ * @param {object} [options.sockets] - WebSocket/EventSource options (see socketMonitor.js).
+ */
+export function installPageHooks(options = {}) {
+  configureNetworkMonitor({ bodies: options.bodies, maxRequests: options.maxRequests });
+  configureSocketMonitor(options.sockets);
+  if (!installed) {
+    startNetworkMonitoring();
+    startSocketMonitoring();
+    window.addEventListener('message', handlePageHookMessage);
+    installed = true;
+    installedAt = new Date().toISOString();
+  }
+  if (options.recordConsole) startConsoleRecording();
+}
@@ -0,0 +1,63 @@
+import { installPageHooks, pageHookCommands } from './pageHooks';
+import { callPageHooks } from './pageHooksBridge';
+import { stopConsoleRecording } from './consoleRecorder';
+
+describe('Page Hooks Module', () => {
+  beforeEach(() => {
+    ['log', 'warn', 'error'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+    // jsdom leaves event.source unset; browsers set it to the posting window
+    jest.spyOn(window, 'postMessage').mockImplementation(data => {
+      setTimeout(() => window.dispatchEvent(new MessageEvent('message', { data, source: window })));
+    });
+  });
+
+  afterEach(() => {
+    stopConsoleRecording();
+    jest.restoreAllMocks();
+  });
+
+  test('callPageHooks should time out while the hooks are not installed', async () => {
+    await expect(callPageHooks('takeConsoleLog', {}, 50)).rejects.toThrow('No answer to "takeConsoleLog" from the page hooks');
+  });
+
+  test('should answer bridge commands posted by the content script', async () => {
+    const OriginalWebSocket = window.WebSocket;
+    const fetchMock = jest.fn().mockResolvedValue({ status: 200, statusText: 'OK', headers: new Map() });
+    window.fetch = fetchMock;
+    installPageHooks({ recordConsole: true, bodies: null, sockets: { payloads: true } });
+    expect(Object.getPrototypeOf(window.WebSocket)).toBe(OriginalWebSocket);
+    expect(window.fetch).not.toBe(fetchMock);
+
+    await window.fetch('/api/items', { method: 'POST', body: '{"a":1}' });
+    expect(await callPageHooks('getNetworkRequests')).toEqual([
+      expect.objectContaining({ type: 'fetch', url: '/api/items', method: 'POST', status: 200 })
+    ]);
+    console.warn('Deprecated API');
+
+    const log = await callPageHooks('takeConsoleLog');
+    expect(log.recording).toBe(true);
+    expect(log.entries).toEqual([expect.objectContaining({ level: 'warn', message: 'Deprecated API' })]);
+    await expect(callPageHooks('getSocketConnections')).resolves.toEqual([]);
+    await expect(callPageHooks('getNetworkBodies')).resolves.toEqual([]);
+    const recordingSince = await callPageHooks('getRecordingStart');
+    expect(new Date(recordingSince).toISOString()).toBe(recordingSince);
+    installPageHooks({ bodies: null });
+    await expect(callPageHooks('getRecordingStart')).resolves.toBe(recordingSince);
+    await expect(callPageHooks('dropDatabase')).rejects.toThrow('Unknown page hooks command "dropDatabase"');
+  });
+
+  test('takeConsoleLog should start the next recording, and only when one was running', () => {
+    pageHookCommands.startConsoleRecording();
+    console.error('First capture');
+    expect(pageHookCommands.takeConsoleLog().entries).toHaveLength(1);
+
+    console.error('Second capture');
+    const second = pageHookCommands.takeConsoleLog();
+    expect(second.entries.map(entry => entry.message)).toEqual(['Second capture']);
+
+    stopConsoleRecording();
+    console.error('Not recorded');
+    expect(pageHookCommands.takeConsoleLog()).toMatchObject({ recording: false, entries: [] });
+    expect(pageHookCommands.takeConsoleLog().recording).toBe(false);
+  });
+});
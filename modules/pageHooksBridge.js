@@ -0,0 +1,49 @@
+// Page Hooks Bridge Module
+// NOTE: This module is intended to run in the content script context.
+// The recorders that wrap page APIs (see pageHooks.js) run in the page's main world,
+// which the content script's isolated world cannot call into. Commands and their results
+// travel between the two worlds as window messages tagged with the sources below.
+
+/** @type {string} - Source tag of command messages sent by the content script. */
+export const CONTENT_MESSAGE_SOURCE = 'sitescribe-content';
+/** @type {string} - Source tag of result messages sent by the page hooks. */
+export const PAGE_HOOKS_MESSAGE_SOURCE = 'sitescribe-page-hooks';
+
+/** @type {number} - Counter for the ids that pair results with their commands. */
+let nextCallId = 1;
+
+/**
+ * Runs a command in the page hooks and returns its result.
+ * @param {string} command - The command name (a key of pageHooks.pageHookCommands).
+ * @param {object} [params={}] - The command parameters; they must be structured-cloneable.
+ * @param {number} [timeout=5000] - Longest time to wait for the result, in milliseconds.
+ * @returns {Promise<*>} The command result.
+ * @throws {Error} Throws if the page hooks are not installed in the page or the command fails.
+ */
+export function callPageHooks(command, params = {}, timeout = 5000) {
+  const id = `${Date.now()}-${nextCallId++}`;
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    const handleMessage = event => {
+      const message = event.data;
+      if (event.source !== window || message?.source !== PAGE_HOOKS_MESSAGE_SOURCE || message.id !== id) return;
+      finish();
+      if (message.ok) {
+        resolve(message.data);
+      } else {
+        reject(new Error(message.error || `Page hooks command "${command}" failed`));
+      }
+    };
+    const finish = () => {
+      clearTimeout(timer);
+      window.removeEventListener('message', handleMessage);
+    };
+
+    timer = setTimeout(() => {
+      finish();
+      reject(new Error(`No answer to "${command}" from the page hooks; they are installed when the page loads`));
+    }, timeout);
+    window.addEventListener('message', handleMessage);
+    window.postMessage({ source: CONTENT_MESSAGE_SOURCE, id, command, params }, '*');
+  });
+}
@@ -1,5 +1,6 @@
 // Page Monitoring Module
 import { logger } from './extensionLogger.js';
+import { sendContentCommand } from './contentProtocol.js';
 
 /**
  * Manages the monitoring of web pages for changes and triggers captures.
@@ -24,8 +25,10 @@ export const pageMonitor = {
    * Injects a content script to observe DOM mutations and scroll events.
    * @param {number} tabId - The ID of the tab to monitor.
    * @param {string} url - The URL of the page in the tab.
+   * @param {object} [options={}] - Monitoring options.
+   * @param {boolean} [options.recordConsole=false] - Whether to record console output and errors until the next capture.
    */
-  async startMonitoring(tabId, url) {
+  async startMonitoring(tabId, url, options = {}) {
     if (this.activePages.has(tabId)) {
       logger.info(`Already monitoring tab ${tabId}`);
       return;
@@ -50,6 +53,15 @@ export const pageMonitor = {
     } catch (error) {
       logger.error(`Failed to inject monitoring script for tab ${tabId}`, error);
     }
+
+    if (options.recordConsole) {
+      try {
+        await sendContentCommand(tabId, 'startConsoleRecording');
+        logger.info(`Console recording started for tab ${tabId}`);
+      } catch (error) {
+        logger.error(`Failed to start console recording for tab ${tabId}`, error);
+      }
+    }
   },
 
   /**
@@ -129,7 +141,7 @@ export const pageMonitor = {
 
       // Verify content script is injected
       try {
-        await chrome.tabs.sendMessage(tabId, { action: 'ping' });
+        await sendContentCommand(tabId, 'ping');
       } catch (injectionError) {
         logger.error(`Content script injection failed for tab ${tabId}:`, injectionError);
         
@@ -149,7 +161,7 @@ export const pageMonitor = {
       let pageHeight;
       try {
         const dimensionsResponse = await Promise.race([
-          chrome.tabs.sendMessage(tabId, { action: 'getPageDimensions' }),
+          sendContentCommand(tabId, 'getPageDimensions'),
           new Promise((_, reject) => setTimeout(() => reject(new Error('Dimensions request timed out')), 5000))
         ]);
         pageHeight = dimensionsResponse.height;
@@ -163,10 +175,7 @@ export const pageMonitor = {
       // Scroll through the page with enhanced error handling
       while (lastScrollPosition < pageHeight) {
         try {
-          await chrome.tabs.sendMessage(tabId, {
-            action: 'scrollTo',
-            position: lastScrollPosition
-          });
+          await sendContentCommand(tabId, 'scrollTo', { position: lastScrollPosition });
         } catch (scrollError) {
           logger.warn(`Scroll failed at position ${lastScrollPosition}:`, scrollError);
           // Continue scrolling even if one scroll fails
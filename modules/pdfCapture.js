@@ -0,0 +1,133 @@
+// PDF Capture Module
+// NOTE: This module is intended to run in the background (service worker) context.
+import { logger } from './extensionLogger.js';
+import { base64ToBlob } from './utils.js';
+import { CAPTURE_FORMATS } from './captureManager.js';
+
+/** @type {string} - Chrome DevTools protocol version requested when attaching the debugger. */
+const DEBUGGER_PROTOCOL_VERSION = '1.3';
+
+/**
+ * Supported paper sizes, in inches (the unit Page.printToPDF expects).
+ * @type {Object<string, {width: number, height: number}>}
+ */
+export const PAPER_SIZES = {
+  letter: { width: 8.5, height: 11 },
+  legal: { width: 8.5, height: 14 },
+  tabloid: { width: 11, height: 17 },
+  a3: { width: 11.69, height: 16.54 },
+  a4: { width: 8.27, height: 11.69 },
+  a5: { width: 5.83, height: 8.27 }
+};
+
+/**
+ * Default PDF settings, stored flat in chrome.storage.sync alongside the other options.
+ * @type {Object}
+ */
+export const DEFAULT_PDF_SETTINGS = {
+  pdfPaperSize: 'letter',
+  pdfLandscape: false,
+  pdfPrintBackground: true,
+  pdfMarginTop: 0.4,
+  pdfMarginBottom: 0.4,
+  pdfMarginLeft: 0.4,
+  pdfMarginRight: 0.4,
+  pdfHeaderFooter: true
+};
+
+/**
+ * Escapes a string for safe inclusion in the header/footer HTML templates.
+ * @param {string} value - The raw string.
+ * @returns {string} The HTML-escaped string.
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Parses a margin value coming from storage (the options page saves numbers as strings).
+ * @param {number|string} value - The stored margin, in inches.
+ * @param {number} fallback - Value used when the stored one is missing or invalid.
+ * @returns {number} A non-negative margin in inches.
+ */
+function parseMargin(value, fallback) {
+  const margin = parseFloat(value);
+  return Number.isFinite(margin) && margin >= 0 ? margin : fallback;
+}
+
+/**
+ * Builds the header and footer templates shown on every PDF page.
+ * The header shows the captured URL, the footer the capture time and page numbers.
+ * @param {string} url - The URL of the captured page.
+ * @param {string} captureTime - The capture timestamp.
+ * @returns {{headerTemplate: string, footerTemplate: string}} The Page.printToPDF templates.
+ */
+export function buildHeaderFooterTemplates(url, captureTime) {
+  const style = 'font-size: 8px; width: 100%; padding: 0 0.4in; color: #555;';
+  return {
+    headerTemplate: `<div style="${style} white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">` +
+      `${escapeHtml(url)}</div>`,
+    footerTemplate: `<div style="${style} display: flex; justify-content: space-between;">` +
+      `<span>Captured ${escapeHtml(captureTime)}</span>` +
+      '<span><span class="pageNumber"></span> / <span class="totalPages"></span></span></div>'
+  };
+}
+
+/**
+ * Converts the stored PDF settings into Page.printToPDF parameters.
+ * @param {Object} settings - Settings from chrome.storage.sync (see DEFAULT_PDF_SETTINGS).
+ * @param {{url: string, captureTime: string}} context - Values rendered into the header/footer.
+ * @returns {Object} Parameters for the Page.printToPDF DevTools command.
+ */
+export function buildPrintOptions(settings = {}, context = {}) {
+  const options = { ...DEFAULT_PDF_SETTINGS, ...settings };
+  const paper = PAPER_SIZES[options.pdfPaperSize] || PAPER_SIZES[DEFAULT_PDF_SETTINGS.pdfPaperSize];
+
+  const printOptions = {
+    landscape: !!options.pdfLandscape,
+    printBackground: !!options.pdfPrintBackground,
+    paperWidth: paper.width,
+    paperHeight: paper.height,
+    marginTop: parseMargin(options.pdfMarginTop, DEFAULT_PDF_SETTINGS.pdfMarginTop),
+    marginBottom: parseMargin(options.pdfMarginBottom, DEFAULT_PDF_SETTINGS.pdfMarginBottom),
+    marginLeft: parseMargin(options.pdfMarginLeft, DEFAULT_PDF_SETTINGS.pdfMarginLeft),
+    marginRight: parseMargin(options.pdfMarginRight, DEFAULT_PDF_SETTINGS.pdfMarginRight),
+    preferCSSPageSize: false,
+    displayHeaderFooter: !!options.pdfHeaderFooter
+  };
+
+  if (printOptions.displayHeaderFooter) {
+    Object.assign(printOptions, buildHeaderFooterTemplates(context.url, context.captureTime));
+  }
+
+  return printOptions;
+}
+
+/**
+ * Prints the page in a tab to PDF through the DevTools protocol.
+ * Attaches chrome.debugger to the tab for the duration of the call and always detaches afterwards.
+ * @param {number} tabId - The ID of the tab to print.
+ * @param {Object} printOptions - Parameters for Page.printToPDF (see buildPrintOptions).
+ * @returns {Promise<Blob>} A promise resolving to the PDF as a Blob.
+ * @throws {Error} Throws if the debugger cannot attach or printing fails.
+ */
+export async function capturePdf(tabId, printOptions) {
+  const target = { tabId };
+  await chrome.debugger.attach(target, DEBUGGER_PROTOCOL_VERSION);
+
+  try {
+    const { data } = await chrome.debugger.sendCommand(target, 'Page.printToPDF', printOptions);
+    return base64ToBlob(data, CAPTURE_FORMATS.PDF.mimeType);
+  } finally {
+    try {
+      await chrome.debugger.detach(target);
+    } catch (detachError) {
+      logger.warn(`Failed to detach debugger from tab ${tabId}:`, detachError);
+    }
+  }
+}
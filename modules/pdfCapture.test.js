@@ -0,0 +1,102 @@
+import {
+  PAPER_SIZES,
+  DEFAULT_PDF_SETTINGS,
+  escapeHtml,
+  buildHeaderFooterTemplates,
+  buildPrintOptions,
+  capturePdf
+} from './pdfCapture';
+
+// Mock chrome.debugger used by capturePdf
+global.chrome = {
+  debugger: {
+    attach: jest.fn(),
+    sendCommand: jest.fn(),
+    detach: jest.fn()
+  }
+};
+
+describe('PDF Capture Module', () => {
+  const context = { url: 'https://example.com/page?a=1&b=2', captureTime: '2025-03-06T19-37-00-000Z' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('escapeHtml should escape markup characters', () => {
+    expect(escapeHtml('<a href="x">&\'</a>')).toBe('&lt;a href=&quot;x&quot;&gt;&amp;&#39;&lt;/a&gt;');
+    expect(escapeHtml(undefined)).toBe('');
+  });
+
+  test('buildHeaderFooterTemplates should include the URL and capture time', () => {
+    const { headerTemplate, footerTemplate } = buildHeaderFooterTemplates(context.url, context.captureTime);
+    expect(headerTemplate).toContain('https://example.com/page?a=1&amp;b=2');
+    expect(footerTemplate).toContain('Captured 2025-03-06T19-37-00-000Z');
+    expect(footerTemplate).toContain('class="pageNumber"');
+    expect(footerTemplate).toContain('class="totalPages"');
+  });
+
+  test('buildPrintOptions should apply defaults', () => {
+    const options = buildPrintOptions({}, context);
+    expect(options).toMatchObject({
+      landscape: false,
+      printBackground: true,
+      paperWidth: PAPER_SIZES.letter.width,
+      paperHeight: PAPER_SIZES.letter.height,
+      marginTop: DEFAULT_PDF_SETTINGS.pdfMarginTop,
+      displayHeaderFooter: true
+    });
+    expect(options.headerTemplate).toBeDefined();
+    expect(options.footerTemplate).toBeDefined();
+  });
+
+  test('buildPrintOptions should honour stored settings', () => {
+    const options = buildPrintOptions({
+      pdfPaperSize: 'a4',
+      pdfLandscape: true,
+      pdfPrintBackground: false,
+      pdfMarginTop: '1',
+      pdfMarginLeft: '0',
+      pdfMarginRight: 'invalid',
+      pdfHeaderFooter: false
+    }, context);
+
+    expect(options).toMatchObject({
+      landscape: true,
+      printBackground: false,
+      paperWidth: PAPER_SIZES.a4.width,
+      paperHeight: PAPER_SIZES.a4.height,
+      marginTop: 1,
+      marginLeft: 0,
+      marginRight: DEFAULT_PDF_SETTINGS.pdfMarginRight,
+      displayHeaderFooter: false
+    });
+    expect(options.headerTemplate).toBeUndefined();
+  });
+
+  test('buildPrintOptions should fall back to letter for unknown paper sizes', () => {
+    const options = buildPrintOptions({ pdfPaperSize: 'papyrus' }, context);
+    expect(options.paperWidth).toBe(PAPER_SIZES.letter.width);
+  });
+
+  describe('capturePdf', () => {
+    test('should print through the debugger and detach afterwards', async () => {
+      chrome.debugger.sendCommand.mockResolvedValue({ data: btoa('%PDF-1.4') });
+
+      const blob = await capturePdf(7, { landscape: false });
+
+      expect(chrome.debugger.attach).toHaveBeenCalledWith({ tabId: 7 }, '1.3');
+      expect(chrome.debugger.sendCommand).toHaveBeenCalledWith({ tabId: 7 }, 'Page.printToPDF', { landscape: false });
+      expect(chrome.debugger.detach).toHaveBeenCalledWith({ tabId: 7 });
+      expect(blob.type).toBe('application/pdf');
+      expect(blob.size).toBe(8);
+    });
+
+    test('should detach even when printing fails', async () => {
+      chrome.debugger.sendCommand.mockRejectedValue(new Error('Print failed'));
+
+      await expect(capturePdf(7, {})).rejects.toThrow('Print failed');
+      expect(chrome.debugger.detach).toHaveBeenCalledWith({ tabId: 7 });
+    });
+  });
+});
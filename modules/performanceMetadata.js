@@ -1,5 +1,6 @@
 // Performance and Metadata Module
 // NOTE: This module is intended to run in the content script context.
+import { getStructuredData as extractStructuredData } from './structuredData.js';
 
 /**
  * Calculates the estimated reading time for the page content.
@@ -75,14 +76,54 @@ export function getPerformanceMetrics() {
   };
 }
 
+/** @type {Array<string>} - Resource Timing fields kept by getResourceTimings. */
+const RESOURCE_TIMING_FIELDS = [
+  'name', 'initiatorType', 'nextHopProtocol', 'startTime', 'duration', 'fetchStart',
+  'domainLookupStart', 'domainLookupEnd', 'connectStart', 'connectEnd', 'secureConnectionStart',
+  'requestStart', 'responseStart', 'responseEnd', 'transferSize', 'encodedBodySize', 'decodedBodySize'
+];
+
+/**
+ * Retrieves the Resource Timing entries of the page and its navigation entry as plain
+ * objects, for per-request timings and sizes the background cannot see (see harBuilder.js).
+ * Times are in milliseconds relative to timeOrigin.
+ * @returns {{timeOrigin: number, navigation: object | null, resources: Array<object>}} The timing data.
+ */
+export function getResourceTimings() {
+  const toPlain = entry => Object.fromEntries(RESOURCE_TIMING_FIELDS.map(field => [field, entry[field] ?? null]));
+  const navigation = performance.getEntriesByType('navigation')[0];
+  return {
+    timeOrigin: performance.timeOrigin,
+    navigation: navigation
+      ? {
+        ...toPlain(navigation),
+        domContentLoadedEventStart: navigation.domContentLoadedEventStart,
+        loadEventStart: navigation.loadEventStart
+      }
+      : null,
+    resources: performance.getEntriesByType('resource').map(toPlain)
+  };
+}
+
 /**
  * Extracts comprehensive metadata from the current page.
  * Includes basic meta tags, OG/Twitter tags, calculated metrics, and calls functions 
- * to get code snippets, page structure, resource info, and performance data.
- * Assumes getCodeSnippets, getPageStructure, getResourceInfo are available in the scope.
+ * to get code snippets, page structure, resource info, structured data and performance data.
+ * The collectors default to global getCodeSnippets, getPageStructure and getResourceInfo functions.
+ * @param {object} [collectors={}] - Implementations of the collectors (see codeSnippets.js and pageContent.js).
+ * @param {function(): Array<object>} [collectors.getCodeSnippets] - Returns the code snippets on the page.
+ * @param {function(): object} [collectors.getPageStructure] - Returns the headings and landmarks.
+ * @param {function(): object} [collectors.getResourceInfo] - Returns the images, links and scripts.
+ * @param {function(): object} [collectors.getStructuredData] - Returns the JSON-LD, Microdata and RDFa
+ *   items; defaults to structuredData.js.
  * @returns {object} An object containing various page metadata.
  */
-export function getPageMetadata() {
+export function getPageMetadata({
+  getCodeSnippets = globalThis.getCodeSnippets,
+  getPageStructure = globalThis.getPageStructure,
+  getResourceInfo = globalThis.getResourceInfo,
+  getStructuredData = () => extractStructuredData(document)
+} = {}) {
   const wordCount = countWords(); // Calculate once
   const basicMetadata = {
     title: document.title,
@@ -114,6 +155,7 @@ export function getPageMetadata() {
     codeSnippets: getCodeSnippets(),
     pageStructure: getPageStructure(),
     resourceInfo: getResourceInfo(),
+    structuredData: getStructuredData(),
     performance: getPerformanceMetrics()
   };
 }
\ No newline at end of file
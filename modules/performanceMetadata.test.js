@@ -2,6 +2,7 @@ import {
   calculateReadingTime,
   countWords,
   getPerformanceMetrics,
+  getResourceTimings,
   getPageMetadata
 } from './performanceMetadata';
 
@@ -204,6 +205,28 @@ describe('Performance Metadata Module', () => {
      });
   });
 
+  describe('getResourceTimings', () => {
+    test('should return plain timing entries for the navigation and each resource', () => {
+      performanceSpy.mockImplementation(type => {
+        if (type === 'navigation') {
+          return [{ name: 'https://example.com/', startTime: 0, responseStart: 150, domContentLoadedEventStart: 880, loadEventStart: 1390 }];
+        }
+        if (type === 'resource') {
+          return [{ name: 'https://example.com/app.js', initiatorType: 'script', startTime: 200, duration: 50, transferSize: 1300, toJSON() {} }];
+        }
+        return [];
+      });
+
+      const timings = getResourceTimings();
+
+      expect(timings.timeOrigin).toBe(performance.timeOrigin);
+      expect(timings.navigation).toMatchObject({ name: 'https://example.com/', responseStart: 150, loadEventStart: 1390 });
+      expect(timings.resources).toHaveLength(1);
+      expect(timings.resources[0]).toMatchObject({ initiatorType: 'script', duration: 50, transferSize: 1300, requestStart: null });
+      expect(timings.resources[0]).not.toHaveProperty('toJSON');
+    });
+  });
+
   describe('getPageMetadata', () => {
     test('should extract various metadata points', () => {
        innerTextValue = Array(100).fill('word').join(' '); 
@@ -233,6 +256,27 @@ describe('Performance Metadata Module', () => {
        expect(metadata.performance.loadTime).toBe(1400);
     });
 
+    test('should use the collectors passed in instead of the globals', () => {
+       const collectors = {
+         getCodeSnippets: jest.fn(() => []),
+         getPageStructure: jest.fn(() => ({ headings: [{ level: 1, text: 'H', id: '' }], sections: [] })),
+         getResourceInfo: jest.fn(() => ({ images: [], links: [], scripts: [], stylesheets: [] }))
+       };
+       getCodeSnippets.mockClear();
+       const metadata = getPageMetadata(collectors);
+       expect(collectors.getCodeSnippets).toHaveBeenCalledTimes(1);
+       expect(getCodeSnippets).not.toHaveBeenCalled();
+       expect(metadata.pageStructure.headings).toHaveLength(1);
+       expect(metadata.resourceInfo.stylesheets).toEqual([]);
+    });
+
+    test('should include structured data from the structured data collector', () => {
+       const structuredData = { items: [{ source: 'json-ld', type: ['Product'], id: null, properties: {} }], types: ['Product'], jsonLd: [], errors: [] };
+       const metadata = getPageMetadata({ getStructuredData: jest.fn(() => structuredData) });
+       expect(metadata.structuredData).toBe(structuredData);
+       expect(getPageMetadata().structuredData).toEqual({ items: [], types: [], jsonLd: [], errors: [] });
+    });
+
     test('should handle missing meta tags gracefully', () => {
         document.querySelector.mockImplementation(() => null);
         innerTextValue = ''; 
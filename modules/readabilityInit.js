@@ -5,28 +5,28 @@
 let readabilityLoaded = false;
 
 /**
- * Dynamically loads the Readability.js library into the current page if it hasn't been loaded yet.
- * The library script must be declared in manifest.json's web_accessible_resources.
- * @returns {Promise<void>} A promise that resolves when the script is loaded, or rejects if loading fails.
- * @throws {Error} Throws an error if the script fails to load.
+ * Loads the Readability.js library into the content script's world if it hasn't been loaded yet.
+ * A <script> tag would run it in the page's world, where the content script cannot see it, so
+ * the library is imported like the extension's modules: its UMD wrapper then defines
+ * `self.Readability`. Where the wrapper exports the constructor instead (CommonJS), that is used.
+ * The library must be declared in manifest.json's web_accessible_resources.
+ * @returns {Promise<void>} A promise that resolves when the library is loaded, or rejects if loading fails.
+ * @throws {Error} Throws an error if the library fails to load.
  */
 export async function initReadability() {
   if (readabilityLoaded) return;
-  
+
   try {
-    const readabilityScript = document.createElement('script');
-    readabilityScript.src = chrome.runtime.getURL('lib/Readability.js');
-    
-    await new Promise((resolve, reject) => {
-      readabilityScript.onload = resolve;
-      readabilityScript.onerror = reject;
-      document.head.appendChild(readabilityScript);
-    });
-    
+    const library = await import(chrome.runtime.getURL('lib/Readability.js'));
+    if (typeof globalThis.Readability !== 'function') globalThis.Readability = library.default;
+    if (typeof globalThis.Readability !== 'function') {
+      throw new Error('Readability library did not define Readability');
+    }
+
     readabilityLoaded = true;
     console.log('Readability library loaded successfully');
   } catch (error) {
     console.error('Failed to load Readability:', error);
     throw error;
   }
-}
\ No newline at end of file
+}
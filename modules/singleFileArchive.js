@@ -0,0 +1,275 @@
+// Single-File HTML Archive Module
+// NOTE: This module is intended to run in the content script context.
+// Resources are fetched by the background (fetchPageResource in assetHarvester.js), since
+// the page's CORS rules would keep the content script from reading cross-origin ones.
+
+/** @type {RegExp} - Matches url(...) references in CSS text. */
+const CSS_URL_PATTERN = /url\(\s*(['"]?)([^'")]+?)\1\s*\)/g;
+
+/**
+ * Resolves a possibly relative URL against a base URL.
+ * @param {string} url - The URL to resolve.
+ * @param {string} baseUrl - The base URL.
+ * @returns {string | null} The absolute URL, or null if it cannot be parsed.
+ */
+export function resolveUrl(url, baseUrl) {
+  try {
+    return new URL(url, baseUrl).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reads a blob as a data URI.
+ * @param {Blob} blob - The blob.
+ * @returns {Promise<string>} The data URI.
+ */
+function readAsDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Fetches a resource's body. http(s) resources are fetched by the background; others
+ * (blob: URLs, which only exist in the page) are fetched here.
+ * @param {string} url - The absolute URL.
+ * @param {'dataUrl' | 'text'} [as='dataUrl'] - Whether to return the body as a data URI or as text.
+ * @returns {Promise<string>} The body.
+ * @throws {Error} Throws if the resource cannot be fetched.
+ */
+export async function requestResource(url, as = 'dataUrl') {
+  if (/^https?:/i.test(url)) {
+    const result = await chrome.runtime.sendMessage({ action: 'fetchResource', url, as });
+    if (!result?.ok) throw new Error(result?.error || 'No answer from the background');
+    return result.data;
+  }
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return as === 'text' ? response.text() : readAsDataUrl(await response.blob());
+}
+
+/**
+ * Creates a fetcher that downloads resources as data URIs, caching by URL so each
+ * resource is only fetched once per archive. Failed fetches resolve to null.
+ * @returns {function(string): Promise<string | null>} The caching fetcher.
+ */
+export function createResourceFetcher() {
+  const cache = new Map();
+
+  return (url) => {
+    if (!url || url.startsWith('data:')) return Promise.resolve(url || null);
+    if (!cache.has(url)) {
+      cache.set(url, requestResource(url)
+        .catch(error => {
+          console.warn(`Failed to inline resource: ${url}`, error);
+          return null;
+        }));
+    }
+    return cache.get(url);
+  };
+}
+
+/**
+ * Replaces every url(...) reference in CSS text with a data URI.
+ * References that cannot be fetched are rewritten to absolute URLs instead.
+ * @param {string} cssText - The stylesheet text.
+ * @param {string} baseUrl - URL the references are relative to (the stylesheet's own URL).
+ * @param {function(string): Promise<string | null>} fetchResource - Fetcher from createResourceFetcher.
+ * @returns {Promise<string>} The CSS with inlined resources.
+ */
+export async function inlineCssUrls(cssText, baseUrl, fetchResource) {
+  const references = new Map();
+  for (const match of cssText.matchAll(CSS_URL_PATTERN)) {
+    const reference = match[2].trim();
+    if (reference.startsWith('data:') || reference.startsWith('#') || references.has(reference)) continue;
+    const absolute = resolveUrl(reference, baseUrl);
+    references.set(reference, absolute ? (await fetchResource(absolute)) || absolute : reference);
+  }
+
+  return cssText.replace(CSS_URL_PATTERN, (match, quote, reference) => {
+    const replacement = references.get(reference.trim());
+    return replacement ? `url("${replacement}")` : match;
+  });
+}
+
+/**
+ * Returns the text of a stylesheet as currently applied, including rules added through the CSSOM.
+ * Imported sheets are flattened in place. Sheets whose rules are not readable (cross-origin)
+ * are fetched by URL instead.
+ * @param {CSSStyleSheet} sheet - The stylesheet.
+ * @param {function(string): Promise<string | null>} fetchResource - Fetcher used to inline resources of imported sheets.
+ * @returns {Promise<string | null>} The stylesheet text, or null if it cannot be read.
+ */
+export async function getStyleSheetText(sheet, fetchResource) {
+  let rules;
+  try {
+    rules = sheet.cssRules;
+  } catch (error) {
+    rules = null;
+  }
+
+  if (!rules) {
+    if (!sheet.href) return null;
+    try {
+      return await requestResource(sheet.href, 'text');
+    } catch (error) {
+      console.warn(`Failed to inline stylesheet: ${sheet.href}`, error);
+      return null;
+    }
+  }
+
+  const parts = [];
+  for (const rule of Array.from(rules)) {
+    if (rule.type === CSSRule.IMPORT_RULE && rule.styleSheet) {
+      const imported = await getStyleSheetText(rule.styleSheet, fetchResource);
+      if (imported === null) {
+        parts.push(rule.cssText);
+        continue;
+      }
+      // Imported rules are relative to the imported sheet, so inline them before flattening
+      const text = await inlineCssUrls(imported, rule.styleSheet.href || sheet.href, fetchResource);
+      const media = rule.media?.mediaText;
+      parts.push(media ? `@media ${media} {\n${text}\n}` : text);
+    } else {
+      parts.push(rule.cssText);
+    }
+  }
+  return parts.join('\n');
+}
+
+/**
+ * Inlines a <style> or <link rel="stylesheet"> element as a <style> element in the clone.
+ * @param {HTMLElement} original - The live element, whose sheet holds the computed rules.
+ * @param {HTMLElement} clone - The corresponding element in the cloned document.
+ * @param {string} baseUrl - The document URL, used for inline <style> elements.
+ * @param {function(string): Promise<string | null>} fetchResource - Fetcher from createResourceFetcher.
+ */
+async function inlineStyleSheet(original, clone, baseUrl, fetchResource) {
+  const sheet = original.sheet;
+  if (!sheet) {
+    if (clone.tagName === 'LINK') clone.remove();
+    return;
+  }
+
+  const text = await getStyleSheetText(sheet, fetchResource);
+  if (text === null) {
+    // Unreadable sheet: keep an absolute link so it still loads when online
+    if (clone.tagName === 'LINK') clone.setAttribute('href', original.href);
+    return;
+  }
+
+  const style = clone.ownerDocument.createElement('style');
+  if (original.media?.mediaText) style.setAttribute('media', original.media.mediaText);
+  style.textContent = await inlineCssUrls(text, sheet.href || baseUrl, fetchResource);
+  clone.replaceWith(style);
+}
+
+/**
+ * Inlines an <img>, using the candidate the browser actually selected from srcset/<picture>.
+ * @param {HTMLImageElement} original - The live image.
+ * @param {HTMLImageElement} clone - The corresponding image in the cloned document.
+ * @param {function(string): Promise<string | null>} fetchResource - Fetcher from createResourceFetcher.
+ */
+async function inlineImage(original, clone, fetchResource) {
+  const source = original.currentSrc || original.src;
+  if (!source) return;
+  clone.setAttribute('src', (await fetchResource(source)) || source);
+  clone.removeAttribute('srcset');
+  clone.removeAttribute('sizes');
+  clone.removeAttribute('loading');
+
+  // The chosen candidate is now in src; <source> siblings would override it
+  if (clone.parentElement?.tagName === 'PICTURE') {
+    clone.parentElement.querySelectorAll('source').forEach(sourceElement => sourceElement.remove());
+  }
+}
+
+/**
+ * Inlines a same-origin iframe as srcdoc. Cross-origin frames keep an absolute src.
+ * @param {HTMLIFrameElement} original - The live iframe.
+ * @param {HTMLIFrameElement} clone - The corresponding iframe in the cloned document.
+ */
+async function inlineFrame(original, clone) {
+  let frameDocument = null;
+  try {
+    frameDocument = original.contentDocument;
+  } catch (error) {
+    frameDocument = null;
+  }
+
+  if (frameDocument?.documentElement) {
+    clone.setAttribute('srcdoc', await buildSingleFileHtml(frameDocument));
+    clone.removeAttribute('src');
+  } else if (original.src) {
+    clone.setAttribute('src', original.src);
+  }
+}
+
+/**
+ * Serializes a document into one self-contained HTML string. Stylesheets (as computed by
+ * the CSSOM), images, fonts, icons and same-origin iframes are inlined as data URIs, and
+ * scripts are removed so the archive renders offline like the live page.
+ * @param {Document} [doc=document] - The document to archive.
+ * @returns {Promise<string>} The complete HTML document.
+ */
+export async function buildSingleFileHtml(doc = document) {
+  const baseUrl = doc.baseURI || doc.URL;
+  const fetchResource = createResourceFetcher();
+  const clone = doc.documentElement.cloneNode(true);
+
+  // Pair live elements with their clones before the clone is modified
+  const originals = Array.from(doc.documentElement.querySelectorAll('*'));
+  const clones = Array.from(clone.querySelectorAll('*'));
+  const pairs = originals.map((original, index) => [original, clones[index]]);
+
+  const tasks = [];
+  for (const [original, copy] of pairs) {
+    const tag = original.tagName;
+
+    if (tag === 'SCRIPT' || tag === 'BASE' || (tag === 'META' && original.httpEquiv?.toLowerCase() === 'content-security-policy')) {
+      copy.remove();
+      continue;
+    }
+
+    // Drop inline event handlers; they cannot run without the page's scripts
+    for (const attribute of Array.from(copy.attributes)) {
+      if (attribute.name.startsWith('on')) copy.removeAttribute(attribute.name);
+    }
+
+    if (tag === 'STYLE' || (tag === 'LINK' && /\bstylesheet\b/i.test(original.rel))) {
+      tasks.push(inlineStyleSheet(original, copy, baseUrl, fetchResource));
+    } else if (tag === 'LINK' && /\bicon\b/i.test(original.rel) && original.href) {
+      tasks.push(fetchResource(original.href).then(dataUri => copy.setAttribute('href', dataUri || original.href)));
+    } else if (tag === 'IMG') {
+      tasks.push(inlineImage(original, copy, fetchResource));
+    } else if (tag === 'IFRAME') {
+      tasks.push(inlineFrame(original, copy));
+    } else if (tag === 'VIDEO' && original.poster) {
+      tasks.push(fetchResource(original.poster).then(dataUri => copy.setAttribute('poster', dataUri || original.poster)));
+    } else if (tag === 'A' && original.getAttribute('href') && !original.getAttribute('href').startsWith('#')) {
+      copy.setAttribute('href', original.href);
+    }
+
+    const inlineStyle = copy.getAttribute('style');
+    if (inlineStyle && inlineStyle.includes('url(')) {
+      tasks.push(inlineCssUrls(inlineStyle, baseUrl, fetchResource).then(style => copy.setAttribute('style', style)));
+    }
+  }
+
+  await Promise.all(tasks);
+
+  const head = clone.querySelector('head');
+  if (head && !head.querySelector('meta[charset]')) {
+    const charset = clone.ownerDocument.createElement('meta');
+    charset.setAttribute('charset', 'utf-8');
+    head.prepend(charset);
+  }
+
+  const doctype = doc.doctype ? `<!DOCTYPE ${doc.doctype.name}>` : '<!DOCTYPE html>';
+  return `${doctype}\n${clone.outerHTML}`;
+}
@@ -0,0 +1,135 @@
+import {
+  resolveUrl,
+  createResourceFetcher,
+  inlineCssUrls,
+  buildSingleFileHtml
+} from './singleFileArchive';
+import { fetchPageResource } from './assetHarvester';
+
+// The background answers fetchResource messages with fetchPageResource
+global.chrome = {
+  runtime: {
+    sendMessage: jest.fn()
+  }
+};
+
+describe('Single-File Archive Module', () => {
+  let fetchSpy;
+
+  beforeEach(() => {
+    fetchSpy = jest.spyOn(window, 'fetch').mockImplementation(async (url) => {
+      if (url.endsWith('.png')) {
+        return new Response(new Blob(['img'], { type: 'image/png' }), { status: 200 });
+      }
+      if (url.endsWith('.woff2')) {
+        return new Response(new Blob(['font'], { type: 'font/woff2' }), { status: 200 });
+      }
+      return new Response('Not Found', { status: 404 });
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    chrome.runtime.sendMessage.mockImplementation(async ({ action, url, as }) => (
+      action === 'fetchResource' ? fetchPageResource(url, as) : undefined
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('resolveUrl should resolve relative URLs and reject invalid ones', () => {
+    expect(resolveUrl('img/a.png', 'https://example.com/css/site.css')).toBe('https://example.com/css/img/a.png');
+    expect(resolveUrl('a.png', 'not a url')).toBeNull();
+  });
+
+  test('createResourceFetcher should return data URIs and cache by URL', async () => {
+    const fetchResource = createResourceFetcher();
+    const first = await fetchResource('https://example.com/a.png');
+    const second = await fetchResource('https://example.com/a.png');
+
+    expect(first).toMatch(/^data:image\/png;base64,/);
+    expect(second).toBe(first);
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'fetchResource', url: 'https://example.com/a.png', as: 'dataUrl' });
+  });
+
+  test('createResourceFetcher should resolve null for failed fetches', async () => {
+    const fetchResource = createResourceFetcher();
+    await expect(fetchResource('https://example.com/missing.css')).resolves.toBeNull();
+  });
+
+  test('inlineCssUrls should inline fetched resources relative to the sheet', async () => {
+    const fetchResource = createResourceFetcher();
+    const css = '@font-face { src: url("../fonts/a.woff2"); } .hero { background: url(hero.png); } .x { mask: url(#m); }';
+    const result = await inlineCssUrls(css, 'https://example.com/css/site.css', fetchResource);
+
+    expect(fetchSpy).toHaveBeenCalledWith('https://example.com/fonts/a.woff2');
+    expect(fetchSpy).toHaveBeenCalledWith('https://example.com/css/hero.png');
+    expect(result).toContain('url("data:font/woff2;base64,');
+    expect(result).toContain('url("data:image/png;base64,');
+    expect(result).toContain('url(#m)');
+  });
+
+  test('inlineCssUrls should fall back to absolute URLs when fetching fails', async () => {
+    const result = await inlineCssUrls('a { background: url(missing.gif); }', 'https://example.com/', createResourceFetcher());
+    expect(result).toBe('a { background: url("https://example.com/missing.gif"); }');
+  });
+
+  describe('buildSingleFileHtml', () => {
+    beforeEach(() => {
+      document.head.innerHTML = '<style>.box { background: url(https://example.com/bg.png); }</style>';
+      document.body.innerHTML = `
+        <picture>
+          <source srcset="https://example.com/large.png" media="(min-width: 800px)">
+          <img src="https://example.com/small.png" srcset="https://example.com/small.png 1x" alt="Photo">
+        </picture>
+        <a href="/about">About</a>
+        <div style="background-image: url('https://example.com/tile.png')" onclick="doSomething()"></div>
+        <script>console.log('removed');</script>
+      `;
+    });
+
+    test('should produce a self-contained document', async () => {
+      const html = await buildSingleFileHtml(document);
+
+      expect(html.startsWith('<!DOCTYPE')).toBe(true);
+      expect(html).toContain('<meta charset="utf-8">');
+      expect(html).not.toContain('<script');
+      expect(html).not.toContain('onclick');
+      expect(html).not.toContain('<source');
+      expect(html).not.toContain('srcset');
+      expect(html).toMatch(/<img src="data:image\/png;base64,[^"]+" alt="Photo">/);
+      expect(html).toMatch(/\.box \{ ?background: url\("data:image\/png;base64,/);
+      expect(html).toContain('background-image: url(&quot;data:image/png;base64,');
+      expect(html).toContain('href="http://localhost/about"');
+    });
+
+    test('should inline cross-origin resources fetched by the background and keep absolute URLs for failures', async () => {
+      // The page's CORS rules would block these; only the background can read them
+      fetchSpy.mockImplementation(async () => { throw new TypeError('Failed to fetch'); });
+      chrome.runtime.sendMessage.mockImplementation(async ({ url }) => (
+        url === 'https://cdn.example.net/logo.png'
+          ? { ok: true, data: 'data:image/png;base64,bG9nbw==' }
+          : { ok: false, error: 'HTTP 403' }
+      ));
+      const sheet = { href: 'https://cdn.example.net/theme.css', get cssRules() { throw new DOMException('Denied', 'SecurityError'); } };
+      document.head.innerHTML = '<link rel="stylesheet" href="https://cdn.example.net/theme.css">';
+      Object.defineProperty(document.head.querySelector('link'), 'sheet', { value: sheet });
+      document.body.innerHTML = '<img src="https://cdn.example.net/logo.png" alt="Logo"><img src="https://cdn.example.net/blocked.png" alt="Blocked">';
+
+      const html = await buildSingleFileHtml(document);
+
+      expect(fetchSpy).not.toHaveBeenCalled();
+      expect(html).toContain('<img src="data:image/png;base64,bG9nbw==" alt="Logo">');
+      expect(html).toContain('<img src="https://cdn.example.net/blocked.png" alt="Blocked">');
+      expect(html).toContain('<link rel="stylesheet" href="https://cdn.example.net/theme.css">');
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'fetchResource', url: 'https://cdn.example.net/theme.css', as: 'text' });
+    });
+
+    test('should not modify the live document', async () => {
+      await buildSingleFileHtml(document);
+      expect(document.querySelector('script')).not.toBeNull();
+      expect(document.querySelector('img').getAttribute('src')).toBe('https://example.com/small.png');
+    });
+  });
+});
@@ -0,0 +1,253 @@
+// Socket Monitoring Module
+// NOTE: This module is intended to run in the page's main world.
+// Records WebSocket and EventSource (Server-Sent Events) traffic. pageHooks.js starts it
+// as the page commits, so the constructors the page's scripts use are the wrapped ones.
+
+/**
+ * Default socket recording options. Frame payloads are only kept when `payloads` is on;
+ * sizes are in characters of payload text. Beyond maxConnections, the oldest connections are dropped.
+ * @type {{payloads: boolean, maxPayloadSize: number, maxFramesPerConnection: number, maxConnections: number}}
+ */
+export const DEFAULT_SOCKET_CAPTURE = {
+  payloads: false,
+  maxPayloadSize: 1024,
+  maxFramesPerConnection: 1000,
+  maxConnections: 100
+};
+
+/** @type {Array<object>} - Recorded connections, in the order they were opened. */
+let connections = [];
+/** @type {number} - Id given to the next recorded connection. */
+let nextConnectionId = 1;
+/** @type {object} - Current socket recording options. */
+let socketCapture = { ...DEFAULT_SOCKET_CAPTURE };
+/** @type {Function | null} - Holds the original window.WebSocket constructor. */
+let OriginalWebSocket = null;
+/** @type {Function | null} - Holds the original window.EventSource constructor. */
+let OriginalEventSource = null;
+/** @type {boolean} - Tracks if recording is currently active. */
+let isRecording = false;
+
+/**
+ * Applies socket recording options.
+ * @param {object} [options={}] - Options; see DEFAULT_SOCKET_CAPTURE. Missing values keep their defaults.
+ */
+export function configureSocketMonitor(options = {}) {
+  const defined = Object.entries(options || {}).filter(([, value]) => value !== undefined && value !== null);
+  socketCapture = { ...DEFAULT_SOCKET_CAPTURE, ...Object.fromEntries(defined) };
+}
+
+/**
+ * Returns the size of a frame payload in bytes.
+ * @param {string | ArrayBuffer | ArrayBufferView | Blob} data - The payload.
+ * @returns {number} The size; text is measured as UTF-8.
+ */
+export function getPayloadSize(data) {
+  if (typeof data === 'string') {
+    let bytes = 0;
+    for (const char of data) {
+      const code = char.codePointAt(0);
+      bytes += code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+    }
+    return bytes;
+  }
+  if (data === null || data === undefined) return 0;
+  if (typeof data.byteLength === 'number') return data.byteLength;
+  if (typeof data.size === 'number') return data.size;
+  return 0;
+}
+
+/**
+ * Builds a frame record. Text payloads are kept (truncated) when payload capture is on;
+ * binary payloads are recorded by size only.
+ * @param {'sent' | 'received'} direction - Which way the frame went.
+ * @param {*} data - The payload.
+ * @param {object} [extra={}] - Extra fields (e.g. the SSE event type).
+ * @returns {object} The frame.
+ */
+function createFrame(direction, data, extra = {}) {
+  const frame = {
+    direction,
+    timestamp: new Date().toISOString(),
+    opcode: typeof data === 'string' ? 'text' : 'binary',
+    size: getPayloadSize(data),
+    ...extra
+  };
+  if (socketCapture.payloads && typeof data === 'string') {
+    frame.payload = data.slice(0, socketCapture.maxPayloadSize);
+    frame.truncated = data.length > socketCapture.maxPayloadSize;
+  }
+  return frame;
+}
+
+/**
+ * Adds a frame to a connection, counting frames beyond the per-connection cap.
+ * @param {object} connection - The connection record.
+ * @param {object} frame - The frame.
+ */
+function addFrame(connection, frame) {
+  connection.frameCount++;
+  connection.bytes[frame.direction] += frame.size;
+  if (connection.frames.length < socketCapture.maxFramesPerConnection) {
+    connection.frames.push(frame);
+  } else {
+    connection.droppedFrames++;
+  }
+}
+
+/**
+ * Starts a connection record.
+ * @param {'websocket' | 'eventsource'} type - The connection type.
+ * @param {string} url - The URL as resolved by the browser.
+ * @param {object} [extra={}] - Type-specific fields.
+ * @returns {object} The record.
+ */
+function createConnection(type, url, extra = {}) {
+  const connection = {
+    id: nextConnectionId++,
+    type,
+    url,
+    createdAt: new Date().toISOString(),
+    openedAt: null,
+    closedAt: null,
+    ...extra,
+    errors: [],
+    frameCount: 0,
+    droppedFrames: 0,
+    bytes: { sent: 0, received: 0 },
+    frames: []
+  };
+  connections.push(connection);
+  if (connections.length > socketCapture.maxConnections) {
+    connections.splice(0, connections.length - socketCapture.maxConnections);
+  }
+  return connection;
+}
+
+/**
+ * Creates a WebSocket subclass that records its connection. Subclassing keeps
+ * `instanceof WebSocket` and the readyState constants working for the page.
+ * @param {Function} Base - The original WebSocket constructor.
+ * @returns {Function} The recording constructor.
+ */
+function createMonitoredWebSocket(Base) {
+  return class WebSocket extends Base {
+    constructor(url, protocols) {
+      super(url, protocols);
+      const requested = protocols === undefined ? [] : [].concat(protocols);
+      const connection = createConnection('websocket', this.url, { protocols: requested, protocol: null, close: null });
+      this.addEventListener('open', () => {
+        connection.openedAt = new Date().toISOString();
+        connection.protocol = this.protocol || null;
+      });
+      this.addEventListener('message', event => addFrame(connection, createFrame('received', event.data)));
+      this.addEventListener('error', () => {
+        connection.errors.push({ timestamp: new Date().toISOString(), message: 'WebSocket error' });
+      });
+      this.addEventListener('close', event => {
+        connection.closedAt = new Date().toISOString();
+        connection.close = { code: event.code, reason: event.reason, wasClean: event.wasClean };
+      });
+      this._socketConnection = connection;
+    }
+
+    send(data) {
+      addFrame(this._socketConnection, createFrame('sent', data));
+      return super.send(data);
+    }
+  };
+}
+
+/**
+ * Creates an EventSource subclass that records its connection. Named events only reach
+ * listeners registered for their type, so a recorder is added for each type the page listens to.
+ * @param {Function} Base - The original EventSource constructor.
+ * @returns {Function} The recording constructor.
+ */
+function createMonitoredEventSource(Base) {
+  return class EventSource extends Base {
+    constructor(url, options) {
+      super(url, options);
+      const connection = createConnection('eventsource', this.url, { withCredentials: Boolean(this.withCredentials) });
+      this._socketConnection = connection;
+      this._recordedEventTypes = new Set();
+      super.addEventListener('open', () => {
+        connection.openedAt = connection.openedAt || new Date().toISOString();
+      });
+      super.addEventListener('error', () => {
+        connection.errors.push({ timestamp: new Date().toISOString(), message: 'EventSource error', readyState: this.readyState });
+      });
+      this._recordEventType('message');
+    }
+
+    _recordEventType(type) {
+      if (this._recordedEventTypes.has(type)) return;
+      this._recordedEventTypes.add(type);
+      super.addEventListener(type, event => addFrame(this._socketConnection, createFrame('received', event.data, {
+        event: type,
+        lastEventId: event.lastEventId || null
+      })));
+    }
+
+    addEventListener(type, listener, options) {
+      if (!['open', 'error'].includes(type)) this._recordEventType(type);
+      return super.addEventListener(type, listener, options);
+    }
+
+    close() {
+      if (!this._socketConnection.closedAt) this._socketConnection.closedAt = new Date().toISOString();
+      return super.close();
+    }
+  };
+}
+
+/**
+ * Starts recording WebSocket and EventSource connections opened from now on.
+ * Clears any previously recorded connections.
+ */
+export function startSocketMonitoring() {
+  if (isRecording) return;
+
+  connections = [];
+  nextConnectionId = 1;
+  if (typeof window.WebSocket === 'function') {
+    OriginalWebSocket = window.WebSocket;
+    window.WebSocket = createMonitoredWebSocket(OriginalWebSocket);
+  }
+  if (typeof window.EventSource === 'function') {
+    OriginalEventSource = window.EventSource;
+    window.EventSource = createMonitoredEventSource(OriginalEventSource);
+  }
+  isRecording = true;
+}
+
+/**
+ * Stops recording, restoring the original constructors. Connections already open keep
+ * being recorded until they close.
+ */
+export function stopSocketMonitoring() {
+  if (!isRecording) return;
+
+  if (OriginalWebSocket) {
+    window.WebSocket = OriginalWebSocket;
+    OriginalWebSocket = null;
+  }
+  if (OriginalEventSource) {
+    window.EventSource = OriginalEventSource;
+    OriginalEventSource = null;
+  }
+  isRecording = false;
+}
+
+/**
+ * Returns the recorded connections.
+ * @returns {Array<object>} Copies of the connection records, with their frames.
+ */
+export function getSocketConnections() {
+  return connections.map(connection => ({
+    ...connection,
+    bytes: { ...connection.bytes },
+    errors: [...connection.errors],
+    frames: [...connection.frames]
+  }));
+}
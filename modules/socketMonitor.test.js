@@ -0,0 +1,152 @@
+import {
+  configureSocketMonitor,
+  getPayloadSize,
+  startSocketMonitoring,
+  stopSocketMonitoring,
+  getSocketConnections
+} from './socketMonitor';
+
+// Minimal stand-ins for the browser classes; tests dispatch their events by hand
+class FakeWebSocket extends EventTarget {
+  constructor(url, protocols) {
+    super();
+    this.url = url;
+    this.requestedProtocols = protocols;
+    this.protocol = '';
+    this.sent = [];
+  }
+
+  send(data) {
+    this.sent.push(data);
+  }
+}
+FakeWebSocket.OPEN = 1;
+
+class FakeEventSource extends EventTarget {
+  constructor(url, options = {}) {
+    super();
+    this.url = url;
+    this.withCredentials = Boolean(options.withCredentials);
+    this.readyState = 0;
+  }
+
+  close() {
+    this.readyState = 2;
+  }
+}
+
+/**
+ * Creates a message event with SSE fields.
+ * @param {string} type - The event type.
+ * @param {*} data - The payload.
+ * @param {string} [lastEventId=''] - The event id.
+ * @returns {MessageEvent} The event.
+ */
+function message(type, data, lastEventId = '') {
+  return new MessageEvent(type, { data, lastEventId });
+}
+
+describe('Socket Monitor Module', () => {
+  beforeEach(() => {
+    window.WebSocket = FakeWebSocket;
+    window.EventSource = FakeEventSource;
+  });
+
+  afterEach(() => {
+    stopSocketMonitoring();
+    configureSocketMonitor({});
+    delete window.EventSource;
+  });
+
+  test('getPayloadSize should measure text as UTF-8 and binary by length', () => {
+    expect(getPayloadSize('héllo')).toBe(6);
+    expect(getPayloadSize(new ArrayBuffer(8))).toBe(8);
+    expect(getPayloadSize(new Uint8Array(3))).toBe(3);
+    expect(getPayloadSize(new Blob(['abcd']))).toBe(4);
+  });
+
+  test('should wrap and restore the constructors', () => {
+    startSocketMonitoring();
+    expect(window.WebSocket).not.toBe(FakeWebSocket);
+    const socket = new window.WebSocket('wss://example.com/feed');
+    expect(socket).toBeInstanceOf(FakeWebSocket);
+    expect(window.WebSocket.OPEN).toBe(1);
+
+    stopSocketMonitoring();
+    expect(window.WebSocket).toBe(FakeWebSocket);
+    expect(window.EventSource).toBe(FakeEventSource);
+  });
+
+  test('should record a WebSocket lifecycle and frame sizes without payloads by default', () => {
+    startSocketMonitoring();
+    const socket = new window.WebSocket('wss://example.com/chat', ['v1.chat', 'v2.chat']);
+    socket.protocol = 'v2.chat';
+    socket.dispatchEvent(new Event('open'));
+    socket.send('{"type":"hello"}');
+    socket.dispatchEvent(message('message', new ArrayBuffer(16)));
+    const close = new Event('close');
+    Object.assign(close, { code: 1000, reason: 'bye', wasClean: true });
+    socket.dispatchEvent(close);
+
+    expect(socket.sent).toEqual(['{"type":"hello"}']);
+    const [connection] = getSocketConnections();
+    expect(connection).toMatchObject({
+      id: 1,
+      type: 'websocket',
+      url: 'wss://example.com/chat',
+      protocols: ['v1.chat', 'v2.chat'],
+      protocol: 'v2.chat',
+      close: { code: 1000, reason: 'bye', wasClean: true },
+      frameCount: 2,
+      bytes: { sent: 16, received: 16 }
+    });
+    expect(connection.openedAt).not.toBeNull();
+    expect(connection.closedAt).not.toBeNull();
+    expect(connection.frames).toEqual([
+      { direction: 'sent', timestamp: expect.any(String), opcode: 'text', size: 16 },
+      { direction: 'received', timestamp: expect.any(String), opcode: 'binary', size: 16 }
+    ]);
+  });
+
+  test('should keep truncated text payloads and cap frames when configured', () => {
+    configureSocketMonitor({ payloads: true, maxPayloadSize: 5, maxFramesPerConnection: 2 });
+    startSocketMonitoring();
+    const socket = new window.WebSocket('wss://example.com/ticker');
+    ['AAPL 189.2', 'MSFT', 'GOOG'].forEach(data => socket.dispatchEvent(message('message', data)));
+
+    const [connection] = getSocketConnections();
+    expect(connection.frames.map(frame => [frame.payload, frame.truncated])).toEqual([['AAPL ', true], ['MSFT', false]]);
+    expect(connection).toMatchObject({ frameCount: 3, droppedFrames: 1 });
+  });
+
+  test('should keep only the most recent connections', () => {
+    configureSocketMonitor({ maxConnections: 2 });
+    startSocketMonitoring();
+    ['a', 'b', 'c'].forEach(name => new window.WebSocket(`wss://example.com/${name}`));
+
+    expect(getSocketConnections().map(connection => [connection.id, connection.url])).toEqual([
+      [2, 'wss://example.com/b'],
+      [3, 'wss://example.com/c']
+    ]);
+  });
+
+  test('should record EventSource messages including named events', () => {
+    configureSocketMonitor({ payloads: true });
+    startSocketMonitoring();
+    const source = new window.EventSource('https://example.com/events', { withCredentials: true });
+    source.addEventListener('price', () => {});
+    source.dispatchEvent(new Event('open'));
+    source.dispatchEvent(message('message', 'ping', '1'));
+    source.dispatchEvent(message('price', '42', '2'));
+    source.dispatchEvent(message('ignored', 'nobody listens'));
+    source.close();
+
+    const [connection] = getSocketConnections();
+    expect(connection).toMatchObject({ type: 'eventsource', withCredentials: true, frameCount: 2 });
+    expect(connection.closedAt).not.toBeNull();
+    expect(connection.frames.map(frame => [frame.event, frame.payload, frame.lastEventId])).toEqual([
+      ['message', 'ping', '1'],
+      ['price', '42', '2']
+    ]);
+  });
+});
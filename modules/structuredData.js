@@ -0,0 +1,295 @@
+// Structured Data Module
+// NOTE: This module is intended to run in the content script context.
+// Extracts JSON-LD, Microdata and RDFa into one normalized item shape.
+
+/** @type {RegExp} - Vocabulary prefixes stripped from types and property names. */
+const SCHEMA_PREFIX = /^(?:https?:\/\/schema\.org\/|schema:)/i;
+
+/** @type {Object<string, string>} - Microdata elements whose value is a URL attribute, and that attribute. */
+const MICRODATA_URL_ATTRIBUTES = {
+  A: 'href', AREA: 'href', LINK: 'href',
+  AUDIO: 'src', EMBED: 'src', IFRAME: 'src', IMG: 'src', SOURCE: 'src', TRACK: 'src', VIDEO: 'src',
+  OBJECT: 'data'
+};
+
+/**
+ * Shortens a type or property IRI to its schema.org local name; other vocabularies keep
+ * their full IRI or prefixed name.
+ * @param {string} name - The type or property name.
+ * @returns {string} The normalized name.
+ */
+export function normalizeName(name) {
+  return String(name).trim().replace(SCHEMA_PREFIX, '');
+}
+
+/**
+ * Adds a value to an item's property, keeping every property a list.
+ * @param {Object<string, Array<*>>} properties - The item properties.
+ * @param {string} name - The property name.
+ * @param {*} value - The value.
+ */
+function addProperty(properties, name, value) {
+  (properties[name] = properties[name] || []).push(value);
+}
+
+/**
+ * Resolves a URL attribute value against the document, leaving invalid URLs as written.
+ * @param {string} url - The attribute value.
+ * @param {string} baseUrl - The base URL.
+ * @returns {string} The absolute URL.
+ */
+function resolveUrl(url, baseUrl) {
+  try {
+    return new URL(url, baseUrl).href;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Converts a JSON-LD node into a normalized item. Nested nodes become nested items;
+ * `@value` objects become their value.
+ * @param {*} node - The JSON-LD value.
+ * @returns {*} The normalized item, or the plain value.
+ */
+function normalizeJsonLdNode(node) {
+  if (Array.isArray(node)) return node.map(normalizeJsonLdNode);
+  if (!node || typeof node !== 'object') return node;
+  if ('@value' in node) return node['@value'];
+
+  const types = node['@type'] === undefined ? [] : [].concat(node['@type']);
+  const item = { source: 'json-ld', type: types.map(normalizeName), id: node['@id'] || null, properties: {} };
+  Object.entries(node).forEach(([key, value]) => {
+    if (key.startsWith('@')) return;
+    [].concat(value).forEach(entry => addProperty(item.properties, normalizeName(key), normalizeJsonLdNode(entry)));
+  });
+  return item;
+}
+
+/**
+ * Parses every application/ld+json block. Top-level arrays and @graph members each become
+ * an item; blocks that are not valid JSON are reported instead of aborting extraction.
+ * @param {Document} [doc=document] - The document to scan.
+ * @returns {{raw: Array<*>, items: Array<object>, errors: Array<{source: string, message: string}>}}
+ *   The parsed blocks, the normalized items and parse errors.
+ */
+export function parseJsonLd(doc = document) {
+  const result = { raw: [], items: [], errors: [] };
+  doc.querySelectorAll('script[type="application/ld+json"]').forEach((script, index) => {
+    let parsed;
+    try {
+      // Some sites wrap the JSON in HTML comments or CDATA markers
+      parsed = JSON.parse(script.textContent.replace(/^\s*(?:<!--|\/\/\s*<!\[CDATA\[)|(?:-->|\/\/\s*\]\]>)\s*$/g, ''));
+    } catch (error) {
+      result.errors.push({ source: 'json-ld', message: `Block ${index + 1}: ${error.message}` });
+      return;
+    }
+    result.raw.push(parsed);
+    [].concat(parsed).forEach(block => {
+      const nodes = block && Array.isArray(block['@graph']) ? block['@graph'] : [block];
+      nodes.filter(node => node && typeof node === 'object').forEach(node => result.items.push(normalizeJsonLdNode(node)));
+    });
+  });
+  return result;
+}
+
+/**
+ * Reads the value of a Microdata property element, following the HTML spec's rules.
+ * @param {Element} element - The element carrying itemprop.
+ * @param {string} baseUrl - The base URL for URL-valued properties.
+ * @returns {*} The property value.
+ */
+function getMicrodataValue(element, baseUrl) {
+  if (element.hasAttribute('itemscope')) return parseMicrodataItem(element, baseUrl);
+  const tag = element.tagName.toUpperCase();
+  if (tag === 'META') return element.getAttribute('content') || '';
+  if (MICRODATA_URL_ATTRIBUTES[tag]) {
+    const url = element.getAttribute(MICRODATA_URL_ATTRIBUTES[tag]);
+    return url ? resolveUrl(url, baseUrl) : '';
+  }
+  if (tag === 'DATA' || tag === 'METER') return element.getAttribute('value') || '';
+  if (tag === 'TIME' && element.hasAttribute('datetime')) return element.getAttribute('datetime');
+  return element.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Collects the property elements of a Microdata item: its descendants (without entering
+ * nested items) plus the subtrees named by itemref.
+ * @param {Element} item - The element carrying itemscope.
+ * @returns {Array<Element>} The elements carrying itemprop, in document order.
+ */
+function getMicrodataPropertyElements(item) {
+  const roots = [item];
+  (item.getAttribute('itemref') || '').split(/\s+/).filter(Boolean).forEach(id => {
+    const referenced = item.ownerDocument.getElementById(id);
+    if (referenced) roots.push(referenced);
+  });
+
+  const properties = [];
+  const visit = (element, isRoot) => {
+    if (!isRoot && element.hasAttribute('itemprop')) properties.push(element);
+    if (!isRoot && element.hasAttribute('itemscope')) return;
+    Array.from(element.children).forEach(child => visit(child, false));
+  };
+  roots.forEach(root => {
+    if (root !== item && root.hasAttribute('itemprop')) properties.push(root);
+    visit(root, true);
+  });
+  return properties;
+}
+
+/**
+ * Converts a Microdata item into a normalized item.
+ * @param {Element} element - The element carrying itemscope.
+ * @param {string} baseUrl - The base URL for URL-valued properties.
+ * @returns {object} The normalized item.
+ */
+function parseMicrodataItem(element, baseUrl) {
+  const item = {
+    source: 'microdata',
+    type: (element.getAttribute('itemtype') || '').split(/\s+/).filter(Boolean).map(normalizeName),
+    id: element.getAttribute('itemid') || null,
+    properties: {}
+  };
+  getMicrodataPropertyElements(element).forEach(property => {
+    const value = getMicrodataValue(property, baseUrl);
+    property.getAttribute('itemprop').split(/\s+/).filter(Boolean)
+      .forEach(name => addProperty(item.properties, normalizeName(name), value));
+  });
+  return item;
+}
+
+/**
+ * Parses the top-level Microdata items (itemscope elements that are not themselves a
+ * property of another item).
+ * @param {Document} [doc=document] - The document to scan.
+ * @returns {Array<object>} The normalized items.
+ */
+export function parseMicrodata(doc = document) {
+  const baseUrl = doc.baseURI;
+  return Array.from(doc.querySelectorAll('[itemscope]:not([itemprop])'))
+    .map(element => parseMicrodataItem(element, baseUrl));
+}
+
+/**
+ * Finds the vocabulary (the nearest vocab attribute) in effect for an element.
+ * @param {Element} element - The element.
+ * @returns {string} The vocabulary IRI, or an empty string.
+ */
+function getRdfaVocabulary(element) {
+  return element.closest('[vocab]')?.getAttribute('vocab') || '';
+}
+
+/**
+ * Normalizes an RDFa type or property term: schema.org terms are shortened, other terms
+ * are expanded against the vocabulary; prefixed names (e.g. og:title) are kept as written.
+ * @param {string} term - The term as written.
+ * @param {string} vocab - The vocabulary in effect.
+ * @returns {string} The normalized term.
+ */
+function normalizeRdfaTerm(term, vocab) {
+  if (/^[a-z][\w+.-]*:/i.test(term)) return normalizeName(term);
+  return normalizeName(vocab ? `${vocab}${term}` : term);
+}
+
+/**
+ * Reads the value of an RDFa property element.
+ * @param {Element} element - The element carrying property.
+ * @param {string} baseUrl - The base URL for IRI-valued properties.
+ * @returns {*} The property value.
+ */
+function getRdfaValue(element, baseUrl) {
+  if (element.hasAttribute('typeof')) return parseRdfaItem(element, baseUrl);
+  if (element.hasAttribute('content')) return element.getAttribute('content');
+  for (const attribute of ['resource', 'href', 'src']) {
+    if (element.hasAttribute(attribute)) return resolveUrl(element.getAttribute(attribute), baseUrl);
+  }
+  if (element.hasAttribute('datetime')) return element.getAttribute('datetime');
+  return element.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Adds the value of an RDFa property element to an item, under each of its property terms.
+ * @param {object} item - The item receiving the property.
+ * @param {Element} element - The element carrying property.
+ * @param {string} baseUrl - The base URL.
+ */
+function addRdfaProperty(item, element, baseUrl) {
+  const vocab = getRdfaVocabulary(element);
+  const value = getRdfaValue(element, baseUrl);
+  element.getAttribute('property').split(/\s+/).filter(Boolean)
+    .forEach(term => addProperty(item.properties, normalizeRdfaTerm(term, vocab), value));
+}
+
+/**
+ * Adds the RDFa properties found under an element, without entering nested typed resources.
+ * @param {object} item - The item receiving the properties.
+ * @param {Element} root - The element whose descendants are scanned.
+ * @param {string} baseUrl - The base URL.
+ */
+function collectRdfaProperties(item, root, baseUrl) {
+  Array.from(root.children).forEach(child => {
+    if (child.hasAttribute('property')) addRdfaProperty(item, child, baseUrl);
+    if (!child.hasAttribute('typeof')) collectRdfaProperties(item, child, baseUrl);
+  });
+}
+
+/**
+ * Converts an RDFa typed resource into a normalized item.
+ * @param {Element} element - The element carrying typeof.
+ * @param {string} baseUrl - The base URL.
+ * @returns {object} The normalized item.
+ */
+function parseRdfaItem(element, baseUrl) {
+  const vocab = getRdfaVocabulary(element);
+  const subject = element.getAttribute('about') || element.getAttribute('resource');
+  const item = {
+    source: 'rdfa',
+    type: (element.getAttribute('typeof') || '').split(/\s+/).filter(Boolean).map(term => normalizeRdfaTerm(term, vocab)),
+    id: subject ? resolveUrl(subject, baseUrl) : null,
+    properties: {}
+  };
+  collectRdfaProperties(item, element, baseUrl);
+  return item;
+}
+
+/**
+ * Parses RDFa: every typed resource (typeof) that is not the value of a property,
+ * plus an untyped item for the document itself holding properties outside any typed
+ * resource, such as Open Graph <meta property> tags.
+ * @param {Document} [doc=document] - The document to scan.
+ * @returns {Array<object>} The normalized items.
+ */
+export function parseRdfa(doc = document) {
+  const baseUrl = doc.baseURI;
+  const items = Array.from(doc.querySelectorAll('[typeof]'))
+    .filter(element => !element.hasAttribute('property'))
+    .map(element => parseRdfaItem(element, baseUrl));
+
+  const documentItem = { source: 'rdfa', type: [], id: doc.URL, properties: {} };
+  doc.querySelectorAll('[property]').forEach(element => {
+    if (element.parentElement?.closest('[typeof]')) return;
+    addRdfaProperty(documentItem, element, baseUrl);
+  });
+  if (Object.keys(documentItem.properties).length > 0) items.unshift(documentItem);
+  return items;
+}
+
+/**
+ * Extracts all structured data on the page. Items from the three syntaxes share one shape:
+ * `{source, type, id, properties}` where every property is a list of plain values or
+ * nested items, and schema.org names are shortened (e.g. 'Product', 'offers').
+ * @param {Document} [doc=document] - The document to scan.
+ * @returns {{items: Array<object>, types: Array<string>, jsonLd: Array<*>, errors: Array<object>}}
+ *   The items, the distinct top-level types, the JSON-LD blocks as published and parse errors.
+ */
+export function getStructuredData(doc = document) {
+  const jsonLd = parseJsonLd(doc);
+  const items = [...jsonLd.items, ...parseMicrodata(doc), ...parseRdfa(doc)];
+  return {
+    items,
+    types: [...new Set(items.flatMap(item => item.type))],
+    jsonLd: jsonLd.raw,
+    errors: jsonLd.errors
+  };
+}
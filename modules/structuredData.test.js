@@ -0,0 +1,145 @@
+import { normalizeName, parseJsonLd, parseMicrodata, parseRdfa, getStructuredData } from './structuredData';
+
+describe('Structured Data Module', () => {
+  afterEach(() => {
+    document.head.innerHTML = '';
+    document.body.innerHTML = '';
+  });
+
+  test('normalizeName should shorten schema.org names only', () => {
+    expect(normalizeName('https://schema.org/Product')).toBe('Product');
+    expect(normalizeName('schema:price')).toBe('price');
+    expect(normalizeName('og:title')).toBe('og:title');
+    expect(normalizeName('http://purl.org/dc/terms/title')).toBe('http://purl.org/dc/terms/title');
+  });
+
+  describe('parseJsonLd', () => {
+    test('should normalize nested nodes, arrays and @graph members', () => {
+      document.head.innerHTML = `
+        <script type="application/ld+json">
+          {"@context": "https://schema.org", "@type": "Product", "name": "Kettle",
+           "offers": {"@type": "Offer", "price": "24.99", "priceCurrency": "EUR"}}
+        </script>
+        <script type="application/ld+json">
+          {"@context": "https://schema.org", "@graph": [
+            {"@type": ["Article", "NewsArticle"], "@id": "#article", "author": [{"@type": "Person", "name": "Ada"}, "Bob"]},
+            {"@type": "BreadcrumbList", "itemListElement": [{"@type": "ListItem", "position": 1, "name": "Home"}]}
+          ]}
+        </script>
+      `;
+
+      const { raw, items, errors } = parseJsonLd(document);
+
+      expect(raw).toHaveLength(2);
+      expect(errors).toEqual([]);
+      expect(items.map(item => item.type)).toEqual([['Product'], ['Article', 'NewsArticle'], ['BreadcrumbList']]);
+      expect(items[0]).toEqual({
+        source: 'json-ld',
+        type: ['Product'],
+        id: null,
+        properties: {
+          name: ['Kettle'],
+          offers: [{ source: 'json-ld', type: ['Offer'], id: null, properties: { price: ['24.99'], priceCurrency: ['EUR'] } }]
+        }
+      });
+      expect(items[1].id).toBe('#article');
+      expect(items[1].properties.author).toEqual([
+        { source: 'json-ld', type: ['Person'], id: null, properties: { name: ['Ada'] } },
+        'Bob'
+      ]);
+      expect(items[2].properties.itemListElement[0].properties.position).toEqual([1]);
+    });
+
+    test('should report invalid blocks and accept comment-wrapped ones', () => {
+      document.head.innerHTML = `
+        <script type="application/ld+json">{"@type": "Event",}</script>
+        <script type="application/ld+json"><!-- {"@type": "Recipe", "name": "Soup"} --></script>
+      `;
+
+      const { items, errors } = parseJsonLd(document);
+
+      expect(items).toHaveLength(1);
+      expect(items[0].properties.name).toEqual(['Soup']);
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toMatchObject({ source: 'json-ld' });
+      expect(errors[0].message).toMatch(/^Block 1: /);
+    });
+  });
+
+  test('parseMicrodata should follow nesting, itemref and element value rules', () => {
+    document.body.innerHTML = `
+      <div itemscope itemtype="https://schema.org/Recipe" itemref="recipe-author">
+        <h1 itemprop="name">  Lentil
+          soup </h1>
+        <img itemprop="image" src="/soup.jpg">
+        <meta itemprop="recipeYield" content="4">
+        <time itemprop="cookTime" datetime="PT30M">30 minutes</time>
+        <div itemprop="nutrition" itemscope itemtype="https://schema.org/NutritionInformation">
+          <span itemprop="calories">250</span>
+        </div>
+        <data itemprop="ratingValue description" value="4.5">Great</data>
+      </div>
+      <p id="recipe-author">By <span itemprop="author">Ada</span></p>
+    `;
+
+    const items = parseMicrodata(document);
+
+    expect(items).toHaveLength(1);
+    expect(items[0]).toEqual({
+      source: 'microdata',
+      type: ['Recipe'],
+      id: null,
+      properties: {
+        name: ['Lentil soup'],
+        image: ['http://localhost/soup.jpg'],
+        recipeYield: ['4'],
+        cookTime: ['PT30M'],
+        nutrition: [{ source: 'microdata', type: ['NutritionInformation'], id: null, properties: { calories: ['250'] } }],
+        ratingValue: ['4.5'],
+        description: ['4.5'],
+        author: ['Ada']
+      }
+    });
+  });
+
+  test('parseRdfa should read typed resources and document-level properties', () => {
+    document.head.innerHTML = '<meta property="og:title" content="Kettle review">';
+    document.body.innerHTML = `
+      <div vocab="https://schema.org/" typeof="Event" resource="#launch">
+        <span property="name">Launch</span>
+        <a property="url" href="/launch">Details</a>
+        <div property="location" typeof="Place"><span property="name">Hall A</span></div>
+      </div>
+    `;
+
+    const items = parseRdfa(document);
+
+    expect(items).toHaveLength(2);
+    expect(items[0]).toEqual({ source: 'rdfa', type: [], id: 'http://localhost/', properties: { 'og:title': ['Kettle review'] } });
+    expect(items[1]).toEqual({
+      source: 'rdfa',
+      type: ['Event'],
+      id: 'http://localhost/#launch',
+      properties: {
+        name: ['Launch'],
+        url: ['http://localhost/launch'],
+        location: [{ source: 'rdfa', type: ['Place'], id: null, properties: { name: ['Hall A'] } }]
+      }
+    });
+  });
+
+  test('getStructuredData should combine the three syntaxes', () => {
+    document.head.innerHTML = '<script type="application/ld+json">{"@type": "Organization", "name": "Acme"}</script>';
+    document.body.innerHTML = `
+      <div itemscope itemtype="https://schema.org/Product"><span itemprop="name">Kettle</span></div>
+      <div vocab="https://schema.org/" typeof="Product"><span property="name">Toaster</span></div>
+    `;
+
+    const data = getStructuredData(document);
+
+    expect(data.items.map(item => item.source)).toEqual(['json-ld', 'microdata', 'rdfa']);
+    expect(data.types).toEqual(['Organization', 'Product']);
+    expect(data.jsonLd).toEqual([{ '@type': 'Organization', name: 'Acme' }]);
+    expect(data.errors).toEqual([]);
+  });
+});
@@ -0,0 +1,153 @@
+// Table Extraction Module
+// NOTE: This module is intended to run in the content script context.
+// Finds the data tables on a page and converts them to CSV.
+
+/** @type {string} - Selector for headings used as table context. */
+const HEADING_SELECTOR = 'h1,h2,h3,h4,h5,h6';
+
+/**
+ * Returns the rendered text of a cell, with whitespace (including <br>) collapsed.
+ * @param {HTMLTableCellElement} cell - The cell.
+ * @returns {string} The cell text.
+ */
+function getCellText(cell) {
+  return cell.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Decides whether a table is used for page layout rather than data. Explicit markup wins
+ * (role="presentation", or captions, headers and scope that only data tables have);
+ * otherwise tables with nested tables or fewer than two rows or columns count as layout.
+ * @param {HTMLTableElement} table - The table.
+ * @returns {boolean} True if the table should be skipped.
+ */
+export function isLayoutTable(table) {
+  const role = (table.getAttribute('role') || '').toLowerCase();
+  if (role === 'presentation' || role === 'none') return true;
+  if (['table', 'grid', 'treegrid'].includes(role)) return false;
+  if (table.caption || table.tHead || table.tFoot || table.querySelector('th, colgroup, [scope], [headers]')) return false;
+  if (table.querySelector('table')) return true;
+  const rows = Array.from(table.rows);
+  const columns = Math.max(0, ...rows.map(row => row.cells.length));
+  return rows.length < 2 || columns < 2;
+}
+
+/**
+ * Lays a table out as a rectangular grid. A cell spanning several rows or columns fills
+ * every position it covers, so each CSV row has one value per column.
+ * @param {HTMLTableElement} table - The table.
+ * @returns {Array<Array<string>>} The grid of cell texts.
+ */
+export function tableToGrid(table) {
+  const rows = Array.from(table.rows);
+  const grid = rows.map(() => []);
+
+  rows.forEach((row, rowIndex) => {
+    let column = 0;
+    for (const cell of Array.from(row.cells)) {
+      while (grid[rowIndex][column] !== undefined) column++;
+      const text = getCellText(cell);
+      const colspan = Math.max(1, cell.colSpan || 1);
+      // rowspan="0" spans to the end of the row group
+      const rowspan = cell.rowSpan === 0 ? rows.length - rowIndex : Math.max(1, cell.rowSpan || 1);
+      for (let r = 0; r < rowspan && rowIndex + r < rows.length; r++) {
+        for (let c = 0; c < colspan; c++) {
+          grid[rowIndex + r][column + c] = text;
+        }
+      }
+      column += colspan;
+    }
+  });
+
+  const width = Math.max(0, ...grid.map(cells => cells.length));
+  return grid.map(cells => Array.from({ length: width }, (_, index) => cells[index] ?? ''));
+}
+
+/**
+ * Counts the header rows of a table: the rows in <thead>, or else the leading rows made
+ * only of <th> cells.
+ * @param {HTMLTableElement} table - The table.
+ * @returns {number} The number of header rows.
+ */
+export function countHeaderRows(table) {
+  if (table.tHead) return table.tHead.rows.length;
+  let count = 0;
+  for (const row of Array.from(table.rows)) {
+    const cells = Array.from(row.cells);
+    if (cells.length === 0 || !cells.every(cell => cell.tagName.toUpperCase() === 'TH')) break;
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Builds the column headers from the header rows. Stacked header rows are joined with
+ * " / " (e.g. "2024 / Q1"), skipping repeats produced by colspan.
+ * @param {Array<Array<string>>} headerRows - The header rows of the grid.
+ * @returns {Array<string>} One header per column.
+ */
+export function getColumnHeaders(headerRows) {
+  if (headerRows.length === 0) return [];
+  return headerRows[0].map((_, column) => headerRows
+    .map(row => row[column])
+    .filter((text, index, texts) => text && texts.indexOf(text) === index)
+    .join(' / '));
+}
+
+/**
+ * Finds the heading closest before an element: its preceding siblings (or the last
+ * heading inside them) are searched first, then those of each ancestor.
+ * Like getSnippetContext in codeSnippets.js, but tables are usually wrapped in containers.
+ * @param {HTMLElement} element - The table.
+ * @returns {string} The heading text, or an empty string.
+ */
+export function getNearestHeading(element) {
+  for (let current = element; current && current.tagName?.toUpperCase() !== 'BODY'; current = current.parentElement) {
+    for (let sibling = current.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+      if (sibling.matches(HEADING_SELECTOR)) return sibling.textContent.replace(/\s+/g, ' ').trim();
+      const nested = sibling.querySelectorAll(HEADING_SELECTOR);
+      if (nested.length > 0) return nested[nested.length - 1].textContent.replace(/\s+/g, ' ').trim();
+    }
+  }
+  return '';
+}
+
+/**
+ * Serializes rows as CSV (RFC 4180): fields containing commas, quotes or line breaks are
+ * quoted and lines end with CRLF.
+ * @param {Array<Array<string>>} rows - The rows.
+ * @returns {string} The CSV text.
+ */
+export function toCsv(rows) {
+  const field = value => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  return rows.map(row => row.map(field).join(',')).join('\r\n') + (rows.length > 0 ? '\r\n' : '');
+}
+
+/**
+ * Extracts every data table in a document. Layout tables and hidden tables are skipped;
+ * tables are numbered from 1 in document order.
+ * @param {Document} [doc=document] - The document to scan.
+ * @returns {Array<{index: number, filename: string, id: string, caption: string, heading: string,
+ *   headers: Array<string>, rowCount: number, columnCount: number, csv: string}>} The tables,
+ *   with rowCount excluding header rows and filename relative to the capture folder.
+ */
+export function extractTables(doc = document) {
+  return Array.from(doc.querySelectorAll('table'))
+    .filter(table => !table.closest('[hidden]') && !isLayoutTable(table))
+    .map((table, position) => {
+      const index = position + 1;
+      const grid = tableToGrid(table);
+      const headerRows = Math.min(countHeaderRows(table), grid.length);
+      return {
+        index,
+        filename: `tables/table-${index}.csv`,
+        id: table.id || '',
+        caption: table.caption ? getCellText(table.caption) : '',
+        heading: getNearestHeading(table),
+        headers: getColumnHeaders(grid.slice(0, headerRows)),
+        rowCount: grid.length - headerRows,
+        columnCount: grid[0]?.length || 0,
+        csv: toCsv(grid)
+      };
+    });
+}
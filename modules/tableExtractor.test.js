@@ -0,0 +1,115 @@
+import {
+  isLayoutTable,
+  tableToGrid,
+  countHeaderRows,
+  getColumnHeaders,
+  getNearestHeading,
+  toCsv,
+  extractTables
+} from './tableExtractor';
+
+describe('Table Extraction Module', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  const createTable = (html) => {
+    document.body.innerHTML = html;
+    return document.querySelector('table');
+  };
+
+  describe('isLayoutTable', () => {
+    test('should treat presentation, nested and single-column tables as layout', () => {
+      expect(isLayoutTable(createTable('<table role="presentation"><tr><th>A</th><th>B</th></tr></table>'))).toBe(true);
+      expect(isLayoutTable(createTable('<table><tr><td><table><tr><td>x</td></tr></table></td><td>y</td></tr><tr><td>1</td><td>2</td></tr></table>'))).toBe(true);
+      expect(isLayoutTable(createTable('<table><tr><td>Only</td></tr><tr><td>column</td></tr></table>'))).toBe(true);
+    });
+
+    test('should treat tables with data markup or a grid of cells as data', () => {
+      expect(isLayoutTable(createTable('<table><tr><th>Only header</th></tr></table>'))).toBe(false);
+      expect(isLayoutTable(createTable('<table><caption>Prices</caption><tr><td>1</td></tr></table>'))).toBe(false);
+      expect(isLayoutTable(createTable('<table><tr><td>a</td><td>b</td></tr><tr><td>1</td><td>2</td></tr></table>'))).toBe(false);
+    });
+  });
+
+  test('tableToGrid should expand rowspan and colspan', () => {
+    const table = createTable(`
+      <table>
+        <tr><td rowspan="2">A</td><td colspan="2">B</td></tr>
+        <tr><td>C</td><td>D</td></tr>
+        <tr><td>E</td></tr>
+      </table>
+    `);
+
+    expect(tableToGrid(table)).toEqual([
+      ['A', 'B', 'B'],
+      ['A', 'C', 'D'],
+      ['E', '', '']
+    ]);
+  });
+
+  test('countHeaderRows should use thead or leading rows of th cells', () => {
+    expect(countHeaderRows(createTable('<table><thead><tr><td>A</td></tr><tr><td>B</td></tr></thead><tbody><tr><th>x</th></tr></tbody></table>'))).toBe(2);
+    expect(countHeaderRows(createTable('<table><tr><th>A</th><th>B</th></tr><tr><th>x</th><td>1</td></tr></table>'))).toBe(1);
+    expect(countHeaderRows(createTable('<table><tr><td>A</td></tr></table>'))).toBe(0);
+  });
+
+  test('getColumnHeaders should join stacked header rows', () => {
+    expect(getColumnHeaders([['Region', '2024', '2024'], ['Region', 'Q1', 'Q2']])).toEqual(['Region', '2024 / Q1', '2024 / Q2']);
+    expect(getColumnHeaders([])).toEqual([]);
+  });
+
+  test('getNearestHeading should search siblings, then ancestors', () => {
+    document.body.innerHTML = `
+      <h2>Results</h2>
+      <section><div class="wrapper"><p>Intro</p><table id="a"></table></div></section>
+      <div><h3>Old</h3><h3>Latest</h3></div>
+      <table id="b"></table>
+    `;
+
+    expect(getNearestHeading(document.getElementById('a'))).toBe('Results');
+    expect(getNearestHeading(document.getElementById('b'))).toBe('Latest');
+  });
+
+  test('toCsv should quote fields that need it', () => {
+    expect(toCsv([['Name', 'Note'], ['Smith, J', 'Said "hi"\nthen left']]))
+      .toBe('Name,Note\r\n"Smith, J","Said ""hi""\nthen left"\r\n');
+    expect(toCsv([])).toBe('');
+  });
+
+  test('extractTables should index data tables with caption, heading and headers', () => {
+    document.body.innerHTML = `
+      <table role="presentation"><tr><td>Layout</td><td>cell</td></tr></table>
+      <h2>Quarterly   sales</h2>
+      <table id="sales">
+        <caption>Sales by region</caption>
+        <thead>
+          <tr><th rowspan="2">Region</th><th colspan="2">2024</th></tr>
+          <tr><th>Q1</th><th>Q2</th></tr>
+        </thead>
+        <tbody>
+          <tr><td>North</td><td>1,200</td><td>1,350</td></tr>
+          <tr><td>South</td><td>900</td><td>950</td></tr>
+        </tbody>
+      </table>
+      <div hidden><table><tr><th>Hidden</th><th>table</th></tr></table></div>
+      <table><tr><td>a</td><td>b</td></tr><tr><td>1</td><td>2</td></tr></table>
+    `;
+
+    const tables = extractTables(document);
+
+    expect(tables).toHaveLength(2);
+    expect(tables[0]).toEqual({
+      index: 1,
+      filename: 'tables/table-1.csv',
+      id: 'sales',
+      caption: 'Sales by region',
+      heading: 'Quarterly sales',
+      headers: ['Region', '2024 / Q1', '2024 / Q2'],
+      rowCount: 2,
+      columnCount: 3,
+      csv: 'Region,2024,2024\r\nRegion,Q1,Q2\r\nNorth,"1,200","1,350"\r\nSouth,900,950\r\n'
+    });
+    expect(tables[1]).toMatchObject({ index: 2, filename: 'tables/table-2.csv', headers: [], rowCount: 2, heading: 'Quarterly sales' });
+  });
+});
@@ -0,0 +1,154 @@
+// Third-Party Classifier Module
+// NOTE: This module is intended to run in the background (service worker) context.
+// Labels the page's requests and scripts as first- or third-party, comparing the
+// domain split by parseUrl, and tags known third parties with a category from the
+// bundled domain list (thirdPartyDomains) plus any entries added in the options.
+
+import { parseUrl } from './utils.js';
+import { THIRD_PARTY_DOMAINS, THIRD_PARTY_CATEGORIES } from './thirdPartyDomains.js';
+
+/** @type {Array<string>} - Categories whose domains are reported as trackers. */
+export const TRACKER_CATEGORIES = ['analytics', 'advertising', 'social'];
+
+/**
+ * Parses domain list entries written one per line as `domain category [company]`.
+ * Blank lines and `#` comments are skipped, as are lines with an unknown category.
+ * @param {string} text - The entries.
+ * @returns {Object<string, {category: string, company: string}>} The domains, in the bundled list's form.
+ */
+export function parseDomainList(text) {
+  const domains = {};
+  String(text || '').split(/\r?\n/).forEach(line => {
+    const [entry, category, ...company] = line.replace(/#.*/, '').trim().split(/\s+/);
+    if (!entry || !THIRD_PARTY_CATEGORIES.includes(category)) return;
+    const domain = entry.toLowerCase().replace(/^\*?\./, '');
+    domains[domain] = { category, company: company.join(' ') || domain };
+  });
+  return domains;
+}
+
+/**
+ * Creates a lookup from host names to domain list entries. A host matches an entry for
+ * itself or any parent domain, the most specific entry winning.
+ * @param {Object<string, {category: string, company: string}>} [domains] - The domain list.
+ * @returns {function(string): ({domain: string, category: string, company: string} | null)} The lookup.
+ */
+export function createDomainClassifier(domains = THIRD_PARTY_DOMAINS.domains) {
+  return hostname => {
+    const labels = String(hostname || '').toLowerCase().replace(/\.$/, '').split('.');
+    for (let index = 0; index < labels.length - 1; index++) {
+      const candidate = labels.slice(index).join('.');
+      if (domains[candidate]) return { domain: candidate, ...domains[candidate] };
+    }
+    return null;
+  };
+}
+
+/**
+ * Returns the size of a response: its Content-Length, else the Resource Timing sizes.
+ * @param {object} record - A networkRecorder record.
+ * @param {object | undefined} timing - The matching Resource Timing entry.
+ * @returns {number | null} The size in bytes, or null when neither source knows it.
+ */
+function getResponseBytes(record, timing) {
+  const header = (record.responseHeaders || []).find(({ name }) => name.toLowerCase() === 'content-length');
+  const length = Number(header?.value);
+  if (header && Number.isFinite(length)) return length;
+  const size = timing?.transferSize || timing?.encodedBodySize;
+  return size > 0 ? size : null;
+}
+
+/**
+ * Classifies the page's requests and scripts.
+ * @param {object} options - Classification options.
+ * @param {string} options.pageUrl - The page URL.
+ * @param {Array<object>} [options.requests=[]] - Requests from networkRecorder.
+ * @param {Array<object>} [options.scripts=[]] - Scripts from the page metadata (pageContent.getResourceInfo).
+ * @param {{resources: Array<object>} | null} [options.resourceTimings] - Timing data from
+ *   performanceMetadata.getResourceTimings, for sizes webRequest does not report.
+ * @param {Object<string, {category: string, company: string}>} [options.customDomains={}] - Entries added in the options.
+ * @returns {{pageUrl: string, listVersion: string, summary: object, domains: Array<object>,
+ *   requests: Array<object>, scripts: Array<object>}} The classification, for third_parties.json.
+ */
+export function classifyThirdParties({ pageUrl, requests = [], scripts = [], resourceTimings = null, customDomains = {} }) {
+  const pageDomain = parseUrl(pageUrl).domain.main;
+  const classify = createDomainClassifier({ ...THIRD_PARTY_DOMAINS.domains, ...customDomains });
+  const timings = new Map((resourceTimings?.resources || []).map(timing => [timing.name, timing]));
+
+  const label = url => {
+    let parsed;
+    try {
+      parsed = parseUrl(url);
+    } catch (error) {
+      return null;
+    }
+    if (!['http', 'https'].includes(parsed.protocol)) return null;
+    const party = parsed.domain.main === pageDomain ? 'first-party' : 'third-party';
+    const known = party === 'third-party' ? classify(parsed.domain.full) : null;
+    return { host: parsed.domain.full, domain: parsed.domain.main, party, category: known?.category || null, company: known?.company || null };
+  };
+
+  const labeledRequests = (requests || []).map(record => {
+    const labels = label(record.url);
+    return labels && { url: record.url, type: record.type || 'other', ...labels, bytes: getResponseBytes(record, timings.get(record.url)) };
+  }).filter(Boolean);
+
+  const labeledScripts = (scripts || []).map(script => (script.type === 'inline'
+    ? { type: 'inline', party: 'first-party', category: null, company: null, length: (script.content || '').length }
+    : { type: 'external', src: script.src, ...(label(script.src) || { party: null, category: null, company: null }) }));
+
+  const domains = new Map();
+  const totals = () => ({ requests: 0, bytes: 0 });
+  const summary = { requests: 0, bytes: 0, unknownSizes: 0, firstParty: totals(), thirdParty: { ...totals(), domains: 0 }, byCategory: {}, trackers: [] };
+  labeledRequests.forEach(request => {
+    const bytes = request.bytes || 0;
+    if (request.bytes === null) summary.unknownSizes++;
+    summary.requests++;
+    summary.bytes += bytes;
+    const side = request.party === 'first-party' ? summary.firstParty : summary.thirdParty;
+    side.requests++;
+    side.bytes += bytes;
+
+    if (!domains.has(request.domain)) {
+      domains.set(request.domain, {
+        domain: request.domain, party: request.party, category: request.category, company: request.company,
+        hosts: [], requests: 0, bytes: 0, types: {}
+      });
+    }
+    const domain = domains.get(request.domain);
+    if (!domain.hosts.includes(request.host)) domain.hosts.push(request.host);
+    // A domain takes the first category seen on any of its hosts
+    domain.category = domain.category || request.category;
+    domain.company = domain.company || request.company;
+    domain.requests++;
+    domain.bytes += bytes;
+    domain.types[request.type] = (domain.types[request.type] || 0) + 1;
+
+    if (request.category) {
+      const category = summary.byCategory[request.category] = summary.byCategory[request.category] || { ...totals(), domains: [] };
+      category.requests++;
+      category.bytes += bytes;
+      if (!category.domains.includes(request.domain)) category.domains.push(request.domain);
+    }
+  });
+
+  const domainList = Array.from(domains.values()).sort((a, b) => b.requests - a.requests || a.domain.localeCompare(b.domain));
+  summary.thirdParty.domains = domainList.filter(domain => domain.party === 'third-party').length;
+  // Trackers are counted per request, so a tracker host under a CDN domain is still listed
+  const trackers = new Map();
+  labeledRequests.filter(request => TRACKER_CATEGORIES.includes(request.category)).forEach(request => {
+    const key = `${request.domain} ${request.category}`;
+    if (!trackers.has(key)) trackers.set(key, { domain: request.domain, category: request.category, company: request.company, requests: 0 });
+    trackers.get(key).requests++;
+  });
+  summary.trackers = Array.from(trackers.values()).sort((a, b) => b.requests - a.requests || a.domain.localeCompare(b.domain));
+
+  return {
+    pageUrl,
+    listVersion: Object.keys(customDomains).length > 0 ? `${THIRD_PARTY_DOMAINS.version}+custom` : THIRD_PARTY_DOMAINS.version,
+    summary,
+    domains: domainList,
+    requests: labeledRequests,
+    scripts: labeledScripts
+  };
+}
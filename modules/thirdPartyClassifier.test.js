@@ -0,0 +1,97 @@
+import {
+  parseDomainList,
+  createDomainClassifier,
+  classifyThirdParties
+} from './thirdPartyClassifier';
+import { THIRD_PARTY_DOMAINS, THIRD_PARTY_CATEGORIES } from './thirdPartyDomains';
+
+describe('Third-Party Classifier Module', () => {
+  const pageUrl = 'https://www.example.com/article';
+  const record = (url, type, size) => ({
+    url,
+    type,
+    responseHeaders: size === undefined ? [] : [{ name: 'Content-Length', value: String(size) }]
+  });
+
+  test('the bundled list should only use known categories', () => {
+    Object.values(THIRD_PARTY_DOMAINS.domains).forEach(entry => {
+      expect(THIRD_PARTY_CATEGORIES).toContain(entry.category);
+      expect(entry.company).toBeTruthy();
+    });
+  });
+
+  test('parseDomainList should read domain, category and company lines', () => {
+    expect(parseDomainList(`
+      # Vendors added after the last list update
+      tracker.example.net analytics Example Inc
+      *.ads.example.org advertising
+      cdn.example.io unknown-category
+    `)).toEqual({
+      'tracker.example.net': { category: 'analytics', company: 'Example Inc' },
+      'ads.example.org': { category: 'advertising', company: 'ads.example.org' }
+    });
+    expect(parseDomainList(undefined)).toEqual({});
+  });
+
+  test('createDomainClassifier should match subdomains, preferring the most specific entry', () => {
+    const classify = createDomainClassifier();
+    expect(classify('www.google-analytics.com')).toMatchObject({ domain: 'google-analytics.com', category: 'analytics' });
+    expect(classify('fonts.googleapis.com')).toMatchObject({ category: 'fonts' });
+    expect(classify('ajax.googleapis.com')).toMatchObject({ category: 'cdn' });
+    expect(classify('example.com')).toBeNull();
+  });
+
+  test('classifyThirdParties should label requests and scripts and sum counts and bytes', () => {
+    const result = classifyThirdParties({
+      pageUrl,
+      requests: [
+        record('https://www.example.com/article', 'main_frame', 5000),
+        record('https://static.example.com/app.js', 'script', 2000),
+        record('https://www.googletagmanager.com/gtm.js?id=GTM-1', 'script', 800),
+        record('https://www.google-analytics.com/g/collect?v=2', 'ping', 0),
+        record('https://securepubads.g.doubleclick.net/tag/js/gpt.js', 'script'),
+        record('https://cdn.unlisted-vendor.net/widget.js', 'script', 300),
+        record('https://tracker.example.net/p.gif', 'image', 43)
+      ],
+      scripts: [
+        { type: 'external', src: 'https://www.googletagmanager.com/gtm.js?id=GTM-1' },
+        { type: 'inline', content: 'window.dataLayer = [];' }
+      ],
+      resourceTimings: { resources: [{ name: 'https://securepubads.g.doubleclick.net/tag/js/gpt.js', transferSize: 0, encodedBodySize: 0 }] },
+      customDomains: { 'tracker.example.net': { category: 'analytics', company: 'Example Inc' } }
+    });
+
+    expect(result.listVersion).toBe(`${THIRD_PARTY_DOMAINS.version}+custom`);
+    expect(result.summary).toMatchObject({
+      requests: 7,
+      bytes: 8143,
+      unknownSizes: 1,
+      firstParty: { requests: 2, bytes: 7000 },
+      thirdParty: { requests: 5, bytes: 1143, domains: 5 },
+      byCategory: {
+        tag_manager: { requests: 1, bytes: 800, domains: ['googletagmanager.com'] },
+        analytics: { requests: 2, bytes: 43, domains: ['google-analytics.com', 'example.net'] },
+        advertising: { requests: 1, bytes: 0, domains: ['doubleclick.net'] }
+      }
+    });
+    expect(result.summary.trackers.map(tracker => [tracker.domain, tracker.category])).toEqual([
+      ['doubleclick.net', 'advertising'],
+      ['example.net', 'analytics'],
+      ['google-analytics.com', 'analytics']
+    ]);
+
+    expect(result.domains[0]).toMatchObject({
+      domain: 'example.com', party: 'first-party', category: null, hosts: ['www.example.com', 'static.example.com'],
+      requests: 2, types: { main_frame: 1, script: 1 }
+    });
+    expect(result.requests.find(request => request.host === 'cdn.unlisted-vendor.net'))
+      .toMatchObject({ party: 'third-party', category: null, bytes: 300 });
+    expect(result.scripts).toEqual([
+      {
+        type: 'external', src: 'https://www.googletagmanager.com/gtm.js?id=GTM-1', host: 'www.googletagmanager.com',
+        domain: 'googletagmanager.com', party: 'third-party', category: 'tag_manager', company: 'Google'
+      },
+      { type: 'inline', party: 'first-party', category: null, company: null, length: 22 }
+    ]);
+  });
+});
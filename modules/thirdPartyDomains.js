@@ -0,0 +1,122 @@
+// Third-Party Domain List
+// NOTE: This module is intended to run in the background (service worker) context.
+// The bundled list thirdPartyClassifier uses to tag known third parties. Update it by
+// editing the entries below and bumping `version`; users can add or override entries
+// from the options page without waiting for a release.
+
+/** @type {Array<string>} - The categories entries may use. */
+export const THIRD_PARTY_CATEGORIES = ['analytics', 'advertising', 'cdn', 'social', 'fonts', 'tag_manager'];
+
+/**
+ * Known third-party domains. A domain also covers its subdomains; the most specific
+ * entry wins, so `fonts.googleapis.com` is a font host while `googleapis.com` is a CDN.
+ * @type {{version: string, domains: Object<string, {category: string, company: string}>}}
+ */
+export const THIRD_PARTY_DOMAINS = {
+  version: '2026.10.1',
+  domains: {
+    // Analytics
+    'google-analytics.com': { category: 'analytics', company: 'Google' },
+    'analytics.google.com': { category: 'analytics', company: 'Google' },
+    'hotjar.com': { category: 'analytics', company: 'Hotjar' },
+    'hotjar.io': { category: 'analytics', company: 'Hotjar' },
+    'mixpanel.com': { category: 'analytics', company: 'Mixpanel' },
+    'segment.com': { category: 'analytics', company: 'Segment' },
+    'segment.io': { category: 'analytics', company: 'Segment' },
+    'amplitude.com': { category: 'analytics', company: 'Amplitude' },
+    'heap.io': { category: 'analytics', company: 'Heap' },
+    'heapanalytics.com': { category: 'analytics', company: 'Heap' },
+    'fullstory.com': { category: 'analytics', company: 'FullStory' },
+    'clarity.ms': { category: 'analytics', company: 'Microsoft' },
+    'newrelic.com': { category: 'analytics', company: 'New Relic' },
+    'nr-data.net': { category: 'analytics', company: 'New Relic' },
+    'sentry.io': { category: 'analytics', company: 'Sentry' },
+    'quantserve.com': { category: 'analytics', company: 'Quantcast' },
+    'scorecardresearch.com': { category: 'analytics', company: 'Comscore' },
+    'chartbeat.com': { category: 'analytics', company: 'Chartbeat' },
+    'chartbeat.net': { category: 'analytics', company: 'Chartbeat' },
+    'matomo.cloud': { category: 'analytics', company: 'Matomo' },
+    'plausible.io': { category: 'analytics', company: 'Plausible' },
+    'mouseflow.com': { category: 'analytics', company: 'Mouseflow' },
+    'omtrdc.net': { category: 'analytics', company: 'Adobe' },
+    '2o7.net': { category: 'analytics', company: 'Adobe' },
+    'demdex.net': { category: 'analytics', company: 'Adobe' },
+
+    // Advertising
+    'doubleclick.net': { category: 'advertising', company: 'Google' },
+    'googlesyndication.com': { category: 'advertising', company: 'Google' },
+    'googleadservices.com': { category: 'advertising', company: 'Google' },
+    'adservice.google.com': { category: 'advertising', company: 'Google' },
+    'adnxs.com': { category: 'advertising', company: 'Microsoft Xandr' },
+    'ads-twitter.com': { category: 'advertising', company: 'X' },
+    'ads.linkedin.com': { category: 'advertising', company: 'LinkedIn' },
+    'amazon-adsystem.com': { category: 'advertising', company: 'Amazon' },
+    'criteo.com': { category: 'advertising', company: 'Criteo' },
+    'criteo.net': { category: 'advertising', company: 'Criteo' },
+    'taboola.com': { category: 'advertising', company: 'Taboola' },
+    'outbrain.com': { category: 'advertising', company: 'Outbrain' },
+    'rubiconproject.com': { category: 'advertising', company: 'Magnite' },
+    'pubmatic.com': { category: 'advertising', company: 'PubMatic' },
+    'openx.net': { category: 'advertising', company: 'OpenX' },
+    'casalemedia.com': { category: 'advertising', company: 'Index Exchange' },
+    'adsrvr.org': { category: 'advertising', company: 'The Trade Desk' },
+    'bat.bing.com': { category: 'advertising', company: 'Microsoft' },
+    'moatads.com': { category: 'advertising', company: 'Oracle' },
+    'quantcount.com': { category: 'advertising', company: 'Quantcast' },
+    'analytics.tiktok.com': { category: 'advertising', company: 'TikTok' },
+    'tr.snapchat.com': { category: 'advertising', company: 'Snap' },
+
+    // Social
+    'facebook.com': { category: 'social', company: 'Meta' },
+    'facebook.net': { category: 'social', company: 'Meta' },
+    'fbcdn.net': { category: 'social', company: 'Meta' },
+    'instagram.com': { category: 'social', company: 'Meta' },
+    'twitter.com': { category: 'social', company: 'X' },
+    'x.com': { category: 'social', company: 'X' },
+    'twimg.com': { category: 'social', company: 'X' },
+    'linkedin.com': { category: 'social', company: 'LinkedIn' },
+    'licdn.com': { category: 'social', company: 'LinkedIn' },
+    'pinterest.com': { category: 'social', company: 'Pinterest' },
+    'pinimg.com': { category: 'social', company: 'Pinterest' },
+    'reddit.com': { category: 'social', company: 'Reddit' },
+    'redditstatic.com': { category: 'social', company: 'Reddit' },
+    'addthis.com': { category: 'social', company: 'Oracle' },
+    'sharethis.com': { category: 'social', company: 'ShareThis' },
+    'disqus.com': { category: 'social', company: 'Disqus' },
+
+    // Tag managers
+    'googletagmanager.com': { category: 'tag_manager', company: 'Google' },
+    'tagmanager.google.com': { category: 'tag_manager', company: 'Google' },
+    'tealiumiq.com': { category: 'tag_manager', company: 'Tealium' },
+    'tiqcdn.com': { category: 'tag_manager', company: 'Tealium' },
+    'ensighten.com': { category: 'tag_manager', company: 'Ensighten' },
+    'adobedtm.com': { category: 'tag_manager', company: 'Adobe' },
+    'assets.adobedtm.com': { category: 'tag_manager', company: 'Adobe' },
+
+    // Fonts
+    'fonts.googleapis.com': { category: 'fonts', company: 'Google' },
+    'fonts.gstatic.com': { category: 'fonts', company: 'Google' },
+    'use.typekit.net': { category: 'fonts', company: 'Adobe' },
+    'p.typekit.net': { category: 'fonts', company: 'Adobe' },
+    'fonts.com': { category: 'fonts', company: 'Monotype' },
+    'fast.fonts.net': { category: 'fonts', company: 'Monotype' },
+    'use.fontawesome.com': { category: 'fonts', company: 'Font Awesome' },
+    'kit.fontawesome.com': { category: 'fonts', company: 'Font Awesome' },
+
+    // CDNs
+    'googleapis.com': { category: 'cdn', company: 'Google' },
+    'gstatic.com': { category: 'cdn', company: 'Google' },
+    'cloudflare.com': { category: 'cdn', company: 'Cloudflare' },
+    'cdnjs.cloudflare.com': { category: 'cdn', company: 'Cloudflare' },
+    'jsdelivr.net': { category: 'cdn', company: 'jsDelivr' },
+    'unpkg.com': { category: 'cdn', company: 'unpkg' },
+    'cloudfront.net': { category: 'cdn', company: 'Amazon' },
+    'akamaihd.net': { category: 'cdn', company: 'Akamai' },
+    'akamaized.net': { category: 'cdn', company: 'Akamai' },
+    'fastly.net': { category: 'cdn', company: 'Fastly' },
+    'azureedge.net': { category: 'cdn', company: 'Microsoft' },
+    'bootstrapcdn.com': { category: 'cdn', company: 'BootstrapCDN' },
+    'jquery.com': { category: 'cdn', company: 'jQuery' },
+    'ytimg.com': { category: 'cdn', company: 'Google' }
+  }
+};
@@ -78,6 +78,22 @@ export function blobToDataUrl(blob) {
   });
 }
 
+// Helper function to convert base64 data to a blob
+/**
+ * Converts base64-encoded data (as returned by the DevTools protocol) to a Blob.
+ * @param {string} base64 - The base64-encoded data, without a data URL prefix.
+ * @param {string} mimeType - The MIME type of the resulting Blob.
+ * @returns {Blob} The decoded Blob.
+ */
+export function base64ToBlob(base64, mimeType) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mimeType });
+}
+
 // Helper function to ensure content script is loaded
 /**
  * Ensures that the content script is loaded in the specified tab.
@@ -105,4 +121,28 @@ export async function ensureContentScript(tabId) {
   } catch (error) {
     console.error('Failed to inject content script:', error);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Installs the page hooks (see pageHooks.js) in the page's main world of a tab, or applies
+ * new options to the hooks already there. The module is imported rather than injected as
+ * a file because it is an ES module with imports of its own.
+ * @param {number} tabId - The ID of the tab.
+ * @param {object} [options={}] - Options for pageHooks.installPageHooks.
+ * @returns {Promise<boolean>} True if the hooks were installed.
+ */
+export async function injectPageHooks(tabId, options = {}) {
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      world: 'MAIN',
+      injectImmediately: true,
+      func: (moduleUrl, hookOptions) => import(moduleUrl).then(hooks => hooks.installPageHooks(hookOptions)),
+      args: [chrome.runtime.getURL('modules/pageHooks.js'), options]
+    });
+    return true;
+  } catch (error) {
+    console.error('Failed to inject page hooks:', error);
+    return false;
+  }
+}
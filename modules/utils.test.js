@@ -1,4 +1,4 @@
-import { parseUrl, createFolderStructure, blobToDataUrl, ensureContentScript } from './utils';
+import { parseUrl, createFolderStructure, blobToDataUrl, base64ToBlob, ensureContentScript, injectPageHooks } from './utils';
 
 describe('Utils Module', () => {
   beforeAll(() => {
@@ -77,6 +77,12 @@ describe('Utils Module', () => {
     expect(dataUrl).toMatch(/^data:text\/plain;base64,/);
   });
 
+  test('base64ToBlob should decode base64 data into a typed blob', () => {
+    const blob = base64ToBlob(btoa('Hello, world!'), 'text/plain');
+    expect(blob.type).toBe('text/plain');
+    expect(blob.size).toBe(13);
+  });
+
   test('ensureContentScript should inject content script', async () => {
     const tabId = 1;
     await ensureContentScript(tabId);
@@ -88,4 +94,22 @@ describe('Utils Module', () => {
       }
     );
   });
-});
\ No newline at end of file
+
+  test('injectPageHooks should import the page hooks into the page\'s main world', async () => {
+    chrome.runtime = { getURL: jest.fn(path => `chrome-extension://test-id/${path}`) };
+    chrome.scripting.executeScript.mockClear().mockResolvedValueOnce([{ result: undefined }]);
+
+    await expect(injectPageHooks(7, { recordConsole: true })).resolves.toBe(true);
+    expect(chrome.scripting.executeScript).toHaveBeenCalledWith(expect.objectContaining({
+      target: { tabId: 7 },
+      world: 'MAIN',
+      injectImmediately: true,
+      args: ['chrome-extension://test-id/modules/pageHooks.js', { recordConsole: true }]
+    }));
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    chrome.scripting.executeScript.mockRejectedValueOnce(new Error('Cannot access contents of the page'));
+    await expect(injectPageHooks(7)).resolves.toBe(false);
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,400 @@
+// Web Archive Module (WARC 1.1 / WACZ)
+// NOTE: This module is intended to run in the background (service worker) context.
+import { logger } from './extensionLogger.js';
+import { createZip, concatBytes } from './zipWriter.js';
+import { CAPTURE_FORMATS } from './captureManager.js';
+
+/** @type {string} - Name of the WARC file, both standalone and inside a WACZ. */
+export const WARC_FILENAME = 'data.warc';
+
+/** @type {number} - Most resources fetched at the same time while archiving. */
+export const ARCHIVE_FETCH_CONCURRENCY = 6;
+
+/** @type {Set<string>} - Response headers dropped because the stored payload is already decoded. */
+const STRIPPED_RESPONSE_HEADERS = new Set(['content-encoding', 'transfer-encoding', 'content-length']);
+
+/**
+ * Encodes a string as UTF-8 bytes.
+ * @param {string} text - The text to encode.
+ * @returns {Uint8Array} The encoded bytes.
+ */
+function encode(text) {
+  return new TextEncoder().encode(text);
+}
+
+/**
+ * Formats a date as a WARC-Date (ISO 8601, second precision, UTC).
+ * @param {Date} date - The date to format.
+ * @returns {string} e.g. `2025-03-06T19:37:00Z`.
+ */
+export function formatWarcDate(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Formats a date as a 14-digit CDX timestamp.
+ * @param {Date} date - The date to format.
+ * @returns {string} e.g. `20250306193700`.
+ */
+export function formatCdxTimestamp(date) {
+  return formatWarcDate(date).replace(/\D/g, '');
+}
+
+/**
+ * Converts a URL to its SURT (Sort-friendly URI Reordering Transform) form, as used by CDXJ indexes.
+ * @param {string} url - The URL to convert.
+ * @returns {string} e.g. `com,example)/path?a=1&b=2`.
+ */
+export function toSurt(url) {
+  const parsed = new URL(url);
+  const host = parsed.hostname.replace(/^www\d*\./, '').split('.').reverse().join(',');
+  const port = parsed.port ? `:${parsed.port}` : '';
+  const query = parsed.search.slice(1).split('&').filter(Boolean).sort().join('&');
+  return `${host}${port})${parsed.pathname}${query ? `?${query}` : ''}`.toLowerCase();
+}
+
+/**
+ * Creates a new WARC-Record-ID.
+ * @returns {string} A `<urn:uuid:...>` identifier.
+ */
+export function createRecordId() {
+  return `<urn:uuid:${crypto.randomUUID()}>`;
+}
+
+/**
+ * Computes the SHA-256 digest of some bytes as a lowercase hex string.
+ * @param {Uint8Array} bytes - The data to hash.
+ * @returns {Promise<string>} The hex digest.
+ */
+export async function sha256Hex(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Serializes one WARC record.
+ * @param {Object<string, string>} fields - WARC named fields, in output order (Content-Length is added).
+ * @param {Uint8Array} block - The record block.
+ * @returns {Uint8Array} The complete record, including the trailing blank lines.
+ */
+export function buildWarcRecord(fields, block) {
+  const header = ['WARC/1.1']
+    .concat(Object.entries(fields).map(([name, value]) => `${name}: ${value}`))
+    .concat(`Content-Length: ${block.length}`)
+    .join('\r\n');
+  return concatBytes([encode(`${header}\r\n\r\n`), block, encode('\r\n\r\n')]);
+}
+
+/**
+ * Builds the HTTP request message stored in a `request` record.
+ * @param {{url: string, method: string, requestHeaders: Array<[string, string]>}} resource - The archived resource.
+ * @returns {Uint8Array} The request block.
+ */
+export function buildHttpRequestBlock(resource) {
+  const url = new URL(resource.url);
+  const lines = [`${resource.method} ${url.pathname}${url.search} HTTP/1.1`, `Host: ${url.host}`];
+  for (const [name, value] of resource.requestHeaders || []) {
+    if (name.toLowerCase() !== 'host') lines.push(`${name}: ${value}`);
+  }
+  return encode(`${lines.join('\r\n')}\r\n\r\n`);
+}
+
+/**
+ * Builds the HTTP response message stored in a `response` record.
+ * Encoding headers are dropped and Content-Length rewritten, because the payload is stored decoded.
+ * @param {{status: number, statusText: string, responseHeaders: Array<[string, string]>, body: Uint8Array}} resource - The archived resource.
+ * @returns {Uint8Array} The response block.
+ */
+export function buildHttpResponseBlock(resource) {
+  const lines = [`HTTP/1.1 ${resource.status} ${resource.statusText || ''}`.trimEnd()];
+  for (const [name, value] of resource.responseHeaders || []) {
+    if (!STRIPPED_RESPONSE_HEADERS.has(name.toLowerCase())) lines.push(`${name}: ${value}`);
+  }
+  lines.push(`Content-Length: ${resource.body.length}`);
+  return concatBytes([encode(`${lines.join('\r\n')}\r\n\r\n`), resource.body]);
+}
+
+/**
+ * Lists the URLs to archive: the page itself first, then every GET subresource seen by the
+ * in-page network monitor or the background webRequest recorder, without duplicates.
+ * @param {string} pageUrl - The URL of the captured page.
+ * @param {Array<{url: string, method?: string}>} [inPageRequests] - Requests from networkMonitor.
+ * @param {Array<{url: string, method?: string}>} [recordedRequests] - Requests recorded through webRequest.
+ * @returns {Array<string>} Absolute http(s) URLs.
+ */
+export function collectResourceUrls(pageUrl, inPageRequests = [], recordedRequests = []) {
+  const urls = new Set([pageUrl]);
+  for (const request of [...inPageRequests, ...recordedRequests]) {
+    if (!request?.url || (request.method && request.method.toUpperCase() !== 'GET')) continue;
+    try {
+      const absolute = new URL(request.url, pageUrl);
+      if (absolute.protocol === 'http:' || absolute.protocol === 'https:') urls.add(absolute.href);
+    } catch (error) {
+      // Ignore unparseable URLs
+    }
+  }
+  return [...urls];
+}
+
+/**
+ * Converts headers as webRequest reports them (`{name, value}`) to name/value pairs.
+ * @param {Array<{name: string, value?: string} | Array<string>>} [headers=[]] - The headers.
+ * @returns {Array<[string, string]>} The header pairs.
+ */
+function toHeaderPairs(headers = []) {
+  return headers.map(header => (Array.isArray(header) ? header : [header.name, header.value ?? '']));
+}
+
+/**
+ * Finds the request the browser made for a URL while loading the page, so its record keeps
+ * the headers that were actually exchanged. The most recent answered GET wins.
+ * @param {string} url - The absolute URL.
+ * @param {Array<object>} [recordedRequests=[]] - Requests recorded through webRequest (see captureWebArchive).
+ * @returns {object | null} The recorded request, or null if the browser was not seen requesting it.
+ */
+export function findRecordedRequest(url, recordedRequests = []) {
+  for (let index = recordedRequests.length - 1; index >= 0; index--) {
+    const request = recordedRequests[index];
+    if (request?.url === url && request.status && (!request.method || request.method.toUpperCase() === 'GET')) {
+      return request;
+    }
+  }
+  return null;
+}
+
+/**
+ * Fetches a resource for archiving, preferring the browser cache so the payload matches what the page loaded.
+ * Redirects are not followed: a redirect is archived as the 3xx response the page received,
+ * and its target is archived on its own if the page requested it. Status and headers come
+ * from the recorded request when there is one; the fetch only supplies the payload.
+ * @param {string} url - The URL to fetch.
+ * @param {object | null} [recorded=null] - The request the browser made for it (see findRecordedRequest).
+ * @returns {Promise<object | null>} The archived resource, or null if it could not be fetched.
+ */
+export async function fetchArchiveResource(url, recorded = null) {
+  try {
+    const date = recorded?.timestamp ? new Date(recorded.timestamp) : new Date();
+    const response = await fetch(url, { credentials: 'include', cache: 'force-cache', redirect: 'manual' });
+    // A redirect fetched with redirect: 'manual' hides its status and headers
+    const redirected = response.type === 'opaqueredirect';
+    if (redirected && !(recorded?.status >= 300 && recorded.status < 400)) {
+      logger.warn(`Skipping ${url} for archiving: it redirects and no redirect was recorded`);
+      return null;
+    }
+    return {
+      url,
+      date,
+      method: 'GET',
+      requestHeaders: toHeaderPairs(recorded?.requestHeaders),
+      status: recorded?.status ?? response.status,
+      statusText: recorded?.statusLine ? recorded.statusLine.split(' ').slice(2).join(' ') : response.statusText,
+      responseHeaders: recorded?.responseHeaders?.length
+        ? toHeaderPairs(recorded.responseHeaders)
+        : Array.from(response.headers.entries()),
+      body: redirected ? new Uint8Array(0) : new Uint8Array(await response.arrayBuffer())
+    };
+  } catch (error) {
+    logger.warn(`Failed to fetch ${url} for archiving:`, error);
+    return null;
+  }
+}
+
+/**
+ * Runs a task over items with at most `limit` tasks running at once.
+ * @param {Array<*>} items - The items.
+ * @param {number} limit - Most tasks running at the same time.
+ * @param {function(*): Promise<*>} task - The task.
+ * @returns {Promise<Array<*>>} The results, in the order of the items.
+ */
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Writes a WARC 1.1 file with a warcinfo record, a request/response pair per resource and a
+ * metadata record holding the capture metadata.
+ * @param {Object} options - WARC contents.
+ * @param {string} options.pageUrl - The URL of the captured page.
+ * @param {Array<object>} options.resources - Resources from fetchArchiveResource.
+ * @param {Object} options.metadata - Capture metadata (the contents of metadata.json).
+ * @param {Date} [options.captureDate=new Date()] - Capture date.
+ * @param {string} [options.software='SiteScribe'] - Software name recorded in warcinfo.
+ * @returns {{bytes: Uint8Array, index: Array<object>}} The WARC bytes and an index of its response records.
+ */
+export function createWarc({ pageUrl, resources, metadata, captureDate = new Date(), software = 'SiteScribe' }) {
+  const records = [];
+  const index = [];
+  let offset = 0;
+
+  const append = (record) => {
+    records.push(record);
+    offset += record.length;
+  };
+
+  const warcinfo = [
+    `software: ${software}`,
+    'format: WARC File Format 1.1',
+    'conformsTo: http://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/'
+  ].join('\r\n');
+  append(buildWarcRecord({
+    'WARC-Type': 'warcinfo',
+    'WARC-Record-ID': createRecordId(),
+    'WARC-Date': formatWarcDate(captureDate),
+    'WARC-Filename': WARC_FILENAME,
+    'Content-Type': 'application/warc-fields'
+  }, encode(`${warcinfo}\r\n`)));
+
+  let pageRecordId = null;
+  for (const resource of resources) {
+    const date = formatWarcDate(resource.date || captureDate);
+    const responseId = createRecordId();
+    const response = buildWarcRecord({
+      'WARC-Type': 'response',
+      'WARC-Record-ID': responseId,
+      'WARC-Date': date,
+      'WARC-Target-URI': resource.url,
+      'Content-Type': 'application/http;msgtype=response'
+    }, buildHttpResponseBlock(resource));
+
+    const contentType = resource.responseHeaders?.find(([name]) => name.toLowerCase() === 'content-type')?.[1];
+    index.push({
+      url: resource.url,
+      date: resource.date || captureDate,
+      status: resource.status,
+      mime: contentType ? contentType.split(';')[0].trim() : 'unk',
+      offset,
+      length: response.length
+    });
+    append(response);
+
+    append(buildWarcRecord({
+      'WARC-Type': 'request',
+      'WARC-Record-ID': createRecordId(),
+      'WARC-Date': date,
+      'WARC-Target-URI': resource.url,
+      'WARC-Concurrent-To': responseId,
+      'Content-Type': 'application/http;msgtype=request'
+    }, buildHttpRequestBlock(resource)));
+
+    if (resource.url === pageUrl) pageRecordId = responseId;
+  }
+
+  const metadataFields = {
+    'WARC-Type': 'metadata',
+    'WARC-Record-ID': createRecordId(),
+    'WARC-Date': formatWarcDate(captureDate),
+    'WARC-Target-URI': pageUrl,
+    'Content-Type': 'application/json'
+  };
+  if (pageRecordId) metadataFields['WARC-Refers-To'] = pageRecordId;
+  append(buildWarcRecord(metadataFields, encode(JSON.stringify(metadata, null, 2))));
+
+  return { bytes: concatBytes(records), index };
+}
+
+/**
+ * Builds a sorted CDXJ index for the response records of a WARC.
+ * @param {Array<object>} index - The index returned by createWarc.
+ * @param {string} [filename=WARC_FILENAME] - WARC filename referenced by each line.
+ * @returns {string} The CDXJ text, one line per record.
+ */
+export function buildCdxj(index, filename = WARC_FILENAME) {
+  return index
+    .map(entry => `${toSurt(entry.url)} ${formatCdxTimestamp(entry.date)} ${JSON.stringify({
+      url: entry.url,
+      mime: entry.mime,
+      status: String(entry.status),
+      offset: String(entry.offset),
+      length: String(entry.length),
+      filename
+    })}`)
+    .sort()
+    .join('\n') + '\n';
+}
+
+/**
+ * Packages a WARC as a WACZ 1.1.1 file (a ZIP holding the WARC, a CDXJ index, a pages list
+ * and a datapackage.json manifest), which replay tools such as pywb and ReplayWeb.page can open.
+ * @param {Object} options - WACZ contents.
+ * @param {Uint8Array} options.warc - WARC bytes from createWarc.
+ * @param {Array<object>} options.index - Index from createWarc.
+ * @param {string} options.pageUrl - The URL of the captured page.
+ * @param {string} [options.title] - The page title.
+ * @param {Date} [options.captureDate=new Date()] - Capture date.
+ * @param {string} [options.software='SiteScribe'] - Software name recorded in datapackage.json.
+ * @returns {Promise<Uint8Array>} The WACZ bytes.
+ */
+export async function createWacz({ warc, index, pageUrl, title = '', captureDate = new Date(), software = 'SiteScribe' }) {
+  const pages = [
+    JSON.stringify({ format: 'json-pages-1.0', id: 'pages', title: 'All Pages' }),
+    JSON.stringify({ id: crypto.randomUUID(), url: pageUrl, ts: captureDate.toISOString(), title })
+  ].join('\n') + '\n';
+
+  const files = [
+    { name: `archive/${WARC_FILENAME}`, data: warc },
+    { name: 'indexes/index.cdxj', data: encode(buildCdxj(index)) },
+    { name: 'pages/pages.jsonl', data: encode(pages) }
+  ];
+
+  const resources = [];
+  for (const file of files) {
+    resources.push({
+      name: file.name.split('/').pop(),
+      path: file.name,
+      hash: `sha256:${await sha256Hex(file.data)}`,
+      bytes: file.data.length
+    });
+  }
+
+  const datapackage = {
+    profile: 'data-package',
+    wacz_version: '1.1.1',
+    title: title || pageUrl,
+    created: captureDate.toISOString(),
+    software,
+    mainPageURL: pageUrl,
+    mainPageDate: captureDate.toISOString(),
+    resources
+  };
+
+  return createZip([...files, { name: 'datapackage.json', data: JSON.stringify(datapackage, null, 2) }], captureDate);
+}
+
+/**
+ * Archives a captured page: fetches the page and its subresources, writes them to a WARC and
+ * optionally packages the result as a WACZ.
+ * @param {Object} options - Archive options.
+ * @param {string} options.pageUrl - The URL of the captured page.
+ * @param {Array<object>} [options.inPageRequests] - Requests from networkMonitor.
+ * @param {Array<object>} [options.recordedRequests] - Requests recorded through webRequest, with the
+ *   `status`, `statusLine`, `requestHeaders` and `responseHeaders` webRequest reports for them.
+ * @param {Object} options.metadata - Capture metadata (the contents of metadata.json).
+ * @param {string} [options.title] - The page title.
+ * @param {boolean} [options.packageWacz=false] - Whether to produce a WACZ instead of a bare WARC.
+ * @param {string} [options.software] - Software name recorded in the archive.
+ * @returns {Promise<{blob: Blob, extension: string}>} The archive and its file extension.
+ */
+export async function captureWebArchive({ pageUrl, inPageRequests, recordedRequests, metadata, title, packageWacz = false, software }) {
+  const captureDate = new Date();
+  const urls = collectResourceUrls(pageUrl, inPageRequests, recordedRequests);
+  const resources = (await mapWithConcurrency(urls, ARCHIVE_FETCH_CONCURRENCY,
+    url => fetchArchiveResource(url, findRecordedRequest(url, recordedRequests)))).filter(Boolean);
+  logger.info(`Archiving ${resources.length} of ${urls.length} resources for ${pageUrl}`);
+
+  const { bytes, index } = createWarc({ pageUrl, resources, metadata, captureDate, software });
+  if (!packageWacz) {
+    return { blob: new Blob([bytes], { type: CAPTURE_FORMATS.WARC.mimeType }), extension: CAPTURE_FORMATS.WARC.extension };
+  }
+
+  const wacz = await createWacz({ warc: bytes, index, pageUrl, title, captureDate, software });
+  return { blob: new Blob([wacz], { type: CAPTURE_FORMATS.WACZ.mimeType }), extension: CAPTURE_FORMATS.WACZ.extension };
+}
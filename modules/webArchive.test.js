@@ -0,0 +1,220 @@
+import { TextEncoder, TextDecoder } from 'util';
+import { webcrypto } from 'crypto';
+import {
+  formatWarcDate,
+  formatCdxTimestamp,
+  toSurt,
+  buildWarcRecord,
+  buildHttpRequestBlock,
+  buildHttpResponseBlock,
+  collectResourceUrls,
+  fetchArchiveResource,
+  findRecordedRequest,
+  createWarc,
+  buildCdxj,
+  createWacz,
+  captureWebArchive,
+  ARCHIVE_FETCH_CONCURRENCY
+} from './webArchive';
+
+// jsdom provides neither TextEncoder nor Web Crypto
+global.TextEncoder = TextEncoder;
+global.crypto = webcrypto;
+
+const decode = (bytes) => new TextDecoder().decode(bytes);
+
+describe('Web Archive Module', () => {
+  const captureDate = new Date('2025-03-06T19:37:00.123Z');
+  const pageUrl = 'https://www.example.com/article?b=2&a=1';
+  const resource = (url, body, contentType = 'text/html') => ({
+    url,
+    date: captureDate,
+    method: 'GET',
+    requestHeaders: [['Accept', '*/*']],
+    status: 200,
+    statusText: 'OK',
+    responseHeaders: [['content-type', contentType], ['content-encoding', 'gzip']],
+    body: new TextEncoder().encode(body)
+  });
+
+  test('formatWarcDate and formatCdxTimestamp should use second precision', () => {
+    expect(formatWarcDate(captureDate)).toBe('2025-03-06T19:37:00Z');
+    expect(formatCdxTimestamp(captureDate)).toBe('20250306193700');
+  });
+
+  test('toSurt should reverse the host and sort query parameters', () => {
+    expect(toSurt(pageUrl)).toBe('com,example)/article?a=1&b=2');
+    expect(toSurt('http://Sub.Example.com:8080/Path')).toBe('com,example,sub:8080)/path');
+  });
+
+  test('buildWarcRecord should write the version line, fields and content length', () => {
+    const record = decode(buildWarcRecord({ 'WARC-Type': 'resource' }, new TextEncoder().encode('abc')));
+    expect(record).toBe('WARC/1.1\r\nWARC-Type: resource\r\nContent-Length: 3\r\n\r\nabc\r\n\r\n');
+  });
+
+  test('buildHttpRequestBlock should write the request line and host', () => {
+    const block = decode(buildHttpRequestBlock(resource(pageUrl, '')));
+    expect(block).toBe('GET /article?b=2&a=1 HTTP/1.1\r\nHost: www.example.com\r\nAccept: */*\r\n\r\n');
+  });
+
+  test('buildHttpResponseBlock should drop encoding headers and set the decoded length', () => {
+    const block = decode(buildHttpResponseBlock(resource(pageUrl, '<html></html>')));
+    expect(block).toBe('HTTP/1.1 200 OK\r\ncontent-type: text/html\r\nContent-Length: 13\r\n\r\n<html></html>');
+  });
+
+  test('collectResourceUrls should list the page first and de-duplicate GET requests', () => {
+    const urls = collectResourceUrls(
+      pageUrl,
+      [{ url: '/api/data', method: 'GET' }, { url: '/api/save', method: 'POST' }],
+      [{ url: 'https://cdn.example.com/app.js', method: 'GET' }, { url: 'https://example.com/api/data' }, { url: 'data:image/png;base64,' }]
+    );
+    expect(urls).toEqual([pageUrl, 'https://www.example.com/api/data', 'https://cdn.example.com/app.js', 'https://example.com/api/data']);
+  });
+
+  describe('createWarc', () => {
+    const resources = [resource(pageUrl, '<html></html>'), resource('https://www.example.com/site.css', 'body {}', 'text/css; charset=utf-8')];
+
+    test('should write warcinfo, response/request pairs and a metadata record', () => {
+      const { bytes } = createWarc({ pageUrl, resources, metadata: { captureTime: 'ts' }, captureDate });
+      const text = decode(bytes);
+      const types = [...text.matchAll(/^WARC-Type: (\w+)/gm)].map(match => match[1]);
+
+      expect(types).toEqual(['warcinfo', 'response', 'request', 'response', 'request', 'metadata']);
+      expect(text).toContain('WARC-Target-URI: https://www.example.com/site.css');
+      expect(text).toContain('Content-Type: application/http;msgtype=response');
+      expect(text).toContain('"captureTime": "ts"');
+      expect(text).toMatch(/WARC-Refers-To: <urn:uuid:[0-9a-f-]+>/);
+    });
+
+    test('should index response records by offset and length', () => {
+      const { bytes, index } = createWarc({ pageUrl, resources, metadata: {}, captureDate });
+      expect(index).toHaveLength(2);
+      expect(index[1]).toMatchObject({ url: 'https://www.example.com/site.css', status: 200, mime: 'text/css' });
+
+      const record = decode(bytes.slice(index[1].offset, index[1].offset + index[1].length));
+      expect(record.startsWith('WARC/1.1\r\nWARC-Type: response')).toBe(true);
+      expect(record.endsWith('body {}\r\n\r\n')).toBe(true);
+    });
+
+    test('buildCdxj should produce sorted SURT lines', () => {
+      const { index } = createWarc({ pageUrl, resources, metadata: {}, captureDate });
+      const lines = buildCdxj(index).trim().split('\n');
+
+      expect(lines[0].startsWith('com,example)/article?a=1&b=2 20250306193700 {')).toBe(true);
+      expect(lines[1].startsWith('com,example)/site.css 20250306193700 {')).toBe(true);
+      expect(JSON.parse(lines[1].split(' ').slice(2).join(' '))).toMatchObject({
+        url: 'https://www.example.com/site.css',
+        status: '200',
+        filename: 'data.warc'
+      });
+    });
+  });
+
+  test('createWacz should package the WARC, index, pages and datapackage', async () => {
+    const { bytes, index } = createWarc({ pageUrl, resources: [resource(pageUrl, 'x')], metadata: {}, captureDate });
+    const wacz = decode(await createWacz({ warc: bytes, index, pageUrl, title: 'Article', captureDate }));
+
+    expect(wacz).toContain('archive/data.warc');
+    expect(wacz).toContain('indexes/index.cdxj');
+    expect(wacz).toContain('pages/pages.jsonl');
+    expect(wacz).toContain('"format":"json-pages-1.0"');
+    expect(wacz).toContain('"wacz_version": "1.1.1"');
+    expect(wacz).toMatch(/"hash": "sha256:[0-9a-f]{64}"/);
+    expect(wacz).toContain(`"mainPageURL": "${pageUrl}"`);
+  });
+
+  describe('fetching', () => {
+    beforeEach(() => {
+      jest.spyOn(window, 'fetch').mockImplementation(async (url) => {
+        if (url.includes('missing')) throw new TypeError('Failed to fetch');
+        if (url.includes('moved')) {
+          return { type: 'opaqueredirect', status: 0, statusText: '', headers: new Headers(), arrayBuffer: async () => new ArrayBuffer(0) };
+        }
+        return new Response('<html></html>', { status: 200, statusText: 'OK', headers: { 'Content-Type': 'text/html' } });
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('fetchArchiveResource should return the response bytes and headers', async () => {
+      const fetched = await fetchArchiveResource(pageUrl);
+      expect(fetched).toMatchObject({ url: pageUrl, method: 'GET', status: 200 });
+      expect(fetched.responseHeaders).toContainEqual(['content-type', 'text/html']);
+      expect(decode(fetched.body)).toBe('<html></html>');
+      expect(window.fetch).toHaveBeenCalledWith(pageUrl, expect.objectContaining({ redirect: 'manual' }));
+    });
+
+    test('fetchArchiveResource should keep the status and headers the browser recorded', async () => {
+      const recorded = {
+        url: pageUrl,
+        method: 'GET',
+        status: 200,
+        statusLine: 'HTTP/1.1 200 Fine',
+        timestamp: '2025-03-06T19:36:00.000Z',
+        requestHeaders: [{ name: 'Cookie', value: 'session=1' }],
+        responseHeaders: [{ name: 'Content-Type', value: 'text/html; charset=utf-8' }]
+      };
+      const fetched = await fetchArchiveResource(pageUrl, recorded);
+
+      expect(fetched).toMatchObject({ status: 200, statusText: 'Fine', date: new Date(recorded.timestamp) });
+      expect(fetched.requestHeaders).toEqual([['Cookie', 'session=1']]);
+      expect(fetched.responseHeaders).toEqual([['Content-Type', 'text/html; charset=utf-8']]);
+      expect(decode(fetched.body)).toBe('<html></html>');
+    });
+
+    test('fetchArchiveResource should archive recorded redirects without following them', async () => {
+      const url = 'https://example.com/moved';
+      const recorded = { url, status: 301, statusLine: 'HTTP/1.1 301 Moved Permanently', responseHeaders: [{ name: 'Location', value: '/new' }] };
+
+      const fetched = await fetchArchiveResource(url, recorded);
+      expect(fetched).toMatchObject({ status: 301, statusText: 'Moved Permanently', responseHeaders: [['Location', '/new']] });
+      expect(fetched.body).toHaveLength(0);
+      await expect(fetchArchiveResource(url)).resolves.toBeNull();
+    });
+
+    test('findRecordedRequest should pick the latest answered GET for the URL', () => {
+      const requests = [
+        { url: pageUrl, method: 'GET', status: 200, requestId: '1' },
+        { url: pageUrl, method: 'POST', status: 200, requestId: '2' },
+        { url: pageUrl, method: 'GET', status: 304, requestId: '3' },
+        { url: pageUrl, method: 'GET', error: 'net::ERR_ABORTED', requestId: '4' }
+      ];
+      expect(findRecordedRequest(pageUrl, requests).requestId).toBe('3');
+      expect(findRecordedRequest('https://example.com/other', requests)).toBeNull();
+    });
+
+    test('captureWebArchive should limit the fetches running at once', async () => {
+      let running = 0;
+      let mostRunning = 0;
+      window.fetch.mockImplementation(async () => {
+        mostRunning = Math.max(mostRunning, ++running);
+        await new Promise(resolve => setTimeout(resolve, 1));
+        running--;
+        return new Response('x', { status: 200 });
+      });
+      const recordedRequests = Array.from({ length: 20 }, (_, index) => ({ url: `https://example.com/${index}.png` }));
+
+      await captureWebArchive({ pageUrl, recordedRequests, metadata: {} });
+      expect(window.fetch).toHaveBeenCalledTimes(21);
+      expect(mostRunning).toBe(ARCHIVE_FETCH_CONCURRENCY);
+    });
+
+    test('fetchArchiveResource should return null on failure', async () => {
+      await expect(fetchArchiveResource('https://example.com/missing')).resolves.toBeNull();
+    });
+
+    test('captureWebArchive should return a WARC or WACZ blob', async () => {
+      const options = { pageUrl, recordedRequests: [{ url: 'https://example.com/missing' }], metadata: {} };
+
+      const warc = await captureWebArchive(options);
+      expect(warc.extension).toBe('.warc');
+      expect(warc.blob.type).toBe('application/warc');
+
+      const wacz = await captureWebArchive({ ...options, packageWacz: true });
+      expect(wacz.extension).toBe('.wacz');
+      expect(wacz.blob.type).toBe('application/wacz');
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import { TextEncoder, TextDecoder } from 'util';
+import { crc32, createZip, concatBytes } from './zipWriter';
+
+// jsdom does not provide TextEncoder
+global.TextEncoder = TextEncoder;
+
+// Reads the entries back out of a stored (uncompressed) ZIP
+const readZip = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const endOffset = bytes.length - 22;
+  const count = view.getUint16(endOffset + 10, true);
+  let position = view.getUint32(endOffset + 16, true);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    const nameLength = view.getUint16(position + 28, true);
+    const localOffset = view.getUint32(position + 42, true);
+    const name = decoder.decode(bytes.slice(position + 46, position + 46 + nameLength));
+    const size = view.getUint32(localOffset + 18, true);
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+    entries.push({
+      name,
+      crc: view.getUint32(localOffset + 14, true),
+      method: view.getUint16(localOffset + 8, true),
+      text: decoder.decode(bytes.slice(dataStart, dataStart + size))
+    });
+    position += 46 + nameLength;
+  }
+  return entries;
+};
+
+describe('ZIP Writer Module', () => {
+
+  test('crc32 should match known checksums', () => {
+    expect(crc32(new TextEncoder().encode(''))).toBe(0);
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+  });
+
+  test('concatBytes should join byte arrays', () => {
+    expect(Array.from(concatBytes([new Uint8Array([1, 2]), new Uint8Array([3])]))).toEqual([1, 2, 3]);
+  });
+
+  test('createZip should store entries in order with valid headers', () => {
+    const zip = createZip([
+      { name: 'mimetype', data: 'application/epub+zip' },
+      { name: 'dir/file.txt', data: new TextEncoder().encode('Hello, world!') }
+    ]);
+
+    const view = new DataView(zip.buffer);
+    expect(view.getUint32(0, true)).toBe(0x04034B50);
+    expect(view.getUint32(zip.length - 22, true)).toBe(0x06054B50);
+
+    const entries = readZip(zip);
+    expect(entries.map(entry => entry.name)).toEqual(['mimetype', 'dir/file.txt']);
+    expect(entries[0].text).toBe('application/epub+zip');
+    expect(entries[1].text).toBe('Hello, world!');
+    expect(entries[1].crc).toBe(crc32(new TextEncoder().encode('Hello, world!')));
+    expect(entries.every(entry => entry.method === 0)).toBe(true);
+  });
+
+  test('createZip should produce an empty archive for no entries', () => {
+    const zip = createZip([]);
+    expect(zip).toHaveLength(22);
+  });
+});
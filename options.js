@@ -6,10 +6,56 @@ const DEFAULT_SETTINGS = {
   detectionConfidence: 'medium',
   preferExplicitLanguage: true,
   
+  // Capture Formats (keyed by capture type)
+  captureFormats: {
+    pdf: false,
+    html: true,
+    markdown: true,
+    screenshot: true,
+    single_file_html: false,
+    warc: false,
+    mhtml: false,
+    text: false,
+    readability: false,
+    epub: false,
+    assets: false,
+    tables: false,
+    a11y: false,
+    console: false,
+    har: false
+  },
+  
   // Script & Network Capture
   captureScripts: true,
   captureNetworkRequests: true,
   maxNetworkRequests: 100,
+  captureNetworkBodies: false,
+  networkBodyContentTypes: 'json, text, xml, javascript, x-www-form-urlencoded, form-data',
+  networkBodyUrlPatterns: '',
+  maxNetworkBodySize: 100,
+  maxNetworkBodiesTotal: 5000,
+  captureSocketPayloads: false,
+  maxSocketPayloadSize: 1024,
+  thirdPartyDomains: '',
+  
+  // Web Archive
+  warcPackageWacz: false,
+  
+  // Markdown
+  markdownReadableOnly: false,
+  
+  // Accessibility
+  a11yHtmlReport: false,
+  
+  // PDF Capture
+  pdfPaperSize: 'letter',
+  pdfLandscape: false,
+  pdfPrintBackground: true,
+  pdfMarginTop: 0.4,
+  pdfMarginBottom: 0.4,
+  pdfMarginLeft: 0.4,
+  pdfMarginRight: 0.4,
+  pdfHeaderFooter: true,
   
   // LLM Integration
   llmEnabled: false,
@@ -105,6 +151,11 @@ function loadSettings() {
       }
     });
 
+    // Capture format checkboxes map onto the nested captureFormats object
+    document.querySelectorAll('[data-capture-format]').forEach(element => {
+      element.checked = !!settings.captureFormats?.[element.dataset.captureFormat];
+    });
+
     // Handle custom model visibility
     const modelSelect = document.getElementById('llmModel');
     const customModelInput = document.getElementById('customModel');
@@ -132,6 +183,11 @@ function saveSettings() {
     }
   });
 
+  settings.captureFormats = { ...DEFAULT_SETTINGS.captureFormats };
+  document.querySelectorAll('[data-capture-format]').forEach(element => {
+    settings.captureFormats[element.dataset.captureFormat] = element.checked;
+  });
+
   // Handle custom model
   if (settings.llmModel === 'custom') {
     settings.llmModel = settings.customModel;
@@ -134,6 +134,24 @@ function addEventListeners() {
     });
   }
 
+  const pickElementBtn = document.getElementById('pickElementBtn');
+  if (pickElementBtn) {
+    pickElementBtn.addEventListener('click', () => {
+      chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+        if (!tab) return;
+        const selector = document.getElementById('elementSelector')?.value.trim();
+        chrome.runtime.sendMessage({
+          action: 'captureElement',
+          tabId: tab.id,
+          url: tab.url,
+          selector: selector || undefined
+        });
+        // Close the popup so the page receives the picker's hover and click events
+        window.close();
+      });
+    });
+  }
+
   const shortcutsBtn = document.getElementById('shortcutsBtn');
   if (shortcutsBtn) {
     shortcutsBtn.addEventListener('click', () => {